@@ -1,156 +1,22 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./LandRegistryBase.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/IERC721Metadata.sol";
 
 /**
  * @title LandRegistry
  * @dev Comprehensive blockchain-based land registry system
+ * Each approved property is mirrored by an ERC-721 title token held by its managing owner
+ * Registration, approval, jurisdictions and property lookups live here; sales, payments, parcels, ownership
+ * changes, leases, disputes and the title token are served by the modules chained behind the fallback
  */
-contract LandRegistry is AccessControl, Pausable, ReentrancyGuard {
-    // Role definitions
-    bytes32 public constant SUPERADMIN_ROLE = keccak256("SUPERADMIN_ROLE");
-    bytes32 public constant GOVERNMENT_ROLE = keccak256("GOVERNMENT_ROLE");
-    bytes32 public constant PROPERTY_OWNER_ROLE = keccak256("PROPERTY_OWNER_ROLE");
-    bytes32 public constant LEGAL_PROFESSIONAL_ROLE = keccak256("LEGAL_PROFESSIONAL_ROLE");
-
-    // Counters (replacing Counters library with simple uint256)
-    uint256 private _propertyIds = 0;
-    uint256 private _transactionIds = 0;
-
-    // Enums
-    enum PropertyStatus {
-        Pending,
-        Approved,
-        Rejected,
-        ListedForSale,
-        SaleInProgress,
-        Sold
-    }
-
-    enum TransactionStatus {
-        Pending,
-        Approved,
-        Rejected,
-        Completed,
-        Cancelled
-    }
-
-    // Structs
-    struct Property {
-        uint256 id;
-        string state;
-        string district;
-        string village;
-        string surveyNumber;
-        address owner;
-        uint256 marketValue;
-        string propertyId; // Unique property ID
-        string ipfsHash; // IPFS hash for documents
-        PropertyStatus status;
-        uint256 registeredAt;
-        uint256 lastUpdated;
-        bool isActive;
-    }
-
-    struct Transaction {
-        uint256 id;
-        uint256 propertyId;
-        address seller;
-        address buyer;
-        uint256 price;
-        TransactionStatus status;
-        uint256 requestedAt;
-        uint256 completedAt;
-        string ipfsHash; // Transaction documents
-    }
-
-    // Mappings
-    mapping(uint256 => Property) public properties;
-    mapping(uint256 => Transaction) public transactions;
-    mapping(address => uint256[]) public ownerProperties;
-    mapping(uint256 => uint256[]) public propertyTransactions;
-    mapping(address => bool) public registeredUsers;
-    mapping(address => string) public userRoles; // For frontend display
-    mapping(address => string[]) public superadminVillages; // Village assignments for superadmins
-
-    // Events
-    event PropertyRegistered(
-        uint256 indexed propertyId,
-        address indexed owner,
-        string propertyIdStr,
-        uint256 marketValue
-    );
-    event PropertyStatusChanged(
-        uint256 indexed propertyId,
-        PropertyStatus oldStatus,
-        PropertyStatus newStatus
-    );
-    event PropertyListedForSale(
-        uint256 indexed propertyId,
-        address indexed seller,
-        uint256 price
-    );
-    event PurchaseRequested(
-        uint256 indexed transactionId,
-        uint256 indexed propertyId,
-        address indexed buyer,
-        address seller,
-        uint256 price
-    );
-    event PurchaseApproved(
-        uint256 indexed transactionId,
-        uint256 indexed propertyId,
-        address indexed buyer
-    );
-    event PurchaseRejected(
-        uint256 indexed transactionId,
-        uint256 indexed propertyId,
-        address indexed buyer
-    );
-    event OwnershipTransferred(
-        uint256 indexed propertyId,
-        address indexed oldOwner,
-        address indexed newOwner,
-        uint256 transactionId
-    );
-    event UserRegistered(address indexed user, string role);
-    event DocumentsUpdated(uint256 indexed propertyId, string ipfsHash);
-
-    // Modifiers
-    modifier onlyPropertyOwner(uint256 _propertyId) {
-        require(
-            properties[_propertyId].owner == msg.sender,
-            "Only property owner can perform this action"
-        );
-        _;
-    }
-
-    modifier validProperty(uint256 _propertyId) {
-        require(
-            properties[_propertyId].id != 0,
-            "Property does not exist"
-        );
-        require(
-            properties[_propertyId].isActive,
-            "Property is not active"
-        );
-        _;
-    }
-
-    modifier validTransaction(uint256 _transactionId) {
-        require(
-            transactions[_transactionId].id != 0,
-            "Transaction does not exist"
-        );
-        _;
-    }
-
-    constructor() {
+contract LandRegistry is LandRegistryBase {
+    constructor(address _next) LandRegistryBase(_next) {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(SUPERADMIN_ROLE, msg.sender);
+        globalSuperadmins[msg.sender] = true;
+        treasury = msg.sender;
         registeredUsers[msg.sender] = true;
         userRoles[msg.sender] = "Superadmin";
         emit UserRegistered(msg.sender, "Superadmin");
@@ -185,7 +51,7 @@ contract LandRegistry is AccessControl, Pausable, ReentrancyGuard {
         address _owner,
         uint256 _marketValue,
         string memory _ipfsHash
-    ) external whenNotPaused returns (uint256) {
+    ) external payable whenNotPaused returns (uint256) {
         require(bytes(_state).length > 0, "State is required");
         require(bytes(_district).length > 0, "District is required");
         require(bytes(_village).length > 0, "Village is required");
@@ -193,60 +59,67 @@ contract LandRegistry is AccessControl, Pausable, ReentrancyGuard {
         require(_owner != address(0), "Invalid owner address");
         require(_marketValue > 0, "Market value must be greater than 0");
 
-        _propertyIds++;
-        uint256 newPropertyId = _propertyIds;
+        uint256 registrationFee = _calculateFee(registrationFees[_state], _marketValue);
+        require(msg.value == registrationFee, "Incorrect registration fee");
 
-        // Generate unique property ID
-        string memory uniquePropertyId = string(abi.encodePacked(
+        uint256 newPropertyId = _createProperty(
             _state,
-            "-",
             _district,
-            "-",
             _village,
-            "-",
             _surveyNumber,
-            "-",
-            toString(newPropertyId)
-        ));
-
-        Property memory newProperty = Property({
-            id: newPropertyId,
-            state: _state,
-            district: _district,
-            village: _village,
-            surveyNumber: _surveyNumber,
-            owner: _owner,
-            marketValue: _marketValue,
-            propertyId: uniquePropertyId,
-            ipfsHash: _ipfsHash,
-            status: PropertyStatus.Pending,
-            registeredAt: block.timestamp,
-            lastUpdated: block.timestamp,
-            isActive: true
-        });
-
-        properties[newPropertyId] = newProperty;
-        ownerProperties[_owner].push(newPropertyId);
-
-        if (!registeredUsers[_owner]) {
-            registeredUsers[_owner] = true;
-            userRoles[_owner] = "Property Owner";
-            _grantRole(PROPERTY_OWNER_ROLE, _owner);
-            emit UserRegistered(_owner, "Property Owner");
+            _owner,
+            _marketValue,
+            _ipfsHash,
+            PropertyStatus.Pending
+        );
+
+        if (registrationFee > 0) {
+            _credit(treasury, address(0), registrationFee);
+            emit FeeCollected(newPropertyId, 0, address(0), registrationFee);
         }
 
-        emit PropertyRegistered(newPropertyId, _owner, uniquePropertyId, _marketValue);
-        
         return newPropertyId;
     }
 
     /**
-     * @dev Approve or reject a property registration
+     * @dev Find the active property registered under a survey number, or 0 if there is none
+     * Matching ignores case and surrounding spaces
+     */
+    function findBySurvey(
+        string memory _state,
+        string memory _district,
+        string memory _village,
+        string memory _surveyNumber
+    ) public view returns (uint256) {
+        return surveyIndex[_surveyKey(_state, _district, _village, _surveyNumber)];
+    }
+
+    /**
+     * @dev Vote to approve or veto a property registration
+     * A veto cast here records a default reason; use rejectProperty to record why
      */
     function approveProperty(
         uint256 _propertyId,
         bool _approve
     ) external onlyRole(SUPERADMIN_ROLE) validProperty(_propertyId) {
+        _castApprovalVote(_propertyId, _approve, _approve ? "" : "Rejected without a reason");
+    }
+
+    /**
+     * @dev Veto a property registration, recording why
+     */
+    function rejectProperty(
+        uint256 _propertyId,
+        string memory _reason
+    ) external onlyRole(SUPERADMIN_ROLE) validProperty(_propertyId) {
+        require(bytes(_reason).length > 0, "Rejection reason is required");
+        _castApprovalVote(_propertyId, false, _reason);
+    }
+
+    /**
+     * @dev Record an officer's vote; the property is approved once the quorum is reached
+     */
+    function _castApprovalVote(uint256 _propertyId, bool _approve, string memory _reason) internal {
         Property storage property = properties[_propertyId];
         PropertyStatus oldStatus = property.status;
         
@@ -254,12 +127,33 @@ contract LandRegistry is AccessControl, Pausable, ReentrancyGuard {
             property.status == PropertyStatus.Pending,
             "Property is not pending approval"
         );
+        require(
+            _isInJurisdiction(msg.sender, property.village),
+            "Property is outside your jurisdiction"
+        );
+        require(!hasVotedOn[_propertyId][msg.sender], "Already voted on this property");
+
+        hasVotedOn[_propertyId][msg.sender] = true;
+        approvalVotes[_propertyId].push(ApprovalVote({
+            officer: msg.sender,
+            approve: _approve,
+            reason: _reason,
+            timestamp: block.timestamp,
+            revision: registrationRevisions[_propertyId]
+        }));
+
+        emit PropertyVoteCast(_propertyId, msg.sender, _approve, _reason);
 
         if (_approve) {
+            if (_approvalCount(_propertyId) < approvalQuorum) {
+                return;
+            }
             property.status = PropertyStatus.Approved;
+            _mintTitle(property.owner, _propertyId);
         } else {
             property.status = PropertyStatus.Rejected;
             property.isActive = false;
+            _releaseSurvey(_propertyId);
         }
 
         property.lastUpdated = block.timestamp;
@@ -268,184 +162,96 @@ contract LandRegistry is AccessControl, Pausable, ReentrancyGuard {
     }
 
     /**
-     * @dev List a property for sale
+     * @dev Approvals cast on the current revision of a registration
      */
-    function listPropertyForSale(
-        uint256 _propertyId,
-        uint256 _price
-    ) external whenNotPaused nonReentrant 
-        onlyPropertyOwner(_propertyId) validProperty(_propertyId) {
-        
-        Property storage property = properties[_propertyId];
-        
-        require(
-            property.status == PropertyStatus.Approved,
-            "Property must be approved before listing"
-        );
-        require(_price > 0, "Price must be greater than 0");
-
-        PropertyStatus oldStatus = property.status;
-        property.status = PropertyStatus.ListedForSale;
-        property.lastUpdated = block.timestamp;
+    function _approvalCount(uint256 _propertyId) internal view returns (uint256) {
+        ApprovalVote[] storage votes = approvalVotes[_propertyId];
+        uint256 revision = registrationRevisions[_propertyId];
+        uint256 count = 0;
+        for (uint256 i = 0; i < votes.length; i++) {
+            if (votes[i].approve && votes[i].revision == revision) {
+                count++;
+            }
+        }
+        return count;
+    }
 
-        emit PropertyStatusChanged(_propertyId, oldStatus, PropertyStatus.ListedForSale);
-        emit PropertyListedForSale(_propertyId, msg.sender, _price);
+    /**
+     * @dev Open a new registration revision, letting officers who voted on the previous one vote again
+     */
+    function _startNewRevision(uint256 _propertyId) internal {
+        ApprovalVote[] storage votes = approvalVotes[_propertyId];
+        uint256 revision = registrationRevisions[_propertyId];
+        for (uint256 i = 0; i < votes.length; i++) {
+            if (votes[i].revision == revision) {
+                hasVotedOn[_propertyId][votes[i].officer] = false;
+            }
+        }
+        registrationRevisions[_propertyId] = revision + 1;
     }
 
     /**
-     * @dev Request to purchase a property
+     * @dev Resubmit a rejected registration with corrected details and documents
+     * The property returns to pending under the same ID and officers vote on it afresh
      */
-    function requestToPurchase(
+    function resubmitProperty(
         uint256 _propertyId,
-        uint256 _price,
+        string memory _state,
+        string memory _district,
+        string memory _village,
+        string memory _surveyNumber,
+        uint256 _marketValue,
         string memory _ipfsHash
-    ) external whenNotPaused nonReentrant validProperty(_propertyId) payable {
+    ) external whenNotPaused onlyPropertyOwner(_propertyId) {
         Property storage property = properties[_propertyId];
-        
-        require(
-            property.status == PropertyStatus.ListedForSale,
-            "Property is not listed for sale"
-        );
-        require(
-            property.owner != msg.sender,
-            "Cannot purchase your own property"
-        );
-        require(msg.value >= _price, "Insufficient payment");
-        require(_price >= property.marketValue, "Price below market value");
-
-        _transactionIds++;
-        uint256 newTransactionId = _transactionIds;
-
-        Transaction memory newTransaction = Transaction({
-            id: newTransactionId,
-            propertyId: _propertyId,
-            seller: property.owner,
-            buyer: msg.sender,
-            price: _price,
-            status: TransactionStatus.Pending,
-            requestedAt: block.timestamp,
-            completedAt: 0,
-            ipfsHash: _ipfsHash
-        });
-
-        transactions[newTransactionId] = newTransaction;
-        propertyTransactions[_propertyId].push(newTransactionId);
-        
-        property.status = PropertyStatus.SaleInProgress;
+        require(property.status == PropertyStatus.Rejected, "Only rejected properties can be resubmitted");
+        require(bytes(_state).length > 0, "State is required");
+        require(bytes(_district).length > 0, "District is required");
+        require(bytes(_village).length > 0, "Village is required");
+        require(bytes(_surveyNumber).length > 0, "Survey number is required");
+        require(_marketValue > 0, "Market value must be greater than 0");
+
+        // The survey number was freed on rejection, so it may have been registered since
+        bytes32 surveyKey = _surveyKey(_state, _district, _village, _surveyNumber);
+        require(surveyIndex[surveyKey] == 0, "Survey number already registered");
+        surveyIndex[surveyKey] = _propertyId;
+
+        _startNewRevision(_propertyId);
+
+        property.state = _state;
+        property.district = _district;
+        property.village = _village;
+        property.surveyNumber = _surveyNumber;
+        property.propertyId = _uniquePropertyId(_state, _district, _village, _surveyNumber, _propertyId);
+        property.marketValue = _marketValue;
+        property.ipfsHash = _ipfsHash;
+        property.status = PropertyStatus.Pending;
+        property.isActive = true;
         property.lastUpdated = block.timestamp;
 
-        emit PurchaseRequested(
-            newTransactionId,
-            _propertyId,
-            msg.sender,
-            property.owner,
-            _price
-        );
+        emit PropertyResubmitted(_propertyId, registrationRevisions[_propertyId]);
+        emit PropertyStatusChanged(_propertyId, PropertyStatus.Rejected, PropertyStatus.Pending);
     }
 
     /**
-     * @dev Process purchase request (approve or reject)
+     * @dev Get the approval trail of a property registration
      */
-    function processPurchaseRequest(
-        uint256 _transactionId,
-        bool _approve
-    ) external whenNotPaused nonReentrant validTransaction(_transactionId) {
-        Transaction storage transaction = transactions[_transactionId];
-        
-        require(
-            transaction.seller == msg.sender,
-            "Only seller can process the request"
-        );
-        require(
-            transaction.status == TransactionStatus.Pending,
-            "Transaction already processed"
-        );
-
-        Property storage property = properties[transaction.propertyId];
-
-        if (_approve) {
-            transaction.status = TransactionStatus.Approved;
-            emit PurchaseApproved(_transactionId, transaction.propertyId, transaction.buyer);
-        } else {
-            transaction.status = TransactionStatus.Rejected;
-            property.status = PropertyStatus.ListedForSale;
-            
-            // Refund buyer
-            (bool success, ) = payable(transaction.buyer).call{
-                value: transaction.price
-            }("");
-            require(success, "Refund failed");
-            
-            emit PurchaseRejected(_transactionId, transaction.propertyId, transaction.buyer);
-        }
-
-        transaction.completedAt = block.timestamp;
-        property.lastUpdated = block.timestamp;
+    function getApprovalVotes(
+        uint256 _propertyId
+    ) external view returns (ApprovalVote[] memory) {
+        return approvalVotes[_propertyId];
     }
 
     /**
-     * @dev Complete the purchase and transfer ownership
+     * @dev Set how many officer approvals a registration needs
      */
-    function completePurchase(
-        uint256 _transactionId
-    ) external whenNotPaused nonReentrant validTransaction(_transactionId) {
-        Transaction storage transaction = transactions[_transactionId];
-        
-        require(
-            transaction.status == TransactionStatus.Approved,
-            "Transaction must be approved first"
-        );
-        require(
-            transaction.buyer == msg.sender,
-            "Only buyer can complete the purchase"
-        );
-
-        Property storage property = properties[transaction.propertyId];
-        
-        // Remove property from old owner's list
-        uint256[] storage oldOwnerProps = ownerProperties[property.owner];
-        for (uint256 i = 0; i < oldOwnerProps.length; i++) {
-            if (oldOwnerProps[i] == transaction.propertyId) {
-                oldOwnerProps[i] = oldOwnerProps[oldOwnerProps.length - 1];
-                oldOwnerProps.pop();
-                break;
-            }
-        }
-
-        // Transfer ownership
-        address oldOwner = property.owner;
-        property.owner = transaction.buyer;
-        property.marketValue = transaction.price;
-        // Set status to Approved so new owner can list it for sale again
-        property.status = PropertyStatus.Approved;
-        property.lastUpdated = block.timestamp;
-
-        // Add to new owner's list
-        ownerProperties[transaction.buyer].push(transaction.propertyId);
-
-        // Register buyer if not already registered
-        if (!registeredUsers[transaction.buyer]) {
-            registeredUsers[transaction.buyer] = true;
-            userRoles[transaction.buyer] = "Property Owner";
-            _grantRole(PROPERTY_OWNER_ROLE, transaction.buyer);
-            emit UserRegistered(transaction.buyer, "Property Owner");
-        }
-
-        // Transfer payment to seller
-        (bool success, ) = payable(transaction.seller).call{
-            value: transaction.price
-        }("");
-        require(success, "Payment transfer failed");
+    function setApprovalQuorum(uint256 _quorum) external onlyGlobalSuperadmin {
+        require(_quorum > 0, "Quorum must be at least 1");
 
-        transaction.status = TransactionStatus.Completed;
-        transaction.completedAt = block.timestamp;
+        uint256 oldQuorum = approvalQuorum;
+        approvalQuorum = _quorum;
 
-        emit OwnershipTransferred(
-            transaction.propertyId,
-            oldOwner,
-            transaction.buyer,
-            _transactionId
-        );
+        emit ApprovalQuorumUpdated(oldQuorum, _quorum);
     }
 
     /**
@@ -461,27 +267,6 @@ contract LandRegistry is AccessControl, Pausable, ReentrancyGuard {
         emit DocumentsUpdated(_propertyId, _ipfsHash);
     }
 
-    /**
-     * @dev Remove property from sale
-     */
-    function removeFromSale(
-        uint256 _propertyId
-    ) external onlyPropertyOwner(_propertyId) validProperty(_propertyId) {
-        Property storage property = properties[_propertyId];
-        
-        require(
-            property.status == PropertyStatus.ListedForSale ||
-            property.status == PropertyStatus.SaleInProgress,
-            "Property is not for sale"
-        );
-
-        PropertyStatus oldStatus = property.status;
-        property.status = PropertyStatus.Approved;
-        property.lastUpdated = block.timestamp;
-
-        emit PropertyStatusChanged(_propertyId, oldStatus, PropertyStatus.Approved);
-    }
-
     /**
      * @dev Get property details
      */
@@ -539,7 +324,7 @@ contract LandRegistry is AccessControl, Pausable, ReentrancyGuard {
         address _superadmin,
         string[] memory _villages,
         string memory _roleName
-    ) external onlyRole(SUPERADMIN_ROLE) {
+    ) external onlyRole(SUPERADMIN_ROLE) onlyGlobalSuperadmin {
         require(_superadmin != address(0), "Invalid address");
         require(!registeredUsers[_superadmin], "User already registered");
         
@@ -549,7 +334,7 @@ contract LandRegistry is AccessControl, Pausable, ReentrancyGuard {
         
         // Assign villages
         for (uint256 i = 0; i < _villages.length; i++) {
-            superadminVillages[_superadmin].push(_villages[i]);
+            _assignVillage(_superadmin, _villages[i]);
         }
         
         emit UserRegistered(_superadmin, _roleName);
@@ -562,10 +347,55 @@ contract LandRegistry is AccessControl, Pausable, ReentrancyGuard {
         return superadminVillages[_superadmin];
     }
 
+    /**
+     * @dev Add a village to a superadmin's jurisdiction
+     */
+    function assignVillage(
+        address _superadmin,
+        string memory _village
+    ) external onlyGlobalSuperadmin {
+        require(hasRole(SUPERADMIN_ROLE, _superadmin), "Not a superadmin");
+        _assignVillage(_superadmin, _village);
+    }
+
+    /**
+     * @dev Remove a village from a superadmin's jurisdiction
+     */
+    function unassignVillage(
+        address _superadmin,
+        string memory _village
+    ) external onlyGlobalSuperadmin {
+        string[] storage villages = superadminVillages[_superadmin];
+        uint256 index = _villageIndex(villages, _village);
+        require(index < villages.length, "Village not assigned");
+
+        villages[index] = villages[villages.length - 1];
+        villages.pop();
+
+        emit VillageUnassigned(_superadmin, _village);
+    }
+
+    /**
+     * @dev Whether an admin may approve properties in a village
+     */
+    function isInJurisdiction(address _admin, string memory _village) external view returns (bool) {
+        return _isInJurisdiction(_admin, _village);
+    }
+
+    function _assignVillage(address _superadmin, string memory _village) internal {
+        require(_normalize(_village).length > 0, "Village is required");
+        string[] storage villages = superadminVillages[_superadmin];
+        require(_villageIndex(villages, _village) == villages.length, "Village already assigned");
+
+        villages.push(_village);
+
+        emit VillageAssigned(_superadmin, _village);
+    }
+
     /**
      * @dev View purchase requests for a property (Documentation: viewRequest)
      * @param _propertyId The property ID to view requests for
-     * @return Array of transaction IDs that are pending for this property
+     * @return Array of transaction IDs that are pending or under negotiation for this property
      */
     function viewRequest(uint256 _propertyId) public view returns (uint256[] memory) {
         require(properties[_propertyId].id != 0, "Property does not exist");
@@ -575,7 +405,7 @@ contract LandRegistry is AccessControl, Pausable, ReentrancyGuard {
         
         // Count pending transactions
         for (uint256 i = 0; i < allTransactions.length; i++) {
-            if (transactions[allTransactions[i]].status == TransactionStatus.Pending) {
+            if (_isOpenOffer(transactions[allTransactions[i]].status)) {
                 pendingCount++;
             }
         }
@@ -584,7 +414,7 @@ contract LandRegistry is AccessControl, Pausable, ReentrancyGuard {
         uint256[] memory pendingTransactions = new uint256[](pendingCount);
         uint256 index = 0;
         for (uint256 i = 0; i < allTransactions.length; i++) {
-            if (transactions[allTransactions[i]].status == TransactionStatus.Pending) {
+            if (_isOpenOffer(transactions[allTransactions[i]].status)) {
                 pendingTransactions[index] = allTransactions[i];
                 index++;
             }
@@ -634,189 +464,14 @@ contract LandRegistry is AccessControl, Pausable, ReentrancyGuard {
     }
 
     /**
-     * @dev List property for sale (Documentation: makeAvailable)
-     * Alias for listPropertyForSale for documentation alignment
-     */
-    function makeAvailable(
-        uint256 _propertyId,
-        uint256 _price
-    ) external whenNotPaused nonReentrant 
-        onlyPropertyOwner(_propertyId) validProperty(_propertyId) {
-        // Call the existing listPropertyForSale function
-        Property storage property = properties[_propertyId];
-        
-        require(
-            property.status == PropertyStatus.Approved,
-            "Property must be approved before listing"
-        );
-        require(_price > 0, "Price must be greater than 0");
-
-        PropertyStatus oldStatus = property.status;
-        property.status = PropertyStatus.ListedForSale;
-        property.lastUpdated = block.timestamp;
-
-        emit PropertyStatusChanged(_propertyId, oldStatus, PropertyStatus.ListedForSale);
-        emit PropertyListedForSale(_propertyId, msg.sender, _price);
-    }
-
-    /**
-     * @dev Request to purchase from land owner (Documentation: requestToLandOwner)
-     * Alias for requestToPurchase for documentation alignment
-     */
-    function requestToLandOwner(
-        uint256 _propertyId,
-        uint256 _price,
-        string memory _ipfsHash
-    ) external whenNotPaused nonReentrant validProperty(_propertyId) payable {
-        // Call the existing requestToPurchase function
-        Property storage property = properties[_propertyId];
-        
-        require(
-            property.status == PropertyStatus.ListedForSale,
-            "Property is not listed for sale"
-        );
-        require(
-            property.owner != msg.sender,
-            "Cannot purchase your own property"
-        );
-        require(msg.value >= _price, "Insufficient payment");
-        require(_price >= property.marketValue, "Price below market value");
-
-        _transactionIds++;
-        uint256 newTransactionId = _transactionIds;
-
-        Transaction memory newTransaction = Transaction({
-            id: newTransactionId,
-            propertyId: _propertyId,
-            seller: property.owner,
-            buyer: msg.sender,
-            price: _price,
-            status: TransactionStatus.Pending,
-            requestedAt: block.timestamp,
-            completedAt: 0,
-            ipfsHash: _ipfsHash
-        });
-
-        transactions[newTransactionId] = newTransaction;
-        propertyTransactions[_propertyId].push(newTransactionId);
-        
-        property.status = PropertyStatus.SaleInProgress;
-        property.lastUpdated = block.timestamp;
-
-        emit PurchaseRequested(
-            newTransactionId,
-            _propertyId,
-            msg.sender,
-            property.owner,
-            _price
-        );
-    }
-
-    /**
-     * @dev Process purchase request (Documentation: processRequest)
-     * Alias for processPurchaseRequest for documentation alignment
-     */
-    function processRequest(
-        uint256 _transactionId,
-        bool _approve
-    ) external whenNotPaused nonReentrant validTransaction(_transactionId) {
-        // Call the existing processPurchaseRequest function
-        Transaction storage transaction = transactions[_transactionId];
-        
-        require(
-            transaction.seller == msg.sender,
-            "Only seller can process the request"
-        );
-        require(
-            transaction.status == TransactionStatus.Pending,
-            "Transaction already processed"
-        );
-
-        Property storage property = properties[transaction.propertyId];
-
-        if (_approve) {
-            transaction.status = TransactionStatus.Approved;
-            emit PurchaseApproved(_transactionId, transaction.propertyId, transaction.buyer);
-        } else {
-            transaction.status = TransactionStatus.Rejected;
-            property.status = PropertyStatus.ListedForSale;
-            
-            // Refund buyer
-            (bool success, ) = payable(transaction.buyer).call{
-                value: transaction.price
-            }("");
-            require(success, "Refund failed");
-            
-            emit PurchaseRejected(_transactionId, transaction.propertyId, transaction.buyer);
-        }
-
-        transaction.completedAt = block.timestamp;
-        property.lastUpdated = block.timestamp;
-    }
-
-    /**
-     * @dev Complete purchase and transfer ownership (Documentation: buyProperty)
-     * Alias for completePurchase for documentation alignment
+     * @dev The title token functions are served by TitleTokenModule
      */
-    function buyProperty(uint256 _transactionId) external whenNotPaused nonReentrant validTransaction(_transactionId) {
-        // Call the existing completePurchase function
-        Transaction storage transaction = transactions[_transactionId];
-        
-        require(
-            transaction.status == TransactionStatus.Approved,
-            "Transaction must be approved first"
-        );
-        require(
-            transaction.buyer == msg.sender,
-            "Only buyer can complete the purchase"
-        );
-
-        Property storage property = properties[transaction.propertyId];
-        
-        // Remove property from old owner's list
-        uint256[] storage oldOwnerProps = ownerProperties[property.owner];
-        for (uint256 i = 0; i < oldOwnerProps.length; i++) {
-            if (oldOwnerProps[i] == transaction.propertyId) {
-                oldOwnerProps[i] = oldOwnerProps[oldOwnerProps.length - 1];
-                oldOwnerProps.pop();
-                break;
-            }
-        }
-
-        // Transfer ownership
-        address oldOwner = property.owner;
-        property.owner = transaction.buyer;
-        property.marketValue = transaction.price;
-        // Set status to Approved so new owner can list it for sale again
-        property.status = PropertyStatus.Approved;
-        property.lastUpdated = block.timestamp;
-
-        // Add to new owner's list
-        ownerProperties[transaction.buyer].push(transaction.propertyId);
-
-        // Register buyer if not already registered
-        if (!registeredUsers[transaction.buyer]) {
-            registeredUsers[transaction.buyer] = true;
-            userRoles[transaction.buyer] = "Property Owner";
-            _grantRole(PROPERTY_OWNER_ROLE, transaction.buyer);
-            emit UserRegistered(transaction.buyer, "Property Owner");
-        }
-
-        // Transfer payment to seller
-        (bool success, ) = payable(transaction.seller).call{
-            value: transaction.price
-        }("");
-        require(success, "Payment transfer failed");
-
-        transaction.status = TransactionStatus.Completed;
-        transaction.completedAt = block.timestamp;
-
-        emit OwnershipTransferred(
-            transaction.propertyId,
-            oldOwner,
-            transaction.buyer,
-            _transactionId
-        );
+    function supportsInterface(
+        bytes4 _interfaceId
+    ) public view override returns (bool) {
+        return _interfaceId == type(IERC721).interfaceId ||
+            _interfaceId == type(IERC721Metadata).interfaceId ||
+            super.supportsInterface(_interfaceId);
     }
 
     /**
@@ -832,31 +487,4 @@ contract LandRegistry is AccessControl, Pausable, ReentrancyGuard {
     function unpause() external onlyRole(SUPERADMIN_ROLE) {
         _unpause();
     }
-
-    /**
-     * @dev Helper function to convert uint to string
-     */
-    function toString(uint256 value) internal pure returns (string memory) {
-        if (value == 0) {
-            return "0";
-        }
-        uint256 temp = value;
-        uint256 digits;
-        while (temp != 0) {
-            digits++;
-            temp /= 10;
-        }
-        bytes memory buffer = new bytes(digits);
-        while (value != 0) {
-            digits -= 1;
-            buffer[digits] = bytes1(uint8(48 + uint256(value % 10)));
-            value /= 10;
-        }
-        return string(buffer);
-    }
-
-    /**
-     * @dev Receive function to accept ether
-     */
-    receive() external payable {}
 }
@@ -0,0 +1,984 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title LandRegistryBase
+ * @dev Storage, events and shared helpers of the land registry
+ * LandRegistry and its modules all inherit this layout; the modules run through delegatecall in LandRegistry's storage,
+ * so none of them may declare state of their own
+ */
+abstract contract LandRegistryBase is AccessControl, Pausable, ReentrancyGuard {
+    // Role definitions
+    bytes32 public constant SUPERADMIN_ROLE = keccak256("SUPERADMIN_ROLE");
+    bytes32 public constant GOVERNMENT_ROLE = keccak256("GOVERNMENT_ROLE");
+    bytes32 public constant PROPERTY_OWNER_ROLE = keccak256("PROPERTY_OWNER_ROLE");
+    bytes32 public constant LEGAL_PROFESSIONAL_ROLE = keccak256("LEGAL_PROFESSIONAL_ROLE");
+
+    // Counters (replacing Counters library with simple uint256)
+    uint256 internal _propertyIds = 0;
+    uint256 internal _transactionIds = 0;
+    uint256 internal _subdivisionRequestIds = 0;
+    uint256 internal _mergeRequestIds = 0;
+    uint256 internal _leaseIds = 0;
+    uint256 internal _disputeIds = 0;
+
+    // Time a buyer has to complete an approved purchase before it can be expired
+    uint256 public completionWindow = 30 days;
+
+    // Receives registration and transfer fees
+    address public treasury;
+
+    // Approvals needed from officers in a property's jurisdiction; a single rejection vetoes
+    uint256 public approvalQuorum = 1;
+
+    // Share of a co-owned property, in basis points, whose owners must consent before it is listed or sold
+    uint256 public coOwnerConsentBps = 5001;
+
+    // ETH a claimant deposits when filing a dispute; refunded if upheld, paid to the owners if dismissed
+    uint256 public disputeBond = 0.1 ether;
+
+    // Next contract in the module chain; calls a contract does not implement are handed down to it
+    // Immutable, so it lives in the code rather than in the storage the modules share
+    address private immutable _nextModule;
+
+    // Enums
+    enum PropertyStatus {
+        Pending,
+        Approved,
+        Rejected,
+        ListedForSale,
+        SaleInProgress,
+        Sold,
+        Retired // Replaced by the parcels it was subdivided into
+    }
+
+    // Outcome of a request that needs an officer's decision
+    enum RequestStatus {
+        Pending,
+        Approved,
+        Rejected
+    }
+
+    // How offers are validated against a listing's asking price
+    enum PricingMode {
+        OffersAbove,
+        FixedPrice
+    }
+
+    // How a fee amount is applied
+    enum FeeType {
+        Flat,
+        BasisPoints
+    }
+
+    enum TransactionStatus {
+        Pending,
+        Approved,
+        Rejected,
+        Completed,
+        Cancelled,
+        Countered, // Seller made a counter-offer and is waiting on the buyer
+        AwaitingAcceptance // Gift or settlement waiting on the recipient
+    }
+
+    // Optional conveyancing step between seller approval and completion
+    enum LegalReviewStatus {
+        None,
+        Assigned, // Both parties appointed the same lawyer
+        Attested,
+        Declined
+    }
+
+    enum DisputeStatus {
+        Open,
+        Upheld,
+        Dismissed
+    }
+
+    enum NegotiationAction {
+        Offer,
+        Counter,
+        Accept,
+        Reject,
+        Withdraw
+    }
+
+    // Structs
+    struct Property {
+        uint256 id;
+        string state;
+        string district;
+        string village;
+        string surveyNumber;
+        address owner;
+        uint256 marketValue;
+        string propertyId; // Unique property ID
+        string ipfsHash; // IPFS hash for documents
+        PropertyStatus status;
+        uint256 registeredAt;
+        uint256 lastUpdated;
+        bool isActive;
+        uint256 askingPrice; // Set while the property is listed for sale
+        PricingMode pricingMode;
+        address paymentToken; // ERC-20 the listing is priced in, zero address for ETH
+    }
+
+    struct Transaction {
+        uint256 id;
+        uint256 propertyId;
+        address seller;
+        address buyer;
+        uint256 price;
+        TransactionStatus status;
+        uint256 requestedAt;
+        uint256 completedAt;
+        string ipfsHash; // Transaction documents
+        uint256 completionDeadline; // Set when the seller approves the request
+        address paymentToken; // Currency held in escrow, zero address for ETH
+        uint256 fee; // Transfer fee deducted from escrow at completion
+    }
+
+    // One step in the negotiation of a transaction
+    struct NegotiationRound {
+        address party;
+        NegotiationAction action;
+        uint256 price;
+        uint256 timestamp;
+    }
+
+    // Down payment followed by equal installments; escrowed until the final one transfers ownership
+    struct InstallmentPlan {
+        uint256 downPayment;
+        uint256 installmentCount;
+        uint256 interval; // Seconds between installment due dates
+        uint256 defaultForfeitBps; // Share of the paid amount the seller keeps on default, in basis points
+        uint256 installmentsPaid;
+        uint256 amountPaid; // Down payment plus installments, held in escrow
+        uint256 nextDueDate; // Set when the seller approves the plan
+    }
+
+    // Owner's request to split an approved parcel; the children are registered when an officer approves
+    struct SubdivisionRequest {
+        uint256 propertyId;
+        address requester;
+        string[] surveyNumbers;
+        uint256[] marketValues;
+        string[] ipfsHashes;
+        RequestStatus status;
+        uint256 requestedAt;
+        address decidedBy;
+        uint256 decidedAt;
+    }
+
+    // Owner's request to consolidate neighbouring parcels; the merged parcel is registered when an officer approves
+    struct MergeRequest {
+        uint256[] propertyIds;
+        address requester;
+        string surveyNumber;
+        uint256 marketValue;
+        string ipfsHash;
+        RequestStatus status;
+        uint256 requestedAt;
+        address decidedBy;
+        uint256 decidedAt;
+    }
+
+    // A holder of a co-owned property; shares are in basis points and total 10000
+    struct CoOwner {
+        address owner;
+        uint256 shareBps;
+    }
+
+    // Government-ordered transfer of a deceased holder's share to their heirs
+    struct Succession {
+        uint256 propertyId;
+        address deceased;
+        address[] heirs;
+        uint256[] sharesBps; // Each heir's portion of the deceased's share
+        string certificateHash; // IPFS hash of the succession certificate
+        address executedBy;
+        uint256 executedAt;
+    }
+
+    // Title fields a court order can correct
+    struct TitleDetails {
+        address owner;
+        string state;
+        string district;
+        string village;
+        string surveyNumber;
+        uint256 marketValue;
+    }
+
+    // Court-ordered correction of a property's title, such as the reversal of a fraudulent transfer
+    struct TitleCorrection {
+        uint256 propertyId;
+        TitleDetails oldDetails;
+        TitleDetails newDetails;
+        string courtOrderHash; // IPFS hash of the court order
+        address correctedBy;
+        uint256 correctedAt;
+    }
+
+    // Terms of an ownership transfer made without payment
+    struct GiftTransfer {
+        string reason; // Gift, settlement or similar, as stated by the owner
+        uint256 declaredValue; // Market value at the time of the offer, used for fees
+    }
+
+    // A claim against a property; the property is frozen while it is open
+    struct Dispute {
+        uint256 id;
+        uint256 propertyId;
+        address claimant;
+        string reason;
+        string evidenceHash; // IPFS hash of the claimant's evidence
+        uint256 bond;
+        DisputeStatus status;
+        uint256 filedAt;
+        address resolvedBy;
+        uint256 resolvedAt;
+        string resolution; // Ruling recorded by the resolving official
+    }
+
+    // A tenancy registered against a property; it survives a change of owner
+    struct Lease {
+        uint256 id;
+        uint256 propertyId;
+        address tenant;
+        uint256 startDate;
+        uint256 endDate;
+        uint256 rentAmount; // ETH due per rent interval
+        uint256 rentInterval; // Seconds covered by each rent payment
+        string deedHash; // IPFS hash of the lease deed
+        uint256 paidThrough; // Rent is paid up to this time
+        uint256 registeredAt;
+    }
+
+    // One officer's vote on a property registration
+    struct ApprovalVote {
+        address officer;
+        bool approve;
+        string reason; // Why the registration was rejected
+        uint256 timestamp;
+        uint256 revision; // Registration revision the vote was cast on
+    }
+
+    // Lawyer appointed by both parties to attest a sale deed
+    struct LegalReview {
+        address lawyer;
+        address sellerNominee;
+        address buyerNominee;
+        LegalReviewStatus status;
+        string deedHash; // IPFS hash of the attested sale deed
+        uint256 reviewedAt;
+    }
+
+    // Government approval of a transfer priced above the sign-off threshold
+    struct GovernmentSignOff {
+        bool required; // Fixed when the seller approves the offer
+        address approvedBy;
+        uint256 approvedAt;
+    }
+
+    // A fee set by the state government; flat amounts are in wei, with flat token transfer fees set per token
+    struct Fee {
+        FeeType feeType;
+        uint256 amount;
+    }
+
+    // Mappings
+    mapping(uint256 => Property) internal properties; // Read through getProperty
+    mapping(uint256 => Transaction) public transactions;
+    mapping(address => uint256[]) public ownerProperties;
+    mapping(uint256 => uint256[]) public propertyTransactions;
+    mapping(address => bool) public registeredUsers;
+    mapping(address => string) public userRoles; // For frontend display
+    mapping(address => string[]) public superadminVillages; // Village assignments for superadmins
+    mapping(address => bool) public globalSuperadmins; // May approve in any village and manage jurisdictions
+    mapping(uint256 => ApprovalVote[]) internal approvalVotes; // Approval trail per property
+    mapping(uint256 => mapping(address => bool)) internal hasVotedOn; // Property => officer => voted on the current revision
+    mapping(uint256 => uint256) public registrationRevisions; // Times a rejected registration has been resubmitted
+    mapping(uint256 => SubdivisionRequest) internal subdivisionRequests;
+    mapping(uint256 => uint256) public pendingSubdivision; // Property => open subdivision request ID
+    mapping(uint256 => CoOwner[]) internal coOwners; // Ownership table; the first entry is the managing owner
+    mapping(uint256 => mapping(address => bool)) public saleConsents; // Property => co-owner => consents to a sale
+    mapping(uint256 => Succession[]) internal propertySuccessions; // Succession transfers per property, oldest first
+    mapping(uint256 => TitleCorrection[]) internal titleCorrections; // Court-ordered corrections per property, oldest first
+    mapping(uint256 => GiftTransfer) public giftTransfers; // By transaction ID, only for gift transfers
+    mapping(uint256 => Lease) internal leases;
+    mapping(uint256 => uint256[]) internal propertyLeases; // Every lease registered against a property
+    mapping(uint256 => mapping(address => uint256)) public leaseAcknowledgements; // Property => buyer => leases acknowledged
+    mapping(uint256 => Dispute) internal disputes;
+    mapping(uint256 => uint256[]) internal propertyDisputes; // Every dispute filed against a property
+    mapping(uint256 => uint256) public openDisputes; // Property => disputes awaiting resolution
+    mapping(uint256 => uint256) internal frozenSince; // Property => when its oldest open dispute was filed
+    mapping(bytes32 => uint256) internal surveyIndex; // Normalized location and survey number => active property
+    mapping(uint256 => address) internal _titleHolders; // Property => holder of its title token
+    mapping(address => uint256) internal _titleBalances; // Holder => title tokens held
+    mapping(uint256 => MergeRequest) internal mergeRequests;
+    mapping(uint256 => uint256) public pendingMerge; // Property => open merge request ID
+    mapping(uint256 => uint256[]) internal parentProperties; // Parcels a property was split or merged from
+    mapping(uint256 => uint256[]) internal childProperties; // Parcels a retired property was split or merged into
+    mapping(uint256 => NegotiationRound[]) internal negotiationRounds; // Offer/counter-offer thread per transaction
+    mapping(address => mapping(address => uint256)) internal _payments; // payee => token => amount awaiting withdrawal
+    mapping(uint256 => InstallmentPlan) internal installmentPlans; // By transaction ID, only for installment purchases
+    mapping(address => bool) public acceptedTokens; // ERC-20s allowed as listing currency
+    address[] internal _paymentTokens; // Every token ever allow-listed, for enumeration
+    mapping(string => Fee) internal registrationFees; // By state, charged in ETH at registration
+    mapping(string => Fee) internal transferFees; // By state, deducted from escrow at completion
+    mapping(string => mapping(address => uint256)) internal tokenTransferFees; // By state and ERC-20, flat fee in token units
+    mapping(uint256 => LegalReview) internal legalReviews; // By transaction ID
+    mapping(address => uint256) public signOffThresholds; // By payment token; 0 means no sign-off needed
+    mapping(uint256 => GovernmentSignOff) internal governmentSignOffs; // By transaction ID
+    mapping(address => uint256[]) internal lawyerTransactions; // Transactions assigned to each lawyer
+
+    // Events
+    event PropertyRegistered(
+        uint256 indexed propertyId,
+        address indexed owner,
+        string propertyIdStr,
+        uint256 marketValue
+    );
+    event PropertyStatusChanged(
+        uint256 indexed propertyId,
+        PropertyStatus oldStatus,
+        PropertyStatus newStatus
+    );
+    event PropertyListedForSale(
+        uint256 indexed propertyId,
+        address indexed seller,
+        uint256 price
+    );
+    event AskingPriceUpdated(
+        uint256 indexed propertyId,
+        uint256 price,
+        PricingMode pricingMode
+    );
+    event PurchaseRequested(
+        uint256 indexed transactionId,
+        uint256 indexed propertyId,
+        address indexed buyer,
+        address seller,
+        uint256 price
+    );
+    event PurchaseApproved(
+        uint256 indexed transactionId,
+        uint256 indexed propertyId,
+        address indexed buyer
+    );
+    event PurchaseRejected(
+        uint256 indexed transactionId,
+        uint256 indexed propertyId,
+        address indexed buyer
+    );
+    event PurchaseCancelled(
+        uint256 indexed transactionId,
+        uint256 indexed propertyId,
+        address indexed buyer
+    );
+    event PurchaseExpired(
+        uint256 indexed transactionId,
+        uint256 indexed propertyId,
+        address indexed buyer
+    );
+    event CompletionWindowUpdated(uint256 oldWindow, uint256 newWindow);
+    event ApprovalQuorumUpdated(uint256 oldQuorum, uint256 newQuorum);
+    event PropertyVoteCast(
+        uint256 indexed propertyId,
+        address indexed officer,
+        bool approve,
+        string reason
+    );
+    event PropertyResubmitted(uint256 indexed propertyId, uint256 revision);
+    event InstallmentPlanCreated(
+        uint256 indexed transactionId,
+        uint256 downPayment,
+        uint256 installmentCount,
+        uint256 interval,
+        uint256 defaultForfeitBps
+    );
+    event InstallmentPaid(
+        uint256 indexed transactionId,
+        uint256 installmentNumber,
+        uint256 amount
+    );
+    event InstallmentPlanDefaulted(
+        uint256 indexed transactionId,
+        uint256 sellerShare,
+        uint256 buyerRefund
+    );
+    event LawyerNominated(uint256 indexed transactionId, address indexed party, address indexed lawyer);
+    event LawyerAssigned(uint256 indexed transactionId, address indexed lawyer);
+    event SaleAttested(uint256 indexed transactionId, address indexed lawyer, string deedHash);
+    event AttestationDeclined(uint256 indexed transactionId, address indexed lawyer);
+    event SignOffThresholdUpdated(address indexed token, uint256 threshold);
+    event TransferSignedOff(uint256 indexed transactionId, address indexed approvedBy);
+    event PaymentCredited(address indexed payee, address indexed token, uint256 amount);
+    event PaymentWithdrawn(address indexed payee, address indexed token, uint256 amount);
+    event PaymentTokenUpdated(address indexed token, bool accepted);
+    event StateFeesUpdated(
+        string state,
+        FeeType registrationFeeType,
+        uint256 registrationFee,
+        FeeType transferFeeType,
+        uint256 transferFee
+    );
+    event TokenTransferFeeUpdated(string state, address indexed token, uint256 amount);
+    event TreasuryUpdated(address indexed oldTreasury, address indexed newTreasury);
+    event FeeCollected(
+        uint256 indexed propertyId,
+        uint256 indexed transactionId, // 0 for the registration fee
+        address token,
+        uint256 amount
+    );
+    event CounterOffered(
+        uint256 indexed transactionId,
+        address indexed party,
+        uint256 price
+    );
+    event CounterOfferAccepted(
+        uint256 indexed transactionId,
+        address indexed buyer,
+        uint256 price
+    );
+    event OwnershipTransferred(
+        uint256 indexed propertyId,
+        address indexed oldOwner,
+        address indexed newOwner,
+        uint256 transactionId
+    );
+    event UserRegistered(address indexed user, string role);
+    event VillageAssigned(address indexed superadmin, string village);
+    event VillageUnassigned(address indexed superadmin, string village);
+    event DocumentsUpdated(uint256 indexed propertyId, string ipfsHash);
+    event SubdivisionRequested(uint256 indexed requestId, uint256 indexed propertyId, uint256 childCount);
+    event SubdivisionProcessed(uint256 indexed requestId, uint256 indexed propertyId, bool approved);
+    event PropertySubdivided(uint256 indexed propertyId, uint256[] childIds);
+    event MergeRequested(uint256 indexed requestId, uint256[] propertyIds);
+    event MergeProcessed(uint256 indexed requestId, bool approved);
+    event PropertiesMerged(uint256 indexed propertyId, uint256[] sourceIds);
+    event CoOwnersUpdated(uint256 indexed propertyId, address[] owners, uint256[] sharesBps);
+    event SaleConsentGiven(uint256 indexed propertyId, address indexed coOwner);
+    event SaleConsentRevoked(uint256 indexed propertyId, address indexed coOwner);
+    event CoOwnerConsentThresholdUpdated(uint256 oldThreshold, uint256 newThreshold);
+    event GiftTransferOffered(
+        uint256 indexed transactionId,
+        uint256 indexed propertyId,
+        address indexed to,
+        string reason
+    );
+    event GiftTransferAccepted(uint256 indexed transactionId, uint256 indexed propertyId, address indexed to);
+    event GiftTransferDeclined(uint256 indexed transactionId, uint256 indexed propertyId, address indexed by);
+    event LeaseRegistered(
+        uint256 indexed leaseId,
+        uint256 indexed propertyId,
+        address indexed tenant,
+        uint256 startDate,
+        uint256 endDate
+    );
+    event RentPaid(uint256 indexed leaseId, address indexed tenant, uint256 amount, uint256 paidThrough);
+    event LeasesAcknowledged(uint256 indexed propertyId, address indexed buyer, uint256 leaseCount);
+    event DisputeFiled(uint256 indexed disputeId, uint256 indexed propertyId, address indexed claimant, uint256 bond);
+    event DisputeResolved(uint256 indexed disputeId, uint256 indexed propertyId, bool upheld, address resolvedBy);
+    event DisputeBondUpdated(uint256 oldBond, uint256 newBond);
+    event SuccessionExecuted(
+        uint256 indexed propertyId,
+        address indexed deceased,
+        address[] heirs,
+        uint256[] sharesBps,
+        string certificateHash
+    );
+
+    event TitleCorrected(
+        uint256 indexed propertyId,
+        TitleDetails oldDetails,
+        TitleDetails newDetails,
+        string courtOrderHash
+    );
+
+    // IERC721 title token movements, emitted by the helpers the modules share
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+
+    // Modifiers
+    modifier onlyPropertyOwner(uint256 _propertyId) {
+        require(
+            properties[_propertyId].owner == msg.sender,
+            "Only property owner can perform this action"
+        );
+        _;
+    }
+
+    modifier onlyGlobalSuperadmin() {
+        require(
+            globalSuperadmins[msg.sender],
+            "Only a global superadmin can perform this action"
+        );
+        _;
+    }
+
+    modifier validProperty(uint256 _propertyId) {
+        require(
+            properties[_propertyId].id != 0,
+            "Property does not exist"
+        );
+        require(
+            properties[_propertyId].isActive,
+            "Property is not active"
+        );
+        _;
+    }
+
+    modifier validTransaction(uint256 _transactionId) {
+        require(
+            transactions[_transactionId].id != 0,
+            "Transaction does not exist"
+        );
+        _;
+    }
+
+    constructor(address _next) {
+        _nextModule = _next;
+    }
+
+    /**
+     * @dev Run a call this contract does not implement in the next module, against this contract's storage
+     */
+    fallback() external payable {
+        address module = _nextModule;
+        require(module != address(0), "Function does not exist");
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+
+    /**
+     * @dev Receive function to accept ether
+     */
+    receive() external payable {}
+
+    /**
+     * @dev Store a new property and register its owner if needed
+     */
+    function _createProperty(
+        string memory _state,
+        string memory _district,
+        string memory _village,
+        string memory _surveyNumber,
+        address _owner,
+        uint256 _marketValue,
+        string memory _ipfsHash,
+        PropertyStatus _status
+    ) internal returns (uint256) {
+        bytes32 surveyKey = _surveyKey(_state, _district, _village, _surveyNumber);
+        require(surveyIndex[surveyKey] == 0, "Survey number already registered");
+
+        _propertyIds++;
+        uint256 newPropertyId = _propertyIds;
+        surveyIndex[surveyKey] = newPropertyId;
+
+        string memory uniquePropertyId = _uniquePropertyId(_state, _district, _village, _surveyNumber, newPropertyId);
+
+        properties[newPropertyId] = Property({
+            id: newPropertyId,
+            state: _state,
+            district: _district,
+            village: _village,
+            surveyNumber: _surveyNumber,
+            owner: _owner,
+            marketValue: _marketValue,
+            propertyId: uniquePropertyId,
+            ipfsHash: _ipfsHash,
+            status: _status,
+            registeredAt: block.timestamp,
+            lastUpdated: block.timestamp,
+            isActive: true,
+            askingPrice: 0,
+            pricingMode: PricingMode.OffersAbove,
+            paymentToken: address(0)
+        });
+        coOwners[newPropertyId].push(CoOwner(_owner, 10000));
+        ownerProperties[_owner].push(newPropertyId);
+        _registerOwner(_owner);
+
+        emit PropertyRegistered(newPropertyId, _owner, uniquePropertyId, _marketValue);
+        if (_status == PropertyStatus.Approved) {
+            _mintTitle(_owner, newPropertyId);
+        }
+
+        return newPropertyId;
+    }
+
+    /**
+     * @dev Generate the human-readable unique ID of a property from its location
+     */
+    function _uniquePropertyId(
+        string memory _state,
+        string memory _district,
+        string memory _village,
+        string memory _surveyNumber,
+        uint256 _propertyId
+    ) internal pure returns (string memory) {
+        return string(abi.encodePacked(
+            _state,
+            "-",
+            _district,
+            "-",
+            _village,
+            "-",
+            _surveyNumber,
+            "-",
+            toString(_propertyId)
+        ));
+    }
+
+    function _surveyKey(
+        string memory _state,
+        string memory _district,
+        string memory _village,
+        string memory _surveyNumber
+    ) internal pure returns (bytes32) {
+        return keccak256(abi.encode(
+            _normalize(_state),
+            _normalize(_district),
+            _normalize(_village),
+            _normalize(_surveyNumber)
+        ));
+    }
+
+    /**
+     * @dev Lowercase ASCII letters and strip leading and trailing spaces
+     */
+    function _normalize(string memory _value) internal pure returns (bytes memory) {
+        bytes memory value = bytes(_value);
+        uint256 start = 0;
+        uint256 end = value.length;
+        while (start < end && value[start] == " ") {
+            start++;
+        }
+        while (end > start && value[end - 1] == " ") {
+            end--;
+        }
+        bytes memory normalized = new bytes(end - start);
+        for (uint256 i = 0; i < normalized.length; i++) {
+            bytes1 char = value[start + i];
+            if (char >= "A" && char <= "Z") {
+                char = bytes1(uint8(char) + 32);
+            }
+            normalized[i] = char;
+        }
+        return normalized;
+    }
+
+    /**
+     * @dev Free a property's survey number once it is no longer an active registration
+     */
+    function _releaseSurvey(uint256 _propertyId) internal {
+        Property storage property = properties[_propertyId];
+        bytes32 surveyKey = _surveyKey(property.state, property.district, property.village, property.surveyNumber);
+        if (surveyIndex[surveyKey] == _propertyId) {
+            delete surveyIndex[surveyKey];
+        }
+    }
+
+    /**
+     * @dev Give an address the property owner role if it has no role yet
+     */
+    function _registerOwner(address _owner) internal {
+        if (!registeredUsers[_owner]) {
+            registeredUsers[_owner] = true;
+            userRoles[_owner] = "Property Owner";
+            _grantRole(PROPERTY_OWNER_ROLE, _owner);
+            emit UserRegistered(_owner, "Property Owner");
+        }
+    }
+
+    function _saleConsentBps(uint256 _propertyId) internal view returns (uint256) {
+        CoOwner[] storage owners = coOwners[_propertyId];
+        uint256 consented = 0;
+        for (uint256 i = 0; i < owners.length; i++) {
+            if (i == 0 || saleConsents[_propertyId][owners[i].owner]) {
+                consented += owners[i].shareBps;
+            }
+        }
+        return consented;
+    }
+
+    /**
+     * @dev Add a holder to a property's ownership table and their list of properties
+     */
+    function _addCoOwner(uint256 _propertyId, address _owner, uint256 _shareBps) internal {
+        coOwners[_propertyId].push(CoOwner(_owner, _shareBps));
+        ownerProperties[_owner].push(_propertyId);
+        _registerOwner(_owner);
+    }
+
+    /**
+     * @dev Remove every holder of a property, along with their sale consents
+     */
+    function _clearCoOwners(uint256 _propertyId) internal {
+        CoOwner[] storage owners = coOwners[_propertyId];
+        for (uint256 i = 0; i < owners.length; i++) {
+            _removeOwnerProperty(owners[i].owner, _propertyId);
+            delete saleConsents[_propertyId][owners[i].owner];
+        }
+        delete coOwners[_propertyId];
+    }
+
+    /**
+     * @dev Split an amount owed to a property's owners pro rata to their shares
+     * The managing owner receives any rounding remainder
+     */
+    function _creditOwners(uint256 _propertyId, address _token, uint256 _amount) internal {
+        CoOwner[] storage owners = coOwners[_propertyId];
+        uint256 remaining = _amount;
+        for (uint256 i = 1; i < owners.length; i++) {
+            uint256 share = (_amount * owners[i].shareBps) / 10000;
+            if (share > 0) {
+                _credit(owners[i].owner, _token, share);
+                remaining -= share;
+            }
+        }
+        _credit(owners[0].owner, _token, remaining);
+    }
+
+    /**
+     * @dev Make a single address the sole owner of a property
+     */
+    function _transferOwnership(uint256 _propertyId, address _newOwner) internal {
+        _clearCoOwners(_propertyId);
+        properties[_propertyId].owner = _newOwner;
+        _addCoOwner(_propertyId, _newOwner, 10000);
+        _syncTitle(_propertyId);
+    }
+
+    /**
+     * @dev Reject and refund every other open offer once one has been accepted
+     */
+    function _rejectCompetingOffers(uint256 _propertyId, uint256 _acceptedTransactionId) internal {
+        uint256[] storage txIds = propertyTransactions[_propertyId];
+
+        for (uint256 i = 0; i < txIds.length; i++) {
+            Transaction storage transaction = transactions[txIds[i]];
+
+            if (
+                transaction.id == _acceptedTransactionId ||
+                !_isOpenOffer(transaction.status)
+            ) {
+                continue;
+            }
+
+            transaction.status = TransactionStatus.Rejected;
+            transaction.completedAt = block.timestamp;
+
+            // Credit the refund to the buyer
+            _credit(transaction.buyer, transaction.paymentToken, _escrowedAmount(transaction));
+
+            emit PurchaseRejected(transaction.id, _propertyId, transaction.buyer);
+        }
+    }
+
+    /**
+     * @dev Amount a transaction currently holds in escrow
+     */
+    function _escrowedAmount(Transaction storage _transaction) internal view returns (uint256) {
+        InstallmentPlan storage plan = installmentPlans[_transaction.id];
+        return plan.installmentCount > 0 ? plan.amountPaid : _transaction.price;
+    }
+
+    /**
+     * @dev Transfer fee for a sale in a state and currency, capped at the sale price
+     */
+    function _transferFee(
+        string memory _state,
+        address _token,
+        uint256 _price
+    ) internal view returns (uint256) {
+        Fee storage transferFee = transferFees[_state];
+        uint256 fee = transferFee.feeType == FeeType.Flat && _token != address(0)
+            ? tokenTransferFees[_state][_token]
+            : _calculateFee(transferFee, _price);
+        return fee > _price ? _price : fee;
+    }
+
+    function _calculateFee(Fee storage _fee, uint256 _base) internal view returns (uint256) {
+        return _fee.feeType == FeeType.BasisPoints ? (_base * _fee.amount) / 10000 : _fee.amount;
+    }
+
+    /**
+     * @dev Whether a transaction is still an open offer (pending or under negotiation)
+     */
+    function _isOpenOffer(TransactionStatus _status) internal pure returns (bool) {
+        return _status == TransactionStatus.Pending || _status == TransactionStatus.Countered;
+    }
+
+    /**
+     * @dev A holder's share of a property in basis points, zero if they hold none
+     */
+    function _coOwnerShare(uint256 _propertyId, address _owner) internal view returns (uint256) {
+        CoOwner[] storage owners = coOwners[_propertyId];
+        for (uint256 i = 0; i < owners.length; i++) {
+            if (owners[i].owner == _owner) {
+                return owners[i].shareBps;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * @dev Whether any lease on a property has not yet ended
+     */
+    function _hasActiveLeases(uint256 _propertyId) internal view returns (bool) {
+        uint256[] storage leaseIds = propertyLeases[_propertyId];
+        for (uint256 i = 0; i < leaseIds.length; i++) {
+            if (leases[leaseIds[i]].endDate > block.timestamp) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Cancel every open or approved transaction on a property and refund its buyer
+     */
+    function _settleOpenOffers(uint256 _propertyId) internal {
+        uint256[] storage txIds = propertyTransactions[_propertyId];
+
+        for (uint256 i = 0; i < txIds.length; i++) {
+            Transaction storage transaction = transactions[txIds[i]];
+
+            if (
+                !_isOpenOffer(transaction.status) &&
+                transaction.status != TransactionStatus.Approved &&
+                transaction.status != TransactionStatus.AwaitingAcceptance
+            ) {
+                continue;
+            }
+
+            transaction.status = TransactionStatus.Cancelled;
+            transaction.completedAt = block.timestamp;
+
+            // Credit the refund to the buyer
+            _credit(transaction.buyer, transaction.paymentToken, _escrowedAmount(transaction));
+
+            emit PurchaseCancelled(transaction.id, _propertyId, transaction.buyer);
+        }
+    }
+
+    /**
+     * @dev Credit an amount in the given currency to a payee's withdrawable balance
+     */
+    function _credit(address _payee, address _token, uint256 _amount) internal {
+        _payments[_payee][_token] += _amount;
+        emit PaymentCredited(_payee, _token, _amount);
+    }
+
+    function _removeOwnerProperty(address _owner, uint256 _propertyId) internal {
+        uint256[] storage ownerProps = ownerProperties[_owner];
+        for (uint256 i = 0; i < ownerProps.length; i++) {
+            if (ownerProps[i] == _propertyId) {
+                ownerProps[i] = ownerProps[ownerProps.length - 1];
+                ownerProps.pop();
+                break;
+            }
+        }
+    }
+
+    function _isInJurisdiction(address _admin, string memory _village) internal view returns (bool) {
+        if (globalSuperadmins[_admin]) {
+            return true;
+        }
+        string[] storage villages = superadminVillages[_admin];
+        return _villageIndex(villages, _village) < villages.length;
+    }
+
+    /**
+     * @dev Position of a village in an assignment list, or the list length if absent
+     * Names are compared normalized, the same way survey numbers are indexed
+     */
+    function _villageIndex(
+        string[] storage _villages,
+        string memory _village
+    ) internal view returns (uint256) {
+        bytes32 villageHash = keccak256(_normalize(_village));
+        for (uint256 i = 0; i < _villages.length; i++) {
+            if (keccak256(_normalize(_villages[i])) == villageHash) {
+                return i;
+            }
+        }
+        return _villages.length;
+    }
+
+    /**
+     * @dev Issue the title token of a newly approved property
+     */
+    function _mintTitle(address _to, uint256 _propertyId) internal {
+        _titleHolders[_propertyId] = _to;
+        _titleBalances[_to]++;
+        emit Transfer(address(0), _to, _propertyId);
+    }
+
+    /**
+     * @dev Move a title token to the property's current managing owner
+     */
+    function _syncTitle(uint256 _propertyId) internal {
+        address holder = _titleHolders[_propertyId];
+        address managingOwner = properties[_propertyId].owner;
+        if (holder != address(0) && holder != managingOwner) {
+            _titleBalances[holder]--;
+            _titleBalances[managingOwner]++;
+            _titleHolders[_propertyId] = managingOwner;
+            emit Transfer(holder, managingOwner, _propertyId);
+        }
+    }
+
+    /**
+     * @dev Destroy the title token of a retired property
+     */
+    function _burnTitle(uint256 _propertyId) internal {
+        address holder = _titleHolders[_propertyId];
+        if (holder == address(0)) {
+            return;
+        }
+        _titleBalances[holder]--;
+        delete _titleHolders[_propertyId];
+        emit Transfer(holder, address(0), _propertyId);
+    }
+
+    /**
+     * @dev Helper function to convert uint to string
+     */
+    function toString(uint256 value) internal pure returns (string memory) {
+        if (value == 0) {
+            return "0";
+        }
+        uint256 temp = value;
+        uint256 digits;
+        while (temp != 0) {
+            digits++;
+            temp /= 10;
+        }
+        bytes memory buffer = new bytes(digits);
+        while (value != 0) {
+            digits -= 1;
+            buffer[digits] = bytes1(uint8(48 + uint256(value % 10)));
+            value /= 10;
+        }
+        return string(buffer);
+    }
+}
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface ILandRegistry {
+    function requestToPurchase(
+        uint256 _propertyId,
+        uint256 _price,
+        string memory _ipfsHash
+    ) external payable;
+
+    function withdraw() external;
+}
+
+/**
+ * @title RejectingBuyer
+ * @dev Test buyer contract that refuses incoming ETH until told otherwise
+ */
+contract RejectingBuyer {
+    ILandRegistry public immutable registry;
+    bool public acceptPayments;
+
+    constructor(address _registry) {
+        registry = ILandRegistry(_registry);
+    }
+
+    function makeOffer(uint256 _propertyId, string memory _ipfsHash) external payable {
+        registry.requestToPurchase{value: msg.value}(_propertyId, msg.value, _ipfsHash);
+    }
+
+    function setAcceptPayments(bool _accept) external {
+        acceptPayments = _accept;
+    }
+
+    function withdraw() external {
+        registry.withdraw();
+    }
+
+    receive() external payable {
+        require(acceptPayments, "Payments rejected");
+    }
+}
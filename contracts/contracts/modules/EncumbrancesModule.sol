@@ -0,0 +1,389 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../LandRegistryBase.sol";
+
+/**
+ * @title EncumbrancesModule
+ * @dev Leases and disputes registered against a property, and the court-ordered title corrections that settle them
+ */
+contract EncumbrancesModule is LandRegistryBase {
+    constructor(address _next) LandRegistryBase(_next) {}
+
+    /**
+     * @dev Correct a property's owner, location or market value as ordered by a court, without the owner's signature
+     * A new owner becomes the sole owner; open offers on a listed property are refunded and the listing is withdrawn
+     */
+    function correctTitle(
+        uint256 _propertyId,
+        TitleDetails memory _details,
+        string memory _courtOrderHash
+    ) external whenNotPaused validProperty(_propertyId) onlyRole(GOVERNMENT_ROLE) {
+        Property storage property = properties[_propertyId];
+        require(bytes(_courtOrderHash).length > 0, "Court order is required");
+        require(_details.owner != address(0), "Invalid owner address");
+        require(bytes(_details.state).length > 0, "State is required");
+        require(bytes(_details.district).length > 0, "District is required");
+        require(bytes(_details.village).length > 0, "Village is required");
+        require(bytes(_details.surveyNumber).length > 0, "Survey number is required");
+        require(_details.marketValue > 0, "Market value must be greater than 0");
+
+        TitleDetails memory oldDetails = TitleDetails({
+            owner: property.owner,
+            state: property.state,
+            district: property.district,
+            village: property.village,
+            surveyNumber: property.surveyNumber,
+            marketValue: property.marketValue
+        });
+
+        // Move the survey index entry to the corrected location
+        _releaseSurvey(_propertyId);
+        bytes32 surveyKey = _surveyKey(_details.state, _details.district, _details.village, _details.surveyNumber);
+        require(surveyIndex[surveyKey] == 0, "Survey number already registered");
+        surveyIndex[surveyKey] = _propertyId;
+
+        property.state = _details.state;
+        property.district = _details.district;
+        property.village = _details.village;
+        property.surveyNumber = _details.surveyNumber;
+        property.propertyId = _uniquePropertyId(
+            _details.state,
+            _details.district,
+            _details.village,
+            _details.surveyNumber,
+            _propertyId
+        );
+        property.marketValue = _details.marketValue;
+        property.lastUpdated = block.timestamp;
+
+        if (_details.owner != oldDetails.owner) {
+            if (property.status == PropertyStatus.ListedForSale || property.status == PropertyStatus.SaleInProgress) {
+                PropertyStatus oldStatus = property.status;
+                _settleOpenOffers(_propertyId);
+                property.status = PropertyStatus.Approved;
+                property.askingPrice = 0;
+                property.paymentToken = address(0);
+                emit PropertyStatusChanged(_propertyId, oldStatus, PropertyStatus.Approved);
+            }
+            _transferOwnership(_propertyId, _details.owner);
+            emit OwnershipTransferred(_propertyId, oldDetails.owner, _details.owner, 0);
+        }
+
+        TitleCorrection storage correction = titleCorrections[_propertyId].push();
+        correction.propertyId = _propertyId;
+        correction.oldDetails = oldDetails;
+        correction.newDetails = _details;
+        correction.courtOrderHash = _courtOrderHash;
+        correction.correctedBy = msg.sender;
+        correction.correctedAt = block.timestamp;
+
+        emit TitleCorrected(_propertyId, oldDetails, _details, _courtOrderHash);
+    }
+
+    /**
+     * @dev Get the court-ordered title corrections of a property, oldest first
+     */
+    function getTitleCorrections(uint256 _propertyId) external view returns (TitleCorrection[] memory) {
+        return titleCorrections[_propertyId];
+    }
+
+    /**
+     * @dev Register a lease against a property
+     * Rent is paid in ETH to whoever owns the property when it falls due
+     */
+    function registerLease(
+        uint256 _propertyId,
+        address _tenant,
+        uint256 _startDate,
+        uint256 _endDate,
+        uint256 _rentAmount,
+        uint256 _rentInterval,
+        string memory _deedHash
+    ) external whenNotPaused validProperty(_propertyId) onlyPropertyOwner(_propertyId) returns (uint256) {
+        Property storage property = properties[_propertyId];
+        require(
+            property.status == PropertyStatus.Approved || property.status == PropertyStatus.ListedForSale,
+            "Only approved properties can be leased"
+        );
+        require(pendingSubdivision[_propertyId] == 0, "Subdivision pending");
+        require(pendingMerge[_propertyId] == 0, "Merge pending");
+        require(_tenant != address(0), "Invalid tenant address");
+        require(_tenant != msg.sender, "Cannot lease to yourself");
+        require(_endDate > _startDate, "Lease must end after it starts");
+        require(_endDate > block.timestamp, "Lease has already ended");
+        require(_rentAmount > 0, "Rent must be greater than 0");
+        require(_rentInterval > 0, "Rent interval must be greater than 0");
+
+        _leaseIds++;
+        uint256 leaseId = _leaseIds;
+
+        leases[leaseId] = Lease({
+            id: leaseId,
+            propertyId: _propertyId,
+            tenant: _tenant,
+            startDate: _startDate,
+            endDate: _endDate,
+            rentAmount: _rentAmount,
+            rentInterval: _rentInterval,
+            deedHash: _deedHash,
+            paidThrough: _startDate,
+            registeredAt: block.timestamp
+        });
+        propertyLeases[_propertyId].push(leaseId);
+        property.lastUpdated = block.timestamp;
+
+        emit LeaseRegistered(leaseId, _propertyId, _tenant, _startDate, _endDate);
+
+        return leaseId;
+    }
+
+    /**
+     * @dev Pay the next interval of rent on a lease, credited pro rata to the property's current owners
+     */
+    function payRent(uint256 _leaseId) external payable whenNotPaused nonReentrant {
+        Lease storage lease = leases[_leaseId];
+        require(lease.id != 0, "Lease does not exist");
+        require(lease.tenant == msg.sender, "Only the tenant can pay rent");
+        require(lease.paidThrough < lease.endDate, "Lease is fully paid");
+        require(msg.value == lease.rentAmount, "Payment must equal the rent amount");
+
+        lease.paidThrough += lease.rentInterval;
+        _creditOwners(lease.propertyId, address(0), msg.value);
+
+        emit RentPaid(_leaseId, msg.sender, msg.value, lease.paidThrough);
+    }
+
+    /**
+     * @dev Confirm, as a prospective buyer, that you have seen a property's active leases
+     * Registering another lease requires a fresh acknowledgement
+     */
+    function acknowledgeLeases(uint256 _propertyId) external validProperty(_propertyId) {
+        uint256 leaseCount = propertyLeases[_propertyId].length;
+        leaseAcknowledgements[_propertyId][msg.sender] = leaseCount;
+
+        emit LeasesAcknowledged(_propertyId, msg.sender, leaseCount);
+    }
+
+    /**
+     * @dev Get lease details
+     */
+    function getLease(uint256 _leaseId) external view returns (Lease memory) {
+        return leases[_leaseId];
+    }
+
+    /**
+     * @dev Get the leases on a property that have not yet ended, including ones yet to start
+     */
+    function getActiveLeases(uint256 _propertyId) external view returns (Lease[] memory) {
+        uint256[] storage leaseIds = propertyLeases[_propertyId];
+        uint256 count = 0;
+        for (uint256 i = 0; i < leaseIds.length; i++) {
+            if (leases[leaseIds[i]].endDate > block.timestamp) {
+                count++;
+            }
+        }
+
+        Lease[] memory active = new Lease[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < leaseIds.length; i++) {
+            if (leases[leaseIds[i]].endDate > block.timestamp) {
+                active[index] = leases[leaseIds[i]];
+                index++;
+            }
+        }
+
+        return active;
+    }
+
+    /**
+     * @dev Get the IDs of every lease ever registered against a property
+     */
+    function getPropertyLeases(uint256 _propertyId) external view returns (uint256[] memory) {
+        return propertyLeases[_propertyId];
+    }
+
+    /**
+     * @dev Set the bond a claimant deposits when filing a dispute
+     */
+    function setDisputeBond(uint256 _bond) external onlyGlobalSuperadmin {
+        require(_bond > 0, "Dispute bond must be greater than 0");
+        uint256 oldBond = disputeBond;
+        disputeBond = _bond;
+
+        emit DisputeBondUpdated(oldBond, _bond);
+    }
+
+    /**
+     * @dev File a dispute against a property, freezing its sale and transfer until it is resolved
+     * Only parties with a recorded interest in the property can file: its owners, a current tenant or a buyer
+     * with an open offer or approved sale
+     */
+    function fileDispute(
+        uint256 _propertyId,
+        string memory _reason,
+        string memory _evidenceHash
+    ) external payable whenNotPaused validProperty(_propertyId) returns (uint256) {
+        require(bytes(_reason).length > 0, "Dispute reason is required");
+        require(_hasRecordedInterest(_propertyId, msg.sender), "No recorded interest in this property");
+        require(msg.value == disputeBond, "Incorrect dispute bond");
+
+        _disputeIds++;
+        uint256 disputeId = _disputeIds;
+        if (openDisputes[_propertyId] == 0) {
+            frozenSince[_propertyId] = block.timestamp;
+        }
+
+        disputes[disputeId] = Dispute({
+            id: disputeId,
+            propertyId: _propertyId,
+            claimant: msg.sender,
+            reason: _reason,
+            evidenceHash: _evidenceHash,
+            bond: msg.value,
+            status: DisputeStatus.Open,
+            filedAt: block.timestamp,
+            resolvedBy: address(0),
+            resolvedAt: 0,
+            resolution: ""
+        });
+        propertyDisputes[_propertyId].push(disputeId);
+        openDisputes[_propertyId]++;
+
+        emit DisputeFiled(disputeId, _propertyId, msg.sender, msg.value);
+
+        return disputeId;
+    }
+
+    /**
+     * @dev Uphold or dismiss an open dispute
+     * An upheld claim gets its bond back; a dismissed claim's bond goes to the property's owners.
+     * Resolving the last open dispute gives an approved sale back the time it spent frozen
+     */
+    function resolveDispute(
+        uint256 _disputeId,
+        bool _uphold,
+        string memory _resolution
+    ) external whenNotPaused nonReentrant {
+        require(
+            hasRole(LEGAL_PROFESSIONAL_ROLE, msg.sender) || hasRole(GOVERNMENT_ROLE, msg.sender),
+            "Only legal or government officials can resolve disputes"
+        );
+        Dispute storage dispute = disputes[_disputeId];
+        require(dispute.id != 0 && dispute.status == DisputeStatus.Open, "Dispute is not open");
+
+        dispute.status = _uphold ? DisputeStatus.Upheld : DisputeStatus.Dismissed;
+        dispute.resolvedBy = msg.sender;
+        dispute.resolvedAt = block.timestamp;
+        dispute.resolution = _resolution;
+        openDisputes[dispute.propertyId]--;
+        if (openDisputes[dispute.propertyId] == 0) {
+            _extendFrozenDeadlines(dispute.propertyId);
+        }
+
+        if (dispute.bond > 0) {
+            if (_uphold) {
+                _credit(dispute.claimant, address(0), dispute.bond);
+            } else {
+                _creditOwners(dispute.propertyId, address(0), dispute.bond);
+            }
+        }
+
+        emit DisputeResolved(_disputeId, dispute.propertyId, _uphold, msg.sender);
+    }
+
+    /**
+     * @dev Push back the completion deadline and next installment due date of an approved sale on an unfrozen property
+     * Only deadlines still running when the property was frozen move, by the time it was frozen for
+     */
+    function _extendFrozenDeadlines(uint256 _propertyId) internal {
+        uint256 frozenAt = frozenSince[_propertyId];
+        uint256 frozenFor = block.timestamp - frozenAt;
+        uint256[] storage txIds = propertyTransactions[_propertyId];
+
+        for (uint256 i = 0; i < txIds.length; i++) {
+            Transaction storage transaction = transactions[txIds[i]];
+            if (transaction.status != TransactionStatus.Approved || transaction.completionDeadline < frozenAt) {
+                continue;
+            }
+            transaction.completionDeadline += frozenFor;
+
+            InstallmentPlan storage plan = installmentPlans[transaction.id];
+            if (plan.installmentCount > 0 && plan.nextDueDate >= frozenAt) {
+                plan.nextDueDate += frozenFor;
+            }
+        }
+    }
+
+    /**
+     * @dev Whether an account owns a share of a property, holds a lease on it that has not ended, or is the buyer
+     * in one of its open or approved transactions
+     */
+    function _hasRecordedInterest(uint256 _propertyId, address _account) internal view returns (bool) {
+        if (properties[_propertyId].owner == _account || _coOwnerShare(_propertyId, _account) > 0) {
+            return true;
+        }
+
+        uint256[] storage leaseIds = propertyLeases[_propertyId];
+        for (uint256 i = 0; i < leaseIds.length; i++) {
+            Lease storage lease = leases[leaseIds[i]];
+            if (lease.tenant == _account && lease.endDate > block.timestamp) {
+                return true;
+            }
+        }
+
+        uint256[] storage txIds = propertyTransactions[_propertyId];
+        for (uint256 i = 0; i < txIds.length; i++) {
+            Transaction storage transaction = transactions[txIds[i]];
+            if (
+                transaction.buyer == _account &&
+                (_isOpenOffer(transaction.status) || transaction.status == TransactionStatus.Approved)
+            ) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Get dispute details
+     */
+    function getDispute(uint256 _disputeId) external view returns (Dispute memory) {
+        return disputes[_disputeId];
+    }
+
+    /**
+     * @dev Get every dispute filed against a property, oldest first
+     */
+    function getPropertyDisputes(uint256 _propertyId) external view returns (Dispute[] memory) {
+        uint256[] storage disputeIds = propertyDisputes[_propertyId];
+        Dispute[] memory result = new Dispute[](disputeIds.length);
+        for (uint256 i = 0; i < disputeIds.length; i++) {
+            result[i] = disputes[disputeIds[i]];
+        }
+        return result;
+    }
+
+    /**
+     * @dev Get the IDs of disputes awaiting resolution
+     */
+    function getOpenDisputes() external view returns (uint256[] memory) {
+        uint256 count = 0;
+        for (uint256 i = 1; i <= _disputeIds; i++) {
+            if (disputes[i].status == DisputeStatus.Open) {
+                count++;
+            }
+        }
+
+        uint256[] memory open = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 i = 1; i <= _disputeIds; i++) {
+            if (disputes[i].status == DisputeStatus.Open) {
+                open[index] = i;
+                index++;
+            }
+        }
+
+        return open;
+    }
+}
@@ -0,0 +1,342 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../LandRegistryBase.sol";
+
+/**
+ * @title OwnershipModule
+ * @dev Co-ownership, succession and gifts
+ */
+contract OwnershipModule is LandRegistryBase {
+    constructor(address _next) LandRegistryBase(_next) {}
+
+    /**
+     * @dev Whether any officer has voted on the current revision of a registration
+     */
+    function _hasVotesOnRevision(uint256 _propertyId) internal view returns (bool) {
+        ApprovalVote[] storage votes = approvalVotes[_propertyId];
+        return votes.length > 0 && votes[votes.length - 1].revision == registrationRevisions[_propertyId];
+    }
+
+    /**
+     * @dev Set how much of a co-owned property must consent before it is listed or sold
+     */
+    function setCoOwnerConsentThreshold(uint256 _thresholdBps) external onlyGlobalSuperadmin {
+        require(_thresholdBps > 0 && _thresholdBps <= 10000, "Invalid consent threshold");
+
+        uint256 oldThreshold = coOwnerConsentBps;
+        coOwnerConsentBps = _thresholdBps;
+
+        emit CoOwnerConsentThresholdUpdated(oldThreshold, _thresholdBps);
+    }
+
+    /**
+     * @dev Record a jointly held property's owners and their shares
+     * Only allowed while the registration is pending, so officers approve the ownership table with the property
+     */
+    function setCoOwners(
+        uint256 _propertyId,
+        address[] memory _owners,
+        uint256[] memory _sharesBps
+    ) external whenNotPaused validProperty(_propertyId) onlyPropertyOwner(_propertyId) {
+        require(
+            properties[_propertyId].status == PropertyStatus.Pending && !_hasVotesOnRevision(_propertyId),
+            "Co-owners can only be set before approval"
+        );
+        require(_owners.length > 0 && _owners.length == _sharesBps.length, "Co-owner details do not match");
+        require(_owners[0] == msg.sender, "Managing owner must be listed first");
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < _owners.length; i++) {
+            require(_owners[i] != address(0), "Invalid owner address");
+            require(_sharesBps[i] > 0, "Share must be greater than 0");
+            for (uint256 j = 0; j < i; j++) {
+                require(_owners[j] != _owners[i], "Duplicate co-owner");
+            }
+            total += _sharesBps[i];
+        }
+        require(total == 10000, "Shares must total 100%");
+
+        _clearCoOwners(_propertyId);
+        for (uint256 i = 0; i < _owners.length; i++) {
+            _addCoOwner(_propertyId, _owners[i], _sharesBps[i]);
+        }
+        properties[_propertyId].lastUpdated = block.timestamp;
+
+        emit CoOwnersUpdated(_propertyId, _owners, _sharesBps);
+    }
+
+    /**
+     * @dev Consent, as a co-owner, to the property being listed and sold
+     */
+    function consentToSale(uint256 _propertyId) external whenNotPaused validProperty(_propertyId) {
+        require(_coOwnerShare(_propertyId, msg.sender) > 0, "Only co-owners can consent");
+        require(!saleConsents[_propertyId][msg.sender], "Consent already given");
+
+        saleConsents[_propertyId][msg.sender] = true;
+
+        emit SaleConsentGiven(_propertyId, msg.sender);
+    }
+
+    /**
+     * @dev Withdraw a co-owner's consent; a listing or accepted offer already made stands
+     */
+    function revokeSaleConsent(uint256 _propertyId) external whenNotPaused validProperty(_propertyId) {
+        require(saleConsents[_propertyId][msg.sender], "Consent not given");
+
+        saleConsents[_propertyId][msg.sender] = false;
+
+        emit SaleConsentRevoked(_propertyId, msg.sender);
+    }
+
+    /**
+     * @dev Share of a property whose owners consent to a sale, in basis points
+     * The managing owner lists the property and accepts offers, so their share always counts
+     */
+    function saleConsentBps(uint256 _propertyId) external view returns (uint256) {
+        return _saleConsentBps(_propertyId);
+    }
+
+    /**
+     * @dev Whether a property may be given away; a gift pays no one, so every co-owner must consent
+     */
+    function _hasGiftConsent(uint256 _propertyId) internal view returns (bool) {
+        return coOwners[_propertyId].length <= 1 || _saleConsentBps(_propertyId) == 10000;
+    }
+
+    /**
+     * @dev Get a property's owners and their shares
+     */
+    function getCoOwners(uint256 _propertyId) external view returns (CoOwner[] memory) {
+        return coOwners[_propertyId];
+    }
+
+    /**
+     * @dev Pass a deceased holder's share of a property to their heirs
+     * Open offers on a listed property are refunded and the listing is withdrawn
+     */
+    function executeSuccession(
+        uint256 _propertyId,
+        address _deceased,
+        address[] memory _heirs,
+        uint256[] memory _sharesBps,
+        string memory _certificateHash
+    ) external whenNotPaused validProperty(_propertyId) onlyRole(GOVERNMENT_ROLE) {
+        Property storage property = properties[_propertyId];
+        require(
+            property.status == PropertyStatus.Approved || property.status == PropertyStatus.ListedForSale,
+            "Property is not transferable"
+        );
+        require(openDisputes[_propertyId] == 0, "Property is under dispute");
+        require(bytes(_certificateHash).length > 0, "Succession certificate is required");
+        uint256 deceasedShare = _coOwnerShare(_propertyId, _deceased);
+        require(deceasedShare > 0, "Deceased does not own this property");
+        require(_heirs.length > 0 && _heirs.length == _sharesBps.length, "Heir details do not match");
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < _heirs.length; i++) {
+            require(_heirs[i] != address(0), "Invalid heir address");
+            require(_heirs[i] != _deceased, "Deceased cannot inherit");
+            require(_sharesBps[i] > 0, "Share must be greater than 0");
+            for (uint256 j = 0; j < i; j++) {
+                require(_heirs[j] != _heirs[i], "Duplicate heir");
+            }
+            total += _sharesBps[i];
+        }
+        require(total == 10000, "Shares must total 100%");
+
+        if (property.status == PropertyStatus.ListedForSale) {
+            _rejectCompetingOffers(_propertyId, 0);
+            property.status = PropertyStatus.Approved;
+            property.askingPrice = 0;
+            property.paymentToken = address(0);
+            emit PropertyStatusChanged(_propertyId, PropertyStatus.ListedForSale, PropertyStatus.Approved);
+        }
+
+        // Rebuild the table with the heirs in the deceased's place, so a managing owner's first heir manages
+        CoOwner[] memory previous = coOwners[_propertyId];
+        _clearCoOwners(_propertyId);
+        for (uint256 i = 0; i < previous.length; i++) {
+            if (previous[i].owner != _deceased) {
+                _addShare(_propertyId, previous[i].owner, previous[i].shareBps);
+                continue;
+            }
+            // The first heir takes the deceased's place and absorbs any rounding
+            uint256 firstShare = deceasedShare;
+            for (uint256 j = 1; j < _heirs.length; j++) {
+                firstShare -= (deceasedShare * _sharesBps[j]) / 10000;
+            }
+            _addShare(_propertyId, _heirs[0], firstShare);
+            for (uint256 j = 1; j < _heirs.length; j++) {
+                uint256 heirShare = (deceasedShare * _sharesBps[j]) / 10000;
+                if (heirShare > 0) {
+                    _addShare(_propertyId, _heirs[j], heirShare);
+                }
+            }
+        }
+        address oldOwner = property.owner;
+        property.owner = coOwners[_propertyId][0].owner;
+        property.lastUpdated = block.timestamp;
+        _syncTitle(_propertyId);
+
+        propertySuccessions[_propertyId].push(Succession({
+            propertyId: _propertyId,
+            deceased: _deceased,
+            heirs: _heirs,
+            sharesBps: _sharesBps,
+            certificateHash: _certificateHash,
+            executedBy: msg.sender,
+            executedAt: block.timestamp
+        }));
+
+        emit SuccessionExecuted(_propertyId, _deceased, _heirs, _sharesBps, _certificateHash);
+        if (property.owner != oldOwner) {
+            emit OwnershipTransferred(_propertyId, oldOwner, property.owner, 0);
+        }
+    }
+
+    /**
+     * @dev Get the succession transfers recorded against a property, oldest first
+     */
+    function getPropertySuccessions(uint256 _propertyId) external view returns (Succession[] memory) {
+        return propertySuccessions[_propertyId];
+    }
+
+    /**
+     * @dev Add to a holder's share, adding them to the table if they hold none yet
+     */
+    function _addShare(uint256 _propertyId, address _owner, uint256 _shareBps) internal {
+        CoOwner[] storage owners = coOwners[_propertyId];
+        for (uint256 i = 0; i < owners.length; i++) {
+            if (owners[i].owner == _owner) {
+                owners[i].shareBps += _shareBps;
+                return;
+            }
+        }
+        _addCoOwner(_propertyId, _owner, _shareBps);
+    }
+
+    /**
+     * @dev Offer a property to another address without payment, as a gift or settlement
+     * The transfer is recorded as a zero-price transaction and completes when the recipient accepts;
+     * a co-owned property needs every co-owner's consent, which must still stand at acceptance
+     */
+    function transferOwnership(
+        uint256 _propertyId,
+        address _to,
+        string memory _reason,
+        string memory _ipfsDeed
+    ) external whenNotPaused validProperty(_propertyId) onlyPropertyOwner(_propertyId) returns (uint256) {
+        Property storage property = properties[_propertyId];
+
+        require(
+            property.status == PropertyStatus.Approved,
+            "Only approved properties can be transferred"
+        );
+        require(openDisputes[_propertyId] == 0, "Property is under dispute");
+        require(pendingSubdivision[_propertyId] == 0, "Subdivision pending");
+        require(pendingMerge[_propertyId] == 0, "Merge pending");
+        require(_hasGiftConsent(_propertyId), "Every co-owner must consent to a gift");
+        require(_to != address(0), "Invalid recipient address");
+        require(_to != msg.sender, "Cannot transfer to yourself");
+        require(bytes(_reason).length > 0, "Transfer reason is required");
+
+        _transactionIds++;
+        uint256 newTransactionId = _transactionIds;
+
+        transactions[newTransactionId] = Transaction({
+            id: newTransactionId,
+            propertyId: _propertyId,
+            seller: msg.sender,
+            buyer: _to,
+            price: 0,
+            status: TransactionStatus.AwaitingAcceptance,
+            requestedAt: block.timestamp,
+            completedAt: 0,
+            ipfsHash: _ipfsDeed,
+            completionDeadline: 0,
+            paymentToken: address(0),
+            fee: 0
+        });
+        propertyTransactions[_propertyId].push(newTransactionId);
+        giftTransfers[newTransactionId] = GiftTransfer({
+            reason: _reason,
+            declaredValue: property.marketValue
+        });
+
+        // Hold the property until the recipient decides
+        property.status = PropertyStatus.SaleInProgress;
+        property.lastUpdated = block.timestamp;
+        emit PropertyStatusChanged(_propertyId, PropertyStatus.Approved, PropertyStatus.SaleInProgress);
+
+        emit GiftTransferOffered(newTransactionId, _propertyId, _to, _reason);
+
+        return newTransactionId;
+    }
+
+    /**
+     * @dev Accept a gift transfer, paying the state's transfer fee on the declared value in ETH
+     */
+    function acceptTransfer(
+        uint256 _transactionId
+    ) external payable whenNotPaused nonReentrant validTransaction(_transactionId) {
+        Transaction storage transaction = transactions[_transactionId];
+        require(
+            transaction.status == TransactionStatus.AwaitingAcceptance,
+            "Transfer is not awaiting acceptance"
+        );
+        require(transaction.buyer == msg.sender, "Only the recipient can accept");
+        require(openDisputes[transaction.propertyId] == 0, "Property is under dispute");
+        require(_hasGiftConsent(transaction.propertyId), "Every co-owner must consent to a gift");
+
+        Property storage property = properties[transaction.propertyId];
+        uint256 fee = _transferFee(property.state, address(0), giftTransfers[_transactionId].declaredValue);
+        require(msg.value == fee, "Incorrect transfer fee");
+        if (fee > 0) {
+            _credit(treasury, address(0), fee);
+            emit FeeCollected(transaction.propertyId, _transactionId, address(0), fee);
+        }
+        transaction.fee = fee;
+
+        address oldOwner = property.owner;
+        _transferOwnership(transaction.propertyId, msg.sender);
+        property.status = PropertyStatus.Approved;
+        property.lastUpdated = block.timestamp;
+        emit PropertyStatusChanged(transaction.propertyId, PropertyStatus.SaleInProgress, PropertyStatus.Approved);
+
+        transaction.status = TransactionStatus.Completed;
+        transaction.completedAt = block.timestamp;
+
+        emit GiftTransferAccepted(_transactionId, transaction.propertyId, msg.sender);
+        emit OwnershipTransferred(transaction.propertyId, oldOwner, msg.sender, _transactionId);
+    }
+
+    /**
+     * @dev Decline a gift transfer as the recipient, or withdraw it as the owner
+     */
+    function declineTransfer(
+        uint256 _transactionId
+    ) external whenNotPaused validTransaction(_transactionId) {
+        Transaction storage transaction = transactions[_transactionId];
+        require(
+            transaction.status == TransactionStatus.AwaitingAcceptance,
+            "Transfer is not awaiting acceptance"
+        );
+        require(
+            transaction.buyer == msg.sender || transaction.seller == msg.sender,
+            "Only the parties can decline"
+        );
+
+        transaction.status = transaction.buyer == msg.sender
+            ? TransactionStatus.Rejected
+            : TransactionStatus.Cancelled;
+        transaction.completedAt = block.timestamp;
+
+        Property storage property = properties[transaction.propertyId];
+        property.status = PropertyStatus.Approved;
+        property.lastUpdated = block.timestamp;
+        emit PropertyStatusChanged(transaction.propertyId, PropertyStatus.SaleInProgress, PropertyStatus.Approved);
+
+        emit GiftTransferDeclined(_transactionId, transaction.propertyId, msg.sender);
+    }
+}
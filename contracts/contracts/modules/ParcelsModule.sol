@@ -0,0 +1,381 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../LandRegistryBase.sol";
+
+/**
+ * @title ParcelsModule
+ * @dev Subdivision and amalgamation of parcels
+ */
+contract ParcelsModule is LandRegistryBase {
+    constructor(address _next) LandRegistryBase(_next) {}
+
+    /**
+     * @dev Give a derived parcel the same holders and shares as its source
+     */
+    function _copyCoOwners(uint256 _fromPropertyId, uint256 _toPropertyId) internal {
+        _clearCoOwners(_toPropertyId);
+        CoOwner[] storage owners = coOwners[_fromPropertyId];
+        for (uint256 i = 0; i < owners.length; i++) {
+            _addCoOwner(_toPropertyId, owners[i].owner, owners[i].shareBps);
+        }
+    }
+
+    /**
+     * @dev Whether two properties have the same holders with the same shares
+     */
+    function _sameCoOwners(uint256 _a, uint256 _b) internal view returns (bool) {
+        CoOwner[] storage ownersA = coOwners[_a];
+        CoOwner[] storage ownersB = coOwners[_b];
+        if (ownersA.length != ownersB.length) {
+            return false;
+        }
+        for (uint256 i = 0; i < ownersA.length; i++) {
+            if (ownersA[i].owner != ownersB[i].owner || ownersA[i].shareBps != ownersB[i].shareBps) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @dev Ask an officer to split an approved property into child parcels
+     * Each child gets its own survey number, market value and documents
+     */
+    function requestSubdivision(
+        uint256 _propertyId,
+        string[] memory _surveyNumbers,
+        uint256[] memory _marketValues,
+        string[] memory _ipfsHashes
+    ) external whenNotPaused validProperty(_propertyId) onlyPropertyOwner(_propertyId) returns (uint256) {
+        require(
+            properties[_propertyId].status == PropertyStatus.Approved,
+            "Only approved properties can be subdivided"
+        );
+        require(openDisputes[_propertyId] == 0, "Property is under dispute");
+        require(pendingSubdivision[_propertyId] == 0, "Subdivision already pending");
+        require(pendingMerge[_propertyId] == 0, "Merge already pending");
+        require(!_hasActiveLeases(_propertyId), "Property has active leases");
+        require(_surveyNumbers.length >= 2, "At least two child parcels required");
+        require(
+            _marketValues.length == _surveyNumbers.length && _ipfsHashes.length == _surveyNumbers.length,
+            "Child parcel details do not match"
+        );
+        Property storage parent = properties[_propertyId];
+        for (uint256 i = 0; i < _surveyNumbers.length; i++) {
+            require(bytes(_surveyNumbers[i]).length > 0, "Survey number is required");
+            require(_marketValues[i] > 0, "Market value must be greater than 0");
+            // A child may keep the parent's survey number, which is freed when the parent retires
+            uint256 existing = surveyIndex[_surveyKey(parent.state, parent.district, parent.village, _surveyNumbers[i])];
+            require(existing == 0 || existing == _propertyId, "Survey number already registered");
+            bytes32 surveyHash = keccak256(_normalize(_surveyNumbers[i]));
+            for (uint256 j = 0; j < i; j++) {
+                require(surveyHash != keccak256(_normalize(_surveyNumbers[j])), "Duplicate survey number");
+            }
+        }
+
+        _subdivisionRequestIds++;
+        uint256 requestId = _subdivisionRequestIds;
+
+        SubdivisionRequest storage request = subdivisionRequests[requestId];
+        request.propertyId = _propertyId;
+        request.requester = msg.sender;
+        request.surveyNumbers = _surveyNumbers;
+        request.marketValues = _marketValues;
+        request.ipfsHashes = _ipfsHashes;
+        request.requestedAt = block.timestamp;
+        pendingSubdivision[_propertyId] = requestId;
+
+        emit SubdivisionRequested(requestId, _propertyId, _surveyNumbers.length);
+
+        return requestId;
+    }
+
+    /**
+     * @dev Approve or reject a subdivision request
+     * Approval registers the children as approved parcels and retires the parent
+     */
+    function processSubdivision(
+        uint256 _requestId,
+        bool _approve
+    ) external whenNotPaused onlyRole(SUPERADMIN_ROLE) {
+        SubdivisionRequest storage request = subdivisionRequests[_requestId];
+        require(
+            request.propertyId != 0 && request.status == RequestStatus.Pending,
+            "Subdivision request is not pending"
+        );
+
+        uint256 parentId = request.propertyId;
+        Property storage parent = properties[parentId];
+        require(
+            _isInJurisdiction(msg.sender, parent.village),
+            "Property is outside your jurisdiction"
+        );
+
+        request.status = _approve ? RequestStatus.Approved : RequestStatus.Rejected;
+        request.decidedBy = msg.sender;
+        request.decidedAt = block.timestamp;
+        pendingSubdivision[parentId] = 0;
+
+        emit SubdivisionProcessed(_requestId, parentId, _approve);
+
+        if (!_approve) {
+            return;
+        }
+
+        // Succession or a title correction may have changed the parent since the request was made
+        require(
+            parent.isActive && parent.status == PropertyStatus.Approved,
+            "Only approved properties can be subdivided"
+        );
+        require(parent.owner == request.requester, "Property owner has changed");
+        require(openDisputes[parentId] == 0, "Property is under dispute");
+        _releaseSurvey(parentId);
+        for (uint256 i = 0; i < request.surveyNumbers.length; i++) {
+            uint256 childId = _createProperty(
+                parent.state,
+                parent.district,
+                parent.village,
+                request.surveyNumbers[i],
+                parent.owner,
+                request.marketValues[i],
+                request.ipfsHashes[i],
+                PropertyStatus.Approved
+            );
+            _copyCoOwners(parentId, childId);
+            childProperties[parentId].push(childId);
+            parentProperties[childId].push(parentId);
+        }
+
+        _retireProperty(parentId);
+
+        emit PropertySubdivided(parentId, childProperties[parentId]);
+    }
+
+    /**
+     * @dev Ask an officer to consolidate several approved parcels into one
+     * The parcels must share an owner and a village; the officer confirms they are adjacent
+     */
+    function requestMerge(
+        uint256[] memory _propertyIds,
+        string memory _surveyNumber,
+        uint256 _marketValue,
+        string memory _ipfsHash
+    ) external whenNotPaused returns (uint256) {
+        require(_propertyIds.length >= 2, "At least two parcels required");
+        require(bytes(_surveyNumber).length > 0, "Survey number is required");
+        require(_marketValue > 0, "Market value must be greater than 0");
+
+        _mergeRequestIds++;
+        uint256 requestId = _mergeRequestIds;
+
+        Property storage first = properties[_propertyIds[0]];
+        for (uint256 i = 0; i < _propertyIds.length; i++) {
+            Property storage property = properties[_propertyIds[i]];
+            require(property.id != 0 && property.isActive, "Property is not active");
+            require(property.owner == msg.sender, "Only property owner can perform this action");
+            _requireMergeable(property, first);
+            require(!_hasActiveLeases(property.id), "Property has active leases");
+            require(pendingSubdivision[property.id] == 0, "Subdivision already pending");
+            // Also rejects a parcel listed twice, since the first occurrence is already marked
+            require(pendingMerge[property.id] == 0, "Merge already pending");
+            pendingMerge[property.id] = requestId;
+        }
+        // The merged parcel may keep the survey number of one of its sources
+        uint256 existing = surveyIndex[_surveyKey(first.state, first.district, first.village, _surveyNumber)];
+        require(existing == 0 || pendingMerge[existing] == requestId, "Survey number already registered");
+
+        MergeRequest storage request = mergeRequests[requestId];
+        request.propertyIds = _propertyIds;
+        request.requester = msg.sender;
+        request.surveyNumber = _surveyNumber;
+        request.marketValue = _marketValue;
+        request.ipfsHash = _ipfsHash;
+        request.requestedAt = block.timestamp;
+
+        emit MergeRequested(requestId, _propertyIds);
+
+        return requestId;
+    }
+
+    /**
+     * @dev Approve or reject a merge request
+     * Approval registers the merged parcel as approved and retires the source parcels
+     */
+    function processMerge(
+        uint256 _requestId,
+        bool _approve
+    ) external whenNotPaused onlyRole(SUPERADMIN_ROLE) {
+        MergeRequest storage request = mergeRequests[_requestId];
+        require(
+            request.propertyIds.length > 0 && request.status == RequestStatus.Pending,
+            "Merge request is not pending"
+        );
+
+        Property storage first = properties[request.propertyIds[0]];
+        require(
+            _isInJurisdiction(msg.sender, first.village),
+            "Property is outside your jurisdiction"
+        );
+
+        request.status = _approve ? RequestStatus.Approved : RequestStatus.Rejected;
+        request.decidedBy = msg.sender;
+        request.decidedAt = block.timestamp;
+        for (uint256 i = 0; i < request.propertyIds.length; i++) {
+            pendingMerge[request.propertyIds[i]] = 0;
+        }
+
+        emit MergeProcessed(_requestId, _approve);
+
+        if (!_approve) {
+            return;
+        }
+
+        // Succession or a title correction may have changed a parcel since the request was made
+        for (uint256 i = 0; i < request.propertyIds.length; i++) {
+            _requireMergeable(properties[request.propertyIds[i]], first);
+        }
+        for (uint256 i = 0; i < request.propertyIds.length; i++) {
+            _releaseSurvey(request.propertyIds[i]);
+        }
+        uint256 mergedId = _createProperty(
+            first.state,
+            first.district,
+            first.village,
+            request.surveyNumber,
+            first.owner,
+            request.marketValue,
+            request.ipfsHash,
+            PropertyStatus.Approved
+        );
+        _copyCoOwners(first.id, mergedId);
+
+        for (uint256 i = 0; i < request.propertyIds.length; i++) {
+            uint256 sourceId = request.propertyIds[i];
+            childProperties[sourceId].push(mergedId);
+            parentProperties[mergedId].push(sourceId);
+            _retireProperty(sourceId);
+        }
+
+        emit PropertiesMerged(mergedId, request.propertyIds);
+    }
+
+    /**
+     * @dev Check a parcel can be merged with the first parcel of a merge: approved, undisputed,
+     * in the same village and held by the same owners with the same shares
+     */
+    function _requireMergeable(Property storage _property, Property storage _first) internal view {
+        require(
+            _property.isActive && _property.status == PropertyStatus.Approved,
+            "Only approved properties can be merged"
+        );
+        require(
+            keccak256(bytes(_property.state)) == keccak256(bytes(_first.state)) &&
+                keccak256(bytes(_property.district)) == keccak256(bytes(_first.district)) &&
+                keccak256(bytes(_property.village)) == keccak256(bytes(_first.village)),
+            "Parcels must be in the same village"
+        );
+        require(_sameCoOwners(_property.id, _first.id), "Parcels must have the same owners");
+        require(openDisputes[_property.id] == 0, "Property is under dispute");
+    }
+
+    /**
+     * @dev Take a property out of circulation once it has been replaced by other parcels
+     */
+    function _retireProperty(uint256 _propertyId) internal {
+        Property storage property = properties[_propertyId];
+        PropertyStatus oldStatus = property.status;
+
+        property.status = PropertyStatus.Retired;
+        property.isActive = false;
+        property.lastUpdated = block.timestamp;
+        _releaseSurvey(_propertyId);
+
+        // The ownership table stays as a record, but the parcel leaves every holder's list
+        CoOwner[] storage owners = coOwners[_propertyId];
+        for (uint256 i = 0; i < owners.length; i++) {
+            _removeOwnerProperty(owners[i].owner, _propertyId);
+        }
+        _burnTitle(_propertyId);
+
+        emit PropertyStatusChanged(_propertyId, oldStatus, PropertyStatus.Retired);
+    }
+
+    /**
+     * @dev Get a subdivision request
+     */
+    function getSubdivisionRequest(
+        uint256 _requestId
+    ) external view returns (SubdivisionRequest memory) {
+        return subdivisionRequests[_requestId];
+    }
+
+    /**
+     * @dev Get subdivision requests awaiting an officer's decision
+     */
+    function getPendingSubdivisions() external view returns (uint256[] memory) {
+        uint256 count = 0;
+        for (uint256 i = 1; i <= _subdivisionRequestIds; i++) {
+            if (subdivisionRequests[i].status == RequestStatus.Pending) {
+                count++;
+            }
+        }
+
+        uint256[] memory pending = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 i = 1; i <= _subdivisionRequestIds; i++) {
+            if (subdivisionRequests[i].status == RequestStatus.Pending) {
+                pending[index] = i;
+                index++;
+            }
+        }
+
+        return pending;
+    }
+
+    /**
+     * @dev Get a merge request
+     */
+    function getMergeRequest(
+        uint256 _requestId
+    ) external view returns (MergeRequest memory) {
+        return mergeRequests[_requestId];
+    }
+
+    /**
+     * @dev Get merge requests awaiting an officer's decision
+     */
+    function getPendingMerges() external view returns (uint256[] memory) {
+        uint256 count = 0;
+        for (uint256 i = 1; i <= _mergeRequestIds; i++) {
+            if (mergeRequests[i].status == RequestStatus.Pending) {
+                count++;
+            }
+        }
+
+        uint256[] memory pending = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 i = 1; i <= _mergeRequestIds; i++) {
+            if (mergeRequests[i].status == RequestStatus.Pending) {
+                pending[index] = i;
+                index++;
+            }
+        }
+
+        return pending;
+    }
+
+    /**
+     * @dev Get the parcels a property was created from
+     */
+    function getParentProperties(uint256 _propertyId) external view returns (uint256[] memory) {
+        return parentProperties[_propertyId];
+    }
+
+    /**
+     * @dev Get the parcels a retired property was split or merged into
+     */
+    function getChildProperties(uint256 _propertyId) external view returns (uint256[] memory) {
+        return childProperties[_propertyId];
+    }
+}
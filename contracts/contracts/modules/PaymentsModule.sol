@@ -0,0 +1,510 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../LandRegistryBase.sol";
+
+/**
+ * @title PaymentsModule
+ * @dev Escrow release when a sale falls through, fees, payment tokens, conveyancing checks and withdrawal of credited
+ * payments
+ */
+contract PaymentsModule is LandRegistryBase {
+    using SafeERC20 for IERC20;
+
+    constructor(address _next) LandRegistryBase(_next) {}
+
+    /**
+     * @dev Expire an approved purchase whose completion deadline has passed
+     * Callable by anyone; refunds the buyer and relists the property
+     */
+    function expirePurchase(
+        uint256 _transactionId
+    ) external whenNotPaused nonReentrant validTransaction(_transactionId) {
+        Transaction storage transaction = transactions[_transactionId];
+
+        require(
+            transaction.status == TransactionStatus.Approved,
+            "Only approved transactions can expire"
+        );
+        require(
+            block.timestamp > transaction.completionDeadline,
+            "Completion deadline has not passed"
+        );
+        require(
+            installmentPlans[_transactionId].installmentCount == 0,
+            "Installment plans end through declareInstallmentDefault"
+        );
+        require(openDisputes[transaction.propertyId] == 0, "Property is under dispute");
+
+        Property storage property = properties[transaction.propertyId];
+
+        transaction.status = TransactionStatus.Cancelled;
+        transaction.completedAt = block.timestamp;
+
+        if (property.status == PropertyStatus.SaleInProgress) {
+            property.status = PropertyStatus.ListedForSale;
+            emit PropertyStatusChanged(
+                transaction.propertyId,
+                PropertyStatus.SaleInProgress,
+                PropertyStatus.ListedForSale
+            );
+        }
+        property.lastUpdated = block.timestamp;
+
+        // Credit the refund to the buyer
+        _credit(transaction.buyer, transaction.paymentToken, _escrowedAmount(transaction));
+
+        emit PurchaseExpired(_transactionId, transaction.propertyId, transaction.buyer);
+    }
+
+    /**
+     * @dev End an installment purchase whose next installment is overdue
+     * Callable by anyone; the seller keeps the plan's forfeit share of the amount paid,
+     * the buyer is refunded the rest and the property is relisted
+     */
+    function declareInstallmentDefault(
+        uint256 _transactionId
+    ) external whenNotPaused nonReentrant validTransaction(_transactionId) {
+        Transaction storage transaction = transactions[_transactionId];
+        InstallmentPlan storage plan = installmentPlans[_transactionId];
+
+        require(plan.installmentCount > 0, "Not an installment purchase");
+        require(
+            transaction.status == TransactionStatus.Approved,
+            "Only approved plans can default"
+        );
+        require(plan.installmentsPaid < plan.installmentCount, "Installment plan is paid off");
+        require(block.timestamp > plan.nextDueDate, "No installment is overdue");
+        require(openDisputes[transaction.propertyId] == 0, "Property is under dispute");
+
+        Property storage property = properties[transaction.propertyId];
+
+        transaction.status = TransactionStatus.Cancelled;
+        transaction.completedAt = block.timestamp;
+
+        if (property.status == PropertyStatus.SaleInProgress) {
+            property.status = PropertyStatus.ListedForSale;
+            emit PropertyStatusChanged(
+                transaction.propertyId,
+                PropertyStatus.SaleInProgress,
+                PropertyStatus.ListedForSale
+            );
+        }
+        property.lastUpdated = block.timestamp;
+
+        uint256 sellerShare = (plan.amountPaid * plan.defaultForfeitBps) / 10000;
+        uint256 buyerRefund = plan.amountPaid - sellerShare;
+
+        if (sellerShare > 0) {
+            _creditOwners(transaction.propertyId, transaction.paymentToken, sellerShare);
+        }
+        if (buyerRefund > 0) {
+            _credit(transaction.buyer, transaction.paymentToken, buyerRefund);
+        }
+
+        emit InstallmentPlanDefaulted(_transactionId, sellerShare, buyerRefund);
+    }
+
+    /**
+     * @dev Nominate a lawyer to attest an approved sale
+     * The lawyer is assigned once buyer and seller nominate the same one, after which completion needs their attestation
+     */
+    function appointLawyer(
+        uint256 _transactionId,
+        address _lawyer
+    ) external whenNotPaused validTransaction(_transactionId) {
+        Transaction storage transaction = transactions[_transactionId];
+        LegalReview storage review = legalReviews[_transactionId];
+
+        require(
+            transaction.status == TransactionStatus.Approved,
+            "Transaction must be approved first"
+        );
+        require(
+            msg.sender == transaction.seller || msg.sender == transaction.buyer,
+            "Only the buyer or seller can appoint a lawyer"
+        );
+        require(hasRole(LEGAL_PROFESSIONAL_ROLE, _lawyer), "Not a legal professional");
+        require(
+            _lawyer != transaction.seller && _lawyer != transaction.buyer,
+            "Lawyer cannot be a party to the sale"
+        );
+        require(
+            review.status == LegalReviewStatus.None || review.status == LegalReviewStatus.Declined,
+            "Lawyer already assigned"
+        );
+
+        if (msg.sender == transaction.seller) {
+            review.sellerNominee = _lawyer;
+        } else {
+            review.buyerNominee = _lawyer;
+        }
+
+        emit LawyerNominated(_transactionId, msg.sender, _lawyer);
+
+        if (review.sellerNominee == review.buyerNominee) {
+            // A lawyer who declined earlier is already in the queue
+            if (review.lawyer != _lawyer) {
+                lawyerTransactions[_lawyer].push(_transactionId);
+            }
+            review.lawyer = _lawyer;
+            review.status = LegalReviewStatus.Assigned;
+
+            emit LawyerAssigned(_transactionId, _lawyer);
+        }
+    }
+
+    /**
+     * @dev Attest an approved sale with the IPFS hash of the sale deed
+     */
+    function attestSale(
+        uint256 _transactionId,
+        string memory _deedHash
+    ) external whenNotPaused validTransaction(_transactionId) {
+        LegalReview storage review = _assignedReview(_transactionId);
+        require(bytes(_deedHash).length > 0, "Sale deed is required");
+
+        review.status = LegalReviewStatus.Attested;
+        review.deedHash = _deedHash;
+        review.reviewedAt = block.timestamp;
+
+        emit SaleAttested(_transactionId, msg.sender, _deedHash);
+    }
+
+    /**
+     * @dev Decline to attest an approved sale; the parties may appoint another lawyer
+     */
+    function declineAttestation(
+        uint256 _transactionId
+    ) external whenNotPaused validTransaction(_transactionId) {
+        LegalReview storage review = _assignedReview(_transactionId);
+
+        review.status = LegalReviewStatus.Declined;
+        review.sellerNominee = address(0);
+        review.buyerNominee = address(0);
+        review.reviewedAt = block.timestamp;
+
+        emit AttestationDeclined(_transactionId, msg.sender);
+    }
+
+    /**
+     * @dev Get the legal review of a transaction
+     */
+    function getLegalReview(
+        uint256 _transactionId
+    ) external view returns (LegalReview memory) {
+        return legalReviews[_transactionId];
+    }
+
+    /**
+     * @dev Get every transaction a lawyer has been assigned, including ones already reviewed
+     */
+    function getLawyerTransactions(address _lawyer) external view returns (uint256[] memory) {
+        return lawyerTransactions[_lawyer];
+    }
+
+    /**
+     * @dev Legal review awaiting the caller's attestation on a still-approved transaction
+     */
+    function _assignedReview(uint256 _transactionId) internal view returns (LegalReview storage) {
+        LegalReview storage review = legalReviews[_transactionId];
+        require(review.lawyer == msg.sender, "Only the assigned lawyer can review");
+        require(review.status == LegalReviewStatus.Assigned, "Review already completed");
+        require(
+            transactions[_transactionId].status == TransactionStatus.Approved,
+            "Transaction must be approved first"
+        );
+        return review;
+    }
+
+    /**
+     * @dev Set the price above which transfers in a currency need government sign-off
+     * Applies to offers approved from now on; 0 disables sign-off for the currency
+     */
+    function setSignOffThreshold(
+        address _token,
+        uint256 _threshold
+    ) external onlyRole(SUPERADMIN_ROLE) {
+        require(
+            _token == address(0) || _isKnownToken(_token),
+            "Payment token not accepted"
+        );
+
+        signOffThresholds[_token] = _threshold;
+
+        emit SignOffThresholdUpdated(_token, _threshold);
+    }
+
+    /**
+     * @dev Approve an above-threshold transfer so the buyer can complete it
+     */
+    function signOffTransfer(
+        uint256 _transactionId
+    ) external whenNotPaused onlyRole(GOVERNMENT_ROLE) validTransaction(_transactionId) {
+        GovernmentSignOff storage signOff = governmentSignOffs[_transactionId];
+
+        require(
+            transactions[_transactionId].status == TransactionStatus.Approved,
+            "Transaction must be approved first"
+        );
+        require(signOff.required, "Sign-off not required");
+        require(signOff.approvedAt == 0, "Transfer already signed off");
+
+        signOff.approvedBy = msg.sender;
+        signOff.approvedAt = block.timestamp;
+
+        emit TransferSignedOff(_transactionId, msg.sender);
+    }
+
+    /**
+     * @dev Get the government sign-off record of a transaction
+     */
+    function getGovernmentSignOff(
+        uint256 _transactionId
+    ) external view returns (GovernmentSignOff memory) {
+        return governmentSignOffs[_transactionId];
+    }
+
+    /**
+     * @dev Get approved transactions still waiting for government sign-off
+     */
+    function getTransfersAwaitingSignOff() external view returns (uint256[] memory) {
+        uint256 count = 0;
+        for (uint256 i = 1; i <= _transactionIds; i++) {
+            if (_awaitingSignOff(i)) {
+                count++;
+            }
+        }
+
+        uint256[] memory awaiting = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 i = 1; i <= _transactionIds; i++) {
+            if (_awaitingSignOff(i)) {
+                awaiting[index] = i;
+                index++;
+            }
+        }
+
+        return awaiting;
+    }
+
+    function _awaitingSignOff(uint256 _transactionId) internal view returns (bool) {
+        return transactions[_transactionId].status == TransactionStatus.Approved &&
+            governmentSignOffs[_transactionId].required &&
+            governmentSignOffs[_transactionId].approvedAt == 0;
+    }
+
+    /**
+     * @dev Set the completion window applied to newly approved transactions
+     */
+    function setCompletionWindow(uint256 _window) external onlyRole(SUPERADMIN_ROLE) {
+        require(_window > 0, "Completion window must be greater than 0");
+
+        uint256 oldWindow = completionWindow;
+        completionWindow = _window;
+
+        emit CompletionWindowUpdated(oldWindow, _window);
+    }
+
+    /**
+     * @dev Set the registration and transfer fees charged for properties in a state
+     */
+    function setStateFees(
+        string memory _state,
+        FeeType _registrationFeeType,
+        uint256 _registrationFee,
+        FeeType _transferFeeType,
+        uint256 _transferFee
+    ) external onlyRole(GOVERNMENT_ROLE) {
+        require(bytes(_state).length > 0, "State is required");
+        require(
+            _registrationFeeType == FeeType.Flat || _registrationFee <= 10000,
+            "Fee cannot exceed 100%"
+        );
+        require(
+            _transferFeeType == FeeType.Flat || _transferFee <= 10000,
+            "Fee cannot exceed 100%"
+        );
+
+        registrationFees[_state] = Fee(_registrationFeeType, _registrationFee);
+        transferFees[_state] = Fee(_transferFeeType, _transferFee);
+
+        emit StateFeesUpdated(
+            _state,
+            _registrationFeeType,
+            _registrationFee,
+            _transferFeeType,
+            _transferFee
+        );
+    }
+
+    /**
+     * @dev Set the flat transfer fee, in the token's smallest unit, for sales in a state priced in an ERC-20
+     * A state's flat transfer fee is in wei and only applies to ETH sales; basis-point fees apply to every currency
+     */
+    function setTokenTransferFee(
+        string memory _state,
+        address _token,
+        uint256 _amount
+    ) external onlyRole(GOVERNMENT_ROLE) {
+        require(bytes(_state).length > 0, "State is required");
+        require(_isKnownToken(_token), "Payment token not accepted");
+
+        tokenTransferFees[_state][_token] = _amount;
+
+        emit TokenTransferFeeUpdated(_state, _token, _amount);
+    }
+
+    /**
+     * @dev Get the flat transfer fee for sales in a state priced in an ERC-20
+     */
+    function getTokenTransferFee(string memory _state, address _token) external view returns (uint256) {
+        return tokenTransferFees[_state][_token];
+    }
+
+    /**
+     * @dev Set the address credited with collected fees
+     */
+    function setTreasury(address _treasury) external onlyRole(GOVERNMENT_ROLE) {
+        require(_treasury != address(0), "Invalid treasury address");
+
+        address oldTreasury = treasury;
+        treasury = _treasury;
+
+        emit TreasuryUpdated(oldTreasury, _treasury);
+    }
+
+    /**
+     * @dev Get the fees configured for a state
+     */
+    function getStateFees(
+        string memory _state
+    ) external view returns (Fee memory registration, Fee memory transfer) {
+        return (registrationFees[_state], transferFees[_state]);
+    }
+
+    /**
+     * @dev Registration fee, in ETH, for a property in a state
+     */
+    function quoteRegistrationFee(
+        string memory _state,
+        uint256 _marketValue
+    ) external view returns (uint256) {
+        return _calculateFee(registrationFees[_state], _marketValue);
+    }
+
+    /**
+     * @dev Transfer fee that would be deducted from a sale of a property at a price, in its listing currency
+     */
+    function quoteTransferFee(
+        uint256 _propertyId,
+        uint256 _price
+    ) external view returns (uint256) {
+        Property storage property = properties[_propertyId];
+        return _transferFee(property.state, property.paymentToken, _price);
+    }
+
+    /**
+     * @dev Allow or disallow an ERC-20 token as a listing currency
+     * Disallowing a token blocks new listings and offers in it; open escrow still settles
+     */
+    function setAcceptedToken(
+        address _token,
+        bool _accepted
+    ) external onlyRole(SUPERADMIN_ROLE) {
+        require(_token != address(0), "Invalid token address");
+
+        if (_accepted && !_isKnownToken(_token)) {
+            _paymentTokens.push(_token);
+        }
+        acceptedTokens[_token] = _accepted;
+
+        emit PaymentTokenUpdated(_token, _accepted);
+    }
+
+    /**
+     * @dev Get the ERC-20 tokens currently accepted as listing currency
+     */
+    function getAcceptedTokens() external view returns (address[] memory) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < _paymentTokens.length; i++) {
+            if (acceptedTokens[_paymentTokens[i]]) {
+                count++;
+            }
+        }
+
+        address[] memory tokens = new address[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < _paymentTokens.length; i++) {
+            if (acceptedTokens[_paymentTokens[i]]) {
+                tokens[index] = _paymentTokens[i];
+                index++;
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * @dev Get every token ever allow-listed, including disallowed ones that may still hold credits
+     */
+    function getPaymentTokens() external view returns (address[] memory) {
+        return _paymentTokens;
+    }
+
+    /**
+     * @dev Whether a token has ever been allow-listed
+     */
+    function _isKnownToken(address _token) internal view returns (bool) {
+        for (uint256 i = 0; i < _paymentTokens.length; i++) {
+            if (_paymentTokens[i] == _token) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Withdraw all ETH refunds and sale proceeds credited to the caller
+     * Settlement never pushes ETH, so a recipient that rejects payment cannot block it
+     */
+    function withdraw() external nonReentrant {
+        uint256 amount = _payments[msg.sender][address(0)];
+        require(amount > 0, "No funds to withdraw");
+
+        _payments[msg.sender][address(0)] = 0;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Withdrawal failed");
+
+        emit PaymentWithdrawn(msg.sender, address(0), amount);
+    }
+
+    /**
+     * @dev Withdraw all refunds and sale proceeds credited to the caller in an ERC-20 token
+     */
+    function withdrawToken(address _token) external nonReentrant {
+        require(_token != address(0), "Use withdraw for ETH");
+        uint256 amount = _payments[msg.sender][_token];
+        require(amount > 0, "No funds to withdraw");
+
+        _payments[msg.sender][_token] = 0;
+        IERC20(_token).safeTransfer(msg.sender, amount);
+
+        emit PaymentWithdrawn(msg.sender, _token, amount);
+    }
+
+    /**
+     * @dev Get the ETH balance an address can withdraw
+     */
+    function payments(address _payee) external view returns (uint256) {
+        return _payments[_payee][address(0)];
+    }
+
+    /**
+     * @dev Get the balance an address can withdraw in an ERC-20 token
+     */
+    function tokenPayments(address _payee, address _token) external view returns (uint256) {
+        return _payments[_payee][_token];
+    }
+}
@@ -0,0 +1,744 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../LandRegistryBase.sol";
+
+/**
+ * @title SalesModule
+ * @dev Listings, offers and their negotiation, escrowed purchases and installment plans
+ */
+contract SalesModule is LandRegistryBase {
+    using SafeERC20 for IERC20;
+
+    constructor(address _next) LandRegistryBase(_next) {}
+
+    /**
+     * @dev Whether a property may be listed or sold; solely owned properties always may
+     */
+    function _hasSaleConsent(uint256 _propertyId) internal view returns (bool) {
+        return coOwners[_propertyId].length <= 1 || _saleConsentBps(_propertyId) >= coOwnerConsentBps;
+    }
+
+    /**
+     * @dev List a property for sale, accepting offers at or above the price
+     */
+    function listPropertyForSale(
+        uint256 _propertyId,
+        uint256 _price
+    ) external whenNotPaused nonReentrant 
+        onlyPropertyOwner(_propertyId) validProperty(_propertyId) {
+        _listPropertyForSale(_propertyId, _price, PricingMode.OffersAbove, address(0));
+    }
+
+    /**
+     * @dev List a property for sale with an explicit pricing mode
+     * @param _pricingMode FixedPrice requires offers to match the price exactly,
+     * OffersAbove accepts any offer at or above it
+     */
+    function listPropertyWithPricing(
+        uint256 _propertyId,
+        uint256 _price,
+        PricingMode _pricingMode
+    ) external whenNotPaused nonReentrant
+        onlyPropertyOwner(_propertyId) validProperty(_propertyId) {
+        _listPropertyForSale(_propertyId, _price, _pricingMode, address(0));
+    }
+
+    /**
+     * @dev List a property for sale priced in an allow-listed ERC-20 token
+     * Buyers approve the registry for the offer amount before making an offer
+     */
+    function listPropertyWithPaymentToken(
+        uint256 _propertyId,
+        uint256 _price,
+        PricingMode _pricingMode,
+        address _paymentToken
+    ) external whenNotPaused nonReentrant
+        onlyPropertyOwner(_propertyId) validProperty(_propertyId) {
+        _listPropertyForSale(_propertyId, _price, _pricingMode, _paymentToken);
+    }
+
+    /**
+     * @dev Shared implementation of the listing functions
+     */
+    function _listPropertyForSale(
+        uint256 _propertyId,
+        uint256 _price,
+        PricingMode _pricingMode,
+        address _paymentToken
+    ) internal {
+        Property storage property = properties[_propertyId];
+        
+        require(
+            property.status == PropertyStatus.Approved,
+            "Property must be approved before listing"
+        );
+        require(openDisputes[_propertyId] == 0, "Property is under dispute");
+        require(pendingSubdivision[_propertyId] == 0, "Subdivision pending");
+        require(pendingMerge[_propertyId] == 0, "Merge pending");
+        require(_hasSaleConsent(_propertyId), "Co-owner consent required");
+        require(_price > 0, "Price must be greater than 0");
+        require(
+            _paymentToken == address(0) || acceptedTokens[_paymentToken],
+            "Payment token not accepted"
+        );
+
+        PropertyStatus oldStatus = property.status;
+        property.status = PropertyStatus.ListedForSale;
+        property.askingPrice = _price;
+        property.pricingMode = _pricingMode;
+        property.paymentToken = _paymentToken;
+        property.lastUpdated = block.timestamp;
+
+        emit PropertyStatusChanged(_propertyId, oldStatus, PropertyStatus.ListedForSale);
+        emit PropertyListedForSale(_propertyId, msg.sender, _price);
+    }
+
+    /**
+     * @dev Change the asking price or pricing mode of a listed property
+     * Offers already in escrow are unaffected and can still be accepted or rejected
+     */
+    function updateAskingPrice(
+        uint256 _propertyId,
+        uint256 _price,
+        PricingMode _pricingMode
+    ) external whenNotPaused onlyPropertyOwner(_propertyId) validProperty(_propertyId) {
+        Property storage property = properties[_propertyId];
+
+        require(
+            property.status == PropertyStatus.ListedForSale,
+            "Property is not listed for sale"
+        );
+        require(openDisputes[_propertyId] == 0, "Property is under dispute");
+        require(_price > 0, "Price must be greater than 0");
+
+        property.askingPrice = _price;
+        property.pricingMode = _pricingMode;
+        property.lastUpdated = block.timestamp;
+
+        emit AskingPriceUpdated(_propertyId, _price, _pricingMode);
+    }
+
+    /**
+     * @dev Request to purchase a property
+     * Several buyers can hold escrowed offers on the same listing at once
+     */
+    function requestToPurchase(
+        uint256 _propertyId,
+        uint256 _price,
+        string memory _ipfsHash
+    ) external whenNotPaused nonReentrant validProperty(_propertyId) payable {
+        _requestToPurchase(_propertyId, _price, _ipfsHash, _price);
+    }
+
+    /**
+     * @dev Offer to buy a property in installments
+     * Escrows the down payment now; the rest is paid in equal installments after the seller approves,
+     * and ownership transfers with the final one
+     * @param _defaultForfeitBps Share of the amount paid that goes to the seller if the buyer defaults
+     */
+    function requestInstallmentPurchase(
+        uint256 _propertyId,
+        uint256 _price,
+        string memory _ipfsHash,
+        uint256 _downPayment,
+        uint256 _installmentCount,
+        uint256 _interval,
+        uint256 _defaultForfeitBps
+    ) external whenNotPaused nonReentrant validProperty(_propertyId) payable {
+        require(_downPayment > 0 && _downPayment < _price, "Invalid down payment");
+        require(_installmentCount > 0, "At least one installment required");
+        require(_interval > 0, "Installment interval must be greater than 0");
+        require(_defaultForfeitBps <= 10000, "Forfeit share cannot exceed 100%");
+        require(
+            (_price - _downPayment) / _installmentCount > 0,
+            "Installment amount too small"
+        );
+
+        uint256 transactionId = _requestToPurchase(_propertyId, _price, _ipfsHash, _downPayment);
+
+        installmentPlans[transactionId] = InstallmentPlan({
+            downPayment: _downPayment,
+            installmentCount: _installmentCount,
+            interval: _interval,
+            defaultForfeitBps: _defaultForfeitBps,
+            installmentsPaid: 0,
+            amountPaid: _downPayment,
+            nextDueDate: 0
+        });
+
+        emit InstallmentPlanCreated(
+            transactionId,
+            _downPayment,
+            _installmentCount,
+            _interval,
+            _defaultForfeitBps
+        );
+    }
+
+    /**
+     * @dev Shared implementation of requestToPurchase/requestToLandOwner
+     * Escrows the full price, or just the down payment for an installment purchase
+     */
+    function _requestToPurchase(
+        uint256 _propertyId,
+        uint256 _price,
+        string memory _ipfsHash,
+        uint256 _escrowAmount
+    ) internal returns (uint256) {
+        Property storage property = properties[_propertyId];
+        
+        require(
+            property.status == PropertyStatus.ListedForSale,
+            "Property is not listed for sale"
+        );
+        require(openDisputes[_propertyId] == 0, "Property is under dispute");
+        require(
+            property.owner != msg.sender,
+            "Cannot purchase your own property"
+        );
+        require(_hasAcknowledgedLeases(_propertyId, msg.sender), "Active leases must be acknowledged");
+        uint256 escrowedEth = 0;
+        if (property.paymentToken == address(0)) {
+            require(msg.value >= _escrowAmount, "Insufficient payment");
+            escrowedEth = _escrowAmount;
+        } else {
+            require(acceptedTokens[property.paymentToken], "Payment token not accepted");
+            _collectToken(property.paymentToken, _escrowAmount);
+        }
+        // ETH sent beyond the escrow can be withdrawn rather than being locked in the contract
+        if (msg.value > escrowedEth) {
+            _credit(msg.sender, address(0), msg.value - escrowedEth);
+        }
+        if (property.pricingMode == PricingMode.FixedPrice) {
+            require(_price == property.askingPrice, "Offer must match the asking price");
+        } else {
+            require(_price >= property.askingPrice, "Offer below asking price");
+        }
+
+        _transactionIds++;
+        uint256 newTransactionId = _transactionIds;
+
+        Transaction memory newTransaction = Transaction({
+            id: newTransactionId,
+            propertyId: _propertyId,
+            seller: property.owner,
+            buyer: msg.sender,
+            price: _price,
+            status: TransactionStatus.Pending,
+            requestedAt: block.timestamp,
+            completedAt: 0,
+            ipfsHash: _ipfsHash,
+            completionDeadline: 0,
+            paymentToken: property.paymentToken,
+            fee: 0
+        });
+
+        transactions[newTransactionId] = newTransaction;
+        propertyTransactions[_propertyId].push(newTransactionId);
+        
+        // The listing stays open so other buyers can make competing offers
+        property.lastUpdated = block.timestamp;
+
+        _recordNegotiation(newTransactionId, NegotiationAction.Offer, _price);
+
+        emit PurchaseRequested(
+            newTransactionId,
+            _propertyId,
+            msg.sender,
+            property.owner,
+            _price
+        );
+
+        return newTransactionId;
+    }
+
+    /**
+     * @dev Process purchase request (approve or reject)
+     */
+    function processPurchaseRequest(
+        uint256 _transactionId,
+        bool _approve
+    ) external whenNotPaused nonReentrant validTransaction(_transactionId) {
+        _processPurchaseRequest(_transactionId, _approve);
+    }
+
+    /**
+     * @dev Shared implementation of processPurchaseRequest/processRequest
+     * A countered transaction can still be rejected, but only approved once the buyer responds
+     */
+    function _processPurchaseRequest(uint256 _transactionId, bool _approve) internal {
+        Transaction storage transaction = transactions[_transactionId];
+        
+        require(
+            transaction.seller == msg.sender,
+            "Only seller can process the request"
+        );
+        require(
+            _isOpenOffer(transaction.status),
+            "Transaction already processed"
+        );
+
+        if (_approve) {
+            require(
+                transaction.status == TransactionStatus.Pending,
+                "Awaiting buyer response to counter-offer"
+            );
+            _recordNegotiation(_transactionId, NegotiationAction.Accept, transaction.price);
+            _acceptOffer(_transactionId);
+        } else {
+            transaction.status = TransactionStatus.Rejected;
+            transaction.completedAt = block.timestamp;
+            properties[transaction.propertyId].lastUpdated = block.timestamp;
+            _recordNegotiation(_transactionId, NegotiationAction.Reject, transaction.price);
+            
+            // Credit the refund to the buyer
+            _credit(transaction.buyer, transaction.paymentToken, _escrowedAmount(transaction));
+            
+            emit PurchaseRejected(_transactionId, transaction.propertyId, transaction.buyer);
+        }
+    }
+
+    /**
+     * @dev Approve an offer at its current price and take the property off the market
+     */
+    function _acceptOffer(uint256 _transactionId) internal {
+        Transaction storage transaction = transactions[_transactionId];
+        Property storage property = properties[transaction.propertyId];
+        require(openDisputes[transaction.propertyId] == 0, "Property is under dispute");
+        require(_hasSaleConsent(transaction.propertyId), "Co-owner consent required");
+        // A lease registered after the offer was made must be disclosed before the buyer is held to it
+        require(
+            _hasAcknowledgedLeases(transaction.propertyId, transaction.buyer),
+            "Buyer must acknowledge the active leases"
+        );
+
+        transaction.status = TransactionStatus.Approved;
+        transaction.completionDeadline = block.timestamp + completionWindow;
+        transaction.completedAt = block.timestamp;
+
+        // An installment plan runs on its own schedule and completes with the final installment
+        InstallmentPlan storage plan = installmentPlans[_transactionId];
+        if (plan.installmentCount > 0) {
+            plan.nextDueDate = block.timestamp + plan.interval;
+            transaction.completionDeadline = block.timestamp + plan.interval * plan.installmentCount;
+        }
+
+        uint256 threshold = signOffThresholds[transaction.paymentToken];
+        if (threshold > 0 && transaction.price > threshold) {
+            governmentSignOffs[_transactionId].required = true;
+        }
+
+        // Accepting one offer takes the property off the market
+        PropertyStatus oldStatus = property.status;
+        property.status = PropertyStatus.SaleInProgress;
+        property.lastUpdated = block.timestamp;
+        emit PropertyStatusChanged(transaction.propertyId, oldStatus, PropertyStatus.SaleInProgress);
+        emit PurchaseApproved(_transactionId, transaction.propertyId, transaction.buyer);
+
+        _rejectCompetingOffers(transaction.propertyId, _transactionId);
+    }
+
+    /**
+     * @dev Complete the purchase and transfer ownership
+     */
+    function completePurchase(
+        uint256 _transactionId
+    ) external whenNotPaused nonReentrant validTransaction(_transactionId) {
+        _completePurchase(_transactionId);
+    }
+
+    /**
+     * @dev Shared implementation of completePurchase/buyProperty
+     */
+    function _completePurchase(uint256 _transactionId) internal {
+        Transaction storage transaction = transactions[_transactionId];
+        InstallmentPlan storage plan = installmentPlans[_transactionId];
+        
+        require(
+            transaction.status == TransactionStatus.Approved,
+            "Transaction must be approved first"
+        );
+        require(
+            transaction.buyer == msg.sender,
+            "Only buyer can complete the purchase"
+        );
+        require(openDisputes[transaction.propertyId] == 0, "Property is under dispute");
+        // A paid-off installment plan may have been waiting on clearance past its deadline
+        require(
+            block.timestamp <= transaction.completionDeadline ||
+            (plan.installmentCount > 0 && plan.installmentsPaid == plan.installmentCount),
+            "Completion deadline has passed"
+        );
+        require(
+            plan.amountPaid == 0 || plan.amountPaid == transaction.price,
+            "Installments outstanding"
+        );
+        require(
+            legalReviews[_transactionId].status == LegalReviewStatus.None ||
+            legalReviews[_transactionId].status == LegalReviewStatus.Attested,
+            "Legal attestation required"
+        );
+        require(
+            !governmentSignOffs[_transactionId].required ||
+            governmentSignOffs[_transactionId].approvedAt != 0,
+            "Government sign-off required"
+        );
+
+        Property storage property = properties[transaction.propertyId];
+
+        // Credit payment to the owners, less the transfer fee owed to the treasury
+        uint256 fee = _transferFee(property.state, transaction.paymentToken, transaction.price);
+        _creditOwners(transaction.propertyId, transaction.paymentToken, transaction.price - fee);
+        if (fee > 0) {
+            _credit(treasury, transaction.paymentToken, fee);
+            emit FeeCollected(transaction.propertyId, _transactionId, transaction.paymentToken, fee);
+        }
+        transaction.fee = fee;
+
+        // Transfer ownership
+        address oldOwner = property.owner;
+        _transferOwnership(transaction.propertyId, transaction.buyer);
+        property.marketValue = transaction.price;
+        // Set status to Approved so new owner can list it for sale again
+        property.status = PropertyStatus.Approved;
+        property.askingPrice = 0;
+        property.paymentToken = address(0);
+        property.lastUpdated = block.timestamp;
+
+        transaction.status = TransactionStatus.Completed;
+        transaction.completedAt = block.timestamp;
+
+        emit OwnershipTransferred(
+            transaction.propertyId,
+            oldOwner,
+            transaction.buyer,
+            _transactionId
+        );
+    }
+
+    /**
+     * @dev Pay the next installment of an approved installment purchase
+     * Installments must be paid by their due date; the final one transfers ownership, or, while the sale awaits
+     * a dispute's resolution, legal attestation or government sign-off, is recorded for the buyer to complete later
+     */
+    function payInstallment(
+        uint256 _transactionId
+    ) external payable whenNotPaused nonReentrant validTransaction(_transactionId) {
+        Transaction storage transaction = transactions[_transactionId];
+        InstallmentPlan storage plan = installmentPlans[_transactionId];
+
+        require(plan.installmentCount > 0, "Not an installment purchase");
+        require(
+            transaction.buyer == msg.sender,
+            "Only buyer can pay installments"
+        );
+        require(
+            transaction.status == TransactionStatus.Approved,
+            "Transaction must be approved first"
+        );
+        require(block.timestamp <= plan.nextDueDate, "Installment is overdue");
+
+        uint256 amount = _nextInstallmentAmount(transaction, plan);
+        if (transaction.paymentToken == address(0)) {
+            require(msg.value == amount, "Payment must equal the installment amount");
+        } else {
+            _collectToken(transaction.paymentToken, amount);
+        }
+
+        plan.installmentsPaid++;
+        plan.amountPaid += amount;
+        plan.nextDueDate += plan.interval;
+
+        emit InstallmentPaid(_transactionId, plan.installmentsPaid, amount);
+
+        if (plan.installmentsPaid == plan.installmentCount && !_awaitingClearance(_transactionId)) {
+            _completePurchase(_transactionId);
+        }
+    }
+
+    /**
+     * @dev Whether an approved sale is held up by an open dispute, a pending legal attestation or government sign-off
+     */
+    function _awaitingClearance(uint256 _transactionId) internal view returns (bool) {
+        LegalReviewStatus reviewStatus = legalReviews[_transactionId].status;
+        return openDisputes[transactions[_transactionId].propertyId] > 0 ||
+            (reviewStatus != LegalReviewStatus.None && reviewStatus != LegalReviewStatus.Attested) ||
+            (governmentSignOffs[_transactionId].required && governmentSignOffs[_transactionId].approvedAt == 0);
+    }
+
+    /**
+     * @dev Get the installment plan of a transaction (all zero for a one-off purchase)
+     */
+    function getInstallmentPlan(
+        uint256 _transactionId
+    ) external view validTransaction(_transactionId) returns (InstallmentPlan memory) {
+        return installmentPlans[_transactionId];
+    }
+
+    /**
+     * @dev Get the amount due for the next installment, zero once the plan is paid off
+     */
+    function nextInstallmentAmount(
+        uint256 _transactionId
+    ) external view validTransaction(_transactionId) returns (uint256) {
+        return _nextInstallmentAmount(transactions[_transactionId], installmentPlans[_transactionId]);
+    }
+
+    /**
+     * @dev Equal installments of the balance after the down payment; the last one absorbs rounding
+     */
+    function _nextInstallmentAmount(
+        Transaction storage _transaction,
+        InstallmentPlan storage _plan
+    ) internal view returns (uint256) {
+        if (_plan.installmentsPaid >= _plan.installmentCount) {
+            return 0;
+        }
+        if (_plan.installmentsPaid == _plan.installmentCount - 1) {
+            return _transaction.price - _plan.amountPaid;
+        }
+        return (_transaction.price - _plan.downPayment) / _plan.installmentCount;
+    }
+
+    /**
+     * @dev Withdraw a pending purchase request and reclaim the escrowed payment
+     * Also how a buyer walks away from a seller's counter-offer
+     */
+    function cancelPurchaseRequest(
+        uint256 _transactionId
+    ) external whenNotPaused nonReentrant validTransaction(_transactionId) {
+        Transaction storage transaction = transactions[_transactionId];
+
+        require(
+            transaction.buyer == msg.sender,
+            "Only buyer can cancel the request"
+        );
+        require(
+            _isOpenOffer(transaction.status),
+            "Only pending requests can be cancelled"
+        );
+
+        Property storage property = properties[transaction.propertyId];
+
+        transaction.status = TransactionStatus.Cancelled;
+        transaction.completedAt = block.timestamp;
+        property.lastUpdated = block.timestamp;
+        _recordNegotiation(_transactionId, NegotiationAction.Withdraw, transaction.price);
+
+        // Credit the refund to the buyer
+        _credit(transaction.buyer, transaction.paymentToken, _escrowedAmount(transaction));
+
+        emit PurchaseCancelled(_transactionId, transaction.propertyId, transaction.buyer);
+    }
+
+    /**
+     * @dev Counter an open offer with a new price
+     * The seller counters a pending offer; the buyer counters back on a countered one,
+     * adjusting the escrow to the new price (top up with msg.value, or receive the difference)
+     */
+    function counterOffer(
+        uint256 _transactionId,
+        uint256 _price
+    ) external payable whenNotPaused nonReentrant validTransaction(_transactionId) {
+        Transaction storage transaction = transactions[_transactionId];
+
+        require(_price > 0, "Price must be greater than 0");
+        require(
+            properties[transaction.propertyId].pricingMode != PricingMode.FixedPrice,
+            "Fixed-price listings are not negotiable"
+        );
+        require(
+            installmentPlans[_transactionId].installmentCount == 0,
+            "Installment offers cannot be countered"
+        );
+
+        if (transaction.status == TransactionStatus.Pending) {
+            require(
+                transaction.seller == msg.sender,
+                "Only seller can counter a pending offer"
+            );
+            require(msg.value == 0, "Seller cannot send payment");
+
+            transaction.status = TransactionStatus.Countered;
+        } else {
+            require(
+                transaction.status == TransactionStatus.Countered,
+                "Transaction is not open for negotiation"
+            );
+            require(
+                transaction.buyer == msg.sender,
+                "Only buyer can respond to a counter-offer"
+            );
+
+            _adjustEscrow(transaction, _price);
+            transaction.status = TransactionStatus.Pending;
+        }
+
+        properties[transaction.propertyId].lastUpdated = block.timestamp;
+        _recordNegotiation(_transactionId, NegotiationAction.Counter, _price);
+
+        emit CounterOffered(_transactionId, msg.sender, _price);
+    }
+
+    /**
+     * @dev Accept the seller's counter-offer, adjusting escrow to the countered price
+     * Agreement on price approves the transaction straight away
+     */
+    function acceptCounterOffer(
+        uint256 _transactionId
+    ) external payable whenNotPaused nonReentrant validTransaction(_transactionId) {
+        Transaction storage transaction = transactions[_transactionId];
+
+        require(
+            transaction.buyer == msg.sender,
+            "Only buyer can accept a counter-offer"
+        );
+        require(
+            transaction.status == TransactionStatus.Countered,
+            "No counter-offer to accept"
+        );
+
+        NegotiationRound[] storage rounds = negotiationRounds[_transactionId];
+        uint256 counterPrice = rounds[rounds.length - 1].price;
+
+        _adjustEscrow(transaction, counterPrice);
+        _recordNegotiation(_transactionId, NegotiationAction.Accept, counterPrice);
+
+        emit CounterOfferAccepted(_transactionId, msg.sender, counterPrice);
+
+        _acceptOffer(_transactionId);
+    }
+
+    /**
+     * @dev Get the negotiation thread of a transaction, oldest round first
+     */
+    function getNegotiation(
+        uint256 _transactionId
+    ) external view validTransaction(_transactionId) returns (NegotiationRound[] memory) {
+        return negotiationRounds[_transactionId];
+    }
+
+    /**
+     * @dev Move a transaction's escrow to a new price by collecting or crediting the difference
+     */
+    function _adjustEscrow(Transaction storage _transaction, uint256 _newPrice) internal {
+        if (_newPrice >= _transaction.price) {
+            uint256 difference = _newPrice - _transaction.price;
+            if (_transaction.paymentToken == address(0)) {
+                require(msg.value == difference, "Payment must cover the price difference");
+            } else {
+                _collectToken(_transaction.paymentToken, difference);
+            }
+        } else {
+            require(msg.value == 0, "No payment required");
+
+            // Credit the difference back to the buyer
+            _credit(_transaction.buyer, _transaction.paymentToken, _transaction.price - _newPrice);
+        }
+
+        _transaction.price = _newPrice;
+    }
+
+    /**
+     * @dev Pull an ERC-20 payment from the caller into escrow
+     */
+    function _collectToken(address _token, uint256 _amount) internal {
+        require(msg.value == 0, "Listing is priced in a token, not ETH");
+        IERC20(_token).safeTransferFrom(msg.sender, address(this), _amount);
+    }
+
+    /**
+     * @dev Append a round to a transaction's negotiation thread
+     */
+    function _recordNegotiation(
+        uint256 _transactionId,
+        NegotiationAction _action,
+        uint256 _price
+    ) internal {
+        negotiationRounds[_transactionId].push(NegotiationRound({
+            party: msg.sender,
+            action: _action,
+            price: _price,
+            timestamp: block.timestamp
+        }));
+    }
+
+    /**
+     * @dev Remove property from sale
+     * Cancels and refunds every outstanding offer on the property
+     */
+    function removeFromSale(
+        uint256 _propertyId
+    ) external whenNotPaused nonReentrant
+        onlyPropertyOwner(_propertyId) validProperty(_propertyId) {
+        Property storage property = properties[_propertyId];
+        
+        require(
+            property.status == PropertyStatus.ListedForSale ||
+            property.status == PropertyStatus.SaleInProgress,
+            "Property is not for sale"
+        );
+
+        _settleOpenOffers(_propertyId);
+
+        PropertyStatus oldStatus = property.status;
+        property.status = PropertyStatus.Approved;
+        property.askingPrice = 0;
+        property.paymentToken = address(0);
+        property.lastUpdated = block.timestamp;
+
+        emit PropertyStatusChanged(_propertyId, oldStatus, PropertyStatus.Approved);
+    }
+
+    /**
+     * @dev Whether a buyer has acknowledged every lease on a property, needed only while one is active
+     */
+    function _hasAcknowledgedLeases(uint256 _propertyId, address _buyer) internal view returns (bool) {
+        return !_hasActiveLeases(_propertyId) ||
+            leaseAcknowledgements[_propertyId][_buyer] == propertyLeases[_propertyId].length;
+    }
+
+    /**
+     * @dev List property for sale (Documentation: makeAvailable)
+     * Alias for listPropertyForSale for documentation alignment
+     */
+    function makeAvailable(
+        uint256 _propertyId,
+        uint256 _price
+    ) external whenNotPaused nonReentrant 
+        onlyPropertyOwner(_propertyId) validProperty(_propertyId) {
+        _listPropertyForSale(_propertyId, _price, PricingMode.OffersAbove, address(0));
+    }
+
+    /**
+     * @dev Request to purchase from land owner (Documentation: requestToLandOwner)
+     * Alias for requestToPurchase for documentation alignment
+     */
+    function requestToLandOwner(
+        uint256 _propertyId,
+        uint256 _price,
+        string memory _ipfsHash
+    ) external whenNotPaused nonReentrant validProperty(_propertyId) payable {
+        _requestToPurchase(_propertyId, _price, _ipfsHash, _price);
+    }
+
+    /**
+     * @dev Process purchase request (Documentation: processRequest)
+     * Alias for processPurchaseRequest for documentation alignment
+     */
+    function processRequest(
+        uint256 _transactionId,
+        bool _approve
+    ) external whenNotPaused nonReentrant validTransaction(_transactionId) {
+        _processPurchaseRequest(_transactionId, _approve);
+    }
+
+    /**
+     * @dev Complete purchase and transfer ownership (Documentation: buyProperty)
+     * Alias for completePurchase for documentation alignment
+     */
+    function buyProperty(uint256 _transactionId) external whenNotPaused nonReentrant validTransaction(_transactionId) {
+        _completePurchase(_transactionId);
+    }
+}
@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../LandRegistryBase.sol";
+
+/**
+ * @title TitleTokenModule
+ * @dev ERC-721 view of the registry: one title token per approved property, held by its managing owner
+ * Implements IERC721Metadata without inheriting it, as LandRegistryBase already declares the Transfer event;
+ * LandRegistry reports the interface through supportsInterface
+ */
+contract TitleTokenModule is LandRegistryBase {
+    constructor(address _next) LandRegistryBase(_next) {}
+
+    /**
+     * @dev Name of the title token collection
+     */
+    function name() external pure returns (string memory) {
+        return "Land Title";
+    }
+
+    /**
+     * @dev Symbol of the title token collection
+     */
+    function symbol() external pure returns (string memory) {
+        return "TITLE";
+    }
+
+    /**
+     * @dev Number of title tokens held by an address
+     */
+    function balanceOf(address _holder) external view returns (uint256) {
+        require(_holder != address(0), "Invalid holder address");
+        return _titleBalances[_holder];
+    }
+
+    /**
+     * @dev Holder of a title token, always the property's managing owner
+     */
+    function ownerOf(uint256 _tokenId) public view returns (address) {
+        address holder = _titleHolders[_tokenId];
+        require(holder != address(0), "Title does not exist");
+        return holder;
+    }
+
+    /**
+     * @dev Metadata URI of a title token: the property's IPFS metadata
+     * Registrations that store "document|metadata" hashes point at the metadata part
+     */
+    function tokenURI(uint256 _tokenId) external view returns (string memory) {
+        ownerOf(_tokenId);
+        bytes memory hash = bytes(properties[_tokenId].ipfsHash);
+        uint256 start = 0;
+        for (uint256 i = 0; i < hash.length; i++) {
+            if (hash[i] == "|") {
+                start = i + 1;
+                break;
+            }
+        }
+        // Skip the space that may follow the separator
+        while (start < hash.length && hash[start] == " ") {
+            start++;
+        }
+        bytes memory metadataHash = new bytes(hash.length - start);
+        for (uint256 i = 0; i < metadataHash.length; i++) {
+            metadataHash[i] = hash[start + i];
+        }
+        return string(abi.encodePacked("ipfs://", metadataHash));
+    }
+
+    /**
+     * @dev Title tokens only move with registry ownership changes, so direct transfers and approvals are refused
+     */
+    function transferFrom(address, address, uint256) external pure {
+        revert("Titles transfer through the registry");
+    }
+
+    function safeTransferFrom(address, address, uint256) external pure {
+        revert("Titles transfer through the registry");
+    }
+
+    function safeTransferFrom(address, address, uint256, bytes calldata) external pure {
+        revert("Titles transfer through the registry");
+    }
+
+    function approve(address, uint256) external pure {
+        revert("Titles transfer through the registry");
+    }
+
+    function setApprovalForAll(address, bool) external pure {
+        revert("Titles transfer through the registry");
+    }
+
+    function getApproved(uint256 _tokenId) external view returns (address) {
+        ownerOf(_tokenId);
+        return address(0);
+    }
+
+    function isApprovedForAll(address, address) external pure returns (bool) {
+        return false;
+    }
+}
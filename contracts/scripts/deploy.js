@@ -1,12 +1,10 @@
 const hre = require("hardhat");
+const { deployLandRegistry } = require("./registry");
 
 async function main() {
   console.log("Deploying LandRegistry contract...");
 
-  const LandRegistry = await hre.ethers.getContractFactory("LandRegistry");
-  const landRegistry = await LandRegistry.deploy();
-
-  await landRegistry.waitForDeployment();
+  const landRegistry = await deployLandRegistry();
 
   const address = await landRegistry.getAddress();
   console.log("LandRegistry deployed to:", address);
@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { deployLandRegistry } = require("./registry");
 
 /**
  * Script to ensure contract is deployed
@@ -50,9 +51,7 @@ async function main() {
   // Deploy contract
   console.log("📝 Deploying LandRegistry contract...");
   
-  const LandRegistry = await hre.ethers.getContractFactory("LandRegistry");
-  const landRegistry = await LandRegistry.deploy();
-  await landRegistry.waitForDeployment();
+  const landRegistry = await deployLandRegistry();
 
   const address = await landRegistry.getAddress();
   console.log("✅ LandRegistry deployed to:", address);
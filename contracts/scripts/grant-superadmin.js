@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { attachLandRegistry } = require("./registry");
 
 /**
  * Script to grant SUPERADMIN_ROLE to a specific address
@@ -27,8 +28,7 @@ async function main() {
   
   console.log("Target address to grant superadmin:", TARGET_ADDRESS);
 
-  const LandRegistry = await hre.ethers.getContractFactory("LandRegistry");
-  const contract = LandRegistry.attach(contractAddress);
+  const contract = await attachLandRegistry(contractAddress);
 
   // Check if deployer has superadmin role
   const SUPERADMIN_ROLE = await contract.SUPERADMIN_ROLE();
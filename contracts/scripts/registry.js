@@ -0,0 +1,58 @@
+const hre = require("hardhat");
+
+// LandRegistry hands any call it does not implement down this chain, one module at a time
+const MODULES = [
+  "SalesModule",
+  "PaymentsModule",
+  "ParcelsModule",
+  "OwnershipModule",
+  "EncumbrancesModule",
+  "TitleTokenModule"
+];
+
+/**
+ * ABI of the registry address: LandRegistry's own functions plus those of every module
+ */
+async function registryAbi() {
+  const abi = [];
+  const seen = new Set();
+  for (const name of ["LandRegistry", ...MODULES]) {
+    const artifact = await hre.artifacts.readArtifact(name);
+    for (const fragment of artifact.abi) {
+      if (fragment.type === "constructor" && name !== "LandRegistry") {
+        continue;
+      }
+      const key = JSON.stringify([fragment.type, fragment.name, fragment.inputs]);
+      if (!seen.has(key)) {
+        seen.add(key);
+        abi.push(fragment);
+      }
+    }
+  }
+  return abi;
+}
+
+/**
+ * Deploy the modules from the end of the chain back, then LandRegistry in front of them
+ */
+async function deployLandRegistry() {
+  let next = hre.ethers.ZeroAddress;
+  for (const name of [...MODULES].reverse()) {
+    const module = await hre.ethers.deployContract(name, [next]);
+    await module.waitForDeployment();
+    next = await module.getAddress();
+  }
+
+  const landRegistry = await hre.ethers.deployContract("LandRegistry", [next]);
+  await landRegistry.waitForDeployment();
+  return attachLandRegistry(await landRegistry.getAddress());
+}
+
+/**
+ * Registry contract at an address, with every module's functions available
+ */
+async function attachLandRegistry(address) {
+  return hre.ethers.getContractAt(await registryAbi(), address);
+}
+
+module.exports = { MODULES, registryAbi, deployLandRegistry, attachLandRegistry };
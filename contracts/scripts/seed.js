@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { attachLandRegistry } = require("./registry");
 
 /**
  * Seed script to populate the contract with sample data for testing
@@ -17,8 +18,7 @@ async function main() {
     process.exit(1);
   }
 
-  const LandRegistry = await hre.ethers.getContractFactory("LandRegistry");
-  const contract = LandRegistry.attach(contractAddress);
+  const contract = await attachLandRegistry(contractAddress);
 
   console.log("📝 Registering users...");
 
@@ -114,12 +114,43 @@ async function main() {
     console.log("⚠️ Error approving properties:", error.message);
   }
 
+  console.log("💵 Setting up stablecoin settlement...");
+
+  // Deploy a mock stablecoin, allow-list it and list one property priced in it
+  let stablecoinAddress;
+  try {
+    const MockStablecoin = await hre.ethers.getContractFactory("MockStablecoin");
+    const stablecoin = await MockStablecoin.deploy();
+    await stablecoin.waitForDeployment();
+    stablecoinAddress = await stablecoin.getAddress();
+    console.log("✅ Deployed mUSD:", stablecoinAddress);
+
+    await (await contract.setAcceptedToken(stablecoinAddress, true)).wait();
+    console.log("✅ Allow-listed mUSD as a payment token");
+
+    for (const account of [owner1, owner2, buyer1]) {
+      await (await stablecoin.mint(account.address, hre.ethers.parseUnits("1000000", 6))).wait();
+    }
+    console.log("✅ Minted 1,000,000 mUSD to owners and buyer");
+
+    const tx = await contract
+      .connect(owner2)
+      .listPropertyWithPaymentToken(3, hre.ethers.parseUnits("250000", 6), 0, stablecoinAddress);
+    await tx.wait();
+    console.log("✅ Listed property 3 for 250,000 mUSD");
+  } catch (error) {
+    console.log("⚠️ Error setting up stablecoin:", error.message);
+  }
+
   console.log("✅ Seeding complete!");
   console.log("\n📊 Sample Accounts:");
   console.log("Deployer (Superadmin):", deployer.address);
   console.log("Owner 1:", owner1.address);
   console.log("Owner 2:", owner2.address);
   console.log("Buyer 1:", buyer1.address);
+  if (stablecoinAddress) {
+    console.log("mUSD Stablecoin:", stablecoinAddress);
+  }
 }
 
 main()
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployLandRegistry } = require("../scripts/registry");
 
 describe("LandRegistry", function () {
   let landRegistry;
@@ -11,9 +13,7 @@ describe("LandRegistry", function () {
   beforeEach(async function () {
     [owner, addr1, addr2, ...addrs] = await ethers.getSigners();
 
-    const LandRegistry = await ethers.getContractFactory("LandRegistry");
-    landRegistry = await LandRegistry.deploy();
-    await landRegistry.waitForDeployment();
+    landRegistry = await deployLandRegistry();
   });
 
   describe("Deployment", function () {
@@ -200,6 +200,2538 @@ describe("LandRegistry", function () {
     });
   });
 
+  describe("Asking Price", function () {
+    beforeEach(async function () {
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.approveProperty(1, true);
+    });
+
+    it("Should store the asking price and pricing mode", async function () {
+      await landRegistry.connect(addr1).listPropertyWithPricing(1, ethers.parseEther("150"), 1);
+
+      const property = await landRegistry.getProperty(1);
+      expect(property.askingPrice).to.equal(ethers.parseEther("150"));
+      expect(property.pricingMode).to.equal(1); // FixedPrice
+    });
+
+    it("Should reject offers below the asking price", async function () {
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+
+      await expect(
+        landRegistry.connect(addr2).requestToPurchase(
+          1,
+          ethers.parseEther("120"),
+          "",
+          { value: ethers.parseEther("120") }
+        )
+      ).to.be.revertedWith("Offer below asking price");
+    });
+
+    it("Should require fixed price listings to be matched exactly", async function () {
+      await landRegistry.connect(addr1).listPropertyWithPricing(1, ethers.parseEther("150"), 1);
+
+      await expect(
+        landRegistry.connect(addr2).requestToPurchase(
+          1,
+          ethers.parseEther("160"),
+          "",
+          { value: ethers.parseEther("160") }
+        )
+      ).to.be.revertedWith("Offer must match the asking price");
+
+      await landRegistry.connect(addr2).requestToPurchase(
+        1,
+        ethers.parseEther("150"),
+        "",
+        { value: ethers.parseEther("150") }
+      );
+    });
+
+    it("Should let the owner edit the asking price while listed", async function () {
+      await expect(
+        landRegistry.connect(addr1).updateAskingPrice(1, ethers.parseEther("150"), 0)
+      ).to.be.revertedWith("Property is not listed for sale");
+
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+
+      await expect(
+        landRegistry.connect(addr2).updateAskingPrice(1, ethers.parseEther("90"), 0)
+      ).to.be.revertedWith("Only property owner can perform this action");
+
+      await expect(
+        landRegistry.connect(addr1).updateAskingPrice(1, ethers.parseEther("130"), 1)
+      ).to.emit(landRegistry, "AskingPriceUpdated")
+        .withArgs(1, ethers.parseEther("130"), 1);
+
+      const property = await landRegistry.getProperty(1);
+      expect(property.askingPrice).to.equal(ethers.parseEther("130"));
+      expect(property.pricingMode).to.equal(1);
+    });
+
+    it("Should clear the asking price when delisted", async function () {
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+      await landRegistry.connect(addr1).removeFromSale(1);
+
+      expect((await landRegistry.getProperty(1)).askingPrice).to.equal(0);
+    });
+  });
+
+  describe("Competing Offers", function () {
+    beforeEach(async function () {
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.approveProperty(1, true);
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+
+      await landRegistry.connect(addr2).requestToPurchase(
+        1,
+        ethers.parseEther("150"),
+        "QmHash456",
+        { value: ethers.parseEther("150") }
+      );
+      await landRegistry.connect(addrs[0]).requestToPurchase(
+        1,
+        ethers.parseEther("170"),
+        "QmHash789",
+        { value: ethers.parseEther("170") }
+      );
+    });
+
+    it("Should keep the listing open for several escrowed offers", async function () {
+      const property = await landRegistry.getProperty(1);
+      expect(property.status).to.equal(3); // ListedForSale
+
+      expect(await landRegistry.viewRequest(1)).to.deep.equal([1n, 2n]);
+      expect(
+        await ethers.provider.getBalance(await landRegistry.getAddress())
+      ).to.equal(ethers.parseEther("320"));
+    });
+
+    it("Should refund the other offers when the seller accepts one", async function () {
+      await landRegistry.connect(addr1).processPurchaseRequest(2, true);
+
+      expect(await landRegistry.payments(addr2.address)).to.equal(ethers.parseEther("150"));
+      expect(await landRegistry.payments(addrs[0].address)).to.equal(0);
+
+      expect((await landRegistry.getTransaction(1)).status).to.equal(2); // Rejected
+      expect((await landRegistry.getTransaction(2)).status).to.equal(1); // Approved
+      expect((await landRegistry.getProperty(1)).status).to.equal(4); // SaleInProgress
+      expect(await landRegistry.viewRequest(1)).to.deep.equal([]);
+    });
+
+    it("Should keep the listing open when one offer is rejected", async function () {
+      await landRegistry.connect(addr1).processPurchaseRequest(1, false);
+
+      expect((await landRegistry.getProperty(1)).status).to.equal(3); // ListedForSale
+      expect(await landRegistry.viewRequest(1)).to.deep.equal([2n]);
+    });
+  });
+
+  describe("Purchase Cancellation", function () {
+    beforeEach(async function () {
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.approveProperty(1, true);
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+      await landRegistry.connect(addr2).requestToPurchase(
+        1,
+        ethers.parseEther("150"),
+        "QmHash456",
+        { value: ethers.parseEther("150") }
+      );
+    });
+
+    it("Should let the buyer withdraw a pending offer and refund the escrow", async function () {
+      await landRegistry.connect(addr2).cancelPurchaseRequest(1);
+      expect(await landRegistry.payments(addr2.address)).to.equal(ethers.parseEther("150"));
+
+      const transaction = await landRegistry.getTransaction(1);
+      expect(transaction.status).to.equal(4); // Cancelled
+
+      const property = await landRegistry.getProperty(1);
+      expect(property.status).to.equal(3); // ListedForSale
+    });
+
+    it("Should emit PurchaseCancelled", async function () {
+      await expect(landRegistry.connect(addr2).cancelPurchaseRequest(1))
+        .to.emit(landRegistry, "PurchaseCancelled")
+        .withArgs(1, 1, addr2.address);
+    });
+
+    it("Should revert if caller is not the buyer", async function () {
+      await expect(
+        landRegistry.connect(addr1).cancelPurchaseRequest(1)
+      ).to.be.revertedWith("Only buyer can cancel the request");
+    });
+
+    it("Should revert once the seller has approved the request", async function () {
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+
+      await expect(
+        landRegistry.connect(addr2).cancelPurchaseRequest(1)
+      ).to.be.revertedWith("Only pending requests can be cancelled");
+    });
+  });
+
+  describe("Completion Deadline", function () {
+    beforeEach(async function () {
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.approveProperty(1, true);
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+      await landRegistry.connect(addr2).requestToPurchase(
+        1,
+        ethers.parseEther("150"),
+        "QmHash456",
+        { value: ethers.parseEther("150") }
+      );
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+    });
+
+    it("Should store the completion deadline on approval", async function () {
+      const window = await landRegistry.completionWindow();
+      const approvedAt = await time.latest();
+
+      const transaction = await landRegistry.getTransaction(1);
+      expect(transaction.completionDeadline).to.equal(BigInt(approvedAt) + window);
+    });
+
+    it("Should not allow completion after the deadline", async function () {
+      const transaction = await landRegistry.getTransaction(1);
+      await time.increaseTo(transaction.completionDeadline + 1n);
+
+      await expect(
+        landRegistry.connect(addr2).completePurchase(1)
+      ).to.be.revertedWith("Completion deadline has passed");
+    });
+
+    it("Should not allow expiry before the deadline", async function () {
+      await expect(
+        landRegistry.connect(addrs[0]).expirePurchase(1)
+      ).to.be.revertedWith("Completion deadline has not passed");
+    });
+
+    it("Should let anyone expire the sale, refund the buyer and relist", async function () {
+      const transaction = await landRegistry.getTransaction(1);
+      await time.increaseTo(transaction.completionDeadline + 1n);
+
+      await landRegistry.connect(addrs[0]).expirePurchase(1);
+      expect(await landRegistry.payments(addr2.address)).to.equal(ethers.parseEther("150"));
+
+      expect((await landRegistry.getTransaction(1)).status).to.equal(4); // Cancelled
+      expect((await landRegistry.getProperty(1)).status).to.equal(3); // ListedForSale
+    });
+
+    it("Should only let superadmin change the completion window", async function () {
+      await expect(
+        landRegistry.connect(addr1).setCompletionWindow(3600)
+      ).to.be.reverted;
+
+      await landRegistry.setCompletionWindow(3600);
+      expect(await landRegistry.completionWindow()).to.equal(3600);
+    });
+  });
+
+  describe("Delisting", function () {
+    // Sum of payments held for transactions that are still open or approved
+    async function openEscrow() {
+      let total = 0n;
+      const totalProperties = await landRegistry.getTotalProperties();
+      for (let i = 1n; i <= totalProperties; i++) {
+        for (const txId of await landRegistry.getPropertyTransactions(i)) {
+          const transaction = await landRegistry.getTransaction(txId);
+          if ([0n, 1n, 5n].includes(transaction.status)) {
+            total += transaction.price;
+          }
+        }
+      }
+      return total;
+    }
+
+    beforeEach(async function () {
+      for (const surveyNumber of ["SUR-001", "SUR-002"]) {
+        await landRegistry.connect(addr1).registerProperty(
+          "State1",
+          "District1",
+          "Village1",
+          surveyNumber,
+          addr1.address,
+          ethers.parseEther("100"),
+          "QmHash123"
+        );
+      }
+      await landRegistry.approveProperty(1, true);
+      await landRegistry.approveProperty(2, true);
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+      await landRegistry.connect(addr1).listPropertyForSale(2, ethers.parseEther("120"));
+
+      await landRegistry.connect(addr2).requestToPurchase(
+        1,
+        ethers.parseEther("150"),
+        "QmHash456",
+        { value: ethers.parseEther("150") }
+      );
+      await landRegistry.connect(addrs[0]).requestToPurchase(
+        2,
+        ethers.parseEther("120"),
+        "QmHash789",
+        { value: ethers.parseEther("120") }
+      );
+    });
+
+    it("Should cancel and refund a pending offer when delisting", async function () {
+      await landRegistry.connect(addr1).removeFromSale(1);
+      expect(await landRegistry.payments(addr2.address)).to.equal(ethers.parseEther("150"));
+
+      expect((await landRegistry.getTransaction(1)).status).to.equal(4); // Cancelled
+      expect((await landRegistry.getProperty(1)).status).to.equal(1); // Approved
+    });
+
+    it("Should cancel and refund an approved offer when delisting", async function () {
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+
+      await expect(landRegistry.connect(addr1).removeFromSale(1))
+        .to.emit(landRegistry, "PurchaseCancelled")
+        .withArgs(1, 1, addr2.address);
+
+      await expect(
+        landRegistry.connect(addr2).completePurchase(1)
+      ).to.be.revertedWith("Transaction must be approved first");
+    });
+
+    it("Should leave the contract balance equal to open escrow plus credited refunds", async function () {
+      const registryAddress = await landRegistry.getAddress();
+      const credited = async () =>
+        (await landRegistry.payments(addr2.address)) + (await landRegistry.payments(addrs[0].address));
+
+      expect(await ethers.provider.getBalance(registryAddress)).to.equal(await openEscrow());
+
+      await landRegistry.connect(addr1).removeFromSale(1);
+
+      expect(await openEscrow()).to.equal(ethers.parseEther("120"));
+      expect(await ethers.provider.getBalance(registryAddress)).to.equal(
+        (await openEscrow()) + (await credited())
+      );
+
+      await landRegistry.connect(addr1).removeFromSale(2);
+      await landRegistry.connect(addr2).withdraw();
+      await landRegistry.connect(addrs[0]).withdraw();
+
+      expect(await openEscrow()).to.equal(0n);
+      expect(await ethers.provider.getBalance(registryAddress)).to.equal(0n);
+    });
+  });
+
+  describe("Counter-Offer Negotiation", function () {
+    beforeEach(async function () {
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.approveProperty(1, true);
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+      await landRegistry.connect(addr2).requestToPurchase(
+        1,
+        ethers.parseEther("150"),
+        "QmHash456",
+        { value: ethers.parseEther("150") }
+      );
+    });
+
+    it("Should let the seller counter a pending offer", async function () {
+      await expect(
+        landRegistry.connect(addr1).counterOffer(1, ethers.parseEther("180"))
+      )
+        .to.emit(landRegistry, "CounterOffered")
+        .withArgs(1, addr1.address, ethers.parseEther("180"));
+
+      const transaction = await landRegistry.getTransaction(1);
+      expect(transaction.status).to.equal(5); // Countered
+      expect(transaction.price).to.equal(ethers.parseEther("150"));
+      expect(await landRegistry.viewRequest(1)).to.deep.equal([1n]);
+
+      await expect(
+        landRegistry.connect(addr1).processPurchaseRequest(1, true)
+      ).to.be.revertedWith("Awaiting buyer response to counter-offer");
+    });
+
+    it("Should top up escrow when the buyer accepts a counter-offer", async function () {
+      await landRegistry.connect(addr1).counterOffer(1, ethers.parseEther("180"));
+
+      await expect(
+        landRegistry.connect(addr2).acceptCounterOffer(1, { value: ethers.parseEther("10") })
+      ).to.be.revertedWith("Payment must cover the price difference");
+
+      await expect(
+        landRegistry.connect(addr2).acceptCounterOffer(1, { value: ethers.parseEther("30") })
+      ).to.changeEtherBalances(
+        [addr2, landRegistry],
+        [-ethers.parseEther("30"), ethers.parseEther("30")]
+      );
+
+      const transaction = await landRegistry.getTransaction(1);
+      expect(transaction.status).to.equal(1); // Approved
+      expect(transaction.price).to.equal(ethers.parseEther("180"));
+      expect((await landRegistry.getProperty(1)).status).to.equal(4); // SaleInProgress
+
+      await landRegistry.connect(addr2).completePurchase(1);
+      expect((await landRegistry.getProperty(1)).owner).to.equal(addr2.address);
+    });
+
+    it("Should refund the difference when the buyer counters back lower", async function () {
+      await landRegistry.connect(addr1).counterOffer(1, ethers.parseEther("200"));
+
+      await landRegistry.connect(addr2).counterOffer(1, ethers.parseEther("140"));
+      expect(await landRegistry.payments(addr2.address)).to.equal(ethers.parseEther("10"));
+
+      const transaction = await landRegistry.getTransaction(1);
+      expect(transaction.status).to.equal(0); // Pending
+      expect(transaction.price).to.equal(ethers.parseEther("140"));
+
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+      expect((await landRegistry.getTransaction(1)).status).to.equal(1); // Approved
+    });
+
+    it("Should record every round of the negotiation", async function () {
+      await landRegistry.connect(addr1).counterOffer(1, ethers.parseEther("200"));
+      await landRegistry.connect(addr2).counterOffer(1, ethers.parseEther("170"), {
+        value: ethers.parseEther("20")
+      });
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+
+      const rounds = await landRegistry.getNegotiation(1);
+      expect(rounds.map((round) => round.party)).to.deep.equal([
+        addr2.address,
+        addr1.address,
+        addr2.address,
+        addr1.address
+      ]);
+      expect(rounds.map((round) => round.action)).to.deep.equal([0n, 1n, 1n, 2n]); // Offer, Counter, Counter, Accept
+      expect(rounds.map((round) => round.price)).to.deep.equal([
+        ethers.parseEther("150"),
+        ethers.parseEther("200"),
+        ethers.parseEther("170"),
+        ethers.parseEther("170")
+      ]);
+    });
+
+    it("Should let the buyer walk away from a counter-offer", async function () {
+      await landRegistry.connect(addr1).counterOffer(1, ethers.parseEther("200"));
+
+      await landRegistry.connect(addr2).cancelPurchaseRequest(1);
+
+      expect(await landRegistry.payments(addr2.address)).to.equal(ethers.parseEther("150"));
+      expect((await landRegistry.getTransaction(1)).status).to.equal(4); // Cancelled
+    });
+
+    it("Should enforce whose turn it is", async function () {
+      await expect(
+        landRegistry.connect(addr2).counterOffer(1, ethers.parseEther("140"))
+      ).to.be.revertedWith("Only seller can counter a pending offer");
+      await expect(
+        landRegistry.connect(addr2).acceptCounterOffer(1)
+      ).to.be.revertedWith("No counter-offer to accept");
+
+      await landRegistry.connect(addr1).counterOffer(1, ethers.parseEther("200"));
+
+      await expect(
+        landRegistry.connect(addr1).counterOffer(1, ethers.parseEther("190"))
+      ).to.be.revertedWith("Only buyer can respond to a counter-offer");
+      await expect(
+        landRegistry.connect(addr1).acceptCounterOffer(1)
+      ).to.be.revertedWith("Only buyer can accept a counter-offer");
+    });
+
+    it("Should not allow negotiation on fixed-price listings", async function () {
+      await landRegistry.connect(addr2).cancelPurchaseRequest(1);
+      await landRegistry.connect(addr1).updateAskingPrice(1, ethers.parseEther("150"), 1);
+      await landRegistry.connect(addr2).requestToPurchase(
+        1,
+        ethers.parseEther("150"),
+        "QmHash456",
+        { value: ethers.parseEther("150") }
+      );
+
+      await expect(
+        landRegistry.connect(addr1).counterOffer(2, ethers.parseEther("200"))
+      ).to.be.revertedWith("Fixed-price listings are not negotiable");
+    });
+  });
+
+  describe("Pull Payments", function () {
+    beforeEach(async function () {
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.approveProperty(1, true);
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+    });
+
+    it("Should credit the seller on completion and pay out on withdraw", async function () {
+      await landRegistry.connect(addr2).requestToPurchase(
+        1,
+        ethers.parseEther("150"),
+        "QmHash456",
+        { value: ethers.parseEther("150") }
+      );
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+
+      await expect(landRegistry.connect(addr2).completePurchase(1))
+        .to.emit(landRegistry, "PaymentCredited")
+        .withArgs(addr1.address, ethers.ZeroAddress, ethers.parseEther("150"));
+      expect(await landRegistry.payments(addr1.address)).to.equal(ethers.parseEther("150"));
+
+      await expect(
+        landRegistry.connect(addr1).withdraw()
+      ).to.changeEtherBalances(
+        [addr1, landRegistry],
+        [ethers.parseEther("150"), -ethers.parseEther("150")]
+      );
+      expect(await landRegistry.payments(addr1.address)).to.equal(0);
+
+      await expect(
+        landRegistry.connect(addr1).withdraw()
+      ).to.be.revertedWith("No funds to withdraw");
+    });
+
+    it("Should credit an offer's overpayment back to the buyer", async function () {
+      await expect(
+        landRegistry.connect(addr2).requestToPurchase(1, ethers.parseEther("150"), "", { value: ethers.parseEther("160") })
+      ).to.emit(landRegistry, "PaymentCredited")
+        .withArgs(addr2.address, ethers.ZeroAddress, ethers.parseEther("10"));
+      expect(await landRegistry.payments(addr2.address)).to.equal(ethers.parseEther("10"));
+
+      await landRegistry.connect(addr1).processPurchaseRequest(1, false);
+      expect(await landRegistry.payments(addr2.address)).to.equal(ethers.parseEther("160"));
+    });
+
+    it("Should not let a buyer that rejects ETH block the seller", async function () {
+      const RejectingBuyer = await ethers.getContractFactory("RejectingBuyer");
+      const buyer = await RejectingBuyer.deploy(await landRegistry.getAddress());
+      await buyer.waitForDeployment();
+      const buyerAddress = await buyer.getAddress();
+
+      await buyer.makeOffer(1, "QmHash456", { value: ethers.parseEther("150") });
+      await landRegistry.connect(addr1).processPurchaseRequest(1, false);
+
+      expect((await landRegistry.getTransaction(1)).status).to.equal(2); // Rejected
+      expect(await landRegistry.payments(buyerAddress)).to.equal(ethers.parseEther("150"));
+
+      await expect(buyer.withdraw()).to.be.revertedWith("Withdrawal failed");
+
+      await buyer.setAcceptPayments(true);
+      await expect(buyer.withdraw())
+        .to.emit(landRegistry, "PaymentWithdrawn")
+        .withArgs(buyerAddress, ethers.ZeroAddress, ethers.parseEther("150"));
+      expect(await ethers.provider.getBalance(buyerAddress)).to.equal(ethers.parseEther("150"));
+    });
+  });
+
+  describe("Stablecoin Settlement", function () {
+    let stablecoin;
+    let stablecoinAddress;
+    let registryAddress;
+    const usd = (amount) => ethers.parseUnits(amount, 6);
+
+    beforeEach(async function () {
+      const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+      stablecoin = await MockStablecoin.deploy();
+      await stablecoin.waitForDeployment();
+      stablecoinAddress = await stablecoin.getAddress();
+      registryAddress = await landRegistry.getAddress();
+
+      await stablecoin.mint(addr2.address, usd("500000"));
+      await landRegistry.setAcceptedToken(stablecoinAddress, true);
+
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.approveProperty(1, true);
+    });
+
+    it("Should only let superadmin allow-list tokens", async function () {
+      await expect(
+        landRegistry.connect(addr1).setAcceptedToken(stablecoinAddress, false)
+      ).to.be.reverted;
+
+      expect(await landRegistry.getAcceptedTokens()).to.deep.equal([stablecoinAddress]);
+
+      await expect(landRegistry.setAcceptedToken(stablecoinAddress, false))
+        .to.emit(landRegistry, "PaymentTokenUpdated")
+        .withArgs(stablecoinAddress, false);
+      expect(await landRegistry.getAcceptedTokens()).to.deep.equal([]);
+      expect(await landRegistry.getPaymentTokens()).to.deep.equal([stablecoinAddress]);
+
+      await expect(
+        landRegistry.connect(addr1).listPropertyWithPaymentToken(1, usd("250000"), 0, stablecoinAddress)
+      ).to.be.revertedWith("Payment token not accepted");
+    });
+
+    it("Should escrow the token on offer and credit the seller on completion", async function () {
+      await landRegistry.connect(addr1).listPropertyWithPaymentToken(1, usd("250000"), 0, stablecoinAddress);
+      expect((await landRegistry.getProperty(1)).paymentToken).to.equal(stablecoinAddress);
+
+      await expect(
+        landRegistry.connect(addr2).requestToPurchase(1, usd("250000"), "QmHash456")
+      ).to.be.reverted; // No allowance yet
+
+      await stablecoin.connect(addr2).approve(registryAddress, usd("250000"));
+      await expect(
+        landRegistry.connect(addr2).requestToPurchase(1, usd("250000"), "QmHash456")
+      ).to.changeTokenBalances(stablecoin, [addr2, landRegistry], [-usd("250000"), usd("250000")]);
+
+      const transaction = await landRegistry.getTransaction(1);
+      expect(transaction.paymentToken).to.equal(stablecoinAddress);
+
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+      await landRegistry.connect(addr2).completePurchase(1);
+
+      expect(await landRegistry.tokenPayments(addr1.address, stablecoinAddress)).to.equal(usd("250000"));
+      expect(await landRegistry.payments(addr1.address)).to.equal(0);
+
+      await expect(
+        landRegistry.connect(addr1).withdrawToken(stablecoinAddress)
+      ).to.changeTokenBalances(stablecoin, [addr1, landRegistry], [usd("250000"), -usd("250000")]);
+    });
+
+    it("Should refuse ETH on a token listing", async function () {
+      await landRegistry.connect(addr1).listPropertyWithPaymentToken(1, usd("250000"), 0, stablecoinAddress);
+      await stablecoin.connect(addr2).approve(registryAddress, usd("250000"));
+
+      await expect(
+        landRegistry.connect(addr2).requestToPurchase(1, usd("250000"), "QmHash456", { value: 1 })
+      ).to.be.revertedWith("Listing is priced in a token, not ETH");
+    });
+
+    it("Should credit token refunds when an offer is rejected", async function () {
+      await landRegistry.connect(addr1).listPropertyWithPaymentToken(1, usd("250000"), 0, stablecoinAddress);
+      await stablecoin.connect(addr2).approve(registryAddress, usd("250000"));
+      await landRegistry.connect(addr2).requestToPurchase(1, usd("250000"), "QmHash456");
+
+      await landRegistry.connect(addr1).processPurchaseRequest(1, false);
+
+      expect(await landRegistry.tokenPayments(addr2.address, stablecoinAddress)).to.equal(usd("250000"));
+      await expect(
+        landRegistry.connect(addr2).withdraw()
+      ).to.be.revertedWith("No funds to withdraw");
+
+      await landRegistry.connect(addr2).withdrawToken(stablecoinAddress);
+      expect(await stablecoin.balanceOf(addr2.address)).to.equal(usd("500000"));
+    });
+
+    it("Should collect a counter-offer top-up in the listing token", async function () {
+      await landRegistry.connect(addr1).listPropertyWithPaymentToken(1, usd("250000"), 0, stablecoinAddress);
+      await stablecoin.connect(addr2).approve(registryAddress, usd("250000"));
+      await landRegistry.connect(addr2).requestToPurchase(1, usd("250000"), "QmHash456");
+      await landRegistry.connect(addr1).counterOffer(1, usd("260000"));
+
+      await stablecoin.connect(addr2).approve(registryAddress, usd("10000"));
+      await landRegistry.connect(addr2).acceptCounterOffer(1);
+
+      expect((await landRegistry.getTransaction(1)).price).to.equal(usd("260000"));
+      expect(await stablecoin.balanceOf(registryAddress)).to.equal(usd("260000"));
+    });
+
+    it("Should reset the listing currency when delisted", async function () {
+      await landRegistry.connect(addr1).listPropertyWithPaymentToken(1, usd("250000"), 0, stablecoinAddress);
+      await landRegistry.connect(addr1).removeFromSale(1);
+
+      expect((await landRegistry.getProperty(1)).paymentToken).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  describe("Installment Purchases", function () {
+    const DAY = 24 * 60 * 60;
+
+    beforeEach(async function () {
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.approveProperty(1, true);
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("100"));
+
+      // 40 ETH down, then 3 monthly installments of 20 ETH; seller keeps 25% on default
+      await landRegistry.connect(addr2).requestInstallmentPurchase(
+        1,
+        ethers.parseEther("100"),
+        "QmHash456",
+        ethers.parseEther("40"),
+        3,
+        30 * DAY,
+        2500,
+        { value: ethers.parseEther("40") }
+      );
+    });
+
+    it("Should escrow only the down payment with the offer", async function () {
+      const plan = await landRegistry.getInstallmentPlan(1);
+      expect(plan.downPayment).to.equal(ethers.parseEther("40"));
+      expect(plan.amountPaid).to.equal(ethers.parseEther("40"));
+      expect(plan.installmentCount).to.equal(3);
+
+      expect(
+        await ethers.provider.getBalance(await landRegistry.getAddress())
+      ).to.equal(ethers.parseEther("40"));
+    });
+
+    it("Should transfer ownership only after the final installment", async function () {
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+
+      await expect(
+        landRegistry.connect(addr2).completePurchase(1)
+      ).to.be.revertedWith("Installments outstanding");
+
+      for (let i = 1; i <= 3; i++) {
+        expect((await landRegistry.getProperty(1)).owner).to.equal(addr1.address);
+        await expect(
+          landRegistry.connect(addr2).payInstallment(1, { value: ethers.parseEther("20") })
+        )
+          .to.emit(landRegistry, "InstallmentPaid")
+          .withArgs(1, i, ethers.parseEther("20"));
+        await time.increase(29 * DAY);
+      }
+
+      expect((await landRegistry.getProperty(1)).owner).to.equal(addr2.address);
+      expect((await landRegistry.getTransaction(1)).status).to.equal(3); // Completed
+      expect(await landRegistry.payments(addr1.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should hold a paid-off plan for legal attestation without letting it default", async function () {
+      const lawyer = addrs[0];
+      await landRegistry.registerUser(lawyer.address, await landRegistry.LEGAL_PROFESSIONAL_ROLE(), "Legal Professional");
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+      await landRegistry.connect(addr1).appointLawyer(1, lawyer.address);
+      await landRegistry.connect(addr2).appointLawyer(1, lawyer.address);
+
+      for (let i = 1; i <= 3; i++) {
+        await landRegistry.connect(addr2).payInstallment(1, { value: ethers.parseEther("20") });
+        await time.increase(29 * DAY);
+      }
+      expect((await landRegistry.getInstallmentPlan(1)).amountPaid).to.equal(ethers.parseEther("100"));
+      expect((await landRegistry.getProperty(1)).owner).to.equal(addr1.address);
+
+      await time.increase(90 * DAY);
+      await expect(
+        landRegistry.connect(addrs[1]).declareInstallmentDefault(1)
+      ).to.be.revertedWith("Installment plan is paid off");
+
+      await landRegistry.connect(lawyer).attestSale(1, "QmDeed");
+      await landRegistry.connect(addr2).completePurchase(1);
+      expect((await landRegistry.getProperty(1)).owner).to.equal(addr2.address);
+      expect(await landRegistry.payments(addr1.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should require the exact installment amount", async function () {
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+
+      await expect(
+        landRegistry.connect(addr2).payInstallment(1, { value: ethers.parseEther("10") })
+      ).to.be.revertedWith("Payment must equal the installment amount");
+      expect(await landRegistry.nextInstallmentAmount(1)).to.equal(ethers.parseEther("20"));
+    });
+
+    it("Should split the paid amount by plan terms on default", async function () {
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+      await landRegistry.connect(addr2).payInstallment(1, { value: ethers.parseEther("20") });
+
+      await expect(
+        landRegistry.connect(addrs[0]).declareInstallmentDefault(1)
+      ).to.be.revertedWith("No installment is overdue");
+
+      await time.increase(61 * DAY);
+
+      await expect(
+        landRegistry.connect(addr2).payInstallment(1, { value: ethers.parseEther("20") })
+      ).to.be.revertedWith("Installment is overdue");
+
+      await expect(landRegistry.connect(addrs[0]).declareInstallmentDefault(1))
+        .to.emit(landRegistry, "InstallmentPlanDefaulted")
+        .withArgs(1, ethers.parseEther("15"), ethers.parseEther("45"));
+
+      expect(await landRegistry.payments(addr1.address)).to.equal(ethers.parseEther("15"));
+      expect(await landRegistry.payments(addr2.address)).to.equal(ethers.parseEther("45"));
+      expect((await landRegistry.getTransaction(1)).status).to.equal(4); // Cancelled
+      expect((await landRegistry.getProperty(1)).status).to.equal(3); // ListedForSale
+      expect((await landRegistry.getProperty(1)).owner).to.equal(addr1.address);
+    });
+
+    it("Should refund only the down payment when a plan offer is rejected", async function () {
+      await landRegistry.connect(addr1).processPurchaseRequest(1, false);
+      expect(await landRegistry.payments(addr2.address)).to.equal(ethers.parseEther("40"));
+    });
+
+    it("Should validate plan terms", async function () {
+      await expect(
+        landRegistry.connect(addrs[0]).requestInstallmentPurchase(
+          1, ethers.parseEther("100"), "", ethers.parseEther("100"), 3, 30 * DAY, 0,
+          { value: ethers.parseEther("100") }
+        )
+      ).to.be.revertedWith("Invalid down payment");
+      await expect(
+        landRegistry.connect(addrs[0]).requestInstallmentPurchase(
+          1, ethers.parseEther("100"), "", ethers.parseEther("40"), 3, 30 * DAY, 10001,
+          { value: ethers.parseEther("40") }
+        )
+      ).to.be.revertedWith("Forfeit share cannot exceed 100%");
+      await expect(
+        landRegistry.connect(addr1).counterOffer(1, ethers.parseEther("120"))
+      ).to.be.revertedWith("Installment offers cannot be countered");
+    });
+  });
+
+  describe("Fees", function () {
+    let government;
+    let treasury;
+
+    beforeEach(async function () {
+      [government, treasury] = addrs;
+      await landRegistry.registerUser(
+        government.address,
+        await landRegistry.GOVERNMENT_ROLE(),
+        "Government"
+      );
+      await landRegistry.connect(government).setTreasury(treasury.address);
+    });
+
+    it("Should charge the registration fee into the treasury", async function () {
+      await landRegistry.connect(government).setStateFees(
+        "State1",
+        0, // Flat
+        ethers.parseEther("0.5"),
+        1, // BasisPoints
+        200
+      );
+      expect(
+        await landRegistry.quoteRegistrationFee("State1", ethers.parseEther("100"))
+      ).to.equal(ethers.parseEther("0.5"));
+
+      await expect(
+        landRegistry.connect(addr1).registerProperty(
+          "State1",
+          "District1",
+          "Village1",
+          "SUR-001",
+          addr1.address,
+          ethers.parseEther("100"),
+          "QmHash123"
+        )
+      ).to.be.revertedWith("Incorrect registration fee");
+
+      await expect(
+        landRegistry.connect(addr1).registerProperty(
+          "State1",
+          "District1",
+          "Village1",
+          "SUR-001",
+          addr1.address,
+          ethers.parseEther("100"),
+          "QmHash123",
+          { value: ethers.parseEther("0.5") }
+        )
+      ).to.emit(landRegistry, "FeeCollected")
+        .withArgs(1, 0, ethers.ZeroAddress, ethers.parseEther("0.5"));
+      expect(await landRegistry.payments(treasury.address)).to.equal(ethers.parseEther("0.5"));
+
+      // Other states are unaffected
+      await landRegistry.connect(addr1).registerProperty(
+        "State2",
+        "District1",
+        "Village1",
+        "SUR-002",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+    });
+
+    it("Should deduct the transfer fee from escrow at completion", async function () {
+      await landRegistry.connect(government).setStateFees("State1", 0, 0, 1, 200); // 2%
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.approveProperty(1, true);
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+      expect(
+        await landRegistry.quoteTransferFee(1, ethers.parseEther("150"))
+      ).to.equal(ethers.parseEther("3"));
+
+      await landRegistry.connect(addr2).requestToPurchase(
+        1,
+        ethers.parseEther("150"),
+        "QmHash456",
+        { value: ethers.parseEther("150") }
+      );
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+
+      await expect(landRegistry.connect(addr2).completePurchase(1))
+        .to.emit(landRegistry, "FeeCollected")
+        .withArgs(1, 1, ethers.ZeroAddress, ethers.parseEther("3"));
+
+      expect(await landRegistry.payments(addr1.address)).to.equal(ethers.parseEther("147"));
+      expect(await landRegistry.payments(treasury.address)).to.equal(ethers.parseEther("3"));
+      expect((await landRegistry.getTransaction(1)).fee).to.equal(ethers.parseEther("3"));
+    });
+
+    it("Should cap a flat transfer fee at the sale price", async function () {
+      await landRegistry.connect(government).setStateFees("State1", 0, 0, 0, ethers.parseEther("500"));
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+
+      expect(
+        await landRegistry.quoteTransferFee(1, ethers.parseEther("150"))
+      ).to.equal(ethers.parseEther("150"));
+    });
+
+    it("Should charge a flat transfer fee in the sale's own currency", async function () {
+      const usd = (amount) => ethers.parseUnits(amount, 6);
+      const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+      const stablecoin = await MockStablecoin.deploy();
+      const stablecoinAddress = await stablecoin.getAddress();
+      await stablecoin.mint(addr2.address, usd("250000"));
+      await stablecoin.connect(addr2).approve(await landRegistry.getAddress(), usd("250000"));
+      await landRegistry.setAcceptedToken(stablecoinAddress, true);
+
+      await landRegistry.connect(government).setStateFees("State1", 0, 0, 0, ethers.parseEther("0.01"));
+      await landRegistry.connect(addr1).registerProperty(
+        "State1", "District1", "Village1", "SUR-001", addr1.address, ethers.parseEther("100"), ""
+      );
+      await landRegistry.approveProperty(1, true);
+      await landRegistry.connect(addr1).listPropertyWithPaymentToken(1, usd("250000"), 0, stablecoinAddress);
+
+      // The wei amount is never applied to a token sale; the token's own flat fee is
+      expect(await landRegistry.quoteTransferFee(1, usd("250000"))).to.equal(0);
+      await expect(
+        landRegistry.connect(addr1).setTokenTransferFee("State1", stablecoinAddress, usd("25"))
+      ).to.be.revertedWithCustomError(landRegistry, "AccessControlUnauthorizedAccount");
+      await expect(
+        landRegistry.connect(government).setTokenTransferFee("State1", addr2.address, usd("25"))
+      ).to.be.revertedWith("Payment token not accepted");
+      await expect(landRegistry.connect(government).setTokenTransferFee("State1", stablecoinAddress, usd("25")))
+        .to.emit(landRegistry, "TokenTransferFeeUpdated")
+        .withArgs("State1", stablecoinAddress, usd("25"));
+      expect(await landRegistry.getTokenTransferFee("State1", stablecoinAddress)).to.equal(usd("25"));
+      expect(await landRegistry.quoteTransferFee(1, usd("250000"))).to.equal(usd("25"));
+
+      await landRegistry.connect(addr2).requestToPurchase(1, usd("250000"), "");
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+      await expect(landRegistry.connect(addr2).completePurchase(1))
+        .to.emit(landRegistry, "FeeCollected")
+        .withArgs(1, 1, stablecoinAddress, usd("25"));
+
+      expect(await landRegistry.tokenPayments(addr1.address, stablecoinAddress)).to.equal(usd("249975"));
+      expect(await landRegistry.tokenPayments(treasury.address, stablecoinAddress)).to.equal(usd("25"));
+    });
+
+    it("Should only let government set fees and the treasury", async function () {
+      await expect(
+        landRegistry.connect(addr1).setStateFees("State1", 0, 1, 0, 1)
+      ).to.be.revertedWithCustomError(landRegistry, "AccessControlUnauthorizedAccount");
+      await expect(
+        landRegistry.connect(addr1).setTreasury(addr1.address)
+      ).to.be.revertedWithCustomError(landRegistry, "AccessControlUnauthorizedAccount");
+
+      await expect(
+        landRegistry.connect(government).setStateFees("State1", 1, 10001, 0, 0)
+      ).to.be.revertedWith("Fee cannot exceed 100%");
+      await expect(
+        landRegistry.connect(government).setTreasury(ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid treasury address");
+    });
+  });
+
+  describe("Legal Attestation", function () {
+    let lawyer;
+    let otherLawyer;
+
+    beforeEach(async function () {
+      [lawyer, otherLawyer] = addrs;
+      const LEGAL_PROFESSIONAL_ROLE = await landRegistry.LEGAL_PROFESSIONAL_ROLE();
+      await landRegistry.registerUser(lawyer.address, LEGAL_PROFESSIONAL_ROLE, "Legal Professional");
+      await landRegistry.registerUser(otherLawyer.address, LEGAL_PROFESSIONAL_ROLE, "Legal Professional");
+
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.approveProperty(1, true);
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+      await landRegistry.connect(addr2).requestToPurchase(
+        1,
+        ethers.parseEther("150"),
+        "QmHash456",
+        { value: ethers.parseEther("150") }
+      );
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+    });
+
+    it("Should assign a lawyer once both parties nominate them", async function () {
+      await expect(landRegistry.connect(addr1).appointLawyer(1, lawyer.address))
+        .to.emit(landRegistry, "LawyerNominated")
+        .withArgs(1, addr1.address, lawyer.address);
+      expect((await landRegistry.getLegalReview(1)).status).to.equal(0); // None
+
+      await expect(landRegistry.connect(addr2).appointLawyer(1, lawyer.address))
+        .to.emit(landRegistry, "LawyerAssigned")
+        .withArgs(1, lawyer.address);
+
+      const review = await landRegistry.getLegalReview(1);
+      expect(review.lawyer).to.equal(lawyer.address);
+      expect(review.status).to.equal(1); // Assigned
+      expect(await landRegistry.getLawyerTransactions(lawyer.address)).to.deep.equal([1n]);
+    });
+
+    it("Should block completion until the lawyer attests the deed", async function () {
+      await landRegistry.connect(addr1).appointLawyer(1, lawyer.address);
+      await landRegistry.connect(addr2).appointLawyer(1, lawyer.address);
+
+      await expect(
+        landRegistry.connect(addr2).completePurchase(1)
+      ).to.be.revertedWith("Legal attestation required");
+      await expect(
+        landRegistry.connect(otherLawyer).attestSale(1, "QmDeed")
+      ).to.be.revertedWith("Only the assigned lawyer can review");
+      await expect(
+        landRegistry.connect(lawyer).attestSale(1, "")
+      ).to.be.revertedWith("Sale deed is required");
+
+      await expect(landRegistry.connect(lawyer).attestSale(1, "QmDeed"))
+        .to.emit(landRegistry, "SaleAttested")
+        .withArgs(1, lawyer.address, "QmDeed");
+      expect((await landRegistry.getLegalReview(1)).deedHash).to.equal("QmDeed");
+
+      await landRegistry.connect(addr2).completePurchase(1);
+      expect((await landRegistry.getProperty(1)).owner).to.equal(addr2.address);
+    });
+
+    it("Should let the parties appoint another lawyer after a decline", async function () {
+      await landRegistry.connect(addr1).appointLawyer(1, lawyer.address);
+      await landRegistry.connect(addr2).appointLawyer(1, lawyer.address);
+
+      await expect(landRegistry.connect(lawyer).declineAttestation(1))
+        .to.emit(landRegistry, "AttestationDeclined")
+        .withArgs(1, lawyer.address);
+      await expect(
+        landRegistry.connect(addr2).completePurchase(1)
+      ).to.be.revertedWith("Legal attestation required");
+
+      await landRegistry.connect(addr1).appointLawyer(1, otherLawyer.address);
+      await landRegistry.connect(addr2).appointLawyer(1, otherLawyer.address);
+      await landRegistry.connect(otherLawyer).attestSale(1, "QmDeed");
+      await landRegistry.connect(addr2).completePurchase(1);
+    });
+
+    it("Should only accept legal professionals independent of the sale", async function () {
+      await expect(
+        landRegistry.connect(addr1).appointLawyer(1, addrs[2].address)
+      ).to.be.revertedWith("Not a legal professional");
+      await expect(
+        landRegistry.connect(addrs[2]).appointLawyer(1, lawyer.address)
+      ).to.be.revertedWith("Only the buyer or seller can appoint a lawyer");
+
+      await landRegistry.connect(addr1).appointLawyer(1, lawyer.address);
+      await landRegistry.connect(addr2).appointLawyer(1, lawyer.address);
+      await expect(
+        landRegistry.connect(addr1).appointLawyer(1, otherLawyer.address)
+      ).to.be.revertedWith("Lawyer already assigned");
+    });
+
+    it("Should complete without a lawyer when none is appointed", async function () {
+      await landRegistry.connect(addr1).appointLawyer(1, lawyer.address);
+      await landRegistry.connect(addr2).completePurchase(1);
+      expect((await landRegistry.getProperty(1)).owner).to.equal(addr2.address);
+    });
+  });
+
+  describe("Government Sign-Off", function () {
+    let government;
+
+    beforeEach(async function () {
+      [government] = addrs;
+      await landRegistry.registerUser(
+        government.address,
+        await landRegistry.GOVERNMENT_ROLE(),
+        "Government Authority"
+      );
+      await landRegistry.setSignOffThreshold(ethers.ZeroAddress, ethers.parseEther("100"));
+
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.approveProperty(1, true);
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("50"));
+    });
+
+    it("Should require sign-off before completing an above-threshold transfer", async function () {
+      await landRegistry.connect(addr2).requestToPurchase(
+        1,
+        ethers.parseEther("150"),
+        "QmHash456",
+        { value: ethers.parseEther("150") }
+      );
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+
+      expect(await landRegistry.getTransfersAwaitingSignOff()).to.deep.equal([1n]);
+      await expect(
+        landRegistry.connect(addr2).completePurchase(1)
+      ).to.be.revertedWith("Government sign-off required");
+
+      await expect(landRegistry.connect(government).signOffTransfer(1))
+        .to.emit(landRegistry, "TransferSignedOff")
+        .withArgs(1, government.address);
+
+      const signOff = await landRegistry.getGovernmentSignOff(1);
+      expect(signOff.approvedBy).to.equal(government.address);
+      expect(signOff.approvedAt).to.equal(await time.latest());
+      expect(await landRegistry.getTransfersAwaitingSignOff()).to.deep.equal([]);
+
+      await landRegistry.connect(addr2).completePurchase(1);
+      expect((await landRegistry.getProperty(1)).owner).to.equal(addr2.address);
+    });
+
+    it("Should not require sign-off at or below the threshold", async function () {
+      await landRegistry.connect(addr2).requestToPurchase(
+        1,
+        ethers.parseEther("100"),
+        "QmHash456",
+        { value: ethers.parseEther("100") }
+      );
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+
+      expect((await landRegistry.getGovernmentSignOff(1)).required).to.be.false;
+      await expect(
+        landRegistry.connect(government).signOffTransfer(1)
+      ).to.be.revertedWith("Sign-off not required");
+
+      await landRegistry.connect(addr2).completePurchase(1);
+    });
+
+    it("Should only let government sign off, once", async function () {
+      await landRegistry.connect(addr2).requestToPurchase(
+        1,
+        ethers.parseEther("150"),
+        "QmHash456",
+        { value: ethers.parseEther("150") }
+      );
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+
+      await expect(
+        landRegistry.connect(addr1).signOffTransfer(1)
+      ).to.be.revertedWithCustomError(landRegistry, "AccessControlUnauthorizedAccount");
+
+      await landRegistry.connect(government).signOffTransfer(1);
+      await expect(
+        landRegistry.connect(government).signOffTransfer(1)
+      ).to.be.revertedWith("Transfer already signed off");
+    });
+  });
+
+  describe("Village Jurisdiction", function () {
+    let villageAdmin;
+
+    beforeEach(async function () {
+      [villageAdmin] = addrs;
+      await landRegistry.addSuperAdmin(villageAdmin.address, ["Village1"], "Village Superadmin");
+
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village2",
+        "SUR-002",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+    });
+
+    it("Should limit approval to the admin's assigned villages", async function () {
+      await landRegistry.connect(villageAdmin).approveProperty(1, true);
+      expect((await landRegistry.getProperty(1)).status).to.equal(1); // Approved
+
+      await expect(
+        landRegistry.connect(villageAdmin).approveProperty(2, true)
+      ).to.be.revertedWith("Property is outside your jurisdiction");
+    });
+
+    it("Should match villages regardless of case and surrounding spaces", async function () {
+      await landRegistry.connect(addr2).registerProperty(
+        "State1", "District1", " village1 ", "SUR-003", addr2.address, ethers.parseEther("100"), ""
+      );
+      await landRegistry.connect(villageAdmin).approveProperty(3, true);
+      expect((await landRegistry.getProperty(3)).status).to.equal(1); // Approved
+
+      expect(await landRegistry.isInJurisdiction(villageAdmin.address, "VILLAGE1")).to.be.true;
+      await expect(
+        landRegistry.assignVillage(villageAdmin.address, "village1")
+      ).to.be.revertedWith("Village already assigned");
+      await expect(
+        landRegistry.assignVillage(villageAdmin.address, "  ")
+      ).to.be.revertedWith("Village is required");
+      await landRegistry.unassignVillage(villageAdmin.address, "VILLAGE1 ");
+      expect(await landRegistry.getSuperadminVillages(villageAdmin.address)).to.deep.equal([]);
+    });
+
+    it("Should let the deployer approve in any village", async function () {
+      expect(await landRegistry.globalSuperadmins(owner.address)).to.be.true;
+      expect(await landRegistry.globalSuperadmins(villageAdmin.address)).to.be.false;
+
+      await landRegistry.approveProperty(2, true);
+      expect((await landRegistry.getProperty(2)).status).to.equal(1); // Approved
+    });
+
+    it("Should add and remove village assignments", async function () {
+      await expect(landRegistry.assignVillage(villageAdmin.address, "Village2"))
+        .to.emit(landRegistry, "VillageAssigned")
+        .withArgs(villageAdmin.address, "Village2");
+      expect(await landRegistry.getSuperadminVillages(villageAdmin.address))
+        .to.deep.equal(["Village1", "Village2"]);
+      await expect(
+        landRegistry.assignVillage(villageAdmin.address, "Village2")
+      ).to.be.revertedWith("Village already assigned");
+
+      await landRegistry.connect(villageAdmin).approveProperty(2, true);
+
+      await expect(landRegistry.unassignVillage(villageAdmin.address, "Village1"))
+        .to.emit(landRegistry, "VillageUnassigned")
+        .withArgs(villageAdmin.address, "Village1");
+      expect(await landRegistry.getSuperadminVillages(villageAdmin.address))
+        .to.deep.equal(["Village2"]);
+      expect(await landRegistry.isInJurisdiction(villageAdmin.address, "Village1")).to.be.false;
+      await expect(
+        landRegistry.unassignVillage(villageAdmin.address, "Village1")
+      ).to.be.revertedWith("Village not assigned");
+    });
+
+    it("Should only let a global superadmin manage jurisdictions", async function () {
+      await expect(
+        landRegistry.connect(villageAdmin).assignVillage(villageAdmin.address, "Village2")
+      ).to.be.revertedWith("Only a global superadmin can perform this action");
+      await expect(
+        landRegistry.connect(villageAdmin).addSuperAdmin(addr2.address, ["Village2"], "Village Superadmin")
+      ).to.be.revertedWith("Only a global superadmin can perform this action");
+      await expect(
+        landRegistry.assignVillage(addr2.address, "Village2")
+      ).to.be.revertedWith("Not a superadmin");
+    });
+  });
+
+  describe("Approval Quorum", function () {
+    let officer1;
+    let officer2;
+
+    beforeEach(async function () {
+      [officer1, officer2] = addrs;
+      await landRegistry.addSuperAdmin(officer1.address, ["Village1"], "Village Superadmin");
+      await landRegistry.addSuperAdmin(officer2.address, ["Village1"], "Village Superadmin");
+      await landRegistry.setApprovalQuorum(2);
+
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+    });
+
+    it("Should approve once the quorum of officers has voted", async function () {
+      await expect(landRegistry.connect(officer1).approveProperty(1, true))
+        .to.emit(landRegistry, "PropertyVoteCast")
+        .withArgs(1, officer1.address, true, "");
+      expect((await landRegistry.getProperty(1)).status).to.equal(0); // Still pending
+
+      await expect(landRegistry.connect(officer2).approveProperty(1, true))
+        .to.emit(landRegistry, "PropertyStatusChanged")
+        .withArgs(1, 0, 1);
+      expect((await landRegistry.getProperty(1)).status).to.equal(1); // Approved
+
+      const votes = await landRegistry.getApprovalVotes(1);
+      expect(votes.length).to.equal(2);
+      expect(votes[0].officer).to.equal(officer1.address);
+      expect(votes[1].officer).to.equal(officer2.address);
+    });
+
+    it("Should let a single rejection with a reason veto", async function () {
+      await landRegistry.connect(officer1).approveProperty(1, true);
+
+      await expect(
+        landRegistry.connect(officer2).rejectProperty(1, "")
+      ).to.be.revertedWith("Rejection reason is required");
+      await landRegistry.connect(officer2).rejectProperty(1, "Survey number mismatch");
+
+      const property = await landRegistry.getProperty(1);
+      expect(property.status).to.equal(2); // Rejected
+      expect(property.isActive).to.be.false;
+      const votes = await landRegistry.getApprovalVotes(1);
+      expect(votes[1].approve).to.be.false;
+      expect(votes[1].reason).to.equal("Survey number mismatch");
+    });
+
+    it("Should record a default reason for a veto cast without one", async function () {
+      await expect(landRegistry.connect(officer1).approveProperty(1, false))
+        .to.emit(landRegistry, "PropertyVoteCast")
+        .withArgs(1, officer1.address, false, "Rejected without a reason");
+      expect((await landRegistry.getProperty(1)).status).to.equal(2); // Rejected
+    });
+
+    it("Should count each officer once", async function () {
+      await landRegistry.connect(officer1).approveProperty(1, true);
+      await expect(
+        landRegistry.connect(officer1).approveProperty(1, true)
+      ).to.be.revertedWith("Already voted on this property");
+    });
+
+    it("Should only let a global superadmin set a positive quorum", async function () {
+      await expect(
+        landRegistry.connect(officer1).setApprovalQuorum(1)
+      ).to.be.revertedWith("Only a global superadmin can perform this action");
+      await expect(
+        landRegistry.setApprovalQuorum(0)
+      ).to.be.revertedWith("Quorum must be at least 1");
+    });
+  });
+
+  describe("Subdivision", function () {
+    beforeEach(async function () {
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.approveProperty(1, true);
+    });
+
+    it("Should split an approved parcel into children on officer approval", async function () {
+      await expect(
+        landRegistry.connect(addr1).requestSubdivision(
+          1,
+          ["SUR-001/A", "SUR-001/B"],
+          [ethers.parseEther("60"), ethers.parseEther("40")],
+          ["QmChildA", "QmChildB"]
+        )
+      ).to.emit(landRegistry, "SubdivisionRequested").withArgs(1, 1, 2);
+      expect(await landRegistry.getPendingSubdivisions()).to.deep.equal([1n]);
+
+      await expect(landRegistry.processSubdivision(1, true))
+        .to.emit(landRegistry, "PropertySubdivided")
+        .withArgs(1, [2, 3]);
+
+      const parent = await landRegistry.getProperty(1);
+      expect(parent.status).to.equal(6); // Retired
+      expect(parent.isActive).to.be.false;
+      expect(await landRegistry.getChildProperties(1)).to.deep.equal([2n, 3n]);
+
+      const child = await landRegistry.getProperty(2);
+      expect(child.surveyNumber).to.equal("SUR-001/A");
+      expect(child.village).to.equal("Village1");
+      expect(child.owner).to.equal(addr1.address);
+      expect(child.marketValue).to.equal(ethers.parseEther("60"));
+      expect(child.ipfsHash).to.equal("QmChildA");
+      expect(child.status).to.equal(1); // Approved
+      expect(await landRegistry.getParentProperties(3)).to.deep.equal([1n]);
+
+      expect(await landRegistry.getOwnerProperties(addr1.address)).to.deep.equal([3n, 2n]);
+      expect(await landRegistry.getPendingSubdivisions()).to.deep.equal([]);
+    });
+
+    it("Should keep the parent intact when the request is rejected", async function () {
+      await landRegistry.connect(addr1).requestSubdivision(
+        1,
+        ["SUR-001/A", "SUR-001/B"],
+        [ethers.parseEther("60"), ethers.parseEther("40")],
+        ["", ""]
+      );
+      await expect(
+        landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"))
+      ).to.be.revertedWith("Subdivision pending");
+
+      await landRegistry.processSubdivision(1, false);
+      expect((await landRegistry.getSubdivisionRequest(1)).status).to.equal(2); // Rejected
+      expect((await landRegistry.getProperty(1)).status).to.equal(1); // Approved
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+    });
+
+    it("Should validate the child parcels", async function () {
+      await expect(
+        landRegistry.connect(addr1).requestSubdivision(1, ["SUR-001/A"], [ethers.parseEther("60")], [""])
+      ).to.be.revertedWith("At least two child parcels required");
+      await expect(
+        landRegistry.connect(addr1).requestSubdivision(
+          1,
+          ["SUR-001/A", "SUR-001/B"],
+          [ethers.parseEther("60")],
+          ["", ""]
+        )
+      ).to.be.revertedWith("Child parcel details do not match");
+      await expect(
+        landRegistry.connect(addr1).requestSubdivision(1, ["SUR-001/A", ""], [1, 1], ["", ""])
+      ).to.be.revertedWith("Survey number is required");
+      await expect(
+        landRegistry.connect(addr2).requestSubdivision(1, ["A", "B"], [1, 1], ["", ""])
+      ).to.be.revertedWith("Only property owner can perform this action");
+    });
+
+    it("Should only subdivide within the officer's jurisdiction", async function () {
+      await landRegistry.addSuperAdmin(addrs[0].address, ["Village2"], "Village Superadmin");
+      await landRegistry.connect(addr1).requestSubdivision(1, ["A", "B"], [1, 1], ["", ""]);
+
+      await expect(
+        landRegistry.connect(addrs[0]).processSubdivision(1, true)
+      ).to.be.revertedWith("Property is outside your jurisdiction");
+      await expect(
+        landRegistry.processSubdivision(2, true)
+      ).to.be.revertedWith("Subdivision request is not pending");
+    });
+
+    it("Should re-check the parent's owner when the subdivision is approved", async function () {
+      const government = addrs[0];
+      await landRegistry.registerUser(government.address, await landRegistry.GOVERNMENT_ROLE(), "Government");
+      await landRegistry.connect(addr1).requestSubdivision(1, ["A", "B"], [1, 1], ["", ""]);
+      await landRegistry.connect(government).executeSuccession(1, addr1.address, [addr2.address], [10000], "QmCertificate");
+
+      await expect(
+        landRegistry.processSubdivision(1, true)
+      ).to.be.revertedWith("Property owner has changed");
+      await landRegistry.processSubdivision(1, false);
+      expect((await landRegistry.getProperty(1)).owner).to.equal(addr2.address);
+    });
+  });
+
+  describe("Amalgamation", function () {
+    beforeEach(async function () {
+      for (const [village, survey] of [["Village1", "SUR-001"], ["Village1", "SUR-002"], ["Village2", "SUR-003"]]) {
+        await landRegistry.connect(addr1).registerProperty(
+          "State1",
+          "District1",
+          village,
+          survey,
+          addr1.address,
+          ethers.parseEther("100"),
+          "QmHash123"
+        );
+      }
+      for (let id = 1; id <= 3; id++) {
+        await landRegistry.approveProperty(id, true);
+      }
+    });
+
+    it("Should merge parcels into one on officer approval", async function () {
+      await expect(
+        landRegistry.connect(addr1).requestMerge([1, 2], "SUR-001+002", ethers.parseEther("210"), "QmMerged")
+      ).to.emit(landRegistry, "MergeRequested").withArgs(1, [1, 2]);
+      expect(await landRegistry.getPendingMerges()).to.deep.equal([1n]);
+      await expect(
+        landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"))
+      ).to.be.revertedWith("Merge pending");
+
+      await expect(landRegistry.processMerge(1, true))
+        .to.emit(landRegistry, "PropertiesMerged")
+        .withArgs(4, [1, 2]);
+
+      const merged = await landRegistry.getProperty(4);
+      expect(merged.surveyNumber).to.equal("SUR-001+002");
+      expect(merged.village).to.equal("Village1");
+      expect(merged.owner).to.equal(addr1.address);
+      expect(merged.marketValue).to.equal(ethers.parseEther("210"));
+      expect(merged.status).to.equal(1); // Approved
+      expect(await landRegistry.getParentProperties(4)).to.deep.equal([1n, 2n]);
+      expect(await landRegistry.getChildProperties(2)).to.deep.equal([4n]);
+
+      expect((await landRegistry.getProperty(1)).status).to.equal(6); // Retired
+      expect((await landRegistry.getProperty(2)).isActive).to.be.false;
+      expect(await landRegistry.getOwnerProperties(addr1.address)).to.deep.equal([4n, 3n]);
+      expect(await landRegistry.getPendingMerges()).to.deep.equal([]);
+    });
+
+    it("Should release the parcels when the request is rejected", async function () {
+      await landRegistry.connect(addr1).requestMerge([1, 2], "SUR-001+002", 1, "");
+      await landRegistry.processMerge(1, false);
+
+      expect((await landRegistry.getMergeRequest(1)).status).to.equal(2); // Rejected
+      expect(await landRegistry.pendingMerge(1)).to.equal(0);
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+    });
+
+    it("Should validate the source parcels", async function () {
+      await expect(
+        landRegistry.connect(addr1).requestMerge([1], "M", 1, "")
+      ).to.be.revertedWith("At least two parcels required");
+      await expect(
+        landRegistry.connect(addr1).requestMerge([1, 3], "M", 1, "")
+      ).to.be.revertedWith("Parcels must be in the same village");
+      await expect(
+        landRegistry.connect(addr1).requestMerge([1, 1], "M", 1, "")
+      ).to.be.revertedWith("Merge already pending");
+      await expect(
+        landRegistry.connect(addr2).requestMerge([1, 2], "M", 1, "")
+      ).to.be.revertedWith("Only property owner can perform this action");
+
+      await landRegistry.connect(addr1).requestSubdivision(2, ["A", "B"], [1, 1], ["", ""]);
+      await expect(
+        landRegistry.connect(addr1).requestMerge([1, 2], "M", 1, "")
+      ).to.be.revertedWith("Subdivision already pending");
+    });
+
+    it("Should only merge within the officer's jurisdiction", async function () {
+      await landRegistry.addSuperAdmin(addrs[0].address, ["Village2"], "Village Superadmin");
+      await landRegistry.connect(addr1).requestMerge([1, 2], "M", 1, "");
+
+      await expect(
+        landRegistry.connect(addrs[0]).processMerge(1, true)
+      ).to.be.revertedWith("Property is outside your jurisdiction");
+      await expect(
+        landRegistry.processMerge(2, true)
+      ).to.be.revertedWith("Merge request is not pending");
+    });
+
+    it("Should re-check the parcels' owners when the merge is approved", async function () {
+      const government = addrs[0];
+      await landRegistry.registerUser(government.address, await landRegistry.GOVERNMENT_ROLE(), "Government");
+      await landRegistry.connect(addr1).requestMerge([1, 2], "M", 1, "");
+      await landRegistry.connect(government).executeSuccession(2, addr1.address, [addr2.address], [10000], "QmCertificate");
+
+      await expect(
+        landRegistry.processMerge(1, true)
+      ).to.be.revertedWith("Parcels must have the same owners");
+      await landRegistry.processMerge(1, false);
+      expect((await landRegistry.getProperty(2)).owner).to.equal(addr2.address);
+    });
+  });
+
+  describe("Co-Ownership", function () {
+    let sibling;
+
+    beforeEach(async function () {
+      sibling = addrs[0];
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+    });
+
+    it("Should list a jointly held parcel under every co-owner", async function () {
+      await expect(
+        landRegistry.connect(addr1).setCoOwners(1, [addr1.address, sibling.address], [6000, 4000])
+      ).to.emit(landRegistry, "CoOwnersUpdated");
+
+      const owners = await landRegistry.getCoOwners(1);
+      expect(owners.length).to.equal(2);
+      expect(owners[1].owner).to.equal(sibling.address);
+      expect(owners[1].shareBps).to.equal(4000);
+      expect(await landRegistry.getOwnerProperties(addr1.address)).to.deep.equal([1n]);
+      expect(await landRegistry.getOwnerProperties(sibling.address)).to.deep.equal([1n]);
+      expect(await landRegistry.hasRole(await landRegistry.PROPERTY_OWNER_ROLE(), sibling.address)).to.be.true;
+
+      await landRegistry.approveProperty(1, true);
+      await expect(
+        landRegistry.connect(addr1).setCoOwners(1, [addr1.address], [10000])
+      ).to.be.revertedWith("Co-owners can only be set before approval");
+    });
+
+    it("Should validate the ownership table", async function () {
+      await expect(
+        landRegistry.connect(addr1).setCoOwners(1, [addr1.address, sibling.address], [6000, 3000])
+      ).to.be.revertedWith("Shares must total 100%");
+      await expect(
+        landRegistry.connect(addr1).setCoOwners(1, [sibling.address, addr1.address], [6000, 4000])
+      ).to.be.revertedWith("Managing owner must be listed first");
+      await expect(
+        landRegistry.connect(addr1).setCoOwners(1, [addr1.address, addr1.address], [6000, 4000])
+      ).to.be.revertedWith("Duplicate co-owner");
+      await expect(
+        landRegistry.connect(addr1).setCoOwners(1, [addr1.address, sibling.address], [10000])
+      ).to.be.revertedWith("Co-owner details do not match");
+    });
+
+    it("Should require majority consent before listing", async function () {
+      await landRegistry.connect(addr1).setCoOwners(
+        1,
+        [addr1.address, sibling.address, addr2.address],
+        [4000, 3000, 3000]
+      );
+      await landRegistry.approveProperty(1, true);
+
+      await expect(
+        landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"))
+      ).to.be.revertedWith("Co-owner consent required");
+
+      await expect(landRegistry.connect(sibling).consentToSale(1))
+        .to.emit(landRegistry, "SaleConsentGiven")
+        .withArgs(1, sibling.address);
+      expect(await landRegistry.saleConsentBps(1)).to.equal(7000);
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+
+      await expect(
+        landRegistry.connect(addrs[1]).consentToSale(1)
+      ).to.be.revertedWith("Only co-owners can consent");
+    });
+
+    it("Should split sale proceeds pro rata and hand the buyer sole ownership", async function () {
+      await landRegistry.connect(addr1).setCoOwners(1, [addr1.address, sibling.address], [7500, 2500]);
+      await landRegistry.approveProperty(1, true);
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("100"));
+
+      await landRegistry.connect(addr2).requestToPurchase(
+        1,
+        ethers.parseEther("100"),
+        "QmHash456",
+        { value: ethers.parseEther("100") }
+      );
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+      await landRegistry.connect(addr2).completePurchase(1);
+
+      expect(await landRegistry.payments(addr1.address)).to.equal(ethers.parseEther("75"));
+      expect(await landRegistry.payments(sibling.address)).to.equal(ethers.parseEther("25"));
+
+      const owners = await landRegistry.getCoOwners(1);
+      expect(owners.length).to.equal(1);
+      expect(owners[0].owner).to.equal(addr2.address);
+      expect(await landRegistry.getOwnerProperties(sibling.address)).to.deep.equal([]);
+      expect(await landRegistry.getOwnerProperties(addr2.address)).to.deep.equal([1n]);
+    });
+  });
+
+  describe("Succession", function () {
+    let government;
+    let heir1;
+    let heir2;
+
+    beforeEach(async function () {
+      [government, heir1, heir2] = addrs;
+      await landRegistry.registerUser(
+        government.address,
+        await landRegistry.GOVERNMENT_ROLE(),
+        "Government"
+      );
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+    });
+
+    it("Should pass a sole owner's parcel to their heirs", async function () {
+      await landRegistry.approveProperty(1, true);
+
+      await expect(
+        landRegistry.connect(government).executeSuccession(
+          1,
+          addr1.address,
+          [heir1.address, heir2.address],
+          [5000, 5000],
+          "QmCertificate"
+        )
+      ).to.emit(landRegistry, "SuccessionExecuted")
+        .withArgs(1, addr1.address, [heir1.address, heir2.address], [5000, 5000], "QmCertificate");
+
+      const property = await landRegistry.getProperty(1);
+      expect(property.owner).to.equal(heir1.address);
+      const owners = await landRegistry.getCoOwners(1);
+      expect(owners.map((o) => [o.owner, o.shareBps])).to.deep.equal([
+        [heir1.address, 5000n],
+        [heir2.address, 5000n]
+      ]);
+      expect(await landRegistry.getOwnerProperties(addr1.address)).to.deep.equal([]);
+      expect(await landRegistry.getOwnerProperties(heir2.address)).to.deep.equal([1n]);
+
+      const successions = await landRegistry.getPropertySuccessions(1);
+      expect(successions.length).to.equal(1);
+      expect(successions[0].certificateHash).to.equal("QmCertificate");
+      expect(successions[0].executedBy).to.equal(government.address);
+    });
+
+    it("Should only replace the deceased co-owner's share", async function () {
+      await landRegistry.connect(addr1).setCoOwners(1, [addr1.address, addr2.address], [6000, 4000]);
+      await landRegistry.approveProperty(1, true);
+
+      await landRegistry.connect(government).executeSuccession(
+        1,
+        addr2.address,
+        [heir1.address, addr1.address],
+        [5000, 5000],
+        "QmCertificate"
+      );
+
+      expect((await landRegistry.getProperty(1)).owner).to.equal(addr1.address);
+      const owners = await landRegistry.getCoOwners(1);
+      expect(owners.map((o) => [o.owner, o.shareBps])).to.deep.equal([
+        [addr1.address, 8000n],
+        [heir1.address, 2000n]
+      ]);
+    });
+
+    it("Should refund open offers when the parcel was listed", async function () {
+      await landRegistry.approveProperty(1, true);
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("100"));
+      await landRegistry.connect(addr2).requestToPurchase(
+        1,
+        ethers.parseEther("100"),
+        "QmHash456",
+        { value: ethers.parseEther("100") }
+      );
+
+      await landRegistry.connect(government).executeSuccession(1, addr1.address, [heir1.address], [10000], "QmCertificate");
+
+      expect((await landRegistry.getProperty(1)).status).to.equal(1); // Approved
+      expect((await landRegistry.getTransaction(1)).status).to.equal(2); // Rejected
+      expect(await landRegistry.payments(addr2.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should validate the succession order", async function () {
+      await expect(
+        landRegistry.connect(government).executeSuccession(1, addr1.address, [heir1.address], [10000], "QmCertificate")
+      ).to.be.revertedWith("Property is not transferable");
+
+      await landRegistry.approveProperty(1, true);
+      await expect(
+        landRegistry.connect(addr1).executeSuccession(1, addr1.address, [heir1.address], [10000], "QmCertificate")
+      ).to.be.revertedWithCustomError(landRegistry, "AccessControlUnauthorizedAccount");
+      await expect(
+        landRegistry.connect(government).executeSuccession(1, addr2.address, [heir1.address], [10000], "QmCertificate")
+      ).to.be.revertedWith("Deceased does not own this property");
+      await expect(
+        landRegistry.connect(government).executeSuccession(1, addr1.address, [heir1.address], [10000], "")
+      ).to.be.revertedWith("Succession certificate is required");
+      await expect(
+        landRegistry.connect(government).executeSuccession(1, addr1.address, [heir1.address, heir2.address], [5000, 4000], "QmCertificate")
+      ).to.be.revertedWith("Shares must total 100%");
+    });
+  });
+
+  describe("Gift Transfers", function () {
+    beforeEach(async function () {
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.approveProperty(1, true);
+    });
+
+    it("Should record a zero-price transfer the recipient accepts", async function () {
+      await expect(
+        landRegistry.connect(addr1).transferOwnership(1, addr2.address, "Gift to daughter", "QmDeed")
+      ).to.emit(landRegistry, "GiftTransferOffered")
+        .withArgs(1, 1, addr2.address, "Gift to daughter");
+
+      let tx = await landRegistry.getTransaction(1);
+      expect(tx.price).to.equal(0);
+      expect(tx.status).to.equal(6); // AwaitingAcceptance
+      expect(tx.ipfsHash).to.equal("QmDeed");
+      expect((await landRegistry.getProperty(1)).status).to.equal(4); // SaleInProgress
+      expect((await landRegistry.giftTransfers(1)).declaredValue).to.equal(ethers.parseEther("100"));
+
+      await expect(
+        landRegistry.connect(addrs[0]).acceptTransfer(1)
+      ).to.be.revertedWith("Only the recipient can accept");
+
+      await expect(landRegistry.connect(addr2).acceptTransfer(1))
+        .to.emit(landRegistry, "OwnershipTransferred")
+        .withArgs(1, addr1.address, addr2.address, 1);
+
+      const property = await landRegistry.getProperty(1);
+      expect(property.owner).to.equal(addr2.address);
+      expect(property.status).to.equal(1); // Approved
+      tx = await landRegistry.getTransaction(1);
+      expect(tx.status).to.equal(3); // Completed
+      expect(await landRegistry.getOwnerProperties(addr2.address)).to.deep.equal([1n]);
+    });
+
+    it("Should charge the transfer fee on the declared value", async function () {
+      const government = addrs[0];
+      await landRegistry.registerUser(
+        government.address,
+        await landRegistry.GOVERNMENT_ROLE(),
+        "Government"
+      );
+      await landRegistry.connect(government).setStateFees("State1", 0, 0, 1, 200); // 2%
+      await landRegistry.connect(addr1).transferOwnership(1, addr2.address, "Divorce settlement", "");
+
+      await expect(
+        landRegistry.connect(addr2).acceptTransfer(1)
+      ).to.be.revertedWith("Incorrect transfer fee");
+      await expect(
+        landRegistry.connect(addr2).acceptTransfer(1, { value: ethers.parseEther("2") })
+      ).to.emit(landRegistry, "FeeCollected")
+        .withArgs(1, 1, ethers.ZeroAddress, ethers.parseEther("2"));
+      expect((await landRegistry.getTransaction(1)).fee).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should release the property when the transfer is declined", async function () {
+      await landRegistry.connect(addr1).transferOwnership(1, addr2.address, "Gift", "");
+      await expect(
+        landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"))
+      ).to.be.revertedWith("Property must be approved before listing");
+
+      await landRegistry.connect(addr2).declineTransfer(1);
+      expect((await landRegistry.getTransaction(1)).status).to.equal(2); // Rejected
+      expect((await landRegistry.getProperty(1)).owner).to.equal(addr1.address);
+
+      await landRegistry.connect(addr1).transferOwnership(1, addr2.address, "Gift", "");
+      await landRegistry.connect(addr1).declineTransfer(2);
+      expect((await landRegistry.getTransaction(2)).status).to.equal(4); // Cancelled
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+    });
+
+    it("Should require every co-owner's consent to give a co-owned parcel away", async function () {
+      const sibling = addrs[0];
+      await landRegistry.connect(addr1).registerProperty(
+        "State1", "District1", "Village1", "SUR-002", addr1.address, ethers.parseEther("100"), ""
+      );
+      await landRegistry.connect(addr1).setCoOwners(2, [addr1.address, sibling.address], [6000, 4000]);
+      await landRegistry.approveProperty(2, true);
+
+      // The managing owner's majority share is enough to sell, but not to give the parcel away
+      await expect(
+        landRegistry.connect(addr1).transferOwnership(2, addr2.address, "Gift", "")
+      ).to.be.revertedWith("Every co-owner must consent to a gift");
+
+      await landRegistry.connect(sibling).consentToSale(2);
+      await landRegistry.connect(addr1).transferOwnership(2, addr2.address, "Gift", "");
+
+      await landRegistry.connect(sibling).revokeSaleConsent(2);
+      await expect(
+        landRegistry.connect(addr2).acceptTransfer(1)
+      ).to.be.revertedWith("Every co-owner must consent to a gift");
+      expect(await landRegistry.getOwnerProperties(sibling.address)).to.deep.equal([2n]);
+
+      await landRegistry.connect(sibling).consentToSale(2);
+      await landRegistry.connect(addr2).acceptTransfer(1);
+      expect((await landRegistry.getProperty(2)).owner).to.equal(addr2.address);
+    });
+
+    it("Should validate the transfer", async function () {
+      await expect(
+        landRegistry.connect(addr2).transferOwnership(1, addr2.address, "Gift", "")
+      ).to.be.revertedWith("Only property owner can perform this action");
+      await expect(
+        landRegistry.connect(addr1).transferOwnership(1, addr1.address, "Gift", "")
+      ).to.be.revertedWith("Cannot transfer to yourself");
+      await expect(
+        landRegistry.connect(addr1).transferOwnership(1, addr2.address, "", "")
+      ).to.be.revertedWith("Transfer reason is required");
+    });
+  });
+
+  describe("Leases", function () {
+    const MONTH = 30 * 24 * 60 * 60;
+    let tenant;
+    let start;
+
+    beforeEach(async function () {
+      tenant = addrs[0];
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.approveProperty(1, true);
+      start = await time.latest();
+    });
+
+    it("Should register a lease and collect rent for the owner", async function () {
+      await expect(
+        landRegistry.connect(addr1).registerLease(
+          1,
+          tenant.address,
+          start,
+          start + 12 * MONTH,
+          ethers.parseEther("1"),
+          MONTH,
+          "QmLeaseDeed"
+        )
+      ).to.emit(landRegistry, "LeaseRegistered")
+        .withArgs(1, 1, tenant.address, start, start + 12 * MONTH);
+
+      const active = await landRegistry.getActiveLeases(1);
+      expect(active.length).to.equal(1);
+      expect(active[0].tenant).to.equal(tenant.address);
+      expect(active[0].deedHash).to.equal("QmLeaseDeed");
+
+      await expect(
+        landRegistry.connect(tenant).payRent(1, { value: ethers.parseEther("0.5") })
+      ).to.be.revertedWith("Payment must equal the rent amount");
+      await expect(
+        landRegistry.connect(addr2).payRent(1, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Only the tenant can pay rent");
+
+      await expect(landRegistry.connect(tenant).payRent(1, { value: ethers.parseEther("1") }))
+        .to.emit(landRegistry, "RentPaid")
+        .withArgs(1, tenant.address, ethers.parseEther("1"), start + MONTH);
+      expect(await landRegistry.payments(addr1.address)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should drop a lease from the active list once it ends", async function () {
+      await landRegistry.connect(addr1).registerLease(1, tenant.address, start, start + MONTH, 1, MONTH, "");
+      await landRegistry.connect(tenant).payRent(1, { value: 1 });
+      await expect(
+        landRegistry.connect(tenant).payRent(1, { value: 1 })
+      ).to.be.revertedWith("Lease is fully paid");
+
+      await time.increase(MONTH + 1);
+      expect(await landRegistry.getActiveLeases(1)).to.deep.equal([]);
+      expect(await landRegistry.getPropertyLeases(1)).to.deep.equal([1n]);
+    });
+
+    it("Should make buyers acknowledge active leases before offering", async function () {
+      await landRegistry.connect(addr1).registerLease(1, tenant.address, start, start + 12 * MONTH, 1, MONTH, "");
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("100"));
+
+      await expect(
+        landRegistry.connect(addr2).requestToPurchase(1, ethers.parseEther("100"), "", { value: ethers.parseEther("100") })
+      ).to.be.revertedWith("Active leases must be acknowledged");
+
+      await expect(landRegistry.connect(addr2).acknowledgeLeases(1))
+        .to.emit(landRegistry, "LeasesAcknowledged")
+        .withArgs(1, addr2.address, 1);
+      await landRegistry.connect(addr2).requestToPurchase(1, ethers.parseEther("100"), "", { value: ethers.parseEther("100") });
+
+      // A new lease needs a fresh acknowledgement
+      await landRegistry.connect(addr1).registerLease(1, tenant.address, start, start + 12 * MONTH, 1, MONTH, "");
+      await expect(
+        landRegistry.connect(addr2).requestToPurchase(1, ethers.parseEther("110"), "", { value: ethers.parseEther("110") })
+      ).to.be.revertedWith("Active leases must be acknowledged");
+    });
+
+    it("Should not let a seller accept an offer made before an undisclosed lease", async function () {
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("100"));
+      await landRegistry.connect(addr2).requestToPurchase(1, ethers.parseEther("100"), "", { value: ethers.parseEther("100") });
+      await landRegistry.connect(addr1).registerLease(1, tenant.address, start, start + 12 * MONTH, 1, MONTH, "");
+
+      await expect(
+        landRegistry.connect(addr1).processPurchaseRequest(1, true)
+      ).to.be.revertedWith("Buyer must acknowledge the active leases");
+
+      await landRegistry.connect(addr2).acknowledgeLeases(1);
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+      expect((await landRegistry.getTransaction(1)).status).to.equal(1); // Approved
+    });
+
+    it("Should not lease a parcel with a pending subdivision or merge", async function () {
+      await landRegistry.connect(addr1).requestSubdivision(1, ["SUR-001/A", "SUR-001/B"], [1, 1], ["", ""]);
+      await expect(
+        landRegistry.connect(addr1).registerLease(1, tenant.address, start, start + 12 * MONTH, 1, MONTH, "")
+      ).to.be.revertedWith("Subdivision pending");
+      await landRegistry.processSubdivision(1, false);
+
+      await landRegistry.connect(addr1).registerProperty(
+        "State1", "District1", "Village1", "SUR-002", addr1.address, ethers.parseEther("100"), ""
+      );
+      await landRegistry.approveProperty(2, true);
+      await landRegistry.connect(addr1).requestMerge([1, 2], "SUR-001", 2, "");
+      await expect(
+        landRegistry.connect(addr1).registerLease(1, tenant.address, start, start + 12 * MONTH, 1, MONTH, "")
+      ).to.be.revertedWith("Merge pending");
+    });
+
+    it("Should keep the lease and pay rent to the new owner after a sale", async function () {
+      await landRegistry.connect(addr1).registerLease(1, tenant.address, start, start + 12 * MONTH, 1, MONTH, "");
+      await expect(
+        landRegistry.connect(addr1).requestSubdivision(1, ["A", "B"], [1, 1], ["", ""])
+      ).to.be.revertedWith("Property has active leases");
+
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("100"));
+      await landRegistry.connect(addr2).acknowledgeLeases(1);
+      await landRegistry.connect(addr2).requestToPurchase(1, ethers.parseEther("100"), "", { value: ethers.parseEther("100") });
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+      await landRegistry.connect(addr2).completePurchase(1);
+
+      await landRegistry.connect(tenant).payRent(1, { value: 1 });
+      expect(await landRegistry.payments(addr2.address)).to.equal(1);
+    });
+  });
+
+  describe("Title Tokens", function () {
+    beforeEach(async function () {
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmDocs | QmMetadata"
+      );
+    });
+
+    it("Should mint a title token when a property is approved", async function () {
+      await expect(landRegistry.ownerOf(1)).to.be.revertedWith("Title does not exist");
+
+      await expect(landRegistry.approveProperty(1, true))
+        .to.emit(landRegistry, "Transfer")
+        .withArgs(ethers.ZeroAddress, addr1.address, 1);
+
+      expect(await landRegistry.ownerOf(1)).to.equal(addr1.address);
+      expect(await landRegistry.balanceOf(addr1.address)).to.equal(1);
+      expect(await landRegistry.tokenURI(1)).to.equal("ipfs://QmMetadata");
+      expect(await landRegistry.name()).to.equal("Land Title");
+      expect(await landRegistry.supportsInterface("0x80ac58cd")).to.equal(true); // ERC-721
+      expect(await landRegistry.supportsInterface("0x5b5e139f")).to.equal(true); // ERC-721 metadata
+    });
+
+    it("Should move the title token with a completed purchase", async function () {
+      await landRegistry.approveProperty(1, true);
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+      await landRegistry.connect(addr2).requestToPurchase(1, ethers.parseEther("150"), "", { value: ethers.parseEther("150") });
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+
+      await expect(landRegistry.connect(addr2).completePurchase(1))
+        .to.emit(landRegistry, "Transfer")
+        .withArgs(addr1.address, addr2.address, 1);
+      expect(await landRegistry.ownerOf(1)).to.equal(addr2.address);
+      expect(await landRegistry.balanceOf(addr1.address)).to.equal(0);
+      expect(await landRegistry.balanceOf(addr2.address)).to.equal(1);
+    });
+
+    it("Should refuse direct token transfers and approvals", async function () {
+      await landRegistry.approveProperty(1, true);
+
+      await expect(
+        landRegistry.connect(addr1).transferFrom(addr1.address, addr2.address, 1)
+      ).to.be.revertedWith("Titles transfer through the registry");
+      await expect(
+        landRegistry.connect(addr1)["safeTransferFrom(address,address,uint256)"](addr1.address, addr2.address, 1)
+      ).to.be.revertedWith("Titles transfer through the registry");
+      await expect(
+        landRegistry.connect(addr1).approve(addr2.address, 1)
+      ).to.be.revertedWith("Titles transfer through the registry");
+      await expect(
+        landRegistry.connect(addr1).setApprovalForAll(addr2.address, true)
+      ).to.be.revertedWith("Titles transfer through the registry");
+      expect(await landRegistry.ownerOf(1)).to.equal(addr1.address);
+    });
+
+    it("Should burn a subdivided parcel's title and mint the children's", async function () {
+      await landRegistry.approveProperty(1, true);
+      await landRegistry.connect(addr1).requestSubdivision(1, ["SUR-001/A", "SUR-001/B"], [1, 1], ["QmA", "QmB"]);
+
+      await expect(landRegistry.processSubdivision(1, true))
+        .to.emit(landRegistry, "Transfer")
+        .withArgs(addr1.address, ethers.ZeroAddress, 1);
+
+      await expect(landRegistry.ownerOf(1)).to.be.revertedWith("Title does not exist");
+      expect(await landRegistry.ownerOf(2)).to.equal(addr1.address);
+      expect(await landRegistry.ownerOf(3)).to.equal(addr1.address);
+      expect(await landRegistry.tokenURI(2)).to.equal("ipfs://QmA");
+      expect(await landRegistry.balanceOf(addr1.address)).to.equal(2);
+    });
+  });
+
+  describe("Survey Uniqueness", function () {
+    beforeEach(async function () {
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+    });
+
+    it("Should reject a duplicate registration regardless of case and spacing", async function () {
+      expect(await landRegistry.findBySurvey("state1", " District1", "VILLAGE1", "sur-001 ")).to.equal(1);
+      expect(await landRegistry.findBySurvey("State1", "District1", "Village2", "SUR-001")).to.equal(0);
+
+      await expect(
+        landRegistry.connect(addr2).registerProperty(
+          "State1", "District1", "village1", " sur-001", addr2.address, ethers.parseEther("100"), ""
+        )
+      ).to.be.revertedWith("Survey number already registered");
+
+      // The same survey number is fine in another village
+      await landRegistry.connect(addr2).registerProperty(
+        "State1", "District1", "Village2", "SUR-001", addr2.address, ethers.parseEther("100"), ""
+      );
+      expect(await landRegistry.findBySurvey("State1", "District1", "Village2", "SUR-001")).to.equal(2);
+    });
+
+    it("Should free the survey number when a registration is rejected", async function () {
+      await landRegistry.rejectProperty(1, "Duplicate survey");
+      expect(await landRegistry.findBySurvey("State1", "District1", "Village1", "SUR-001")).to.equal(0);
+
+      await landRegistry.connect(addr2).registerProperty(
+        "State1", "District1", "Village1", "SUR-001", addr2.address, ethers.parseEther("100"), ""
+      );
+      expect(await landRegistry.findBySurvey("State1", "District1", "Village1", "SUR-001")).to.equal(2);
+    });
+
+    it("Should let subdivided and merged parcels reuse their sources' survey numbers", async function () {
+      await landRegistry.approveProperty(1, true);
+      await landRegistry.connect(addr1).registerProperty(
+        "State1", "District1", "Village1", "SUR-002", addr1.address, ethers.parseEther("100"), ""
+      );
+      await landRegistry.approveProperty(2, true);
+
+      await expect(
+        landRegistry.connect(addr1).requestSubdivision(1, ["SUR-002", "SUR-001/B"], [1, 1], ["", ""])
+      ).to.be.revertedWith("Survey number already registered");
+      await expect(
+        landRegistry.connect(addr1).requestSubdivision(1, ["SUR-001/A", "sur-001/a"], [1, 1], ["", ""])
+      ).to.be.revertedWith("Duplicate survey number");
+
+      await landRegistry.connect(addr1).requestSubdivision(1, ["SUR-001", "SUR-001/B"], [1, 1], ["", ""]);
+      await landRegistry.processSubdivision(1, true);
+      expect(await landRegistry.findBySurvey("State1", "District1", "Village1", "SUR-001")).to.equal(3);
+
+      await expect(
+        landRegistry.connect(addr1).requestMerge([3, 4], "SUR-002", 2, "")
+      ).to.be.revertedWith("Survey number already registered");
+      await landRegistry.connect(addr1).requestMerge([3, 4], "SUR-001", 2, "");
+      await landRegistry.processMerge(1, true);
+      expect(await landRegistry.findBySurvey("State1", "District1", "Village1", "SUR-001")).to.equal(5);
+      expect(await landRegistry.findBySurvey("State1", "District1", "Village1", "SUR-001/B")).to.equal(0);
+    });
+  });
+
+  describe("Disputes", function () {
+    let lawyer;
+    let claimant;
+    const bond = ethers.parseEther("1");
+
+    beforeEach(async function () {
+      lawyer = addrs[0];
+      claimant = addrs[1];
+      await landRegistry.registerUser(lawyer.address, await landRegistry.LEGAL_PROFESSIONAL_ROLE(), "Legal Professional");
+      await landRegistry.setDisputeBond(bond);
+
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.approveProperty(1, true);
+
+      // The claimant is a tenant, which gives them standing to file
+      const start = await time.latest();
+      await landRegistry.connect(addr1).registerLease(1, claimant.address, start, start + 365 * 24 * 60 * 60, 1, 30 * 24 * 60 * 60, "");
+      await landRegistry.connect(addr2).acknowledgeLeases(1);
+    });
+
+    it("Should require a non-zero bond", async function () {
+      await expect(landRegistry.setDisputeBond(0)).to.be.revertedWith("Dispute bond must be greater than 0");
+
+      const freshRegistry = await deployLandRegistry();
+      expect(await freshRegistry.disputeBond()).to.equal(ethers.parseEther("0.1"));
+    });
+
+    it("Should only accept disputes from parties with a recorded interest", async function () {
+      const stranger = addrs[2];
+      await expect(
+        landRegistry.connect(stranger).fileDispute(1, "Competing claim", "", { value: bond })
+      ).to.be.revertedWith("No recorded interest in this property");
+
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+      await landRegistry.connect(stranger).acknowledgeLeases(1);
+      await landRegistry.connect(stranger).requestToPurchase(1, ethers.parseEther("150"), "", { value: ethers.parseEther("150") });
+      await landRegistry.connect(stranger).fileDispute(1, "Competing claim", "", { value: bond });
+      await landRegistry.connect(addr1).fileDispute(1, "Boundary encroachment", "", { value: bond });
+      expect(await landRegistry.openDisputes(1)).to.equal(2);
+    });
+
+    it("Should freeze listing and transfers while a dispute is open", async function () {
+      await expect(
+        landRegistry.connect(claimant).fileDispute(1, "Boundary encroachment", "QmEvidence")
+      ).to.be.revertedWith("Incorrect dispute bond");
+      await expect(
+        landRegistry.connect(claimant).fileDispute(1, "", "QmEvidence", { value: bond })
+      ).to.be.revertedWith("Dispute reason is required");
+
+      await expect(landRegistry.connect(claimant).fileDispute(1, "Boundary encroachment", "QmEvidence", { value: bond }))
+        .to.emit(landRegistry, "DisputeFiled")
+        .withArgs(1, 1, claimant.address, bond);
+      expect(await landRegistry.openDisputes(1)).to.equal(1);
+      expect(await landRegistry.getOpenDisputes()).to.deep.equal([1n]);
+
+      await expect(
+        landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"))
+      ).to.be.revertedWith("Property is under dispute");
+      await expect(
+        landRegistry.connect(addr1).transferOwnership(1, addr2.address, "Gift", "")
+      ).to.be.revertedWith("Property is under dispute");
+      await expect(
+        landRegistry.connect(addr1).requestSubdivision(1, ["A", "B"], [1, 1], ["", ""])
+      ).to.be.revertedWith("Property is under dispute");
+    });
+
+    it("Should block purchases on a listing disputed after it opened", async function () {
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+      await landRegistry.connect(addr2).requestToPurchase(1, ethers.parseEther("150"), "", { value: ethers.parseEther("150") });
+      await landRegistry.connect(claimant).fileDispute(1, "Forged deed", "", { value: bond });
+
+      await expect(
+        landRegistry.connect(addr1).processPurchaseRequest(1, true)
+      ).to.be.revertedWith("Property is under dispute");
+      await expect(
+        landRegistry.connect(addr1).updateAskingPrice(1, ethers.parseEther("120"), 0)
+      ).to.be.revertedWith("Property is under dispute");
+      await expect(
+        landRegistry.connect(claimant).requestToPurchase(1, ethers.parseEther("150"), "", { value: ethers.parseEther("150") })
+      ).to.be.revertedWith("Property is under dispute");
+    });
+
+    it("Should stop an approved sale's completion clock while it is frozen", async function () {
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+      await landRegistry.connect(addr2).requestToPurchase(1, ethers.parseEther("150"), "", { value: ethers.parseEther("150") });
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+      const deadline = (await landRegistry.getTransaction(1)).completionDeadline;
+
+      await landRegistry.connect(claimant).fileDispute(1, "Forged deed", "", { value: bond });
+      const filedAt = BigInt(await time.latest());
+      await time.increaseTo(deadline + 1n);
+      await expect(
+        landRegistry.connect(claimant).expirePurchase(1)
+      ).to.be.revertedWith("Property is under dispute");
+
+      await landRegistry.connect(lawyer).resolveDispute(1, false, "");
+      const frozenFor = BigInt(await time.latest()) - filedAt;
+      expect((await landRegistry.getTransaction(1)).completionDeadline).to.equal(deadline + frozenFor);
+
+      await landRegistry.connect(addr2).completePurchase(1);
+      expect((await landRegistry.getProperty(1)).owner).to.equal(addr2.address);
+    });
+
+    it("Should not let an installment plan default while the property is frozen", async function () {
+      const DAY = 24 * 60 * 60;
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("100"));
+      await landRegistry.connect(addr2).requestInstallmentPurchase(
+        1, ethers.parseEther("100"), "", ethers.parseEther("40"), 3, 30 * DAY, 5000,
+        { value: ethers.parseEther("40") }
+      );
+      await landRegistry.connect(addr1).processPurchaseRequest(1, true);
+      const dueDate = (await landRegistry.getInstallmentPlan(1)).nextDueDate;
+
+      await landRegistry.connect(claimant).fileDispute(1, "Competing claim", "", { value: bond });
+      await time.increase(45 * DAY);
+      await expect(
+        landRegistry.connect(claimant).declareInstallmentDefault(1)
+      ).to.be.revertedWith("Property is under dispute");
+
+      await landRegistry.connect(lawyer).resolveDispute(1, false, "");
+      expect((await landRegistry.getInstallmentPlan(1)).nextDueDate).to.be.greaterThan(dueDate + BigInt(45 * DAY));
+      await expect(
+        landRegistry.connect(claimant).declareInstallmentDefault(1)
+      ).to.be.revertedWith("No installment is overdue");
+      await landRegistry.connect(addr2).payInstallment(1, { value: ethers.parseEther("20") });
+    });
+
+    it("Should refund the bond when a dispute is upheld", async function () {
+      await landRegistry.connect(claimant).fileDispute(1, "Boundary encroachment", "QmEvidence", { value: bond });
+
+      await expect(
+        landRegistry.connect(addr2).resolveDispute(1, true, "")
+      ).to.be.revertedWith("Only legal or government officials can resolve disputes");
+
+      await expect(landRegistry.connect(lawyer).resolveDispute(1, true, "Encroachment confirmed"))
+        .to.emit(landRegistry, "DisputeResolved")
+        .withArgs(1, 1, true, lawyer.address);
+      expect(await landRegistry.payments(claimant.address)).to.equal(bond);
+      expect(await landRegistry.openDisputes(1)).to.equal(0);
+
+      const [dispute] = await landRegistry.getPropertyDisputes(1);
+      expect(dispute.status).to.equal(1); // Upheld
+      expect(dispute.resolution).to.equal("Encroachment confirmed");
+
+      await expect(
+        landRegistry.connect(lawyer).resolveDispute(1, false, "")
+      ).to.be.revertedWith("Dispute is not open");
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+    });
+
+    it("Should pay the bond to the owner when a dispute is dismissed", async function () {
+      await landRegistry.connect(claimant).fileDispute(1, "Frivolous claim", "", { value: bond });
+      await landRegistry.grantRole(await landRegistry.GOVERNMENT_ROLE(), addr2.address);
+
+      await landRegistry.connect(addr2).resolveDispute(1, false, "No standing");
+      expect(await landRegistry.payments(addr1.address)).to.equal(bond);
+      expect((await landRegistry.getDispute(1)).status).to.equal(2); // Dismissed
+    });
+  });
+
+  describe("Title Corrections", function () {
+    let court;
+
+    beforeEach(async function () {
+      court = addrs[0];
+      await landRegistry.grantRole(await landRegistry.GOVERNMENT_ROLE(), court.address);
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.approveProperty(1, true);
+    });
+
+    const details = (owner, overrides = {}) => ({
+      owner,
+      state: "State1",
+      district: "District1",
+      village: "Village1",
+      surveyNumber: "SUR-001",
+      marketValue: ethers.parseEther("100"),
+      ...overrides
+    });
+
+    it("Should reverse a fraudulent transfer without the owner's signature", async function () {
+      await landRegistry.connect(addr1).listPropertyForSale(1, ethers.parseEther("150"));
+      await landRegistry.connect(addr2).requestToPurchase(1, ethers.parseEther("150"), "", { value: ethers.parseEther("150") });
+
+      await expect(
+        landRegistry.connect(court).correctTitle(1, details(addr2.address), "")
+      ).to.be.revertedWith("Court order is required");
+      await expect(
+        landRegistry.connect(addr1).correctTitle(1, details(addr2.address), "QmCourtOrder")
+      ).to.be.revertedWithCustomError(landRegistry, "AccessControlUnauthorizedAccount");
+
+      await expect(landRegistry.connect(court).correctTitle(1, details(addrs[1].address), "QmCourtOrder"))
+        .to.emit(landRegistry, "TitleCorrected")
+        .and.to.emit(landRegistry, "OwnershipTransferred")
+        .withArgs(1, addr1.address, addrs[1].address, 0);
+
+      const property = await landRegistry.getProperty(1);
+      expect(property.owner).to.equal(addrs[1].address);
+      expect(property.status).to.equal(1); // Approved, listing withdrawn
+      expect(await landRegistry.ownerOf(1)).to.equal(addrs[1].address);
+      expect((await landRegistry.getTransaction(1)).status).to.equal(4); // Cancelled
+      expect(await landRegistry.payments(addr2.address)).to.equal(ethers.parseEther("150"));
+      expect(await landRegistry.getOwnerProperties(addr1.address)).to.deep.equal([]);
+    });
+
+    it("Should correct the location and market value and record the old values", async function () {
+      await landRegistry.connect(addr2).registerProperty(
+        "State1", "District1", "Village1", "SUR-002", addr2.address, ethers.parseEther("100"), ""
+      );
+      await expect(
+        landRegistry.connect(court).correctTitle(1, details(addr1.address, { surveyNumber: "SUR-002" }), "QmCourtOrder")
+      ).to.be.revertedWith("Survey number already registered");
+
+      await landRegistry.connect(court).correctTitle(
+        1,
+        details(addr1.address, { village: "Village2", surveyNumber: "SUR-009", marketValue: ethers.parseEther("80") }),
+        "QmCourtOrder"
+      );
+
+      const property = await landRegistry.getProperty(1);
+      expect(property.village).to.equal("Village2");
+      expect(property.propertyId).to.equal("State1-District1-Village2-SUR-009-1");
+      expect(property.marketValue).to.equal(ethers.parseEther("80"));
+      expect(property.owner).to.equal(addr1.address);
+      expect(await landRegistry.findBySurvey("State1", "District1", "Village1", "SUR-001")).to.equal(0);
+      expect(await landRegistry.findBySurvey("State1", "District1", "Village2", "SUR-009")).to.equal(1);
+
+      const [correction] = await landRegistry.getTitleCorrections(1);
+      expect(correction.oldDetails.village).to.equal("Village1");
+      expect(correction.oldDetails.marketValue).to.equal(ethers.parseEther("100"));
+      expect(correction.newDetails.surveyNumber).to.equal("SUR-009");
+      expect(correction.courtOrderHash).to.equal("QmCourtOrder");
+      expect(correction.correctedBy).to.equal(court.address);
+    });
+  });
+
+  describe("Resubmission", function () {
+    let officer1;
+    let officer2;
+
+    beforeEach(async function () {
+      [officer1, officer2] = addrs;
+      await landRegistry.addSuperAdmin(officer1.address, ["Village1"], "Village Superadmin");
+      await landRegistry.addSuperAdmin(officer2.address, ["Village1"], "Village Superadmin");
+      await landRegistry.setApprovalQuorum(2);
+
+      await landRegistry.connect(addr1).registerProperty(
+        "State1",
+        "District1",
+        "Village1",
+        "SUR-001",
+        addr1.address,
+        ethers.parseEther("100"),
+        "QmHash123"
+      );
+      await landRegistry.connect(officer1).approveProperty(1, true);
+      await landRegistry.connect(officer2).rejectProperty(1, "Survey number mismatch");
+    });
+
+    it("Should return a rejected registration to pending under the same ID", async function () {
+      await expect(
+        landRegistry.connect(addr1).resubmitProperty(
+          1, "State1", "District1", "Village1", "SUR-001A", ethers.parseEther("120"), "QmHash456"
+        )
+      )
+        .to.emit(landRegistry, "PropertyResubmitted")
+        .withArgs(1, 1)
+        .and.to.emit(landRegistry, "PropertyStatusChanged")
+        .withArgs(1, 2, 0);
+
+      const property = await landRegistry.getProperty(1);
+      expect(property.status).to.equal(0); // Pending
+      expect(property.isActive).to.be.true;
+      expect(property.surveyNumber).to.equal("SUR-001A");
+      expect(property.marketValue).to.equal(ethers.parseEther("120"));
+      expect(property.ipfsHash).to.equal("QmHash456");
+      expect(await landRegistry.registrationRevisions(1)).to.equal(1);
+      expect(await landRegistry.findBySurvey("State1", "District1", "Village1", "SUR-001A")).to.equal(1);
+    });
+
+    it("Should require a fresh quorum on the new revision", async function () {
+      await landRegistry.connect(addr1).resubmitProperty(
+        1, "State1", "District1", "Village1", "SUR-001", ethers.parseEther("100"), "QmHash456"
+      );
+
+      // The approval on the rejected revision does not carry over
+      await landRegistry.connect(officer2).approveProperty(1, true);
+      expect((await landRegistry.getProperty(1)).status).to.equal(0); // Still pending
+      await landRegistry.connect(officer1).approveProperty(1, true);
+      expect((await landRegistry.getProperty(1)).status).to.equal(1); // Approved
+
+      const votes = await landRegistry.getApprovalVotes(1);
+      expect(votes.length).to.equal(4);
+      expect(votes[1].revision).to.equal(0);
+      expect(votes[3].revision).to.equal(1);
+    });
+
+    it("Should only let the owner resubmit a rejected registration with a free survey number", async function () {
+      await expect(
+        landRegistry.connect(addr2).resubmitProperty(
+          1, "State1", "District1", "Village1", "SUR-001", ethers.parseEther("100"), ""
+        )
+      ).to.be.revertedWith("Only property owner can perform this action");
+
+      await landRegistry.connect(addr2).registerProperty(
+        "State1", "District1", "Village1", "SUR-001", addr2.address, ethers.parseEther("100"), ""
+      );
+      await expect(
+        landRegistry.connect(addr1).resubmitProperty(
+          1, "State1", "District1", "Village1", "sur-001", ethers.parseEther("100"), ""
+        )
+      ).to.be.revertedWith("Survey number already registered");
+
+      await landRegistry.connect(addr1).resubmitProperty(
+        1, "State1", "District1", "Village1", "SUR-002", ethers.parseEther("100"), ""
+      );
+      await expect(
+        landRegistry.connect(addr1).resubmitProperty(
+          1, "State1", "District1", "Village1", "SUR-003", ethers.parseEther("100"), ""
+        )
+      ).to.be.revertedWith("Only rejected properties can be resubmitted");
+    });
+  });
+
   describe("Access Control", function () {
     it("Should pause contract", async function () {
       await landRegistry.pause();
@@ -11,6 +11,7 @@ import Dashboard from './components/Dashboard/Dashboard';
 import AdminDashboard from './components/Admin/AdminDashboard';
 import UserManagement from './components/Admin/UserManagement';
 import TransactionManager from './components/Transaction/TransactionManager';
+import LegalQueue from './components/Legal/LegalQueue';
 
 function App() {
   return (
@@ -27,6 +28,7 @@ function App() {
             <Route path="/admin" element={<AdminDashboard />} />
             <Route path="/admin/users" element={<UserManagement />} />
             <Route path="/transactions" element={<TransactionManager />} />
+            <Route path="/legal" element={<LegalQueue />} />
           </Routes>
         </Layout>
       </Router>
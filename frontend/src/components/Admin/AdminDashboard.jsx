@@ -1,14 +1,25 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useWeb3 } from '../../contexts/Web3Context';
-import { CheckCircle, XCircle, Loader2, FileCheck, AlertCircle, Users } from 'lucide-react';
-import { PROPERTY_STATUS } from '../../config/constants';
-import { formatEther } from '../../utils/web3';
+import { CheckCircle, XCircle, Loader2, FileCheck, AlertCircle, Users, Landmark } from 'lucide-react';
+import { PROPERTY_STATUS, ROLES } from '../../config/constants';
+import { formatEther, formatAddress } from '../../utils/web3';
+import TokenAmount from '../Transaction/TokenAmount';
+import ApprovalTrail, { toApprovalVote } from '../Property/ApprovalTrail';
+import SuccessionForm from './SuccessionForm';
+import TitleCorrectionForm from './TitleCorrectionForm';
 import { toast } from 'react-toastify';
 
 const AdminDashboard = () => {
-  const { contract, account } = useWeb3();
+  const { contract, account, userRole } = useWeb3();
   const [pendingProperties, setPendingProperties] = useState([]);
+  const [awaitingSignOff, setAwaitingSignOff] = useState([]);
+  const [signingOff, setSigningOff] = useState(null);
+  const [jurisdiction, setJurisdiction] = useState(null); // null for a global superadmin
+  const [quorum, setQuorum] = useState(1);
+  const [rejectReasons, setRejectReasons] = useState({});
+  const [pendingSubdivisions, setPendingSubdivisions] = useState([]);
+  const [pendingMerges, setPendingMerges] = useState([]);
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState({
     total: 0,
@@ -20,6 +31,7 @@ const AdminDashboard = () => {
   useEffect(() => {
     if (contract && account) {
       loadPendingProperties();
+      loadAwaitingSignOff();
     }
   }, [contract, account]);
 
@@ -51,8 +63,54 @@ const AdminDashboard = () => {
         isActive: prop[12]
       }));
 
-      const pending = allProperties.filter(p => p.isActive && p.status === 0);
+      // Village superadmins can only approve properties in their assigned villages
+      const isGlobal = await contract.globalSuperadmins(account);
+      const villages = isGlobal ? null : await contract.getSuperadminVillages(account);
+      setJurisdiction(villages);
+
+      const pending = allProperties.filter(p =>
+        p.isActive && p.status === 0 && (villages === null || villages.includes(p.village))
+      );
+      for (const property of pending) {
+        property.votes = (await contract.getApprovalVotes(property.id)).map(toApprovalVote);
+        property.revision = Number(await contract.registrationRevisions(property.id));
+      }
       setPendingProperties(pending);
+      setQuorum(Number(await contract.approvalQuorum()));
+
+      const requestIds = await contract.getPendingSubdivisions();
+      const requests = await Promise.all(requestIds.map(async (requestId) => {
+        const request = await contract.getSubdivisionRequest(requestId);
+        const parent = allProperties[Number(request[0]) - 1];
+        return {
+          id: requestId,
+          parent,
+          requester: request[1],
+          children: request[2].map((surveyNumber, i) => ({
+            surveyNumber,
+            marketValue: request[3][i],
+            ipfsHash: request[4][i]
+          }))
+        };
+      }));
+      setPendingSubdivisions(requests.filter((request) =>
+        villages === null || villages.includes(request.parent.village)
+      ));
+
+      const mergeIds = await contract.getPendingMerges();
+      const merges = await Promise.all(mergeIds.map(async (requestId) => {
+        const request = await contract.getMergeRequest(requestId);
+        return {
+          id: requestId,
+          sources: request[0].map((sourceId) => allProperties[Number(sourceId) - 1]),
+          requester: request[1],
+          surveyNumber: request[2],
+          marketValue: request[3]
+        };
+      }));
+      setPendingMerges(merges.filter((request) =>
+        villages === null || villages.includes(request.sources[0].village)
+      ));
 
       // Calculate stats
       setStats({
@@ -68,15 +126,86 @@ const AdminDashboard = () => {
     }
   };
 
+  const loadAwaitingSignOff = async () => {
+    try {
+      const txIds = await contract.getTransfersAwaitingSignOff();
+      const transfers = await Promise.all(txIds.map(async (txId) => {
+        const tx = await contract.getTransaction(txId);
+        const property = await contract.getProperty(tx[1]);
+        return {
+          id: tx[0],
+          propertyId: tx[1],
+          seller: tx[2],
+          buyer: tx[3],
+          price: tx[4],
+          completionDeadline: tx[9],
+          paymentToken: tx[10],
+          propertyIdStr: property[7]
+        };
+      }));
+      setAwaitingSignOff(transfers);
+    } catch (error) {
+      console.error('Error loading transfers awaiting sign-off:', error);
+    }
+  };
+
+  const handleSignOff = async (transactionId) => {
+    try {
+      setSigningOff(transactionId);
+      const tx = await contract.signOffTransfer(transactionId);
+      await tx.wait();
+      toast.success('Transfer signed off');
+      await loadAwaitingSignOff();
+    } catch (error) {
+      console.error('Error signing off transfer:', error);
+      toast.error(error.reason || 'Failed to sign off transfer');
+    } finally {
+      setSigningOff(null);
+    }
+  };
+
+  const handleSubdivision = async (requestId, approve) => {
+    try {
+      const tx = await contract.processSubdivision(requestId, approve);
+      await tx.wait();
+      toast.success(approve ? 'Subdivision approved' : 'Subdivision rejected');
+      await loadPendingProperties();
+    } catch (error) {
+      console.error('Error processing subdivision:', error);
+      toast.error(error.reason || 'Failed to process subdivision');
+    }
+  };
+
+  const handleMerge = async (requestId, approve) => {
+    try {
+      const tx = await contract.processMerge(requestId, approve);
+      await tx.wait();
+      toast.success(approve ? 'Merge approved' : 'Merge rejected');
+      await loadPendingProperties();
+    } catch (error) {
+      console.error('Error processing merge:', error);
+      toast.error(error.reason || 'Failed to process merge');
+    }
+  };
+
   const handleApproval = async (propertyId, approve) => {
+    const reason = rejectReasons[propertyId]?.trim();
+    if (!approve && !reason) {
+      toast.error('Please give a reason for the rejection');
+      return;
+    }
+
     try {
-      const tx = await contract.approveProperty(propertyId, approve);
+      const tx = approve
+        ? await contract.approveProperty(propertyId, true)
+        : await contract.rejectProperty(propertyId, reason);
       await tx.wait();
-      toast.success(approve ? 'Property approved' : 'Property rejected');
+      toast.success(approve ? 'Approval vote recorded' : 'Property rejected');
+      setRejectReasons({ ...rejectReasons, [propertyId]: '' });
       await loadPendingProperties();
     } catch (error) {
       console.error('Error processing approval:', error);
-      toast.error('Failed to process approval');
+      toast.error(error.reason || 'Failed to process approval');
     }
   };
 
@@ -92,13 +221,15 @@ const AdminDashboard = () => {
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h1 className="text-3xl font-bold text-gray-900">Admin Dashboard</h1>
-        <Link
-          to="/admin/users"
-          className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700"
-        >
-          <Users className="h-5 w-5 mr-2" />
-          Manage Users
-        </Link>
+        {userRole === ROLES.SUPERADMIN && (
+          <Link
+            to="/admin/users"
+            className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700"
+          >
+            <Users className="h-5 w-5 mr-2" />
+            Manage Users
+          </Link>
+        )}
       </div>
 
       <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
@@ -144,86 +275,286 @@ const AdminDashboard = () => {
       </div>
 
       <div className="bg-white rounded-lg shadow-md p-6">
-        <h2 className="text-xl font-semibold mb-4">Pending Property Approvals</h2>
-        
-        {pendingProperties.length === 0 ? (
+        <h2 className="text-xl font-semibold mb-4">Transfers awaiting government sign-off</h2>
+
+        {awaitingSignOff.length === 0 ? (
           <div className="text-center py-8">
-            <CheckCircle className="h-12 w-12 text-green-500 mx-auto mb-4" />
-            <p className="text-gray-500">No pending properties to review</p>
+            <Landmark className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-500">No transfers awaiting sign-off</p>
           </div>
         ) : (
           <div className="space-y-4">
-            {pendingProperties.map((property) => {
-              const isOwnProperty = property.owner.toLowerCase() === account?.toLowerCase();
-              return (
-                <div 
-                  key={property.id.toString()} 
-                  className={`border rounded-lg p-4 ${isOwnProperty ? 'border-yellow-400 bg-yellow-50' : 'border-gray-200'}`}
-                >
-                  <div className="flex justify-between items-start">
-                    <div className="flex-1">
-                      <div className="flex items-center gap-2 mb-2">
-                        <h3 className="font-semibold text-lg">{property.propertyId}</h3>
-                        {isOwnProperty && (
-                          <span className="px-2 py-1 bg-yellow-200 text-yellow-800 text-xs font-medium rounded">
-                            Your Property
-                          </span>
-                        )}
+            {awaitingSignOff.map((transfer) => (
+              <div key={transfer.id.toString()} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex justify-between items-start">
+                  <div className="flex-1">
+                    <Link
+                      to={`/property/${transfer.propertyId}`}
+                      className="font-semibold text-primary-600 hover:underline"
+                    >
+                      {transfer.propertyIdStr}
+                    </Link>
+                    <div className="mt-2 grid grid-cols-2 gap-4 text-sm text-gray-600">
+                      <div>
+                        <p className="font-medium">Price</p>
+                        <p><TokenAmount value={transfer.price} token={transfer.paymentToken} /></p>
                       </div>
-                      {isOwnProperty && (
-                        <div className="mb-3 p-3 bg-yellow-100 border border-yellow-300 rounded text-sm text-yellow-800">
-                          ⚠️ <strong>Warning:</strong> This property is registered under your account. 
-                          It's recommended to use a different account for property registration to maintain separation of duties.
-                        </div>
+                      <div>
+                        <p className="font-medium">Transaction</p>
+                        <p>#{transfer.id.toString()}</p>
+                      </div>
+                      <div>
+                        <p className="font-medium">Seller</p>
+                        <p className="font-mono text-xs">{formatAddress(transfer.seller)}</p>
+                      </div>
+                      <div>
+                        <p className="font-medium">Buyer</p>
+                        <p className="font-mono text-xs">{formatAddress(transfer.buyer)}</p>
+                      </div>
+                    </div>
+                  </div>
+                  {userRole === ROLES.GOVERNMENT && (
+                    <button
+                      onClick={() => handleSignOff(transfer.id)}
+                      disabled={signingOff !== null}
+                      className="ml-4 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 flex items-center disabled:opacity-50"
+                    >
+                      {signingOff === transfer.id ? (
+                        <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                      ) : (
+                        <CheckCircle className="h-4 w-4 mr-2" />
                       )}
-                      <div className="grid grid-cols-2 gap-4 text-sm text-gray-600">
-                        <div>
-                          <p className="font-medium">Location</p>
-                          <p>{property.village}, {property.district}, {property.state}</p>
-                        </div>
-                        <div>
-                          <p className="font-medium">Market Value</p>
-                          <p>{formatEther(property.marketValue)} ETH</p>
+                      Sign Off
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {userRole === ROLES.GOVERNMENT && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-semibold mb-4">Succession Transfer</h2>
+          <SuccessionForm />
+        </div>
+      )}
+
+      {userRole === ROLES.GOVERNMENT && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-semibold mb-4">Court-Ordered Title Correction</h2>
+          <TitleCorrectionForm />
+        </div>
+      )}
+
+      {userRole === ROLES.SUPERADMIN && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-semibold mb-1">Pending Property Approvals</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            {jurisdiction === null
+              ? 'Jurisdiction: all villages'
+              : `Jurisdiction: ${jurisdiction.length > 0 ? jurisdiction.join(', ') : 'no villages assigned'}`}
+          </p>
+          
+          {pendingProperties.length === 0 ? (
+            <div className="text-center py-8">
+              <CheckCircle className="h-12 w-12 text-green-500 mx-auto mb-4" />
+              <p className="text-gray-500">No pending properties to review</p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {pendingProperties.map((property) => {
+                const isOwnProperty = property.owner.toLowerCase() === account?.toLowerCase();
+                // Votes on an earlier, rejected revision do not stop an officer voting on the resubmission
+                const hasVoted = property.votes.some((vote) =>
+                  vote.revision === property.revision && vote.officer.toLowerCase() === account?.toLowerCase()
+                );
+                return (
+                  <div 
+                    key={property.id.toString()} 
+                    className={`border rounded-lg p-4 ${isOwnProperty ? 'border-yellow-400 bg-yellow-50' : 'border-gray-200'}`}
+                  >
+                    <div className="flex justify-between items-start">
+                      <div className="flex-1">
+                        <div className="flex items-center gap-2 mb-2">
+                          <h3 className="font-semibold text-lg">{property.propertyId}</h3>
+                          {isOwnProperty && (
+                            <span className="px-2 py-1 bg-yellow-200 text-yellow-800 text-xs font-medium rounded">
+                              Your Property
+                            </span>
+                          )}
                         </div>
-                        <div>
-                          <p className="font-medium">Owner</p>
-                          <p className="font-mono text-xs">{property.owner}</p>
+                        {isOwnProperty && (
+                          <div className="mb-3 p-3 bg-yellow-100 border border-yellow-300 rounded text-sm text-yellow-800">
+                            ⚠️ <strong>Warning:</strong> This property is registered under your account. 
+                            It's recommended to use a different account for property registration to maintain separation of duties.
+                          </div>
+                        )}
+                        <div className="grid grid-cols-2 gap-4 text-sm text-gray-600">
+                          <div>
+                            <p className="font-medium">Location</p>
+                            <p>{property.village}, {property.district}, {property.state}</p>
+                          </div>
+                          <div>
+                            <p className="font-medium">Market Value</p>
+                            <p>{formatEther(property.marketValue)} ETH</p>
+                          </div>
+                          <div>
+                            <p className="font-medium">Owner</p>
+                            <p className="font-mono text-xs">{property.owner}</p>
+                          </div>
+                          <div>
+                            <p className="font-medium">Survey Number</p>
+                            <p>{property.surveyNumber}</p>
+                          </div>
                         </div>
-                        <div>
-                          <p className="font-medium">Survey Number</p>
-                          <p>{property.surveyNumber}</p>
+                        <div className="mt-3 pt-3 border-t border-gray-200">
+                          <ApprovalTrail votes={property.votes} quorum={quorum} revision={property.revision} />
                         </div>
                       </div>
+                      <div className="flex flex-col space-y-2 ml-4">
+                        <button
+                          onClick={() => handleApproval(property.id, true)}
+                          disabled={isOwnProperty || hasVoted}
+                          className={`px-4 py-2 rounded-lg flex items-center ${
+                            isOwnProperty || hasVoted
+                              ? 'bg-gray-400 text-white cursor-not-allowed' 
+                              : 'bg-green-600 text-white hover:bg-green-700'
+                          }`}
+                          title={
+                            isOwnProperty
+                              ? "Cannot approve your own property"
+                              : hasVoted ? "You have already voted" : "Approve property"
+                          }
+                        >
+                          <CheckCircle className="h-4 w-4 mr-2" />
+                          Approve
+                        </button>
+                        <input
+                          type="text"
+                          value={rejectReasons[property.id] || ''}
+                          onChange={(e) => setRejectReasons({ ...rejectReasons, [property.id]: e.target.value })}
+                          placeholder="Rejection reason"
+                          disabled={hasVoted}
+                          className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                        />
+                        <button
+                          onClick={() => handleApproval(property.id, false)}
+                          disabled={hasVoted}
+                          className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 flex items-center disabled:opacity-50"
+                        >
+                          <XCircle className="h-4 w-4 mr-2" />
+                          Reject
+                        </button>
+                      </div>
                     </div>
-                    <div className="flex space-x-2 ml-4">
-                      <button
-                        onClick={() => handleApproval(property.id, true)}
-                        disabled={isOwnProperty}
-                        className={`px-4 py-2 rounded-lg flex items-center ${
-                          isOwnProperty 
-                            ? 'bg-gray-400 text-white cursor-not-allowed' 
-                            : 'bg-green-600 text-white hover:bg-green-700'
-                        }`}
-                        title={isOwnProperty ? "Cannot approve your own property" : "Approve property"}
-                      >
-                        <CheckCircle className="h-4 w-4 mr-2" />
-                        Approve
-                      </button>
-                      <button
-                        onClick={() => handleApproval(property.id, false)}
-                        className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 flex items-center"
-                      >
-                        <XCircle className="h-4 w-4 mr-2" />
-                        Reject
-                      </button>
-                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      )}
+
+      {userRole === ROLES.SUPERADMIN && pendingSubdivisions.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-semibold mb-4">Pending Subdivisions</h2>
+          <div className="space-y-4">
+            {pendingSubdivisions.map((request) => (
+              <div key={request.id.toString()} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex justify-between items-start">
+                  <div className="flex-1">
+                    <Link
+                      to={`/property/${request.parent.id}`}
+                      className="font-semibold text-primary-600 hover:underline"
+                    >
+                      {request.parent.propertyId}
+                    </Link>
+                    <p className="text-sm text-gray-600 mt-1">
+                      {formatEther(request.parent.marketValue)} ETH &middot; Requested by{' '}
+                      <span className="font-mono text-xs">{formatAddress(request.requester)}</span>
+                    </p>
+                    <ul className="mt-3 space-y-1 text-sm text-gray-600">
+                      {request.children.map((child, index) => (
+                        <li key={index}>
+                          {child.surveyNumber} &middot; {formatEther(child.marketValue)} ETH
+                          {child.ipfsHash && <span className="text-xs text-gray-500"> &middot; documents attached</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                  <div className="flex space-x-2 ml-4">
+                    <button
+                      onClick={() => handleSubdivision(request.id, true)}
+                      className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 flex items-center"
+                    >
+                      <CheckCircle className="h-4 w-4 mr-2" />
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleSubdivision(request.id, false)}
+                      className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 flex items-center"
+                    >
+                      <XCircle className="h-4 w-4 mr-2" />
+                      Reject
+                    </button>
                   </div>
                 </div>
-              );
-            })}
+              </div>
+            ))}
           </div>
-        )}
-      </div>
+        </div>
+      )}
+
+      {userRole === ROLES.SUPERADMIN && pendingMerges.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-semibold mb-4">Pending Merges</h2>
+          <div className="space-y-4">
+            {pendingMerges.map((request) => (
+              <div key={request.id.toString()} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex justify-between items-start">
+                  <div className="flex-1">
+                    <p className="font-semibold">
+                      {request.surveyNumber} &middot; {formatEther(request.marketValue)} ETH
+                    </p>
+                    <p className="text-sm text-gray-600 mt-1">
+                      {request.sources[0].village}, {request.sources[0].district} &middot; Requested by{' '}
+                      <span className="font-mono text-xs">{formatAddress(request.requester)}</span>
+                    </p>
+                    <ul className="mt-3 space-y-1 text-sm text-gray-600">
+                      {request.sources.map((source) => (
+                        <li key={source.id.toString()}>
+                          <Link to={`/property/${source.id}`} className="text-primary-600 hover:underline">
+                            {source.propertyId}
+                          </Link>
+                          {' '}&middot; Survey {source.surveyNumber} &middot; {formatEther(source.marketValue)} ETH
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                  <div className="flex space-x-2 ml-4">
+                    <button
+                      onClick={() => handleMerge(request.id, true)}
+                      className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 flex items-center"
+                    >
+                      <CheckCircle className="h-4 w-4 mr-2" />
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleMerge(request.id, false)}
+                      className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 flex items-center"
+                    >
+                      <XCircle className="h-4 w-4 mr-2" />
+                      Reject
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../../contexts/Web3Context';
+import { Plus, X, Loader2, Upload } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { uploadToIPFS, validateFile } from '../../services/ipfs';
+
+const emptyHeir = () => ({ address: '', share: '' });
+
+// Lets a government authority pass a deceased holder's share of a property to their heirs
+const SuccessionForm = () => {
+  const { contract } = useWeb3();
+  const [propertyId, setPropertyId] = useState('');
+  const [deceased, setDeceased] = useState('');
+  const [heirs, setHeirs] = useState([emptyHeir()]);
+  const [certificate, setCertificate] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const updateHeir = (index, changes) => {
+    setHeirs(heirs.map((heir, i) => (i === index ? { ...heir, ...changes } : heir)));
+  };
+
+  const handleCertificateChange = (file) => {
+    if (!file) {
+      return;
+    }
+    const validation = validateFile(file);
+    if (!validation.valid) {
+      toast.error(validation.error);
+      return;
+    }
+    setCertificate(file);
+  };
+
+  const handleSubmit = async () => {
+    if (!propertyId || !deceased.trim()) {
+      toast.error('Please enter the property and the deceased owner');
+      return;
+    }
+    if (!certificate) {
+      toast.error('Please attach the succession certificate');
+      return;
+    }
+    const sharesBps = heirs.map((heir) => Math.round(parseFloat(heir.share || '0') * 100));
+    if (sharesBps.reduce((sum, share) => sum + share, 0) !== 10000) {
+      toast.error('Heir shares must add up to 100%');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const certificateHash = await uploadToIPFS(certificate);
+      const tx = await contract.executeSuccession(
+        propertyId,
+        deceased.trim(),
+        heirs.map((heir) => heir.address.trim()),
+        sharesBps,
+        certificateHash
+      );
+      await tx.wait();
+      toast.success('Succession transfer executed');
+      setPropertyId('');
+      setDeceased('');
+      setHeirs([emptyHeir()]);
+      setCertificate(null);
+    } catch (error) {
+      console.error('Error executing succession:', error);
+      toast.error(error.reason || 'Failed to execute succession');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <input
+          type="number"
+          placeholder="Property #"
+          value={propertyId}
+          onChange={(e) => setPropertyId(e.target.value)}
+          className="w-32 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          min="1"
+        />
+        <input
+          type="text"
+          placeholder="Deceased owner address"
+          value={deceased}
+          onChange={(e) => setDeceased(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+        />
+      </div>
+
+      {heirs.map((heir, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <input
+            type="text"
+            placeholder={`Heir #${index + 1} address`}
+            value={heir.address}
+            onChange={(e) => updateHeir(index, { address: e.target.value })}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+          />
+          <input
+            type="number"
+            placeholder="Share %"
+            value={heir.share}
+            onChange={(e) => updateHeir(index, { share: e.target.value })}
+            className="w-28 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            step="0.01"
+            min="0"
+            max="100"
+          />
+          <button
+            onClick={() => setHeirs(heirs.filter((_, i) => i !== index))}
+            disabled={heirs.length <= 1}
+            className="p-2 text-red-600 hover:text-red-700 disabled:opacity-30"
+            title="Remove heir"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      ))}
+
+      <label className="flex items-center px-3 py-2 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-primary-500 text-sm text-gray-600">
+        <Upload className="h-4 w-4 mr-2 text-gray-400" />
+        {certificate?.name || 'Attach succession certificate (PDF, Image, DOC)'}
+        <input
+          type="file"
+          className="hidden"
+          onChange={(e) => handleCertificateChange(e.target.files[0])}
+          accept=".pdf,.jpg,.jpeg,.png,.doc,.docx"
+        />
+      </label>
+
+      <div className="flex justify-between items-center">
+        <button
+          onClick={() => setHeirs([...heirs, emptyHeir()])}
+          className="inline-flex items-center text-sm text-primary-600 hover:text-primary-700"
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Add heir
+        </button>
+        <button
+          onClick={handleSubmit}
+          disabled={submitting}
+          className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+        >
+          {submitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+          Execute Succession
+        </button>
+      </div>
+      <p className="text-xs text-gray-500">
+        Heir shares split the deceased owner&apos;s share of the property. Open offers on a listed property are refunded.
+      </p>
+    </div>
+  );
+};
+
+export default SuccessionForm;
@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../../contexts/Web3Context';
+import { Loader2, Upload } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { uploadToIPFS, validateFile } from '../../services/ipfs';
+import { formatEther, parseEther } from '../../utils/web3';
+
+const FIELDS = [
+  { key: 'state', placeholder: 'State' },
+  { key: 'district', placeholder: 'District' },
+  { key: 'village', placeholder: 'Village' },
+  { key: 'surveyNumber', placeholder: 'Survey number' }
+];
+
+// Lets a government authority apply a court-ordered correction to a property's owner, location or market value
+const TitleCorrectionForm = () => {
+  const { contract } = useWeb3();
+  const [propertyId, setPropertyId] = useState('');
+  const [details, setDetails] = useState(null);
+  const [courtOrder, setCourtOrder] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleLoad = async () => {
+    if (!propertyId) {
+      toast.error('Please enter the property number');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const prop = await contract.getProperty(propertyId);
+      if (Number(prop[0]) === 0) {
+        toast.error('Property does not exist');
+        return;
+      }
+      setDetails({
+        owner: prop[5],
+        state: prop[1],
+        district: prop[2],
+        village: prop[3],
+        surveyNumber: prop[4],
+        marketValue: formatEther(prop[6])
+      });
+    } catch (error) {
+      console.error('Error loading property:', error);
+      toast.error(error.reason || 'Failed to load property');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCourtOrderChange = (file) => {
+    if (!file) {
+      return;
+    }
+    const validation = validateFile(file);
+    if (!validation.valid) {
+      toast.error(validation.error);
+      return;
+    }
+    setCourtOrder(file);
+  };
+
+  const handleSubmit = async () => {
+    if (Object.values(details).some((value) => !value.trim())) {
+      toast.error('Please fill in every title field');
+      return;
+    }
+    if (!courtOrder) {
+      toast.error('Please attach the court order');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const courtOrderHash = await uploadToIPFS(courtOrder);
+      const tx = await contract.correctTitle(
+        propertyId,
+        [
+          details.owner.trim(),
+          details.state.trim(),
+          details.district.trim(),
+          details.village.trim(),
+          details.surveyNumber.trim(),
+          parseEther(details.marketValue)
+        ],
+        courtOrderHash
+      );
+      await tx.wait();
+      toast.success('Title corrected');
+      setPropertyId('');
+      setDetails(null);
+      setCourtOrder(null);
+    } catch (error) {
+      console.error('Error correcting title:', error);
+      toast.error(error.reason || 'Failed to correct title');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <input
+          type="number"
+          placeholder="Property #"
+          value={propertyId}
+          onChange={(e) => {
+            setPropertyId(e.target.value);
+            setDetails(null);
+          }}
+          className="w-32 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          min="1"
+        />
+        <button
+          onClick={handleLoad}
+          disabled={loading}
+          className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50"
+        >
+          {loading && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+          Load Title
+        </button>
+      </div>
+
+      {details && (
+        <>
+          <input
+            type="text"
+            placeholder="Owner address"
+            value={details.owner}
+            onChange={(e) => setDetails({ ...details, owner: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+          />
+          <div className="grid grid-cols-2 gap-2">
+            {FIELDS.map(({ key, placeholder }) => (
+              <input
+                key={key}
+                type="text"
+                placeholder={placeholder}
+                value={details[key]}
+                onChange={(e) => setDetails({ ...details, [key]: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            ))}
+          </div>
+          <input
+            type="number"
+            placeholder="Market value (ETH)"
+            value={details.marketValue}
+            onChange={(e) => setDetails({ ...details, marketValue: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            step="0.01"
+            min="0"
+          />
+          <label className="flex items-center px-3 py-2 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-primary-500 text-sm text-gray-600">
+            <Upload className="h-4 w-4 mr-2 text-gray-400" />
+            {courtOrder?.name || 'Attach court order (PDF, Image, DOC)'}
+            <input
+              type="file"
+              className="hidden"
+              onChange={(e) => handleCourtOrderChange(e.target.files[0])}
+              accept=".pdf,.jpg,.jpeg,.png,.doc,.docx"
+            />
+          </label>
+          <div className="flex justify-between items-center">
+            <p className="text-xs text-gray-500">
+              A new owner becomes the sole owner. Open offers on a listed property are refunded.
+            </p>
+            <button
+              onClick={handleSubmit}
+              disabled={submitting}
+              className="inline-flex items-center px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              {submitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Correct Title
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TitleCorrectionForm;
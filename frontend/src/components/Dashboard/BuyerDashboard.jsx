@@ -3,8 +3,11 @@ import { Link } from 'react-router-dom';
 import { useWeb3 } from '../../contexts/Web3Context';
 import { Search, ShoppingCart, CheckCircle, XCircle, Plus, Loader2, Clock } from 'lucide-react';
 import PropertyCard from '../Property/PropertyCard';
-import { formatEther } from '../../utils/web3';
+import ClaimableBalance from '../Transaction/ClaimableBalance';
+import TokenAmount from '../Transaction/TokenAmount';
+import InstallmentSchedule, { toInstallmentPlan } from '../Transaction/InstallmentSchedule';
 import { PROPERTY_STATUS, TRANSACTION_STATUS } from '../../config/constants';
+import { toast } from 'react-toastify';
 
 const BuyerDashboard = () => {
   const { contract, account } = useWeb3();
@@ -45,7 +48,10 @@ const BuyerDashboard = () => {
           status: Number(prop[9]),
           registeredAt: prop[10],
           lastUpdated: prop[11],
-          isActive: prop[12]
+          isActive: prop[12],
+          askingPrice: prop[13],
+          pricingMode: Number(prop[14]),
+          paymentToken: prop[15]
         }))
         .filter(prop => prop.isActive && prop.status === 3 && prop.owner.toLowerCase() !== account.toLowerCase());
 
@@ -63,6 +69,7 @@ const BuyerDashboard = () => {
               // Check if user is buyer
               if (tx[3].toLowerCase() === account.toLowerCase()) {
                 const property = await contract.getProperty(tx[1]);
+                const plan = toInstallmentPlan(await contract.getInstallmentPlan(tx[0]));
                 buyerTransactions.push({
                   id: tx[0],
                   propertyId: tx[1],
@@ -73,6 +80,9 @@ const BuyerDashboard = () => {
                   requestedAt: tx[6],
                   completedAt: tx[7],
                   ipfsHash: tx[8],
+                  paymentToken: tx[10],
+                  fee: tx[11],
+                  installmentPlan: plan.installmentCount > 0 ? plan : null,
                   propertyIdStr: property[7] // propertyId string
                 });
               }
@@ -83,8 +93,8 @@ const BuyerDashboard = () => {
           }
         }
         
-        // Filter pending and approved transactions
-        const pending = buyerTransactions.filter(tx => tx.status === 0 || tx.status === 1);
+        // Filter open offers (pending or countered) and approved transactions
+        const pending = buyerTransactions.filter(tx => tx.status === 0 || tx.status === 1 || tx.status === 5);
         setPendingRequests(pending);
       } catch (error) {
         console.warn('Could not load buyer transactions:', error);
@@ -97,6 +107,18 @@ const BuyerDashboard = () => {
     }
   };
 
+  const handleWithdrawOffer = async (transactionId) => {
+    try {
+      const tx = await contract.cancelPurchaseRequest(transactionId);
+      await tx.wait();
+      toast.success('Offer withdrawn, refund ready to claim');
+      await loadData();
+    } catch (error) {
+      console.error('Error withdrawing offer:', error);
+      toast.error(error.reason || 'Failed to withdraw offer');
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -147,6 +169,8 @@ const BuyerDashboard = () => {
         </div>
       </div>
 
+      <ClaimableBalance />
+
       {availableProperties.length > 0 && (
         <div>
           <h2 className="text-xl font-semibold mb-4">Properties Available for Purchase</h2>
@@ -191,7 +215,7 @@ const BuyerDashboard = () => {
                       Property #{request.propertyIdStr || request.propertyId}
                     </Link>
                     <div className="mt-2 space-y-1 text-sm text-gray-600">
-                      <p>Offer: <span className="font-semibold">{formatEther(request.price)} ETH</span></p>
+                      <p>Offer: <span className="font-semibold"><TokenAmount value={request.price} token={request.paymentToken} /></span></p>
                       <p>Seller: <span className="font-mono text-xs">{request.seller}</span></p>
                     </div>
                   </div>
@@ -215,11 +239,20 @@ const BuyerDashboard = () => {
                           <span className="text-sm text-yellow-600 font-medium">Pending</span>
                         </>
                       )}
+                    {request.status === 5 && (
+                        <>
+                          <Clock className="h-5 w-5 text-amber-500" />
+                          <span className="text-sm text-amber-600 font-medium">Countered</span>
+                        </>
+                      )}
                     </div>
                     <span className="text-xs text-gray-500">
                       {TRANSACTION_STATUS[request.status]}
                     </span>
                     {request.status === 1 && (
+                      !request.installmentPlan ||
+                      request.installmentPlan.installmentsPaid === request.installmentPlan.installmentCount
+                    ) && (
                       <Link
                         to="/transactions"
                         className="text-xs text-primary-600 hover:text-primary-700 font-medium"
@@ -227,8 +260,19 @@ const BuyerDashboard = () => {
                         Complete Purchase →
                       </Link>
                     )}
+                    {(request.status === 0 || request.status === 5) && (
+                      <button
+                        onClick={() => handleWithdrawOffer(request.id)}
+                        className="text-xs text-red-600 hover:text-red-700 font-medium"
+                      >
+                        Withdraw offer
+                      </button>
+                    )}
                   </div>
                 </div>
+                {request.installmentPlan && (
+                  <InstallmentSchedule transaction={request} onPaid={loadData} />
+                )}
               </div>
             ))}
           </div>
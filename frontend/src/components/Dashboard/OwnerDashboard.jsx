@@ -1,14 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useWeb3 } from '../../contexts/Web3Context';
-import { Plus, Package, DollarSign, TrendingUp, Loader2 } from 'lucide-react';
+import { Plus, Package, DollarSign, TrendingUp, Loader2, Combine } from 'lucide-react';
 import PropertyCard from '../Property/PropertyCard';
+import ClaimableBalance from '../Transaction/ClaimableBalance';
+import MergeForm from '../Property/MergeForm';
+import ResubmitForm from '../Property/ResubmitForm';
 import { formatEther } from '../../utils/web3';
 
 const OwnerDashboard = () => {
   const { contract, account } = useWeb3();
   const [properties, setProperties] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [merging, setMerging] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
   const [stats, setStats] = useState({
     total: 0,
     forSale: 0,
@@ -27,8 +32,12 @@ const OwnerDashboard = () => {
       const propertyIds = await contract.getOwnerProperties(account);
       const propertyPromises = propertyIds.map(id => contract.getProperty(id));
       const propertyData = await Promise.all(propertyPromises);
+      const pendingRequests = await Promise.all(propertyIds.map(async (id) => ({
+        subdivision: Number(await contract.pendingSubdivision(id)),
+        merge: Number(await contract.pendingMerge(id))
+      })));
 
-      const formatted = propertyData.map(prop => ({
+      const formatted = propertyData.map((prop, index) => ({
         id: prop[0],
         state: prop[1],
         district: prop[2],
@@ -41,7 +50,11 @@ const OwnerDashboard = () => {
         status: Number(prop[9]),
         registeredAt: prop[10],
         lastUpdated: prop[11],
-        isActive: prop[12]
+        isActive: prop[12],
+        askingPrice: prop[13],
+        pricingMode: Number(prop[14]),
+        paymentToken: prop[15],
+        hasPendingRequest: pendingRequests[index].subdivision > 0 || pendingRequests[index].merge > 0
       }));
 
       setProperties(formatted);
@@ -62,6 +75,24 @@ const OwnerDashboard = () => {
     }
   };
 
+  // Only approved parcels the account manages, without an open subdivision or merge request, can be merged
+  const isMergeable = (property) =>
+    property.status === 1 &&
+    !property.hasPendingRequest &&
+    property.owner.toLowerCase() === account.toLowerCase();
+
+  const toggleSelected = (id) => {
+    setSelectedIds(selectedIds.includes(id)
+      ? selectedIds.filter((selectedId) => selectedId !== id)
+      : [...selectedIds, id]);
+  };
+
+  const handleMergeSubmitted = async () => {
+    setMerging(false);
+    setSelectedIds([]);
+    await loadProperties();
+  };
+
   if (loading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -117,6 +148,22 @@ const OwnerDashboard = () => {
         </div>
       </div>
 
+      <ClaimableBalance />
+
+      {properties.some((property) => property.status === 2) && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-semibold mb-1">Rejected Registrations</h2>
+          <p className="text-sm text-gray-500 mb-4">
+            Correct the details or documents and resubmit them for approval.
+          </p>
+          <div className="space-y-3">
+            {properties.filter((property) => property.status === 2).map((property) => (
+              <ResubmitForm key={property.id.toString()} property={property} onSubmitted={loadProperties} />
+            ))}
+          </div>
+        </div>
+      )}
+
       {properties.length === 0 ? (
         <div className="bg-white rounded-lg shadow-md p-12 text-center">
           <Package className="h-12 w-12 text-gray-400 mx-auto mb-4" />
@@ -131,10 +178,45 @@ const OwnerDashboard = () => {
         </div>
       ) : (
         <div>
-          <h2 className="text-xl font-semibold mb-4">Property List</h2>
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-semibold">Property List</h2>
+            {properties.filter(isMergeable).length >= 2 && (
+              <button
+                onClick={() => {
+                  setMerging(!merging);
+                  setSelectedIds([]);
+                }}
+                className="inline-flex items-center text-sm text-primary-600 hover:text-primary-700 font-medium"
+              >
+                <Combine className="h-4 w-4 mr-1" />
+                {merging ? 'Cancel merge' : 'Merge parcels'}
+              </button>
+            )}
+          </div>
+
+          {merging && (
+            <div className="bg-white rounded-lg shadow-md p-4 mb-4">
+              <MergeForm
+                parcels={properties.filter((property) => selectedIds.includes(property.id))}
+                onSubmitted={handleMergeSubmitted}
+              />
+            </div>
+          )}
+
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
             {properties.map((property) => (
-              <PropertyCard key={property.id.toString()} property={property} />
+              <div key={property.id.toString()} className="relative">
+                <PropertyCard property={property} />
+                {merging && isMergeable(property) && (
+                  <label className="absolute top-2 left-2 bg-white rounded p-1 shadow cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(property.id)}
+                      onChange={() => toggleSelected(property.id)}
+                    />
+                  </label>
+                )}
+              </div>
             ))}
           </div>
         </div>
@@ -3,6 +3,7 @@ import { Link, useLocation } from 'react-router-dom';
 import { useWeb3 } from '../../contexts/Web3Context';
 import { formatAddress } from '../../utils/web3';
 import { Home, User, LogOut, Wallet } from 'lucide-react';
+import ClaimableBalance from '../Transaction/ClaimableBalance';
 
 const Navbar = () => {
   const { account, connect, disconnect, isConnecting, userRole } = useWeb3();
@@ -50,7 +51,7 @@ const Navbar = () => {
               >
                 Transactions
               </Link>
-              {userRole === 'Superadmin' && (
+              {(userRole === 'Superadmin' || userRole === 'Government Authority') && (
                 <Link
                   to="/admin"
                   className={`inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
@@ -62,11 +63,24 @@ const Navbar = () => {
                   Admin
                 </Link>
               )}
+              {userRole === 'Legal Professional' && (
+                <Link
+                  to="/legal"
+                  className={`inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium ${
+                    isActive('/legal')
+                      ? 'border-primary-500 text-gray-900'
+                      : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
+                  }`}
+                >
+                  Legal Queue
+                </Link>
+              )}
             </div>
           </div>
           <div className="flex items-center space-x-4">
             {account ? (
               <>
+                <ClaimableBalance compact />
                 <div className="flex items-center space-x-2 px-3 py-2 rounded-lg bg-gray-100">
                   <User className="h-4 w-4 text-gray-600" />
                   <span className="text-sm text-gray-700">{userRole || 'User'}</span>
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useWeb3 } from '../../contexts/Web3Context';
+import { Scale, CheckCircle, XCircle, Upload, Loader2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { uploadToIPFS, validateFile } from '../../services/ipfs';
+import { formatAddress } from '../../utils/web3';
+import { LEGAL_REVIEW_STATUS, ROLES, TRANSACTION_STATUS } from '../../config/constants';
+import TokenAmount from '../Transaction/TokenAmount';
+import { toLegalReview } from '../Transaction/LegalReviewPanel';
+
+// Transactions assigned to the connected lawyer, with attest/decline actions for those awaiting review
+const LegalQueue = () => {
+  const { contract, account, userRole } = useWeb3();
+  const [assignments, setAssignments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [deeds, setDeeds] = useState({});
+  const [processing, setProcessing] = useState(null);
+
+  useEffect(() => {
+    if (contract && account && userRole === ROLES.LEGAL_PROFESSIONAL) {
+      loadAssignments();
+    }
+  }, [contract, account, userRole]);
+
+  const loadAssignments = async () => {
+    try {
+      setLoading(true);
+      const txIds = await contract.getLawyerTransactions(account);
+      const loaded = await Promise.all(txIds.map(async (txId) => {
+        const [tx, review] = await Promise.all([
+          contract.getTransaction(txId),
+          contract.getLegalReview(txId)
+        ]);
+        const property = await contract.getProperty(tx[1]);
+        return {
+          id: tx[0],
+          propertyId: tx[1],
+          seller: tx[2],
+          buyer: tx[3],
+          price: tx[4],
+          status: Number(tx[5]),
+          paymentToken: tx[10],
+          propertyIdStr: property[7],
+          review: toLegalReview(review)
+        };
+      }));
+
+      // Sales still awaiting this lawyer first, newest first
+      setAssignments(loaded.sort((a, b) =>
+        Number(isAwaitingReview(b)) - Number(isAwaitingReview(a)) || Number(b.id) - Number(a.id)
+      ));
+    } catch (error) {
+      console.error('Error loading legal queue:', error);
+      toast.error('Failed to load assigned transactions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isAwaitingReview = (assignment) =>
+    assignment.status === 1 &&
+    assignment.review.status === 1 &&
+    assignment.review.lawyer.toLowerCase() === account.toLowerCase();
+
+  const handleDeedChange = (transactionId, file) => {
+    if (!file) {
+      return;
+    }
+    const validation = validateFile(file);
+    if (!validation.valid) {
+      toast.error(validation.error);
+      return;
+    }
+    setDeeds({ ...deeds, [transactionId]: file });
+  };
+
+  const handleAttest = async (transactionId) => {
+    const deed = deeds[transactionId];
+    if (!deed) {
+      toast.error('Please attach the sale deed');
+      return;
+    }
+
+    try {
+      setProcessing(transactionId);
+      const deedHash = await uploadToIPFS(deed);
+      const tx = await contract.attestSale(transactionId, deedHash);
+      await tx.wait();
+      toast.success('Sale attested');
+      setDeeds({ ...deeds, [transactionId]: null });
+      await loadAssignments();
+    } catch (error) {
+      console.error('Error attesting sale:', error);
+      toast.error(error.reason || 'Failed to attest sale');
+    } finally {
+      setProcessing(null);
+    }
+  };
+
+  const handleDecline = async (transactionId) => {
+    try {
+      setProcessing(transactionId);
+      const tx = await contract.declineAttestation(transactionId);
+      await tx.wait();
+      toast.success('Attestation declined');
+      await loadAssignments();
+    } catch (error) {
+      console.error('Error declining attestation:', error);
+      toast.error(error.reason || 'Failed to decline attestation');
+    } finally {
+      setProcessing(null);
+    }
+  };
+
+  if (userRole !== ROLES.LEGAL_PROFESSIONAL) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-12 text-center">
+        <Scale className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+        <p className="text-gray-500 text-lg">Only legal professionals can view the legal queue</p>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Loader2 className="h-8 w-8 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-3xl font-bold text-gray-900">Legal Queue</h1>
+
+      {assignments.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-md p-12 text-center">
+          <Scale className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-500 text-lg">No sales have been assigned to you</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="space-y-4">
+            {assignments.map((assignment) => (
+              <div key={assignment.id.toString()} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex justify-between items-start">
+                  <div className="flex-1">
+                    <Link
+                      to={`/property/${assignment.propertyId}`}
+                      className="font-semibold text-primary-600 hover:underline"
+                    >
+                      Property #{assignment.propertyIdStr || assignment.propertyId}
+                    </Link>
+                    <div className="mt-2 space-y-1 text-sm text-gray-600">
+                      <p>Transaction #{assignment.id.toString()} &middot; {TRANSACTION_STATUS[assignment.status]}</p>
+                      <p>Seller: <span className="font-mono text-xs">{formatAddress(assignment.seller)}</span></p>
+                      <p>Buyer: <span className="font-mono text-xs">{formatAddress(assignment.buyer)}</span></p>
+                      <p>Price: <span className="font-semibold"><TokenAmount value={assignment.price} token={assignment.paymentToken} /></span></p>
+                      {assignment.review.status === 2 && (
+                        <p>Sale deed: <span className="font-mono text-xs">{assignment.review.deedHash}</span></p>
+                      )}
+                    </div>
+                  </div>
+                  <span className="text-sm text-gray-600 ml-4">
+                    {isAwaitingReview(assignment)
+                      ? LEGAL_REVIEW_STATUS[1]
+                      : assignment.review.lawyer.toLowerCase() === account.toLowerCase()
+                        ? LEGAL_REVIEW_STATUS[assignment.review.status]
+                        : 'Reassigned'}
+                  </span>
+                </div>
+
+                {isAwaitingReview(assignment) && (
+                  <div className="mt-4 flex items-center space-x-2">
+                    <label className="flex-1 flex items-center px-3 py-2 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-primary-500 text-sm text-gray-600">
+                      <Upload className="h-4 w-4 mr-2 text-gray-400" />
+                      {deeds[assignment.id]?.name || 'Attach sale deed (PDF, Image, DOC)'}
+                      <input
+                        type="file"
+                        className="hidden"
+                        onChange={(e) => handleDeedChange(assignment.id, e.target.files[0])}
+                        accept=".pdf,.jpg,.jpeg,.png,.doc,.docx"
+                      />
+                    </label>
+                    <button
+                      onClick={() => handleAttest(assignment.id)}
+                      disabled={processing !== null}
+                      className="inline-flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                    >
+                      {processing === assignment.id ? (
+                        <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                      ) : (
+                        <CheckCircle className="h-4 w-4 mr-2" />
+                      )}
+                      Attest
+                    </button>
+                    <button
+                      onClick={() => handleDecline(assignment.id)}
+                      disabled={processing !== null}
+                      className="inline-flex items-center px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+                    >
+                      <XCircle className="h-4 w-4 mr-2" />
+                      Decline
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LegalQueue;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { CheckCircle, XCircle } from 'lucide-react';
+import { format } from 'date-fns';
+import { formatAddress } from '../../utils/web3';
+
+// Maps a getApprovalVotes() entry to named fields
+export const toApprovalVote = (vote) => ({
+  officer: vote[0],
+  approve: vote[1],
+  reason: vote[2],
+  timestamp: Number(vote[3]),
+  revision: Number(vote[4])
+});
+
+// Officer votes on a property registration, oldest first; only votes on the current revision count toward the quorum
+const ApprovalTrail = ({ votes, quorum, revision = 0 }) => {
+  if (!votes || votes.length === 0) {
+    return <p className="text-sm text-gray-500">No officer has voted yet</p>;
+  }
+
+  const approvals = votes.filter((vote) => vote.approve && vote.revision === revision).length;
+
+  return (
+    <div className="space-y-2">
+      {quorum > 0 && (
+        <p className="text-xs text-gray-500">{approvals} of {quorum} approvals needed</p>
+      )}
+      <ol className="space-y-2">
+        {votes.map((vote, index) => (
+          <li key={index} className={`flex items-start text-sm ${vote.revision < revision ? 'opacity-60' : ''}`}>
+            {vote.approve ? (
+              <CheckCircle className="h-4 w-4 mr-2 mt-0.5 text-green-500 flex-shrink-0" />
+            ) : (
+              <XCircle className="h-4 w-4 mr-2 mt-0.5 text-red-500 flex-shrink-0" />
+            )}
+            <div>
+              <p className="text-gray-700">
+                <span className="font-mono text-xs">{formatAddress(vote.officer)}</span>
+                {vote.approve ? ' approved' : ' rejected'}
+                <span className="text-xs text-gray-500"> &middot; {format(new Date(vote.timestamp * 1000), 'MMM dd, yyyy HH:mm')}</span>
+                {revision > 0 && (
+                  <span className="text-xs text-gray-500">
+                    {' '}&middot; {vote.revision === 0 ? 'original submission' : `resubmission ${vote.revision}`}
+                  </span>
+                )}
+              </p>
+              {vote.reason && <p className="text-xs text-red-600">{vote.reason}</p>}
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default ApprovalTrail;
@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../../contexts/Web3Context';
+import { FileText, Gavel, Loader2, Upload } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import { uploadToIPFS, validateFile } from '../../services/ipfs';
+import { formatAddress, formatEther } from '../../utils/web3';
+import { DISPUTE_STATUS, ROLES } from '../../config/constants';
+
+// Maps a getPropertyDisputes() entry to named fields
+export const toDispute = (dispute) => ({
+  id: dispute[0],
+  propertyId: dispute[1],
+  claimant: dispute[2],
+  reason: dispute[3],
+  evidenceHash: dispute[4],
+  bond: dispute[5],
+  status: Number(dispute[6]),
+  filedAt: Number(dispute[7]),
+  resolvedBy: dispute[8],
+  resolvedAt: Number(dispute[9]),
+  resolution: dispute[10]
+});
+
+const statusColors = {
+  0: 'bg-red-100 text-red-800',
+  1: 'bg-amber-100 text-amber-800',
+  2: 'bg-gray-100 text-gray-800'
+};
+
+// Disputes filed against a property, with filing for its owners, tenants and buyers and resolution for legal and
+// government officials
+const DisputePanel = ({ property, disputes, onChanged, onViewEvidence }) => {
+  const { contract, userRole } = useWeb3();
+  const [bond, setBond] = useState(0n);
+  const [expanded, setExpanded] = useState(false);
+  const [reason, setReason] = useState('');
+  const [evidence, setEvidence] = useState(null);
+  const [rulings, setRulings] = useState({});
+  const [processing, setProcessing] = useState(null);
+
+  useEffect(() => {
+    if (contract) {
+      contract.disputeBond()
+        .then(setBond)
+        .catch((error) => console.error('Error loading dispute bond:', error));
+    }
+  }, [contract]);
+
+  const canResolve = userRole === ROLES.LEGAL_PROFESSIONAL || userRole === ROLES.GOVERNMENT;
+
+  const handleEvidenceChange = (file) => {
+    if (!file) {
+      return;
+    }
+    const validation = validateFile(file);
+    if (!validation.valid) {
+      toast.error(validation.error);
+      return;
+    }
+    setEvidence(file);
+  };
+
+  const handleFile = async () => {
+    if (!reason.trim()) {
+      toast.error('Please state the grounds for the dispute');
+      return;
+    }
+
+    try {
+      setProcessing('file');
+      const evidenceHash = evidence ? await uploadToIPFS(evidence) : '';
+      const tx = await contract.fileDispute(property.id, reason.trim(), evidenceHash, { value: bond });
+      await tx.wait();
+      toast.success('Dispute filed. The property is frozen until it is resolved.');
+      setReason('');
+      setEvidence(null);
+      setExpanded(false);
+      await onChanged?.();
+    } catch (error) {
+      console.error('Error filing dispute:', error);
+      toast.error(error.reason || 'Failed to file dispute');
+    } finally {
+      setProcessing(null);
+    }
+  };
+
+  const handleResolve = async (dispute, uphold) => {
+    try {
+      setProcessing(dispute.id);
+      const tx = await contract.resolveDispute(dispute.id, uphold, (rulings[dispute.id] || '').trim());
+      await tx.wait();
+      toast.success(uphold ? 'Dispute upheld' : 'Dispute dismissed');
+      setRulings({ ...rulings, [dispute.id]: '' });
+      await onChanged?.();
+    } catch (error) {
+      console.error('Error resolving dispute:', error);
+      toast.error(error.reason || 'Failed to resolve dispute');
+    } finally {
+      setProcessing(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {disputes.length === 0 ? (
+        <p className="text-sm text-gray-500">No disputes have been filed</p>
+      ) : (
+        <div className="space-y-3">
+          {disputes.map((dispute) => (
+            <div key={dispute.id.toString()} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex justify-between items-start">
+                <div className="text-sm text-gray-600 space-y-1">
+                  <p className="font-medium text-gray-900">{dispute.reason}</p>
+                  <p>
+                    Filed by <span className="font-mono text-xs">{formatAddress(dispute.claimant)}</span> on{' '}
+                    {format(new Date(dispute.filedAt * 1000), 'MMM dd, yyyy')}
+                  </p>
+                  {dispute.bond > 0n && <p>Bond: {formatEther(dispute.bond)} ETH</p>}
+                  {dispute.evidenceHash && (
+                    <button
+                      onClick={() => onViewEvidence(dispute)}
+                      className="text-primary-600 hover:underline flex items-center text-xs"
+                    >
+                      <FileText className="h-3 w-3 mr-1" />
+                      Evidence
+                    </button>
+                  )}
+                  {dispute.status !== 0 && (
+                    <p className="text-xs text-gray-500">
+                      Resolved by <span className="font-mono">{formatAddress(dispute.resolvedBy)}</span> on{' '}
+                      {format(new Date(dispute.resolvedAt * 1000), 'MMM dd, yyyy')}
+                      {dispute.resolution && <>: {dispute.resolution}</>}
+                    </p>
+                  )}
+                </div>
+                <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusColors[dispute.status]}`}>
+                  {DISPUTE_STATUS[dispute.status]}
+                </span>
+              </div>
+
+              {dispute.status === 0 && canResolve && (
+                <div className="mt-3 flex items-center space-x-2">
+                  <input
+                    type="text"
+                    placeholder="Ruling (optional)"
+                    value={rulings[dispute.id] || ''}
+                    onChange={(e) => setRulings({ ...rulings, [dispute.id]: e.target.value })}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                  <button
+                    onClick={() => handleResolve(dispute, true)}
+                    disabled={processing !== null}
+                    className="inline-flex items-center px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 disabled:opacity-50"
+                  >
+                    {processing === dispute.id && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                    Uphold
+                  </button>
+                  <button
+                    onClick={() => handleResolve(dispute, false)}
+                    disabled={processing !== null}
+                    className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Dismiss
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {property.isActive && (
+        <div>
+          <button
+            onClick={() => setExpanded(!expanded)}
+            className="inline-flex items-center text-sm text-red-600 hover:text-red-700 font-medium"
+          >
+            <Gavel className="h-4 w-4 mr-1" />
+            {expanded ? 'Cancel' : 'File a dispute'}
+          </button>
+
+          {expanded && (
+            <div className="mt-3 space-y-3">
+              <textarea
+                placeholder="Grounds for the dispute, e.g. boundary encroachment or a competing claim of title"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                rows={3}
+              />
+              <label className="flex items-center px-3 py-2 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-primary-500 text-sm text-gray-600">
+                <Upload className="h-4 w-4 mr-2 text-gray-400" />
+                {evidence?.name || 'Attach evidence (PDF, Image, DOC)'}
+                <input
+                  type="file"
+                  className="hidden"
+                  onChange={(e) => handleEvidenceChange(e.target.files[0])}
+                  accept=".pdf,.jpg,.jpeg,.png,.doc,.docx"
+                />
+              </label>
+              <div className="flex justify-between items-center">
+                <p className="text-xs text-gray-500">
+                  Only owners, tenants and buyers with an open offer can file. A bond of {formatEther(bond)} ETH is
+                  refunded if the dispute is upheld and paid to the owners if it is dismissed.
+                </p>
+                <button
+                  onClick={handleFile}
+                  disabled={processing !== null}
+                  className="inline-flex items-center px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+                >
+                  {processing === 'file' && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  File Dispute
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DisputePanel;
@@ -0,0 +1,241 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../../contexts/Web3Context';
+import { FileText, Loader2, Upload } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import { uploadToIPFS, validateFile } from '../../services/ipfs';
+import { formatAddress, formatEther, parseEther } from '../../utils/web3';
+
+const DAY = 24 * 60 * 60;
+
+// Rent intervals offered when registering a lease, in seconds
+const RENT_INTERVALS = {
+  [30 * DAY]: 'Monthly',
+  [91 * DAY]: 'Quarterly',
+  [365 * DAY]: 'Yearly'
+};
+
+// Maps a getActiveLeases() entry to named fields
+export const toLease = (lease) => ({
+  id: lease[0],
+  propertyId: lease[1],
+  tenant: lease[2],
+  startDate: Number(lease[3]),
+  endDate: Number(lease[4]),
+  rentAmount: lease[5],
+  rentInterval: Number(lease[6]),
+  deedHash: lease[7],
+  paidThrough: Number(lease[8]),
+  registeredAt: Number(lease[9])
+});
+
+const formatDate = (timestamp) => format(new Date(timestamp * 1000), 'MMM dd, yyyy');
+
+// Active leases on a property, with rent payment for tenants and lease registration for the owner
+const LeasePanel = ({ property, leases, isOwner, onChanged, onViewDeed }) => {
+  const { contract, account } = useWeb3();
+  const [expanded, setExpanded] = useState(false);
+  const [form, setForm] = useState({ tenant: '', startDate: '', endDate: '', rent: '', interval: String(30 * DAY) });
+  const [deed, setDeed] = useState(null);
+  const [processing, setProcessing] = useState(null);
+
+  const handleDeedChange = (file) => {
+    if (!file) {
+      return;
+    }
+    const validation = validateFile(file);
+    if (!validation.valid) {
+      toast.error(validation.error);
+      return;
+    }
+    setDeed(file);
+  };
+
+  const handleRegister = async () => {
+    if (!form.tenant.trim() || !form.startDate || !form.endDate) {
+      toast.error('Please enter the tenant and lease dates');
+      return;
+    }
+    if (!form.rent || parseFloat(form.rent) <= 0) {
+      toast.error('Please enter the rent amount');
+      return;
+    }
+
+    try {
+      setProcessing('register');
+      const deedHash = deed ? await uploadToIPFS(deed) : '';
+      const tx = await contract.registerLease(
+        property.id,
+        form.tenant.trim(),
+        Math.floor(new Date(form.startDate).getTime() / 1000),
+        Math.floor(new Date(form.endDate).getTime() / 1000),
+        parseEther(form.rent),
+        form.interval,
+        deedHash
+      );
+      await tx.wait();
+      toast.success('Lease registered');
+      setForm({ tenant: '', startDate: '', endDate: '', rent: '', interval: String(30 * DAY) });
+      setDeed(null);
+      setExpanded(false);
+      await onChanged?.();
+    } catch (error) {
+      console.error('Error registering lease:', error);
+      toast.error(error.reason || 'Failed to register lease');
+    } finally {
+      setProcessing(null);
+    }
+  };
+
+  const handlePayRent = async (lease) => {
+    try {
+      setProcessing(lease.id);
+      const tx = await contract.payRent(lease.id, { value: lease.rentAmount });
+      await tx.wait();
+      toast.success('Rent paid');
+      await onChanged?.();
+    } catch (error) {
+      console.error('Error paying rent:', error);
+      toast.error(error.reason || 'Failed to pay rent');
+    } finally {
+      setProcessing(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {leases.length === 0 ? (
+        <p className="text-sm text-gray-500">No active leases</p>
+      ) : (
+        <div className="space-y-3">
+          {leases.map((lease) => {
+            const isTenant = lease.tenant.toLowerCase() === account?.toLowerCase();
+            return (
+              <div key={lease.id.toString()} className="border border-gray-200 rounded-lg p-4 flex justify-between items-start">
+                <div className="text-sm text-gray-600 space-y-1">
+                  <p>
+                    Tenant: <span className="font-mono text-xs">{formatAddress(lease.tenant)}</span>
+                    {isTenant && <span className="text-xs text-primary-600 ml-2">you</span>}
+                  </p>
+                  <p>{formatDate(lease.startDate)} to {formatDate(lease.endDate)}</p>
+                  <p>
+                    Rent: <span className="font-semibold">{formatEther(lease.rentAmount)} ETH</span>{' '}
+                    {(RENT_INTERVALS[lease.rentInterval] || `every ${Math.round(lease.rentInterval / DAY)} days`).toLowerCase()}
+                  </p>
+                  <p className="text-xs text-gray-500">Paid through {formatDate(lease.paidThrough)}</p>
+                  {lease.deedHash && (
+                    <button
+                      onClick={() => onViewDeed(lease)}
+                      className="text-primary-600 hover:underline flex items-center text-xs"
+                    >
+                      <FileText className="h-3 w-3 mr-1" />
+                      Lease deed
+                    </button>
+                  )}
+                </div>
+                {isTenant && lease.paidThrough < lease.endDate && (
+                  <button
+                    onClick={() => handlePayRent(lease)}
+                    disabled={processing !== null}
+                    className="inline-flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                  >
+                    {processing === lease.id && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                    Pay Rent
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {isOwner && (property.status === 1 || property.status === 3) && (
+        <div>
+          <button
+            onClick={() => setExpanded(!expanded)}
+            className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+          >
+            {expanded ? 'Cancel' : 'Register a lease'}
+          </button>
+
+          {expanded && (
+            <div className="mt-3 space-y-3">
+              <input
+                type="text"
+                placeholder="Tenant address"
+                value={form.tenant}
+                onChange={(e) => setForm({ ...form, tenant: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+              />
+              <div className="grid grid-cols-2 gap-2">
+                <label className="text-xs text-gray-500">
+                  Start date
+                  <input
+                    type="date"
+                    value={form.startDate}
+                    onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+                    className="w-full mt-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                </label>
+                <label className="text-xs text-gray-500">
+                  End date
+                  <input
+                    type="date"
+                    value={form.endDate}
+                    onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+                    className="w-full mt-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                </label>
+              </div>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  placeholder="Rent (ETH)"
+                  value={form.rent}
+                  onChange={(e) => setForm({ ...form, rent: e.target.value })}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  step="0.001"
+                  min="0"
+                />
+                <select
+                  value={form.interval}
+                  onChange={(e) => setForm({ ...form, interval: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                >
+                  {Object.entries(RENT_INTERVALS).map(([seconds, label]) => (
+                    <option key={seconds} value={seconds}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <label className="flex items-center px-3 py-2 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-primary-500 text-sm text-gray-600">
+                <Upload className="h-4 w-4 mr-2 text-gray-400" />
+                {deed?.name || 'Attach lease deed (PDF, Image, DOC)'}
+                <input
+                  type="file"
+                  className="hidden"
+                  onChange={(e) => handleDeedChange(e.target.files[0])}
+                  accept=".pdf,.jpg,.jpeg,.png,.doc,.docx"
+                />
+              </label>
+              <div className="flex justify-between items-center">
+                <p className="text-xs text-gray-500">
+                  The lease survives a sale; rent is paid to whoever owns the property.
+                </p>
+                <button
+                  onClick={handleRegister}
+                  disabled={processing !== null}
+                  className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+                >
+                  {processing === 'register' && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  Register Lease
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeasePanel;
@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useWeb3 } from '../../contexts/Web3Context';
+import { GitBranch } from 'lucide-react';
+import { PROPERTY_STATUS } from '../../config/constants';
+
+// Recursively loads a parcel and the parcels derived from it
+const loadDescendants = async (contract, propertyId) => {
+  const [prop, childIds] = await Promise.all([
+    contract.getProperty(propertyId),
+    contract.getChildProperties(propertyId)
+  ]);
+  return {
+    id: prop[0],
+    propertyId: prop[7],
+    surveyNumber: prop[4],
+    status: Number(prop[9]),
+    children: await Promise.all(childIds.map((childId) => loadDescendants(contract, childId)))
+  };
+};
+
+const LineageNode = ({ node, currentId }) => (
+  <li>
+    <div className="flex items-center text-sm py-1">
+      {node.id.toString() === currentId.toString() ? (
+        <span className="font-semibold text-gray-900">{node.propertyId}</span>
+      ) : (
+        <Link to={`/property/${node.id}/history`} className="text-primary-600 hover:underline">
+          {node.propertyId}
+        </Link>
+      )}
+      <span className="text-xs text-gray-500 ml-2">
+        Survey {node.surveyNumber} &middot; {PROPERTY_STATUS[node.status]}
+      </span>
+    </div>
+    {node.children.length > 0 && (
+      <ul className="ml-4 pl-3 border-l border-gray-200">
+        {node.children.map((child) => (
+          <LineageNode key={child.id.toString()} node={child} currentId={currentId} />
+        ))}
+      </ul>
+    )}
+  </li>
+);
+
+// Shows the parcels a property was split or merged from and everything derived from it since
+const LineageTree = ({ propertyId }) => {
+  const { contract } = useWeb3();
+  const [roots, setRoots] = useState([]);
+
+  useEffect(() => {
+    if (contract && propertyId) {
+      loadLineage();
+    }
+  }, [contract, propertyId]);
+
+  const loadLineage = async () => {
+    try {
+      const parentIds = await contract.getParentProperties(propertyId);
+      const rootIds = parentIds.length > 0 ? parentIds : [propertyId];
+      setRoots(await Promise.all(rootIds.map((rootId) => loadDescendants(contract, rootId))));
+    } catch (error) {
+      console.error('Error loading property lineage:', error);
+    }
+  };
+
+  // Parcels that were never split or merged have no lineage to show
+  if (roots.length === 0 || (roots.length === 1 && roots[0].children.length === 0)) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center space-x-2 mb-4">
+        <GitBranch className="h-5 w-5 text-primary-600" />
+        <h2 className="text-xl font-semibold">Parcel Lineage</h2>
+      </div>
+      <ul>
+        {roots.map((root) => (
+          <LineageNode key={root.id.toString()} node={root} currentId={propertyId} />
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default LineageTree;
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../../contexts/Web3Context';
+import { Loader2, Upload } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { uploadToIPFS, validateFile } from '../../services/ipfs';
+import { formatEther, parseEther } from '../../utils/web3';
+
+// Details of the consolidated parcel for the owner's selected plots
+const MergeForm = ({ parcels, onSubmitted }) => {
+  const { contract } = useWeb3();
+  const [surveyNumber, setSurveyNumber] = useState('');
+  const [marketValue, setMarketValue] = useState('');
+  const [document, setDocument] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const sameVillage = parcels.every((parcel) =>
+    parcel.state === parcels[0].state &&
+    parcel.district === parcels[0].district &&
+    parcel.village === parcels[0].village
+  );
+  const combinedValue = parcels.reduce((sum, parcel) => sum + BigInt(parcel.marketValue), BigInt(0));
+
+  const handleDocumentChange = (file) => {
+    if (!file) {
+      return;
+    }
+    const validation = validateFile(file);
+    if (!validation.valid) {
+      toast.error(validation.error);
+      return;
+    }
+    setDocument(file);
+  };
+
+  const handleSubmit = async () => {
+    if (!surveyNumber.trim()) {
+      toast.error('Please enter a survey number for the merged parcel');
+      return;
+    }
+    if (!marketValue || parseFloat(marketValue) <= 0) {
+      toast.error('Please enter a market value for the merged parcel');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const ipfsHash = document ? await uploadToIPFS(document) : '';
+      const tx = await contract.requestMerge(
+        parcels.map((parcel) => parcel.id),
+        surveyNumber.trim(),
+        parseEther(marketValue),
+        ipfsHash
+      );
+      await tx.wait();
+      toast.success('Merge requested. Awaiting officer approval.');
+      await onSubmitted?.();
+    } catch (error) {
+      console.error('Error requesting merge:', error);
+      toast.error(error.reason || 'Failed to request merge');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (parcels.length < 2) {
+    return <p className="text-sm text-gray-500">Select at least two approved parcels to merge</p>;
+  }
+
+  if (!sameVillage) {
+    return <p className="text-sm text-red-600">Only parcels in the same village can be merged</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">
+        Merging {parcels.map((parcel) => parcel.propertyId).join(', ')} in {parcels[0].village}
+        {' '}&middot; combined value {formatEther(combinedValue)} ETH
+      </p>
+      <div className="flex items-center gap-2">
+        <input
+          type="text"
+          placeholder="Survey number of merged parcel"
+          value={surveyNumber}
+          onChange={(e) => setSurveyNumber(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <input
+          type="number"
+          placeholder="Value (ETH)"
+          value={marketValue}
+          onChange={(e) => setMarketValue(e.target.value)}
+          className="w-32 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          step="0.01"
+          min="0"
+        />
+        <label
+          className="p-2 border border-gray-300 rounded-lg cursor-pointer hover:border-primary-500"
+          title={document ? document.name : 'Attach documents (optional)'}
+        >
+          <Upload className={`h-4 w-4 ${document ? 'text-primary-600' : 'text-gray-400'}`} />
+          <input
+            type="file"
+            className="hidden"
+            onChange={(e) => handleDocumentChange(e.target.files[0])}
+            accept=".pdf,.jpg,.jpeg,.png,.doc,.docx"
+          />
+        </label>
+        <button
+          onClick={handleSubmit}
+          disabled={submitting}
+          className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+        >
+          {submitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+          Request Merge
+        </button>
+      </div>
+      <p className="text-xs text-gray-500">
+        An officer confirms the parcels are adjacent. Once approved, they are retired and the merged parcel is registered in your name.
+      </p>
+    </div>
+  );
+};
+
+export default MergeForm;
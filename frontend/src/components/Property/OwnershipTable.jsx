@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../../contexts/Web3Context';
+import { CheckCircle, Plus, X, Loader2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { formatAddress } from '../../utils/web3';
+
+// Maps a getCoOwners() entry to named fields
+export const toCoOwner = (coOwner) => ({
+  owner: coOwner[0],
+  shareBps: Number(coOwner[1])
+});
+
+const formatShare = (bps) => `${(bps / 100).toFixed(2).replace(/\.?0+$/, '')}%`;
+
+// Holders of a property with their shares and sale consents
+const OwnershipTable = ({ property, onChanged }) => {
+  const { contract, account } = useWeb3();
+  const [coOwners, setCoOwners] = useState([]);
+  const [consentBps, setConsentBps] = useState(0);
+  const [thresholdBps, setThresholdBps] = useState(0);
+  const [editing, setEditing] = useState(false);
+  const [rows, setRows] = useState([]);
+  const [processing, setProcessing] = useState(false);
+
+  useEffect(() => {
+    if (contract && property) {
+      loadOwnership();
+    }
+  }, [contract, property]);
+
+  const loadOwnership = async () => {
+    try {
+      const owners = (await contract.getCoOwners(property.id)).map(toCoOwner);
+      const consents = await Promise.all(owners.map((coOwner) =>
+        contract.saleConsents(property.id, coOwner.owner)
+      ));
+      setCoOwners(owners.map((coOwner, index) => ({ ...coOwner, consented: index === 0 || consents[index] })));
+      setConsentBps(Number(await contract.saleConsentBps(property.id)));
+      setThresholdBps(Number(await contract.coOwnerConsentBps()));
+    } catch (error) {
+      console.error('Error loading ownership:', error);
+    }
+  };
+
+  const startEditing = () => {
+    setRows(coOwners.map((coOwner) => ({ owner: coOwner.owner, share: String(coOwner.shareBps / 100) })));
+    setEditing(true);
+  };
+
+  const updateRow = (index, changes) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const handleSave = async () => {
+    const sharesBps = rows.map((row) => Math.round(parseFloat(row.share || '0') * 100));
+    if (sharesBps.reduce((sum, share) => sum + share, 0) !== 10000) {
+      toast.error('Shares must add up to 100%');
+      return;
+    }
+
+    try {
+      setProcessing(true);
+      const tx = await contract.setCoOwners(property.id, rows.map((row) => row.owner.trim()), sharesBps);
+      await tx.wait();
+      toast.success('Ownership updated');
+      setEditing(false);
+      await loadOwnership();
+      await onChanged?.();
+    } catch (error) {
+      console.error('Error setting co-owners:', error);
+      toast.error(error.reason || 'Failed to update ownership');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleConsent = async (consent) => {
+    try {
+      setProcessing(true);
+      const tx = consent
+        ? await contract.consentToSale(property.id)
+        : await contract.revokeSaleConsent(property.id);
+      await tx.wait();
+      toast.success(consent ? 'Consent to sale recorded' : 'Consent withdrawn');
+      await loadOwnership();
+    } catch (error) {
+      console.error('Error updating sale consent:', error);
+      toast.error(error.reason || 'Failed to update consent');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const isManagingOwner = property.owner.toLowerCase() === account?.toLowerCase();
+  const myEntry = coOwners.find((coOwner, index) =>
+    index > 0 && coOwner.owner.toLowerCase() === account?.toLowerCase()
+  );
+  // The table can only change while the registration awaits its first officer vote
+  const canEdit = isManagingOwner && property.status === 0;
+
+  if (editing) {
+    return (
+      <div className="space-y-3">
+        {rows.map((row, index) => (
+          <div key={index} className="flex items-center gap-2">
+            <input
+              type="text"
+              placeholder="Owner address"
+              value={row.owner}
+              onChange={(e) => updateRow(index, { owner: e.target.value })}
+              disabled={index === 0}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono disabled:bg-gray-50"
+            />
+            <input
+              type="number"
+              placeholder="Share %"
+              value={row.share}
+              onChange={(e) => updateRow(index, { share: e.target.value })}
+              className="w-28 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              step="0.01"
+              min="0"
+              max="100"
+            />
+            <button
+              onClick={() => setRows(rows.filter((_, i) => i !== index))}
+              disabled={index === 0}
+              className="p-2 text-red-600 hover:text-red-700 disabled:opacity-30"
+              title="Remove co-owner"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        ))}
+        <div className="flex justify-between items-center">
+          <button
+            onClick={() => setRows([...rows, { owner: '', share: '' }])}
+            className="inline-flex items-center text-sm text-primary-600 hover:text-primary-700"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Add co-owner
+          </button>
+          <div className="space-x-2">
+            <button
+              onClick={() => setEditing(false)}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={processing}
+              className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg text-sm hover:bg-primary-700 disabled:opacity-50"
+            >
+              {processing && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Save Ownership
+            </button>
+          </div>
+        </div>
+        <p className="text-xs text-gray-500">
+          You remain the managing owner, who lists the property and accepts offers.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-500 border-b border-gray-200">
+            <th className="py-2 font-medium">Owner</th>
+            <th className="py-2 font-medium">Share</th>
+            {coOwners.length > 1 && <th className="py-2 font-medium">Consents to sale</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {coOwners.map((coOwner, index) => (
+            <tr key={coOwner.owner} className="border-b border-gray-100">
+              <td className="py-2">
+                <span className="font-mono text-xs">{formatAddress(coOwner.owner)}</span>
+                {index === 0 && coOwners.length > 1 && (
+                  <span className="text-xs text-gray-500 ml-2">managing owner</span>
+                )}
+              </td>
+              <td className="py-2">{formatShare(coOwner.shareBps)}</td>
+              {coOwners.length > 1 && (
+                <td className="py-2">
+                  {coOwner.consented
+                    ? <CheckCircle className="h-4 w-4 text-green-500" />
+                    : <span className="text-xs text-gray-400">No</span>}
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {coOwners.length > 1 && (
+        <p className="text-xs text-gray-500">
+          {formatShare(consentBps)} of owners consent to a sale; {formatShare(thresholdBps)} is needed to list or accept an offer
+        </p>
+      )}
+
+      <div className="flex space-x-2">
+        {myEntry && (
+          <button
+            onClick={() => handleConsent(!myEntry.consented)}
+            disabled={processing}
+            className={`px-4 py-2 rounded-lg text-sm text-white disabled:opacity-50 ${
+              myEntry.consented ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'
+            }`}
+          >
+            {myEntry.consented ? 'Withdraw Consent' : 'Consent to Sale'}
+          </button>
+        )}
+        {canEdit && (
+          <button
+            onClick={startEditing}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-50"
+          >
+            Edit Co-owners
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OwnershipTable;
@@ -1,21 +1,41 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { MapPin, DollarSign, Tag } from 'lucide-react';
-import { PROPERTY_STATUS } from '../../config/constants';
+import { useWeb3 } from '../../contexts/Web3Context';
+import { MapPin, DollarSign, Tag, Gavel } from 'lucide-react';
+import { PROPERTY_STATUS, PRICING_MODE } from '../../config/constants';
 import { formatEther } from '../../utils/web3';
+import TokenAmount from '../Transaction/TokenAmount';
 
 const PropertyCard = ({ property }) => {
+  const { contract } = useWeb3();
+  const [underDispute, setUnderDispute] = useState(false);
+
+  useEffect(() => {
+    if (contract) {
+      contract.openDisputes(property.id)
+        .then((count) => setUnderDispute(count > 0n))
+        .catch((error) => console.error('Error loading disputes:', error));
+    }
+  }, [contract, property.id]);
+
   const statusColors = {
     0: 'bg-yellow-100 text-yellow-800',
     1: 'bg-green-100 text-green-800',
     2: 'bg-red-100 text-red-800',
     3: 'bg-blue-100 text-blue-800',
     4: 'bg-purple-100 text-purple-800',
-    5: 'bg-gray-100 text-gray-800'
+    5: 'bg-gray-100 text-gray-800',
+    6: 'bg-gray-200 text-gray-600'
   };
 
   return (
     <div className="bg-white rounded-lg shadow-md hover:shadow-xl transition-shadow duration-300 overflow-hidden">
+      {underDispute && (
+        <div className="bg-red-600 text-white text-xs font-semibold px-6 py-2 flex items-center">
+          <Gavel className="h-4 w-4 mr-2" />
+          Under dispute
+        </div>
+      )}
       <div className="p-6">
         <div className="flex justify-between items-start mb-4">
           <div>
@@ -37,7 +57,15 @@ const PropertyCard = ({ property }) => {
           <div className="flex items-center text-sm text-gray-600">
             <DollarSign className="h-4 w-4 mr-2 text-primary-500" />
             <span className="font-semibold">{formatEther(property.marketValue)} ETH</span>
+            <span className="ml-1 text-xs text-gray-400">market value</span>
           </div>
+          {property.status === 3 && property.askingPrice > 0 && (
+            <div className="flex items-center text-sm text-green-700">
+              <Tag className="h-4 w-4 mr-2 text-green-600" />
+              <span className="font-semibold"><TokenAmount value={property.askingPrice} token={property.paymentToken} /></span>
+              <span className="ml-1 text-xs">({PRICING_MODE[property.pricingMode]})</span>
+            </div>
+          )}
           <div className="flex items-center text-sm text-gray-600">
             <Tag className="h-4 w-4 mr-2 text-primary-500" />
             <span>ID: {property.id.toString()}</span>
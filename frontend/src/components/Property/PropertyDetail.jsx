@@ -1,14 +1,34 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useWeb3 } from '../../contexts/Web3Context';
-import { MapPin, DollarSign, User, Calendar, FileText, ArrowLeft, CheckCircle, XCircle, Upload, X, History } from 'lucide-react';
-import { PROPERTY_STATUS, TRANSACTION_STATUS } from '../../config/constants';
-import { formatEther, parseEther } from '../../utils/web3';
+import { MapPin, DollarSign, User, Calendar, FileText, ArrowLeft, CheckCircle, XCircle, Upload, X, History, Award, Gavel } from 'lucide-react';
+import { PROPERTY_STATUS, TRANSACTION_STATUS, PRICING_MODE } from '../../config/constants';
+import {
+  formatEther,
+  parseEther,
+  formatTokenAmount,
+  parseTokenAmount,
+  getTokenInfo,
+  getTokenContract,
+  ensureTokenAllowance,
+  isNativeCurrency,
+  addTitleToWallet,
+  NATIVE_CURRENCY
+} from '../../utils/web3';
 import { toast } from 'react-toastify';
 import { uploadToIPFS, validateFile, fetchPropertyMetadata } from '../../services/ipfs';
 import { format } from 'date-fns';
 import DocumentViewer from '../Document/DocumentViewer';
 import PropertyMap from './PropertyMap';
+import TokenAmount from '../Transaction/TokenAmount';
+import usePaymentToken from '../../hooks/usePaymentToken';
+import ApprovalTrail, { toApprovalVote } from './ApprovalTrail';
+import SubdivisionForm from './SubdivisionForm';
+import OwnershipTable from './OwnershipTable';
+import LeasePanel, { toLease } from './LeasePanel';
+import DisputePanel, { toDispute } from './DisputePanel';
+import GiftTransferForm from '../Transaction/GiftTransferForm';
+import { toInstallmentPlan } from '../Transaction/InstallmentSchedule';
 
 const PropertyDetail = () => {
   const { id } = useParams();
@@ -19,22 +39,80 @@ const PropertyDetail = () => {
   const [purchasePrice, setPurchasePrice] = useState('');
   const [requesting, setRequesting] = useState(false);
   const [purchaseDocument, setPurchaseDocument] = useState(null);
+  const [payInInstallments, setPayInInstallments] = useState(false);
+  const [installmentTerms, setInstallmentTerms] = useState({
+    downPayment: '',
+    installmentCount: '12',
+    intervalDays: '30',
+    forfeitPercent: '10'
+  });
   const [uploadingDocument, setUploadingDocument] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [listingPrice, setListingPrice] = useState('');
+  const [pricingMode, setPricingMode] = useState('0');
+  const [listingToken, setListingToken] = useState(NATIVE_CURRENCY.address);
+  const [acceptedTokens, setAcceptedTokens] = useState([]);
   const [listing, setListing] = useState(false);
   const [transactions, setTransactions] = useState([]);
   const [viewingDocument, setViewingDocument] = useState(null);
   const [propertyCoordinates, setPropertyCoordinates] = useState(null);
+  const [feeQuote, setFeeQuote] = useState(null);
+  const [approvalVotes, setApprovalVotes] = useState([]);
+  const [leases, setLeases] = useState([]);
+  const [leasesAcknowledged, setLeasesAcknowledged] = useState(false);
+  const [acknowledging, setAcknowledging] = useState(false);
+  const [disputes, setDisputes] = useState([]);
+  const [approvalQuorum, setApprovalQuorum] = useState(0);
+  const [registrationRevision, setRegistrationRevision] = useState(0);
   const [loadingCoordinates, setLoadingCoordinates] = useState(false);
+  const paymentToken = usePaymentToken(property?.paymentToken);
 
   useEffect(() => {
     if (contract && isConnected && id) {
       loadProperty();
       loadTransactions();
+      loadAcceptedTokens();
+      loadLeases();
+      loadDisputes();
     }
   }, [contract, isConnected, id]);
 
+  // Quote the transfer fee for the offer being entered so the breakdown is visible before confirming
+  useEffect(() => {
+    if (!contract || !property || property.status !== 3) {
+      setFeeQuote(null);
+      return;
+    }
+
+    let price;
+    try {
+      price = property.pricingMode === 1
+        ? BigInt(property.askingPrice)
+        : parseTokenAmount(purchasePrice || '0', paymentToken.decimals);
+    } catch {
+      setFeeQuote(null);
+      return;
+    }
+    if (price === 0n) {
+      setFeeQuote(null);
+      return;
+    }
+
+    contract.quoteTransferFee(id, price)
+      .then((fee) => setFeeQuote({ price, fee }))
+      .catch((error) => console.error('Error quoting transfer fee:', error));
+  }, [contract, property, purchasePrice, paymentToken.decimals]);
+
+  const loadAcceptedTokens = async () => {
+    try {
+      const addresses = await contract.getAcceptedTokens();
+      const tokens = await Promise.all(addresses.map((address) => getTokenInfo(address, contract.runner)));
+      setAcceptedTokens(tokens);
+    } catch (error) {
+      console.error('Error loading accepted tokens:', error);
+    }
+  };
+
   const loadProperty = async () => {
     try {
       setLoading(true);
@@ -52,10 +130,19 @@ const PropertyDetail = () => {
         status: Number(prop[9]),
         registeredAt: prop[10],
         lastUpdated: prop[11],
-        isActive: prop[12]
+        isActive: prop[12],
+        askingPrice: prop[13],
+        pricingMode: Number(prop[14]),
+        paymentToken: prop[15]
       };
       setProperty(propertyData);
 
+      const votes = await contract.getApprovalVotes(id);
+      setApprovalVotes(votes.map(toApprovalVote));
+      setRegistrationRevision(Number(await contract.registrationRevisions(id)));
+      // The quorum only matters while the registration is still being voted on
+      setApprovalQuorum(propertyData.status === 0 ? Number(await contract.approvalQuorum()) : 0);
+
       // Try to load coordinates from IPFS metadata
       if (propertyData.ipfsHash) {
         setLoadingCoordinates(true);
@@ -86,8 +173,9 @@ const PropertyDetail = () => {
       const txIds = await contract.getPropertyTransactions(id);
       const txPromises = txIds.map(txId => contract.getTransaction(txId));
       const txData = await Promise.all(txPromises);
+      const plans = await Promise.all(txIds.map(txId => contract.getInstallmentPlan(txId)));
       
-      const formatted = txData.map(tx => ({
+      const formatted = txData.map((tx, i) => ({
         id: tx[0],
         propertyId: tx[1],
         seller: tx[2],
@@ -96,7 +184,11 @@ const PropertyDetail = () => {
         status: Number(tx[5]),
         requestedAt: tx[6],
         completedAt: tx[7],
-        ipfsHash: tx[8]
+        ipfsHash: tx[8],
+        completionDeadline: tx[9],
+        paymentToken: tx[10],
+        fee: tx[11],
+        installmentPlan: Number(plans[i][1]) > 0 ? toInstallmentPlan(plans[i]) : null
       }));
       
       setTransactions(formatted);
@@ -105,6 +197,53 @@ const PropertyDetail = () => {
     }
   };
 
+  const loadLeases = async () => {
+    try {
+      const active = (await contract.getActiveLeases(id)).map(toLease);
+      // A buyer's acknowledgement only counts if it covers every lease registered so far
+      const [leaseIds, acknowledged] = await Promise.all([
+        contract.getPropertyLeases(id),
+        contract.leaseAcknowledgements(id, account)
+      ]);
+      setLeases(active);
+      setLeasesAcknowledged(Number(acknowledged) === leaseIds.length);
+    } catch (error) {
+      console.error('Error loading leases:', error);
+    }
+  };
+
+  const loadDisputes = async () => {
+    try {
+      setDisputes((await contract.getPropertyDisputes(id)).map(toDispute));
+    } catch (error) {
+      console.error('Error loading disputes:', error);
+    }
+  };
+
+  const handleAcknowledgeLeases = async () => {
+    try {
+      setAcknowledging(true);
+      const tx = await contract.acknowledgeLeases(id);
+      await tx.wait();
+      toast.success('Leases acknowledged');
+      await loadLeases();
+    } catch (error) {
+      console.error('Error acknowledging leases:', error);
+      toast.error(error.reason || 'Failed to acknowledge leases');
+    } finally {
+      setAcknowledging(false);
+    }
+  };
+
+  const handleAddTitleToWallet = async () => {
+    try {
+      await addTitleToWallet(property.id);
+    } catch (error) {
+      console.error('Error adding title to wallet:', error);
+      toast.error(error.message || 'Failed to add title to wallet');
+    }
+  };
+
   const handleListForSale = async () => {
     if (!listingPrice || parseFloat(listingPrice) <= 0) {
       toast.error('Please enter a valid price');
@@ -113,7 +252,18 @@ const PropertyDetail = () => {
 
     try {
       setListing(true);
-      const tx = await contract.makeAvailable(id, parseEther(listingPrice));
+      let tx;
+      if (isNativeCurrency(listingToken)) {
+        tx = await contract.listPropertyWithPricing(id, parseEther(listingPrice), Number(pricingMode));
+      } else {
+        const token = acceptedTokens.find((t) => t.address === listingToken);
+        tx = await contract.listPropertyWithPaymentToken(
+          id,
+          parseTokenAmount(listingPrice, token.decimals),
+          Number(pricingMode),
+          listingToken
+        );
+      }
       await tx.wait();
       toast.success('Property listed for sale successfully!');
       await loadProperty();
@@ -126,6 +276,44 @@ const PropertyDetail = () => {
     }
   };
 
+  const handleUpdateAskingPrice = async () => {
+    if (!listingPrice || parseFloat(listingPrice) <= 0) {
+      toast.error('Please enter a valid price');
+      return;
+    }
+
+    try {
+      setListing(true);
+      const tx = await contract.updateAskingPrice(
+        id,
+        parseTokenAmount(listingPrice, paymentToken.decimals),
+        Number(pricingMode)
+      );
+      await tx.wait();
+      toast.success('Asking price updated');
+      await loadProperty();
+      setListingPrice('');
+    } catch (error) {
+      console.error('Error updating asking price:', error);
+      toast.error(error.reason || 'Failed to update asking price');
+    } finally {
+      setListing(false);
+    }
+  };
+
+  const handleProcessOffer = async (transactionId, approve) => {
+    try {
+      const tx = await contract.processRequest(transactionId, approve);
+      await tx.wait();
+      toast.success(approve ? 'Offer accepted, competing offers refunded' : 'Offer rejected and refunded');
+      await loadProperty();
+      await loadTransactions();
+    } catch (error) {
+      console.error('Error processing offer:', error);
+      toast.error(error.reason || 'Failed to process offer');
+    }
+  };
+
   const handleDocumentChange = (e) => {
     const file = e.target.files[0];
     if (file) {
@@ -139,20 +327,50 @@ const PropertyDetail = () => {
   };
 
   const handleRequestPurchase = async () => {
-    if (!purchasePrice || parseFloat(purchasePrice) <= 0) {
+    // Fixed price listings can only be bought at the asking price
+    const offerPrice = property.pricingMode === 1
+      ? formatTokenAmount(property.askingPrice, paymentToken.decimals)
+      : purchasePrice;
+
+    if (!offerPrice || parseFloat(offerPrice) <= 0) {
       toast.error('Please enter a valid price');
       return;
     }
 
-    if (parseFloat(purchasePrice) < parseFloat(formatEther(property.marketValue))) {
-      toast.error('Price must be at least equal to market value');
+    const offerAmount = parseTokenAmount(offerPrice, paymentToken.decimals);
+    if (offerAmount < BigInt(property.askingPrice)) {
+      toast.error('Offer must be at least the asking price');
       return;
     }
 
+    // An installment offer escrows only the down payment up front
+    let escrowAmount = offerAmount;
+    if (payInInstallments) {
+      if (!installmentTerms.downPayment || parseFloat(installmentTerms.downPayment) <= 0) {
+        toast.error('Please enter a down payment');
+        return;
+      }
+      escrowAmount = parseTokenAmount(installmentTerms.downPayment, paymentToken.decimals);
+      if (escrowAmount >= offerAmount) {
+        toast.error('Down payment must be less than the offer price');
+        return;
+      }
+    }
+
+    const payInToken = !isNativeCurrency(property.paymentToken);
+
     try {
       setRequesting(true);
       let ipfsHash = '';
 
+      if (payInToken) {
+        const balance = await getTokenContract(property.paymentToken, contract.runner).balanceOf(account);
+        if (balance < escrowAmount) {
+          toast.error(`Insufficient ${paymentToken.symbol} balance`);
+          return;
+        }
+      }
+
       // Upload document if provided
       if (purchaseDocument) {
         try {
@@ -170,18 +388,32 @@ const PropertyDetail = () => {
         }
       }
 
+      // Token listings are escrowed with transferFrom, so approve the registry first
+      if (payInToken) {
+        toast.info(`Approving ${paymentToken.symbol} for escrow...`);
+        await ensureTokenAllowance(property.paymentToken, account, escrowAmount, contract.runner);
+      }
+
       // Submit purchase request
-      const tx = await contract.requestToLandOwner(
-        id,
-        parseEther(purchasePrice),
-        ipfsHash,
-        { value: parseEther(purchasePrice) }
-      );
+      const overrides = { value: payInToken ? 0n : escrowAmount };
+      const tx = payInInstallments
+        ? await contract.requestInstallmentPurchase(
+            id,
+            offerAmount,
+            ipfsHash,
+            escrowAmount,
+            Number(installmentTerms.installmentCount),
+            Number(installmentTerms.intervalDays) * 24 * 60 * 60,
+            Math.round(parseFloat(installmentTerms.forfeitPercent) * 100),
+            overrides
+          )
+        : await contract.requestToLandOwner(id, offerAmount, ipfsHash, overrides);
       await tx.wait();
       toast.success('Purchase request submitted successfully!');
       await loadProperty();
       await loadTransactions();
       setPurchasePrice('');
+      setPayInInstallments(false);
       setPurchaseDocument(null);
       setUploadProgress(0);
     } catch (error) {
@@ -210,13 +442,21 @@ const PropertyDetail = () => {
   }
 
   const isOwner = property.owner.toLowerCase() === account?.toLowerCase();
+  // Approved parcels carry an ERC-721 title token with the same ID, held by the managing owner
+  const hasTitleToken = [1, 3, 4, 5].includes(property.status);
+  const underDispute = disputes.some((dispute) => dispute.status === 0);
+  // Open offers on the listing, best price first
+  const offerBook = transactions
+    .filter(tx => tx.status === 0)
+    .sort((a, b) => (BigInt(b.price) > BigInt(a.price) ? 1 : BigInt(b.price) < BigInt(a.price) ? -1 : 0));
   const statusColors = {
     0: 'bg-yellow-100 text-yellow-800',
     1: 'bg-green-100 text-green-800',
     2: 'bg-red-100 text-red-800',
     3: 'bg-blue-100 text-blue-800',
     4: 'bg-purple-100 text-purple-800',
-    5: 'bg-gray-100 text-gray-800'
+    5: 'bg-gray-100 text-gray-800',
+    6: 'bg-gray-200 text-gray-600'
   };
 
   return (
@@ -229,6 +469,14 @@ const PropertyDetail = () => {
         Back
       </button>
 
+      {underDispute && (
+        <div className="bg-red-600 text-white rounded-lg px-6 py-3 flex items-center">
+          <Gavel className="h-5 w-5 mr-3 flex-shrink-0" />
+          <span className="font-semibold mr-2">Under dispute.</span>
+          <span className="text-sm">Sale and transfer of this property are frozen until the dispute is resolved.</span>
+        </div>
+      )}
+
       <div className="bg-white rounded-lg shadow-md overflow-hidden">
         <div className="p-6 border-b border-gray-200">
           <div className="flex justify-between items-start">
@@ -263,6 +511,22 @@ const PropertyDetail = () => {
               </div>
             </div>
 
+            {property.status === 3 && (
+              <div className="flex items-start">
+                <DollarSign className="h-5 w-5 text-green-600 mr-3 mt-1" />
+                <div>
+                  <p className="text-sm text-gray-500">Asking Price</p>
+                  <p className="font-semibold text-lg text-green-700">
+                    <TokenAmount value={property.askingPrice} token={property.paymentToken} />
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {property.pricingMode === 1 ? 'Fixed price' : 'Offers at or above the asking price'}
+                    {!isNativeCurrency(property.paymentToken) && ` • settled in ${paymentToken.symbol}`}
+                  </p>
+                </div>
+              </div>
+            )}
+
             <div className="flex items-start">
               <User className="h-5 w-5 text-primary-500 mr-3 mt-1" />
               <div>
@@ -295,6 +559,24 @@ const PropertyDetail = () => {
                 </div>
               </div>
             )}
+
+            {hasTitleToken && (
+              <div className="flex items-start">
+                <Award className="h-5 w-5 text-primary-500 mr-3 mt-1" />
+                <div>
+                  <p className="text-sm text-gray-500">Title Token</p>
+                  <p className="font-medium">TITLE #{property.id.toString()}</p>
+                  {isOwner && typeof window.ethereum !== 'undefined' && (
+                    <button
+                      onClick={handleAddTitleToWallet}
+                      className="text-primary-600 hover:underline text-sm"
+                    >
+                      Add to wallet
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
           </div>
 
           {/* Property Map */}
@@ -322,12 +604,30 @@ const PropertyDetail = () => {
                 <div className="flex gap-2">
                   <input
                     type="number"
-                    placeholder="Price in ETH"
+                    placeholder="Asking price"
                     value={listingPrice}
                     onChange={(e) => setListingPrice(e.target.value)}
                     className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
                     step="0.01"
                   />
+                  <select
+                    value={listingToken}
+                    onChange={(e) => setListingToken(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg"
+                  >
+                    {[NATIVE_CURRENCY, ...acceptedTokens].map((token) => (
+                      <option key={token.address} value={token.address}>{token.symbol}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={pricingMode}
+                    onChange={(e) => setPricingMode(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg"
+                  >
+                    {Object.entries(PRICING_MODE).map(([key, value]) => (
+                      <option key={key} value={key}>{value}</option>
+                    ))}
+                  </select>
                   <button
                     onClick={handleListForSale}
                     disabled={listing}
@@ -339,19 +639,130 @@ const PropertyDetail = () => {
               </div>
             )}
 
+            {isOwner && property.status === 1 && (
+              <SubdivisionForm property={property} onSubmitted={loadProperty} />
+            )}
+
+            {isOwner && property.status === 1 && (
+              <GiftTransferForm property={property} onSubmitted={loadProperty} />
+            )}
+
             {!isOwner && property.status === 3 && (
               <div className="border border-gray-200 rounded-lg p-4">
                 <h3 className="font-semibold mb-3">Request Purchase</h3>
                 <div className="space-y-3">
-                  <input
-                    type="number"
-                    placeholder="Offer price (min: market value)"
-                    value={purchasePrice}
-                    onChange={(e) => setPurchasePrice(e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-lg"
-                    step="0.01"
-                    min={formatEther(property.marketValue)}
-                  />
+                  {leases.length > 0 && !leasesAcknowledged && (
+                    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800 space-y-2">
+                      <p>
+                        This property has {leases.length} active lease{leases.length > 1 ? 's' : ''} that
+                        will continue after the sale. Review them under Leases before making an offer; the seller
+                        cannot accept an offer you already made until you acknowledge them.
+                      </p>
+                      <button
+                        onClick={handleAcknowledgeLeases}
+                        disabled={acknowledging}
+                        className="px-3 py-1 bg-yellow-600 text-white rounded-lg text-sm hover:bg-yellow-700 disabled:opacity-50"
+                      >
+                        {acknowledging ? 'Processing...' : 'Acknowledge Leases'}
+                      </button>
+                    </div>
+                  )}
+                  {property.pricingMode === 1 ? (
+                    <p className="text-sm text-gray-600">
+                      Fixed price: <span className="font-semibold"><TokenAmount value={property.askingPrice} token={property.paymentToken} /></span>
+                    </p>
+                  ) : (
+                    <input
+                      type="number"
+                      placeholder={`Offer price (min: ${formatTokenAmount(property.askingPrice, paymentToken.decimals)} ${paymentToken.symbol})`}
+                      value={purchasePrice}
+                      onChange={(e) => setPurchasePrice(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                      step="0.01"
+                      min={formatTokenAmount(property.askingPrice, paymentToken.decimals)}
+                    />
+                  )}
+                  {!isNativeCurrency(property.paymentToken) && (
+                    <p className="text-xs text-gray-500">
+                      Your wallet will first ask you to approve {paymentToken.symbol} for escrow, then to submit the offer.
+                    </p>
+                  )}
+                  {feeQuote && (
+                    <div className="p-3 bg-gray-50 rounded-lg text-xs text-gray-600 space-y-1">
+                      <p className="font-medium text-gray-700">Fee breakdown</p>
+                      <div className="flex justify-between">
+                        <span>Offer price</span>
+                        <TokenAmount value={feeQuote.price} token={property.paymentToken} />
+                      </div>
+                      <div className="flex justify-between">
+                        <span>{property.state} transfer fee (to treasury)</span>
+                        <TokenAmount value={feeQuote.fee} token={property.paymentToken} />
+                      </div>
+                      <div className="flex justify-between font-medium text-gray-700">
+                        <span>Seller receives</span>
+                        <TokenAmount value={feeQuote.price - feeQuote.fee} token={property.paymentToken} />
+                      </div>
+                      <p>The fee is deducted from escrow when the sale completes.</p>
+                    </div>
+                  )}
+
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={payInInstallments}
+                      onChange={(e) => setPayInInstallments(e.target.checked)}
+                      className="mr-2"
+                    />
+                    Pay in installments
+                  </label>
+                  {payInInstallments && (
+                    <div className="grid grid-cols-2 gap-2 p-3 bg-gray-50 rounded-lg">
+                      <label className="text-xs text-gray-600">
+                        Down payment ({paymentToken.symbol})
+                        <input
+                          type="number"
+                          value={installmentTerms.downPayment}
+                          onChange={(e) => setInstallmentTerms({ ...installmentTerms, downPayment: e.target.value })}
+                          className="w-full mt-1 px-2 py-1 border border-gray-300 rounded"
+                          step="0.01"
+                        />
+                      </label>
+                      <label className="text-xs text-gray-600">
+                        Installments
+                        <input
+                          type="number"
+                          value={installmentTerms.installmentCount}
+                          onChange={(e) => setInstallmentTerms({ ...installmentTerms, installmentCount: e.target.value })}
+                          className="w-full mt-1 px-2 py-1 border border-gray-300 rounded"
+                          min="1"
+                        />
+                      </label>
+                      <label className="text-xs text-gray-600">
+                        Days between installments
+                        <input
+                          type="number"
+                          value={installmentTerms.intervalDays}
+                          onChange={(e) => setInstallmentTerms({ ...installmentTerms, intervalDays: e.target.value })}
+                          className="w-full mt-1 px-2 py-1 border border-gray-300 rounded"
+                          min="1"
+                        />
+                      </label>
+                      <label className="text-xs text-gray-600">
+                        Seller keeps on default (%)
+                        <input
+                          type="number"
+                          value={installmentTerms.forfeitPercent}
+                          onChange={(e) => setInstallmentTerms({ ...installmentTerms, forfeitPercent: e.target.value })}
+                          className="w-full mt-1 px-2 py-1 border border-gray-300 rounded"
+                          min="0"
+                          max="100"
+                        />
+                      </label>
+                      <p className="col-span-2 text-xs text-gray-500">
+                        Only the down payment is escrowed now. Ownership transfers when the final installment is paid.
+                      </p>
+                    </div>
+                  )}
                   
                   <div className="space-y-2">
                     <label className="block text-sm font-medium text-gray-700">
@@ -404,7 +815,7 @@ const PropertyDetail = () => {
 
                   <button
                     onClick={handleRequestPurchase}
-                    disabled={requesting || uploadingDocument}
+                    disabled={requesting || uploadingDocument || (leases.length > 0 && !leasesAcknowledged)}
                     className="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center justify-center"
                   >
                     {uploadingDocument ? (
@@ -425,13 +836,45 @@ const PropertyDetail = () => {
             {isOwner && (property.status === 3 || property.status === 4) && (
               <div className="border border-gray-200 rounded-lg p-4">
                 <h3 className="font-semibold mb-3">Manage Sale</h3>
+                {property.status === 3 && !underDispute && (
+                  <div className="flex gap-2 mb-3">
+                    <input
+                      type="number"
+                      placeholder={`New asking price (now ${formatTokenAmount(property.askingPrice, paymentToken.decimals)} ${paymentToken.symbol})`}
+                      value={listingPrice}
+                      onChange={(e) => setListingPrice(e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+                      step="0.01"
+                    />
+                    <select
+                      value={pricingMode}
+                      onChange={(e) => setPricingMode(e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded-lg"
+                    >
+                      {Object.entries(PRICING_MODE).map(([key, value]) => (
+                        <option key={key} value={key}>{value}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handleUpdateAskingPrice}
+                      disabled={listing}
+                      className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+                    >
+                      {listing ? 'Saving...' : 'Update'}
+                    </button>
+                  </div>
+                )}
+                <p className="text-sm text-gray-600 mb-3">
+                  Removing the listing cancels every outstanding offer and credits each buyer a claimable refund.
+                </p>
                 <button
                   onClick={async () => {
                     try {
                       const tx = await contract.removeFromSale(id);
                       await tx.wait();
-                      toast.success('Property removed from sale');
+                      toast.success('Property removed from sale and open offers refunded');
                       await loadProperty();
+                      await loadTransactions();
                     } catch (error) {
                       toast.error('Failed to remove from sale');
                     }
@@ -442,10 +885,94 @@ const PropertyDetail = () => {
                 </button>
               </div>
             )}
+
+            {isOwner && property.status === 3 && (
+              <div className="border border-gray-200 rounded-lg p-4">
+                <h3 className="font-semibold mb-3">Offer Book ({offerBook.length})</h3>
+                {offerBook.length === 0 ? (
+                  <p className="text-sm text-gray-500">No offers yet</p>
+                ) : (
+                  <div className="space-y-2">
+                    {offerBook.map((tx, rank) => (
+                      <div
+                        key={tx.id.toString()}
+                        className={`flex justify-between items-center p-3 rounded-lg ${rank === 0 ? 'bg-green-50 border border-green-200' : 'bg-gray-50'}`}
+                      >
+                        <div>
+                          <p className="font-semibold"><TokenAmount value={tx.price} token={tx.paymentToken} /></p>
+                          {tx.installmentPlan && (
+                            <p className="text-xs text-orange-700">
+                              <TokenAmount value={tx.installmentPlan.downPayment} token={tx.paymentToken} /> down,
+                              then {tx.installmentPlan.installmentCount} installments every{' '}
+                              {tx.installmentPlan.interval / 86400} days
+                              ({tx.installmentPlan.defaultForfeitBps / 100}% kept on default)
+                            </p>
+                          )}
+                          <p className="text-xs text-gray-600 font-mono">{tx.buyer}</p>
+                          <p className="text-xs text-gray-500">
+                            {format(new Date(Number(tx.requestedAt) * 1000), 'MMM dd, yyyy HH:mm')}
+                          </p>
+                        </div>
+                        <div className="flex space-x-2 ml-2">
+                          <button
+                            onClick={() => handleProcessOffer(tx.id, true)}
+                            className="p-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                            title="Accept offer"
+                          >
+                            <CheckCircle className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => handleProcessOffer(tx.id, false)}
+                            className="p-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+                            title="Reject offer"
+                          >
+                            <XCircle className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                    <p className="text-xs text-gray-500">
+                      Accepting an offer refunds every other buyer automatically.
+                    </p>
+                  </div>
+                )}
+              </div>
+            )}
           </div>
         </div>
       </div>
 
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-xl font-bold mb-4">Ownership</h2>
+        <OwnershipTable property={property} onChanged={loadProperty} />
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-xl font-bold mb-4">Leases</h2>
+        <LeasePanel
+          property={property}
+          leases={leases}
+          isOwner={isOwner}
+          onChanged={loadLeases}
+          onViewDeed={(lease) => setViewingDocument({ hash: lease.deedHash, name: `Lease-${lease.id}-Deed` })}
+        />
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-xl font-bold mb-4">Disputes</h2>
+        <DisputePanel
+          property={property}
+          disputes={disputes}
+          onChanged={loadDisputes}
+          onViewEvidence={(dispute) => setViewingDocument({ hash: dispute.evidenceHash, name: `Dispute-${dispute.id}-Evidence` })}
+        />
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <h2 className="text-xl font-bold mb-4">Approval Trail</h2>
+        <ApprovalTrail votes={approvalVotes} quorum={approvalQuorum} revision={registrationRevision} />
+      </div>
+
       {transactions.length > 0 && (
         <div className="bg-white rounded-lg shadow-md p-6">
           <div className="flex justify-between items-center mb-4">
@@ -468,7 +995,7 @@ const PropertyDetail = () => {
                       Buyer: <span className="font-mono text-xs">{tx.buyer}</span>
                     </p>
                     <p className="text-sm text-gray-600">
-                      Price: <span className="font-semibold">{formatEther(tx.price)} ETH</span>
+                      Price: <span className="font-semibold"><TokenAmount value={tx.price} token={tx.paymentToken} /></span>
                     </p>
                     {tx.ipfsHash && (
                       <button
@@ -6,12 +6,19 @@ import { TRANSACTION_STATUS } from '../../config/constants';
 import { formatEther, formatAddress } from '../../utils/web3';
 import { format } from 'date-fns';
 import DocumentViewer from '../Document/DocumentViewer';
+import TokenAmount from '../Transaction/TokenAmount';
+import LineageTree from './LineageTree';
+import SuccessionEntry, { toSuccession } from './SuccessionEntry';
+import TitleCorrectionEntry, { toTitleCorrection } from './TitleCorrectionEntry';
+import { toGiftTransfer } from '../Transaction/GiftTransferForm';
 
 const PropertyHistory = () => {
   const { id } = useParams();
   const { contract, isConnected } = useWeb3();
   const [property, setProperty] = useState(null);
   const [transactions, setTransactions] = useState([]);
+  const [successions, setSuccessions] = useState([]);
+  const [corrections, setCorrections] = useState([]);
   const [loading, setLoading] = useState(true);
   const [viewingDocument, setViewingDocument] = useState(null);
 
@@ -57,10 +64,27 @@ const PropertyHistory = () => {
         status: Number(tx[5]),
         requestedAt: tx[6],
         completedAt: tx[7],
-        ipfsHash: tx[8]
+        ipfsHash: tx[8],
+        completionDeadline: tx[9],
+        paymentToken: tx[10],
+        fee: tx[11]
       })).sort((a, b) => Number(b.requestedAt) - Number(a.requestedAt)); // Sort by newest first
 
+      // Purchases always have a price, so only zero-price records can be gifts
+      for (const tx of formattedTransactions) {
+        if (tx.price === 0n) {
+          const gift = toGiftTransfer(await contract.giftTransfers(tx.id));
+          tx.gift = gift.reason ? gift : null;
+        }
+      }
+
       setTransactions(formattedTransactions);
+
+      const propertySuccessions = await contract.getPropertySuccessions(id);
+      setSuccessions(propertySuccessions.map(toSuccession));
+
+      const titleCorrections = await contract.getTitleCorrections(id);
+      setCorrections(titleCorrections.map(toTitleCorrection));
     } catch (error) {
       console.error('Error loading property history:', error);
     } finally {
@@ -112,6 +136,13 @@ const PropertyHistory = () => {
     );
   }
 
+  // Sales, successions and title corrections in one timeline, newest first
+  const timeline = [
+    ...transactions.map((tx) => ({ ...tx, kind: 'sale', timestamp: Number(tx.requestedAt) })),
+    ...successions.map((succession) => ({ ...succession, kind: 'succession', timestamp: succession.executedAt })),
+    ...corrections.map((correction) => ({ ...correction, kind: 'correction', timestamp: correction.correctedAt }))
+  ].sort((a, b) => b.timestamp - a.timestamp);
+
   return (
     <div className="space-y-6">
       <div className="bg-white rounded-lg shadow-md p-6">
@@ -145,6 +176,8 @@ const PropertyHistory = () => {
         </div>
       </div>
 
+      <LineageTree propertyId={id} />
+
       {/* Registration Event */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <div className="flex items-start space-x-4">
@@ -174,10 +207,22 @@ const PropertyHistory = () => {
       </div>
 
       {/* Transaction History */}
-      {transactions.length > 0 ? (
+      {timeline.length > 0 ? (
         <div className="space-y-4">
           <h2 className="text-xl font-semibold text-gray-900">Transaction History</h2>
-          {transactions.map((tx, index) => (
+          {timeline.map((tx, index) => tx.kind === 'succession' ? (
+            <SuccessionEntry
+              key={`succession-${index}`}
+              succession={tx}
+              onViewCertificate={() => setViewingDocument({ hash: tx.certificateHash, name: `Property-${id}-Succession-Certificate` })}
+            />
+          ) : tx.kind === 'correction' ? (
+            <TitleCorrectionEntry
+              key={`correction-${index}`}
+              correction={tx}
+              onViewCourtOrder={() => setViewingDocument({ hash: tx.courtOrderHash, name: `Property-${id}-Court-Order` })}
+            />
+          ) : (
             <div key={tx.id.toString()} className="bg-white rounded-lg shadow-md p-6">
               <div className="flex items-start space-x-4">
                 <div className="flex-shrink-0">
@@ -190,7 +235,7 @@ const PropertyHistory = () => {
                     <div className="flex items-center space-x-2">
                       {getStatusIcon(tx.status)}
                       <h3 className="font-semibold text-gray-900">
-                        Transaction #{tx.id.toString()}
+                        {tx.gift ? 'Gift' : 'Transaction'} #{tx.id.toString()}
                       </h3>
                       <span className={`px-2 py-1 rounded text-xs font-medium border ${getStatusColor(tx.status)}`}>
                         {TRANSACTION_STATUS[tx.status]}
@@ -205,22 +250,30 @@ const PropertyHistory = () => {
                     <div className="flex items-center space-x-2">
                       <User className="h-4 w-4 text-gray-400" />
                       <div>
-                        <p className="text-xs text-gray-500">Seller</p>
+                        <p className="text-xs text-gray-500">{tx.gift ? 'From' : 'Seller'}</p>
                         <p className="text-sm font-mono">{formatAddress(tx.seller)}</p>
                       </div>
                     </div>
                     <div className="flex items-center space-x-2">
                       <ArrowRight className="h-4 w-4 text-gray-400" />
                       <div>
-                        <p className="text-xs text-gray-500">Buyer</p>
+                        <p className="text-xs text-gray-500">{tx.gift ? 'To' : 'Buyer'}</p>
                         <p className="text-sm font-mono">{formatAddress(tx.buyer)}</p>
                       </div>
                     </div>
                     <div className="flex items-center space-x-2">
                       <DollarSign className="h-4 w-4 text-gray-400" />
                       <div>
-                        <p className="text-xs text-gray-500">Price</p>
-                        <p className="text-sm font-medium">{formatEther(tx.price)} ETH</p>
+                        <p className="text-xs text-gray-500">{tx.gift ? 'Declared value' : 'Price'}</p>
+                        <p className="text-sm font-medium">
+                          <TokenAmount value={tx.gift ? tx.gift.declaredValue : tx.price} token={tx.paymentToken} />
+                        </p>
+                        {tx.gift && <p className="text-xs text-gray-500">{tx.gift.reason}</p>}
+                        {tx.fee > 0n && (
+                          <p className="text-xs text-gray-500">
+                            Transfer fee: <TokenAmount value={tx.fee} token={tx.paymentToken} />
+                          </p>
+                        )}
                       </div>
                     </div>
                     <div className="flex items-center space-x-2">
@@ -58,7 +58,10 @@ const PropertyList = () => {
         status: Number(prop[9]),
         registeredAt: prop[10],
         lastUpdated: prop[11],
-        isActive: prop[12]
+        isActive: prop[12],
+        askingPrice: prop[13],
+        pricingMode: Number(prop[14]),
+        paymentToken: prop[15]
       })).filter(prop => prop.isActive && prop.id.toString() !== '0');
 
       setProperties(formattedProperties);
@@ -77,6 +80,15 @@ const PropertyList = () => {
     }
   };
 
+  // Unlisted properties have no asking price; sort them after listed ones
+  const compareAskingPrice = (a, b, direction) => {
+    const aListed = a.status === 3 && a.askingPrice > 0;
+    const bListed = b.status === 3 && b.askingPrice > 0;
+    if (aListed !== bListed) return aListed ? -1 : 1;
+    if (!aListed) return 0;
+    return direction * (Number(a.askingPrice) - Number(b.askingPrice));
+  };
+
   const filterProperties = () => {
     let filtered = [...properties];
 
@@ -136,6 +148,10 @@ const PropertyList = () => {
           return Number(a.marketValue) - Number(b.marketValue);
         case 'price-high':
           return Number(b.marketValue) - Number(a.marketValue);
+        case 'asking-low':
+          return compareAskingPrice(a, b, 1);
+        case 'asking-high':
+          return compareAskingPrice(a, b, -1);
         case 'name-asc':
           return a.propertyId.localeCompare(b.propertyId);
         case 'name-desc':
@@ -329,6 +345,8 @@ const PropertyList = () => {
                   <option value="oldest">Oldest First</option>
                   <option value="price-low">Price: Low to High</option>
                   <option value="price-high">Price: High to Low</option>
+                  <option value="asking-low">Asking Price: Low to High</option>
+                  <option value="asking-high">Asking Price: High to Low</option>
                   <option value="name-asc">Name: A to Z</option>
                   <option value="name-desc">Name: Z to A</option>
                 </select>
@@ -1,9 +1,9 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
 import { useWeb3 } from '../../contexts/Web3Context';
-import { Upload, FileText, ArrowLeft, MapPin } from 'lucide-react';
+import { Upload, FileText, ArrowLeft, MapPin, AlertTriangle } from 'lucide-react';
 import { uploadToIPFS, validateFile } from '../../services/ipfs';
-import { parseEther } from '../../utils/web3';
+import { parseEther, formatEther } from '../../utils/web3';
 import { toast } from 'react-toastify';
 import PropertyMap from './PropertyMap';
 
@@ -25,6 +25,28 @@ const RegisterProperty = () => {
   const [documentPreview, setDocumentPreview] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [showMap, setShowMap] = useState(false);
+  const [existingPropertyId, setExistingPropertyId] = useState(0);
+
+  // Warn as soon as the location and survey number match a parcel that is already registered
+  useEffect(() => {
+    const { state, district, village, surveyNumber } = formData;
+    if (!contract || !state.trim() || !district.trim() || !village.trim() || !surveyNumber.trim()) {
+      setExistingPropertyId(0);
+      return;
+    }
+
+    let cancelled = false;
+    contract.findBySurvey(state, district, village, surveyNumber)
+      .then((propertyId) => {
+        if (!cancelled) {
+          setExistingPropertyId(Number(propertyId));
+        }
+      })
+      .catch((error) => console.error('Error checking survey number:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [contract, formData.state, formData.district, formData.village, formData.surveyNumber]);
 
   const handleChange = (e) => {
     setFormData({
@@ -85,6 +107,12 @@ const RegisterProperty = () => {
     try {
       setLoading(true);
 
+      const existing = await contract.findBySurvey(formData.state, formData.district, formData.village, formData.surveyNumber);
+      if (existing > 0n) {
+        toast.error(`Survey number is already registered as property #${existing}`);
+        return;
+      }
+
       // Prepare metadata with coordinates
       const metadata = {
         coordinates: formData.latitude && formData.longitude 
@@ -150,16 +178,22 @@ const RegisterProperty = () => {
         }
       }
 
-      // Register property
+      // Register property, paying the state's registration fee if one is set
       const owner = formData.owner || account;
+      const marketValue = parseEther(formData.marketValue);
+      const registrationFee = await contract.quoteRegistrationFee(formData.state, marketValue);
+      if (registrationFee > 0n) {
+        toast.info(`Registration fee for ${formData.state}: ${formatEther(registrationFee)} ETH`);
+      }
       const tx = await contract.registerProperty(
         formData.state,
         formData.district,
         formData.village,
         formData.surveyNumber,
         owner,
-        parseEther(formData.marketValue),
-        ipfsHash
+        marketValue,
+        ipfsHash,
+        { value: registrationFee }
       );
 
       toast.info('Transaction submitted. Waiting for confirmation...');
@@ -272,6 +306,17 @@ const RegisterProperty = () => {
                 className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
                 placeholder="Enter survey number"
               />
+              {existingPropertyId > 0 && (
+                <p className="mt-2 text-sm text-red-600 flex items-center">
+                  <AlertTriangle className="h-4 w-4 mr-1 flex-shrink-0" />
+                  <span>
+                    Already registered as{' '}
+                    <Link to={`/property/${existingPropertyId}`} className="underline">
+                      property #{existingPropertyId}
+                    </Link>
+                  </span>
+                </p>
+              )}
             </div>
 
             <div>
@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../../contexts/Web3Context';
+import { Loader2, RotateCcw, Upload } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { uploadToIPFS, validateFile } from '../../services/ipfs';
+import { formatEther, parseEther } from '../../utils/web3';
+import { toApprovalVote } from './ApprovalTrail';
+
+const FIELDS = [
+  { key: 'state', placeholder: 'State' },
+  { key: 'district', placeholder: 'District' },
+  { key: 'village', placeholder: 'Village' },
+  { key: 'surveyNumber', placeholder: 'Survey number' }
+];
+
+const detailsOf = (property) => ({
+  state: property.state,
+  district: property.district,
+  village: property.village,
+  surveyNumber: property.surveyNumber,
+  marketValue: formatEther(property.marketValue)
+});
+
+// Lets an owner correct a rejected registration and send it back for approval under the same property ID
+const ResubmitForm = ({ property, onSubmitted }) => {
+  const { contract } = useWeb3();
+  const [expanded, setExpanded] = useState(false);
+  const [details, setDetails] = useState(() => detailsOf(property));
+  const [document, setDocument] = useState(null);
+  const [rejectionReason, setRejectionReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (contract) {
+      contract.getApprovalVotes(property.id)
+        .then((votes) => {
+          const rejection = votes.map(toApprovalVote).reverse().find((vote) => !vote.approve);
+          setRejectionReason(rejection?.reason || '');
+        })
+        .catch((error) => console.error('Error loading rejection reason:', error));
+    }
+  }, [contract, property.id]);
+
+  const handleDocumentChange = (file) => {
+    if (!file) {
+      return;
+    }
+    const validation = validateFile(file);
+    if (!validation.valid) {
+      toast.error(validation.error);
+      return;
+    }
+    setDocument(file);
+  };
+
+  const handleSubmit = async () => {
+    if (FIELDS.some(({ key }) => !details[key].trim())) {
+      toast.error('Please fill in every location field');
+      return;
+    }
+    if (!details.marketValue || parseFloat(details.marketValue) <= 0) {
+      toast.error('Please enter the market value');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const surveyTaken = Number(await contract.findBySurvey(
+        details.state.trim(),
+        details.district.trim(),
+        details.village.trim(),
+        details.surveyNumber.trim()
+      ));
+      if (surveyTaken !== 0) {
+        toast.error(`Survey number is already registered as property #${surveyTaken}`);
+        return;
+      }
+
+      // A new document replaces the rejected one; any location metadata stored alongside it is kept
+      let ipfsHash = property.ipfsHash;
+      if (document) {
+        const docHash = await uploadToIPFS(document);
+        const [, metadataHash] = property.ipfsHash.split('|');
+        ipfsHash = metadataHash ? `${docHash}|${metadataHash}` : docHash;
+      }
+
+      const tx = await contract.resubmitProperty(
+        property.id,
+        details.state.trim(),
+        details.district.trim(),
+        details.village.trim(),
+        details.surveyNumber.trim(),
+        parseEther(details.marketValue),
+        ipfsHash
+      );
+      await tx.wait();
+      toast.success('Registration resubmitted for approval');
+      setDocument(null);
+      setExpanded(false);
+      await onSubmitted?.();
+    } catch (error) {
+      console.error('Error resubmitting property:', error);
+      toast.error(error.reason || 'Failed to resubmit property');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="border border-red-200 bg-red-50 rounded-lg p-4">
+      <div className="flex justify-between items-start">
+        <div>
+          <h3 className="font-semibold text-gray-900">
+            Property #{property.id.toString()}: {property.village}, Survey {property.surveyNumber}
+          </h3>
+          <p className="text-sm text-red-700 mt-1">
+            Rejected{rejectionReason && <>: {rejectionReason}</>}
+          </p>
+        </div>
+        <button
+          onClick={() => {
+            setExpanded(!expanded);
+            setDetails(detailsOf(property));
+            setDocument(null);
+          }}
+          className="inline-flex items-center text-sm text-primary-600 hover:text-primary-700 font-medium"
+        >
+          <RotateCcw className="h-4 w-4 mr-1" />
+          {expanded ? 'Cancel' : 'Fix and resubmit'}
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="mt-3 space-y-3">
+          <div className="grid grid-cols-2 gap-2">
+            {FIELDS.map(({ key, placeholder }) => (
+              <input
+                key={key}
+                type="text"
+                placeholder={placeholder}
+                value={details[key]}
+                onChange={(e) => setDetails({ ...details, [key]: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white"
+              />
+            ))}
+          </div>
+          <input
+            type="number"
+            placeholder="Market value (ETH)"
+            value={details.marketValue}
+            onChange={(e) => setDetails({ ...details, marketValue: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm bg-white"
+            step="0.01"
+            min="0"
+          />
+          <label className="flex items-center px-3 py-2 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-primary-500 text-sm text-gray-600 bg-white">
+            <Upload className="h-4 w-4 mr-2 text-gray-400" />
+            {document?.name || 'Attach corrected document (optional, replaces the current one)'}
+            <input
+              type="file"
+              className="hidden"
+              onChange={(e) => handleDocumentChange(e.target.files[0])}
+              accept=".pdf,.jpg,.jpeg,.png,.doc,.docx"
+            />
+          </label>
+          <div className="flex justify-between items-center">
+            <p className="text-xs text-gray-500">
+              The property returns to pending and officers vote on it again. No fee is charged.
+            </p>
+            <button
+              onClick={handleSubmit}
+              disabled={submitting}
+              className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            >
+              {submitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Resubmit
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ResubmitForm;
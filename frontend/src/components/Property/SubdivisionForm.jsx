@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../../contexts/Web3Context';
+import { Plus, X, Loader2, Upload } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { uploadToIPFS, validateFile } from '../../services/ipfs';
+import { parseEther } from '../../utils/web3';
+
+const emptyParcel = () => ({ surveyNumber: '', marketValue: '', document: null });
+
+// Lets the owner of an approved parcel ask an officer to split it into child parcels
+const SubdivisionForm = ({ property, onSubmitted }) => {
+  const { contract } = useWeb3();
+  const [pendingRequestId, setPendingRequestId] = useState(0);
+  const [pendingMergeId, setPendingMergeId] = useState(0);
+  const [expanded, setExpanded] = useState(false);
+  const [parcels, setParcels] = useState([emptyParcel(), emptyParcel()]);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (contract && property) {
+      loadPendingRequest();
+    }
+  }, [contract, property]);
+
+  const loadPendingRequest = async () => {
+    try {
+      setPendingRequestId(Number(await contract.pendingSubdivision(property.id)));
+      setPendingMergeId(Number(await contract.pendingMerge(property.id)));
+    } catch (error) {
+      console.error('Error loading subdivision request:', error);
+    }
+  };
+
+  const updateParcel = (index, changes) => {
+    setParcels(parcels.map((parcel, i) => (i === index ? { ...parcel, ...changes } : parcel)));
+  };
+
+  const handleDocumentChange = (index, file) => {
+    if (!file) {
+      return;
+    }
+    const validation = validateFile(file);
+    if (!validation.valid) {
+      toast.error(validation.error);
+      return;
+    }
+    updateParcel(index, { document: file });
+  };
+
+  const handleSubmit = async () => {
+    if (parcels.some((parcel) => !parcel.surveyNumber.trim())) {
+      toast.error('Every child parcel needs a survey number');
+      return;
+    }
+    if (parcels.some((parcel) => !parcel.marketValue || parseFloat(parcel.marketValue) <= 0)) {
+      toast.error('Every child parcel needs a market value');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const ipfsHashes = [];
+      for (const parcel of parcels) {
+        ipfsHashes.push(parcel.document ? await uploadToIPFS(parcel.document) : '');
+      }
+
+      const tx = await contract.requestSubdivision(
+        property.id,
+        parcels.map((parcel) => parcel.surveyNumber.trim()),
+        parcels.map((parcel) => parseEther(parcel.marketValue)),
+        ipfsHashes
+      );
+      await tx.wait();
+      toast.success('Subdivision requested. Awaiting officer approval.');
+      setParcels([emptyParcel(), emptyParcel()]);
+      setExpanded(false);
+      await loadPendingRequest();
+      await onSubmitted?.();
+    } catch (error) {
+      console.error('Error requesting subdivision:', error);
+      toast.error(error.reason || 'Failed to request subdivision');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (pendingRequestId > 0) {
+    return (
+      <div className="border border-yellow-200 bg-yellow-50 rounded-lg p-4 text-sm text-yellow-800">
+        Subdivision request #{pendingRequestId} is awaiting officer approval. The property cannot be listed until it is decided.
+      </div>
+    );
+  }
+
+  if (pendingMergeId > 0) {
+    return (
+      <div className="border border-yellow-200 bg-yellow-50 rounded-lg p-4 text-sm text-yellow-800">
+        Merge request #{pendingMergeId} including this parcel is awaiting officer approval.
+      </div>
+    );
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex justify-between items-center">
+        <h3 className="font-semibold">Subdivide Parcel</h3>
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+        >
+          {expanded ? 'Cancel' : 'Split into parcels'}
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="mt-3 space-y-3">
+          {parcels.map((parcel, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <input
+                type="text"
+                placeholder={`Survey number #${index + 1}`}
+                value={parcel.surveyNumber}
+                onChange={(e) => updateParcel(index, { surveyNumber: e.target.value })}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+              <input
+                type="number"
+                placeholder="Value (ETH)"
+                value={parcel.marketValue}
+                onChange={(e) => updateParcel(index, { marketValue: e.target.value })}
+                className="w-32 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                step="0.01"
+                min="0"
+              />
+              <label
+                className="p-2 border border-gray-300 rounded-lg cursor-pointer hover:border-primary-500"
+                title={parcel.document ? parcel.document.name : 'Attach documents (optional)'}
+              >
+                <Upload className={`h-4 w-4 ${parcel.document ? 'text-primary-600' : 'text-gray-400'}`} />
+                <input
+                  type="file"
+                  className="hidden"
+                  onChange={(e) => handleDocumentChange(index, e.target.files[0])}
+                  accept=".pdf,.jpg,.jpeg,.png,.doc,.docx"
+                />
+              </label>
+              <button
+                onClick={() => setParcels(parcels.filter((_, i) => i !== index))}
+                disabled={parcels.length <= 2}
+                className="p-2 text-red-600 hover:text-red-700 disabled:opacity-30"
+                title="Remove parcel"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+          <div className="flex justify-between items-center">
+            <button
+              onClick={() => setParcels([...parcels, emptyParcel()])}
+              className="inline-flex items-center text-sm text-primary-600 hover:text-primary-700"
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add parcel
+            </button>
+            <button
+              onClick={handleSubmit}
+              disabled={submitting}
+              className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            >
+              {submitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Request Subdivision
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">
+            Once an officer approves, this parcel is retired and each child is registered in your name.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SubdivisionForm;
@@ -0,0 +1,78 @@
+import React from 'react';
+import { Users, FileText, User } from 'lucide-react';
+import { format } from 'date-fns';
+import { formatAddress } from '../../utils/web3';
+
+// Maps a getPropertySuccessions() entry to named fields
+export const toSuccession = (succession) => ({
+  propertyId: succession[0],
+  deceased: succession[1],
+  heirs: succession[2].map((heir, index) => ({ address: heir, shareBps: Number(succession[3][index]) })),
+  certificateHash: succession[4],
+  executedBy: succession[5],
+  executedAt: Number(succession[6])
+});
+
+// A government-ordered succession transfer in a property's history
+const SuccessionEntry = ({ succession, onViewCertificate }) => (
+  <div className="bg-white rounded-lg shadow-md p-6">
+    <div className="flex items-start space-x-4">
+      <div className="flex-shrink-0">
+        <div className="w-10 h-10 bg-amber-100 rounded-full flex items-center justify-center">
+          <Users className="h-6 w-6 text-amber-600" />
+        </div>
+      </div>
+      <div className="flex-1">
+        <div className="flex items-center justify-between mb-3">
+          <div className="flex items-center space-x-2">
+            <h3 className="font-semibold text-gray-900">Succession</h3>
+            <span className="px-2 py-1 rounded text-xs font-medium border bg-amber-100 text-amber-800 border-amber-200">
+              Ordered by government
+            </span>
+          </div>
+          <span className="text-sm text-gray-500">
+            {format(new Date(succession.executedAt * 1000), 'MMM dd, yyyy HH:mm')}
+          </span>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-3">
+          <div className="flex items-center space-x-2">
+            <User className="h-4 w-4 text-gray-400" />
+            <div>
+              <p className="text-xs text-gray-500">Deceased</p>
+              <p className="text-sm font-mono">{formatAddress(succession.deceased)}</p>
+            </div>
+          </div>
+          <div className="flex items-start space-x-2">
+            <Users className="h-4 w-4 text-gray-400 mt-1" />
+            <div>
+              <p className="text-xs text-gray-500">Heirs</p>
+              {succession.heirs.map((heir) => (
+                <p key={heir.address} className="text-sm">
+                  <span className="font-mono">{formatAddress(heir.address)}</span>
+                  <span className="text-gray-500"> &middot; {heir.shareBps / 100}% of the share</span>
+                </p>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <p className="text-xs text-gray-500">
+          Executed by <span className="font-mono">{formatAddress(succession.executedBy)}</span>
+        </p>
+
+        <div className="mt-3 pt-3 border-t border-gray-200">
+          <button
+            onClick={onViewCertificate}
+            className="inline-flex items-center text-sm text-primary-600 hover:text-primary-700"
+          >
+            <FileText className="h-4 w-4 mr-2" />
+            View Succession Certificate
+          </button>
+        </div>
+      </div>
+    </div>
+  </div>
+);
+
+export default SuccessionEntry;
@@ -0,0 +1,103 @@
+import React from 'react';
+import { Gavel, FileText } from 'lucide-react';
+import { format } from 'date-fns';
+import { formatAddress, formatEther } from '../../utils/web3';
+
+const toTitleDetails = (details) => ({
+  owner: details[0],
+  state: details[1],
+  district: details[2],
+  village: details[3],
+  surveyNumber: details[4],
+  marketValue: details[5]
+});
+
+// Maps a getTitleCorrections() entry to named fields
+export const toTitleCorrection = (correction) => ({
+  propertyId: correction[0],
+  oldDetails: toTitleDetails(correction[1]),
+  newDetails: toTitleDetails(correction[2]),
+  courtOrderHash: correction[3],
+  correctedBy: correction[4],
+  correctedAt: Number(correction[5])
+});
+
+const FIELDS = [
+  { key: 'owner', label: 'Owner', render: (value) => <span className="font-mono">{formatAddress(value)}</span> },
+  { key: 'state', label: 'State' },
+  { key: 'district', label: 'District' },
+  { key: 'village', label: 'Village' },
+  { key: 'surveyNumber', label: 'Survey number' },
+  { key: 'marketValue', label: 'Market value', render: (value) => `${formatEther(value)} ETH` }
+];
+
+// A court-ordered title correction in a property's history, listing only the fields that changed
+const TitleCorrectionEntry = ({ correction, onViewCourtOrder }) => {
+  const changes = FIELDS.filter(({ key }) =>
+    correction.oldDetails[key].toString() !== correction.newDetails[key].toString()
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-start space-x-4">
+        <div className="flex-shrink-0">
+          <div className="w-10 h-10 bg-red-100 rounded-full flex items-center justify-center">
+            <Gavel className="h-6 w-6 text-red-600" />
+          </div>
+        </div>
+        <div className="flex-1">
+          <div className="flex items-center justify-between mb-3">
+            <div className="flex items-center space-x-2">
+              <h3 className="font-semibold text-gray-900">Title Correction</h3>
+              <span className="px-2 py-1 rounded text-xs font-medium border bg-red-100 text-red-800 border-red-200">
+                Court ordered
+              </span>
+            </div>
+            <span className="text-sm text-gray-500">
+              {format(new Date(correction.correctedAt * 1000), 'MMM dd, yyyy HH:mm')}
+            </span>
+          </div>
+
+          {changes.length > 0 ? (
+            <table className="w-full text-sm mb-3">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-1 font-medium">Field</th>
+                  <th className="py-1 font-medium">Before</th>
+                  <th className="py-1 font-medium">After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changes.map(({ key, label, render }) => (
+                  <tr key={key} className="border-b border-gray-100">
+                    <td className="py-1 text-gray-500">{label}</td>
+                    <td className="py-1">{render ? render(correction.oldDetails[key]) : correction.oldDetails[key]}</td>
+                    <td className="py-1 font-medium">{render ? render(correction.newDetails[key]) : correction.newDetails[key]}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-sm text-gray-600 mb-3">The court order confirmed the existing title.</p>
+          )}
+
+          <p className="text-xs text-gray-500">
+            Recorded by <span className="font-mono">{formatAddress(correction.correctedBy)}</span>
+          </p>
+
+          <div className="mt-3 pt-3 border-t border-gray-200">
+            <button
+              onClick={onViewCourtOrder}
+              className="inline-flex items-center text-sm text-primary-600 hover:text-primary-700"
+            >
+              <FileText className="h-4 w-4 mr-2" />
+              View Court Order
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TitleCorrectionEntry;
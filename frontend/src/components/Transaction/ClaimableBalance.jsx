@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../../contexts/Web3Context';
+import { Wallet, Loader2 } from 'lucide-react';
+import { formatTokenAmount, getTokenInfo, isNativeCurrency, NATIVE_CURRENCY } from '../../utils/web3';
+import { toast } from 'react-toastify';
+
+// Refunds and sale proceeds credited by the contract, claimable per currency via withdraw()/withdrawToken()
+const ClaimableBalance = ({ compact = false }) => {
+  const { contract, account } = useWeb3();
+  const [balances, setBalances] = useState([]);
+  const [withdrawing, setWithdrawing] = useState(null);
+
+  useEffect(() => {
+    if (!contract || !account) {
+      return undefined;
+    }
+
+    loadBalances();
+
+    // Refresh whenever this account is credited or withdraws
+    const creditedFilter = contract.filters.PaymentCredited(account);
+    const withdrawnFilter = contract.filters.PaymentWithdrawn(account);
+    contract.on(creditedFilter, loadBalances);
+    contract.on(withdrawnFilter, loadBalances);
+
+    return () => {
+      contract.off(creditedFilter, loadBalances);
+      contract.off(withdrawnFilter, loadBalances);
+    };
+  }, [contract, account]);
+
+  const loadBalances = async () => {
+    try {
+      const tokenAddresses = await contract.getPaymentTokens();
+      const currencies = [
+        NATIVE_CURRENCY,
+        ...(await Promise.all(tokenAddresses.map((address) => getTokenInfo(address, contract.runner))))
+      ];
+      const amounts = await Promise.all(currencies.map((currency) =>
+        isNativeCurrency(currency.address)
+          ? contract.payments(account)
+          : contract.tokenPayments(account, currency.address)
+      ));
+      setBalances(currencies.map((currency, i) => ({ ...currency, amount: amounts[i] })));
+    } catch (error) {
+      console.error('Error loading claimable balance:', error);
+    }
+  };
+
+  const handleWithdraw = async (balance) => {
+    try {
+      setWithdrawing(balance.address);
+      const tx = isNativeCurrency(balance.address)
+        ? await contract.withdraw()
+        : await contract.withdrawToken(balance.address);
+      await tx.wait();
+      toast.success(`Withdrew ${formatTokenAmount(balance.amount, balance.decimals)} ${balance.symbol}`);
+      await loadBalances();
+    } catch (error) {
+      console.error('Error withdrawing funds:', error);
+      toast.error(error.reason || 'Failed to withdraw funds');
+    } finally {
+      setWithdrawing(null);
+    }
+  };
+
+  const claimable = balances.filter((balance) => balance.amount > 0n);
+
+  if (compact) {
+    return claimable.map((balance) => (
+      <button
+        key={balance.address}
+        onClick={() => handleWithdraw(balance)}
+        disabled={withdrawing !== null}
+        title="Withdraw refunds and sale proceeds"
+        className="inline-flex items-center px-3 py-2 rounded-lg bg-green-50 text-green-700 text-sm font-medium hover:bg-green-100 disabled:opacity-50"
+      >
+        {withdrawing === balance.address ? (
+          <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+        ) : (
+          <Wallet className="h-4 w-4 mr-2" />
+        )}
+        Claim {formatTokenAmount(balance.amount, balance.decimals)} {balance.symbol}
+      </button>
+    ));
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <p className="text-sm text-gray-500">Claimable Balance</p>
+      <p className="text-xs text-gray-500 mb-3">Refunds and sale proceeds ready to withdraw</p>
+      <div className="space-y-2">
+        {(claimable.length > 0 ? claimable : [{ ...NATIVE_CURRENCY, amount: 0n }]).map((balance) => (
+          <div key={balance.address} className="flex items-center justify-between">
+            <p className="text-2xl font-bold text-gray-900">
+              {formatTokenAmount(balance.amount, balance.decimals)} {balance.symbol}
+            </p>
+            <button
+              onClick={() => handleWithdraw(balance)}
+              disabled={withdrawing !== null || balance.amount === 0n}
+              className="inline-flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+            >
+              {withdrawing === balance.address ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <Wallet className="h-4 w-4 mr-2" />
+              )}
+              Withdraw
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ClaimableBalance;
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../../contexts/Web3Context';
+import { Gift, Loader2, Upload } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { uploadToIPFS, validateFile } from '../../services/ipfs';
+
+// Maps a giftTransfers() entry to named fields
+export const toGiftTransfer = (gift) => ({
+  reason: gift[0],
+  declaredValue: gift[1]
+});
+
+// Lets an owner give a property away or settle it on someone without payment
+const GiftTransferForm = ({ property, onSubmitted }) => {
+  const { contract } = useWeb3();
+  const [expanded, setExpanded] = useState(false);
+  const [recipient, setRecipient] = useState('');
+  const [reason, setReason] = useState('');
+  const [deed, setDeed] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleDeedChange = (file) => {
+    if (!file) {
+      return;
+    }
+    const validation = validateFile(file);
+    if (!validation.valid) {
+      toast.error(validation.error);
+      return;
+    }
+    setDeed(file);
+  };
+
+  const handleSubmit = async () => {
+    if (!recipient.trim()) {
+      toast.error('Please enter the recipient address');
+      return;
+    }
+    if (!reason.trim()) {
+      toast.error('Please state the reason for the transfer');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const deedHash = deed ? await uploadToIPFS(deed) : '';
+      const tx = await contract.transferOwnership(property.id, recipient.trim(), reason.trim(), deedHash);
+      await tx.wait();
+      toast.success('Transfer offered. Awaiting the recipient\'s acceptance.');
+      setRecipient('');
+      setReason('');
+      setDeed(null);
+      setExpanded(false);
+      await onSubmitted?.();
+    } catch (error) {
+      console.error('Error offering transfer:', error);
+      toast.error(error.reason || 'Failed to offer transfer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex justify-between items-center">
+        <h3 className="font-semibold flex items-center">
+          <Gift className="h-4 w-4 mr-2 text-primary-500" />
+          Gift or Settlement
+        </h3>
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+        >
+          {expanded ? 'Cancel' : 'Transfer without payment'}
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="mt-3 space-y-3">
+          <input
+            type="text"
+            placeholder="Recipient address"
+            value={recipient}
+            onChange={(e) => setRecipient(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+          />
+          <input
+            type="text"
+            placeholder="Reason, e.g. gift to daughter or divorce settlement"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <label className="flex items-center px-3 py-2 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-primary-500 text-sm text-gray-600">
+            <Upload className="h-4 w-4 mr-2 text-gray-400" />
+            {deed?.name || 'Attach gift or settlement deed (optional)'}
+            <input
+              type="file"
+              className="hidden"
+              onChange={(e) => handleDeedChange(e.target.files[0])}
+              accept=".pdf,.jpg,.jpeg,.png,.doc,.docx"
+            />
+          </label>
+          <div className="flex justify-between items-center">
+            <p className="text-xs text-gray-500">
+              Every co-owner must consent. The recipient pays any transfer fee on the declared market value when accepting.
+            </p>
+            <button
+              onClick={handleSubmit}
+              disabled={submitting}
+              className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            >
+              {submitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Offer Transfer
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GiftTransferForm;
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../../contexts/Web3Context';
+import { CheckCircle, Clock, AlertTriangle, Loader2 } from 'lucide-react';
+import { format } from 'date-fns';
+import { toast } from 'react-toastify';
+import { ensureTokenAllowance, isNativeCurrency } from '../../utils/web3';
+import TokenAmount from './TokenAmount';
+
+// Maps a getInstallmentPlan() tuple to named fields
+export const toInstallmentPlan = (plan) => ({
+  downPayment: plan[0],
+  installmentCount: Number(plan[1]),
+  interval: Number(plan[2]),
+  defaultForfeitBps: Number(plan[3]),
+  installmentsPaid: Number(plan[4]),
+  amountPaid: plan[5],
+  nextDueDate: Number(plan[6])
+});
+
+// Due date and amount of every installment; the last one absorbs rounding like the contract does
+const buildSchedule = (price, plan) => {
+  const regular = (BigInt(price) - BigInt(plan.downPayment)) / BigInt(plan.installmentCount);
+  const firstDueDate = plan.nextDueDate > 0
+    ? plan.nextDueDate - plan.installmentsPaid * plan.interval
+    : 0;
+
+  return Array.from({ length: plan.installmentCount }, (_, i) => ({
+    number: i + 1,
+    amount: i === plan.installmentCount - 1
+      ? BigInt(price) - BigInt(plan.downPayment) - regular * BigInt(plan.installmentCount - 1)
+      : regular,
+    dueDate: firstDueDate > 0 ? firstDueDate + i * plan.interval : 0,
+    paid: i < plan.installmentsPaid
+  }));
+};
+
+const InstallmentSchedule = ({ transaction, onPaid }) => {
+  const { contract, account } = useWeb3();
+  const [paying, setPaying] = useState(false);
+  const plan = transaction.installmentPlan;
+  const schedule = buildSchedule(transaction.price, plan);
+  const next = schedule.find((installment) => !installment.paid);
+  const now = Math.floor(Date.now() / 1000);
+  const isBuyer = account?.toLowerCase() === transaction.buyer.toLowerCase();
+
+  const handlePayInstallment = async () => {
+    try {
+      setPaying(true);
+      let overrides = { value: next.amount };
+      if (!isNativeCurrency(transaction.paymentToken)) {
+        await ensureTokenAllowance(transaction.paymentToken, account, next.amount, contract.runner);
+        overrides = {};
+      }
+      const tx = await contract.payInstallment(transaction.id, overrides);
+      await tx.wait();
+      toast.success(
+        next.number === plan.installmentCount
+          ? 'Final installment paid'
+          : `Installment ${next.number} of ${plan.installmentCount} paid`
+      );
+      if (onPaid) await onPaid();
+    } catch (error) {
+      console.error('Error paying installment:', error);
+      toast.error(error.reason || 'Failed to pay installment');
+    } finally {
+      setPaying(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 border-t border-gray-100 pt-3">
+      <div className="flex justify-between items-center mb-2">
+        <p className="text-sm font-medium text-gray-700">
+          Installment plan • {plan.installmentsPaid}/{plan.installmentCount} paid
+        </p>
+        <p className="text-xs text-gray-500">
+          Paid so far: <TokenAmount value={plan.amountPaid} token={transaction.paymentToken} />
+        </p>
+      </div>
+      <ul className="space-y-1 text-sm">
+        <li className="flex justify-between text-gray-600">
+          <span className="flex items-center">
+            <CheckCircle className="h-4 w-4 mr-2 text-green-500" />
+            Down payment
+          </span>
+          <TokenAmount value={plan.downPayment} token={transaction.paymentToken} />
+        </li>
+        {schedule.map((installment) => {
+          const overdue = !installment.paid && installment.dueDate > 0 && now > installment.dueDate;
+          return (
+            <li key={installment.number} className="flex justify-between text-gray-600">
+              <span className="flex items-center">
+                {installment.paid ? (
+                  <CheckCircle className="h-4 w-4 mr-2 text-green-500" />
+                ) : overdue ? (
+                  <AlertTriangle className="h-4 w-4 mr-2 text-red-500" />
+                ) : (
+                  <Clock className="h-4 w-4 mr-2 text-yellow-500" />
+                )}
+                Installment {installment.number}
+                <span className={`ml-2 text-xs ${overdue ? 'text-red-600' : 'text-gray-400'}`}>
+                  {installment.dueDate > 0
+                    ? `due ${format(new Date(installment.dueDate * 1000), 'MMM dd, yyyy')}`
+                    : 'due after approval'}
+                </span>
+              </span>
+              <TokenAmount value={installment.amount} token={transaction.paymentToken} />
+            </li>
+          );
+        })}
+      </ul>
+      <p className="mt-2 text-xs text-gray-500">
+        Missing a due date lets anyone declare a default: the seller keeps {plan.defaultForfeitBps / 100}% of what
+        the buyer paid and the rest is refunded.
+      </p>
+      {transaction.status === 1 && isBuyer && next && (
+        <button
+          onClick={handlePayInstallment}
+          disabled={paying || now > next.dueDate}
+          className="mt-3 w-full inline-flex items-center justify-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+        >
+          {paying && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+          Pay next installment (<TokenAmount value={next.amount} token={transaction.paymentToken} />)
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default InstallmentSchedule;
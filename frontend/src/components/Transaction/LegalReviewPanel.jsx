@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { useWeb3 } from '../../contexts/Web3Context';
+import { Scale, Loader2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { formatAddress } from '../../utils/web3';
+import { LEGAL_REVIEW_STATUS } from '../../config/constants';
+
+// Maps a getLegalReview() tuple to named fields
+export const toLegalReview = (review) => ({
+  lawyer: review[0],
+  sellerNominee: review[1],
+  buyerNominee: review[2],
+  status: Number(review[3]),
+  deedHash: review[4],
+  reviewedAt: Number(review[5])
+});
+
+// Completion is blocked while an assigned lawyer has not attested
+export const isAttestationPending = (review) => review && (review.status === 1 || review.status === 3);
+
+// Lets buyer and seller agree on a lawyer for an approved sale, and shows where the attestation stands
+const LegalReviewPanel = ({ transaction, onChange }) => {
+  const { contract, account } = useWeb3();
+  const [nominee, setNominee] = useState('');
+  const [appointing, setAppointing] = useState(false);
+  const review = transaction.legalReview;
+
+  if (!review) {
+    return null;
+  }
+
+  const isSeller = account?.toLowerCase() === transaction.seller.toLowerCase();
+  const myNominee = isSeller ? review.sellerNominee : review.buyerNominee;
+  const theirNominee = isSeller ? review.buyerNominee : review.sellerNominee;
+  const canAppoint = review.status === 0 || review.status === 3;
+
+  const handleAppoint = async (lawyer) => {
+    if (!ethers.isAddress(lawyer)) {
+      toast.error('Please enter a valid lawyer address');
+      return;
+    }
+
+    try {
+      setAppointing(true);
+      const tx = await contract.appointLawyer(transaction.id, lawyer);
+      await tx.wait();
+      toast.success('Lawyer nominated');
+      setNominee('');
+      await onChange();
+    } catch (error) {
+      console.error('Error appointing lawyer:', error);
+      toast.error(error.reason || 'Failed to appoint lawyer');
+    } finally {
+      setAppointing(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 p-3 bg-gray-50 rounded-lg text-sm text-gray-600">
+      <p className="flex items-center font-medium text-gray-700">
+        <Scale className="h-4 w-4 mr-2" />
+        Legal attestation: {LEGAL_REVIEW_STATUS[review.status]}
+      </p>
+      {review.status !== 0 && (
+        <p className="mt-1 text-xs">
+          Lawyer: <span className="font-mono">{formatAddress(review.lawyer)}</span>
+          {review.status === 2 && <> &middot; Sale deed: <span className="font-mono">{review.deedHash}</span></>}
+        </p>
+      )}
+      {canAppoint && (
+        <div className="mt-2 space-y-2">
+          {theirNominee !== ethers.ZeroAddress && theirNominee !== myNominee && (
+            <p className="text-xs">
+              The other party nominated <span className="font-mono">{formatAddress(theirNominee)}</span>.{' '}
+              <button
+                onClick={() => handleAppoint(theirNominee)}
+                disabled={appointing}
+                className="text-primary-600 hover:underline font-medium disabled:opacity-50"
+              >
+                Agree
+              </button>
+            </p>
+          )}
+          {myNominee !== ethers.ZeroAddress && theirNominee !== myNominee && (
+            <p className="text-xs">
+              Waiting for the other party to agree to <span className="font-mono">{formatAddress(myNominee)}</span>.
+            </p>
+          )}
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              value={nominee}
+              onChange={(e) => setNominee(e.target.value)}
+              placeholder="Lawyer address (optional)"
+              className="flex-1 px-2 py-1 border border-gray-300 rounded font-mono text-xs"
+            />
+            <button
+              onClick={() => handleAppoint(nominee)}
+              disabled={appointing || !nominee}
+              className="inline-flex items-center px-3 py-1 bg-primary-600 text-white rounded hover:bg-primary-700 disabled:opacity-50"
+            >
+              {appointing && <Loader2 className="h-3 w-3 mr-1 animate-spin" />}
+              Nominate
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">
+            Once both parties nominate the same lawyer, the sale can only complete after they attest the deed.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LegalReviewPanel;
@@ -0,0 +1,12 @@
+import React from 'react';
+import usePaymentToken from '../../hooks/usePaymentToken';
+import { formatTokenAmount } from '../../utils/web3';
+
+// Price in its settlement currency, e.g. "150.0 ETH" or "250000.0 mUSD"
+const TokenAmount = ({ value, token }) => {
+  const { symbol, decimals } = usePaymentToken(token);
+
+  return <>{formatTokenAmount(value, decimals)} {symbol}</>;
+};
+
+export default TokenAmount;
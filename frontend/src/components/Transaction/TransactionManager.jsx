@@ -1,17 +1,97 @@
 import React, { useState, useEffect } from 'react';
 import { useWeb3 } from '../../contexts/Web3Context';
 import { CheckCircle, XCircle, Loader2, Clock, FileText } from 'lucide-react';
-import { TRANSACTION_STATUS } from '../../config/constants';
-import { formatEther } from '../../utils/web3';
+import { TRANSACTION_STATUS, NEGOTIATION_ACTION } from '../../config/constants';
+import {
+  formatAddress,
+  getTokenInfo,
+  parseTokenAmount,
+  ensureTokenAllowance,
+  isNativeCurrency
+} from '../../utils/web3';
 import { toast } from 'react-toastify';
 import { Link } from 'react-router-dom';
 import DocumentViewer from '../Document/DocumentViewer';
+import TokenAmount from './TokenAmount';
+import InstallmentSchedule, { toInstallmentPlan } from './InstallmentSchedule';
+import LegalReviewPanel, { toLegalReview, isAttestationPending } from './LegalReviewPanel';
+import { toGiftTransfer } from './GiftTransferForm';
+
+const formatTimeLeft = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  return days > 0
+    ? `${days}d ${hours}h ${minutes}m`
+    : `${hours}h ${minutes}m ${secs}s`;
+};
+
+// Live countdown to the completion deadline of an approved transaction
+const CompletionCountdown = ({ deadline }) => {
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const remaining = Number(deadline) - now;
+
+  if (remaining <= 0) {
+    return <span className="text-red-600 font-medium">Completion deadline passed</span>;
+  }
+
+  return (
+    <span className={remaining < 86400 ? 'text-red-600 font-medium' : 'text-orange-600 font-medium'}>
+      {formatTimeLeft(remaining)} left to complete
+    </span>
+  );
+};
+
+// A paid-off plan waits for legal attestation or government sign-off before the buyer completes it
+const isPaidOff = (plan) => plan.installmentsPaid === plan.installmentCount;
+
+// An installment plan is past due as soon as its next installment is overdue; a disputed sale's clock is stopped
+const hasDeadlinePassed = (tx) => {
+  if (tx.frozen || (tx.installmentPlan && isPaidOff(tx.installmentPlan))) {
+    return false;
+  }
+  const deadline = tx.installmentPlan ? tx.installmentPlan.nextDueDate : Number(tx.completionDeadline);
+  return deadline > 0 && Math.floor(Date.now() / 1000) > deadline;
+};
+
+const isOpenOffer = (tx) => tx.status === 0 || tx.status === 5;
+
+// Offer and counter-offer history of a transaction, oldest first
+const NegotiationThread = ({ rounds, account, token }) => {
+  if (!rounds || rounds.length < 2) {
+    return null;
+  }
+
+  return (
+    <ol className="mt-2 border-l-2 border-gray-200 pl-3 space-y-1">
+      {rounds.map((round, index) => (
+        <li key={index} className="text-xs text-gray-600">
+          <span className="font-medium">
+            {round.party.toLowerCase() === account.toLowerCase() ? 'You' : formatAddress(round.party)}
+          </span>
+          {' • '}
+          {NEGOTIATION_ACTION[round.action]}
+          {' • '}
+          <span className="font-semibold"><TokenAmount value={round.price} token={token} /></span>
+        </li>
+      ))}
+    </ol>
+  );
+};
 
 const TransactionManager = () => {
   const { contract, account } = useWeb3();
   const [transactions, setTransactions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [viewingDocument, setViewingDocument] = useState(null);
+  const [counterPrices, setCounterPrices] = useState({});
 
   useEffect(() => {
     if (contract && account) {
@@ -41,7 +121,10 @@ const TransactionManager = () => {
             status: Number(tx[5]),
             requestedAt: tx[6],
             completedAt: tx[7],
-            ipfsHash: tx[8]
+            ipfsHash: tx[8],
+            completionDeadline: tx[9],
+            paymentToken: tx[10],
+            fee: tx[11]
           });
         }
       }
@@ -68,7 +151,10 @@ const TransactionManager = () => {
                     status: Number(tx[5]),
                     requestedAt: tx[6],
                     completedAt: tx[7],
-                    ipfsHash: tx[8]
+                    ipfsHash: tx[8],
+                    completionDeadline: tx[9],
+                    paymentToken: tx[10],
+                    fee: tx[11]
                   });
                 }
               }
@@ -82,6 +168,38 @@ const TransactionManager = () => {
         console.warn('Could not load buyer transactions:', error);
       }
       
+      // Attach the negotiation thread to offers still being negotiated, and plans to live installment purchases
+      for (const tx of allTransactions) {
+        // Purchases always have a price, so only zero-price records can be gifts
+        if (tx.price === 0n) {
+          const gift = toGiftTransfer(await contract.giftTransfers(tx.id));
+          tx.gift = gift.reason ? gift : null;
+          if (tx.gift && tx.status === 6) {
+            tx.gift.fee = await contract.quoteTransferFee(tx.propertyId, tx.gift.declaredValue);
+          }
+        }
+        if (isOpenOffer(tx) || tx.status === 1) {
+          const plan = toInstallmentPlan(await contract.getInstallmentPlan(tx.id));
+          tx.installmentPlan = plan.installmentCount > 0 ? plan : null;
+        }
+        if (tx.status === 1) {
+          tx.legalReview = toLegalReview(await contract.getLegalReview(tx.id));
+          const signOff = await contract.getGovernmentSignOff(tx.id);
+          tx.awaitingSignOff = signOff[0] && Number(signOff[2]) === 0;
+          tx.frozen = (await contract.openDisputes(tx.propertyId)) > 0n;
+        }
+        if (isOpenOffer(tx)) {
+          const rounds = await contract.getNegotiation(tx.id);
+          tx.negotiation = rounds.map((round) => ({
+            party: round[0],
+            action: Number(round[1]),
+            price: round[2],
+            timestamp: round[3]
+          }));
+          tx.counterPrice = tx.status === 5 ? tx.negotiation[tx.negotiation.length - 1].price : null;
+        }
+      }
+      
       // Sort by most recent first
       setTransactions(allTransactions.sort((a, b) => Number(b.requestedAt) - Number(a.requestedAt)));
     } catch (error) {
@@ -104,6 +222,113 @@ const TransactionManager = () => {
     }
   };
 
+  const handleCancelRequest = async (transactionId) => {
+    try {
+      const tx = await contract.cancelPurchaseRequest(transactionId);
+      await tx.wait();
+      toast.success('Offer withdrawn, refund ready to claim');
+      await loadTransactions();
+    } catch (error) {
+      console.error('Error withdrawing offer:', error);
+      toast.error(error.reason || 'Failed to withdraw offer');
+    }
+  };
+
+  // Overrides that pay an escrow top-up: sent as value for ETH, approved for the registry to pull for tokens
+  const escrowTopUp = async (transaction, amount) => {
+    if (isNativeCurrency(transaction.paymentToken)) {
+      return { value: amount };
+    }
+    if (amount > 0n) {
+      await ensureTokenAllowance(transaction.paymentToken, account, amount, contract.runner);
+    }
+    return {};
+  };
+
+  const handleCounterOffer = async (transaction) => {
+    const price = counterPrices[transaction.id];
+    if (!price || parseFloat(price) <= 0) {
+      toast.error('Please enter a valid counter-offer');
+      return;
+    }
+
+    try {
+      const { decimals } = await getTokenInfo(transaction.paymentToken, contract.runner);
+      const newPrice = parseTokenAmount(price, decimals);
+      // A buyer countering back adjusts escrow: top up the difference, or get it refunded
+      const topUp = transaction.buyer.toLowerCase() === account.toLowerCase() && newPrice > transaction.price
+        ? newPrice - transaction.price
+        : 0n;
+      const tx = await contract.counterOffer(transaction.id, newPrice, await escrowTopUp(transaction, topUp));
+      await tx.wait();
+      toast.success('Counter-offer sent');
+      setCounterPrices({ ...counterPrices, [transaction.id]: '' });
+      await loadTransactions();
+    } catch (error) {
+      console.error('Error sending counter-offer:', error);
+      toast.error(error.reason || 'Failed to send counter-offer');
+    }
+  };
+
+  const handleAcceptCounterOffer = async (transaction) => {
+    try {
+      const topUp = transaction.counterPrice > transaction.price
+        ? transaction.counterPrice - transaction.price
+        : 0n;
+      const tx = await contract.acceptCounterOffer(transaction.id, await escrowTopUp(transaction, topUp));
+      await tx.wait();
+      toast.success('Counter-offer accepted');
+      await loadTransactions();
+    } catch (error) {
+      console.error('Error accepting counter-offer:', error);
+      toast.error(error.reason || 'Failed to accept counter-offer');
+    }
+  };
+
+  const handleExpirePurchase = async (transaction) => {
+    try {
+      const tx = transaction.installmentPlan
+        ? await contract.declareInstallmentDefault(transaction.id)
+        : await contract.expirePurchase(transaction.id);
+      await tx.wait();
+      toast.success(
+        transaction.installmentPlan
+          ? 'Installment plan defaulted, payments split and property relisted'
+          : 'Sale expired, buyer refund credited and property relisted'
+      );
+      await loadTransactions();
+    } catch (error) {
+      console.error('Error expiring purchase:', error);
+      toast.error(error.reason || 'Failed to expire purchase');
+    }
+  };
+
+  const handleAcceptTransfer = async (transaction) => {
+    try {
+      const tx = await contract.acceptTransfer(transaction.id, { value: transaction.gift.fee });
+      await tx.wait();
+      toast.success('Transfer accepted, the property is now yours');
+      await loadTransactions();
+    } catch (error) {
+      console.error('Error accepting transfer:', error);
+      toast.error(error.reason || 'Failed to accept transfer');
+    }
+  };
+
+  const handleDeclineTransfer = async (transaction) => {
+    try {
+      const tx = await contract.declineTransfer(transaction.id);
+      await tx.wait();
+      toast.success(
+        transaction.seller.toLowerCase() === account.toLowerCase() ? 'Transfer withdrawn' : 'Transfer declined'
+      );
+      await loadTransactions();
+    } catch (error) {
+      console.error('Error declining transfer:', error);
+      toast.error(error.reason || 'Failed to decline transfer');
+    }
+  };
+
   const handleCompletePurchase = async (transactionId) => {
     try {
       const tx = await contract.completePurchase(transactionId);
@@ -128,15 +353,23 @@ const TransactionManager = () => {
     switch (status) {
       case 1: return <CheckCircle className="h-5 w-5 text-green-500" />;
       case 2: return <XCircle className="h-5 w-5 text-red-500" />;
+      case 5: return <Clock className="h-5 w-5 text-orange-500" />;
+      case 6: return <Clock className="h-5 w-5 text-amber-500" />;
       case 3: return <CheckCircle className="h-5 w-5 text-blue-500" />;
       default: return <Clock className="h-5 w-5 text-yellow-500" />;
     }
   };
 
   const pendingTransactions = transactions.filter(tx => 
-    tx.status === 0 && tx.seller.toLowerCase() === account.toLowerCase()
+    isOpenOffer(tx) && tx.seller.toLowerCase() === account.toLowerCase()
   );
 
+  const myPendingOffers = transactions.filter(tx => 
+    isOpenOffer(tx) && tx.buyer.toLowerCase() === account.toLowerCase()
+  );
+
+  const pendingGifts = transactions.filter(tx => tx.status === 6);
+
   const approvedTransactions = transactions.filter(tx => 
     tx.status === 1 && tx.buyer.toLowerCase() === account.toLowerCase()
   );
@@ -161,8 +394,9 @@ const TransactionManager = () => {
                     </Link>
                     <div className="mt-2 space-y-1 text-sm text-gray-600">
                       <p>Buyer: <span className="font-mono">{tx.buyer}</span></p>
-                      <p>Price: <span className="font-semibold">{formatEther(tx.price)} ETH</span></p>
+                      <p>Price: <span className="font-semibold"><TokenAmount value={tx.price} token={tx.paymentToken} /></span></p>
                       <p>Status: {TRANSACTION_STATUS[tx.status]}</p>
+                      <NegotiationThread rounds={tx.negotiation} account={account} token={tx.paymentToken} />
                       {tx.ipfsHash && (
                         <button
                           onClick={() => setViewingDocument({ hash: tx.ipfsHash, name: `Transaction-${tx.id}-Documents` })}
@@ -174,14 +408,37 @@ const TransactionManager = () => {
                       )}
                     </div>
                   </div>
-                  <div className="flex space-x-2 ml-4">
-                    <button
-                      onClick={() => handleProcessRequest(tx.id, true)}
-                      className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 flex items-center"
-                    >
-                      <CheckCircle className="h-4 w-4 mr-2" />
-                      Approve
-                    </button>
+                  <div className="flex flex-wrap justify-end gap-2 ml-4">
+                    {tx.status === 5 ? (
+                      <span className="px-4 py-2 text-sm text-orange-600 font-medium">
+                        Awaiting buyer response to <TokenAmount value={tx.counterPrice} token={tx.paymentToken} />
+                      </span>
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => handleProcessRequest(tx.id, true)}
+                          className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 flex items-center"
+                        >
+                          <CheckCircle className="h-4 w-4 mr-2" />
+                          Approve
+                        </button>
+                        <input
+                          type="number"
+                          step="0.001"
+                          min="0"
+                          value={counterPrices[tx.id] || ''}
+                          onChange={(e) => setCounterPrices({ ...counterPrices, [tx.id]: e.target.value })}
+                          placeholder="Counter price"
+                          className="w-32 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        />
+                        <button
+                          onClick={() => handleCounterOffer(tx)}
+                          className="px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600"
+                        >
+                          Counter
+                        </button>
+                      </>
+                    )}
                     <button
                       onClick={() => handleProcessRequest(tx.id, false)}
                       className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 flex items-center"
@@ -197,6 +454,146 @@ const TransactionManager = () => {
         </div>
       )}
 
+      {myPendingOffers.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-semibold mb-4">My Pending Offers</h2>
+          <div className="space-y-4">
+            {myPendingOffers.map((tx) => (
+              <div key={tx.id.toString()} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex justify-between items-start">
+                  <div className="flex-1">
+                    <Link
+                      to={`/property/${tx.propertyId}`}
+                      className="font-semibold text-primary-600 hover:underline"
+                    >
+                      Property #{tx.propertyId}
+                    </Link>
+                    <div className="mt-2 space-y-1 text-sm text-gray-600">
+                      <p>Seller: <span className="font-mono">{tx.seller}</span></p>
+                      <p>Offer: <span className="font-semibold"><TokenAmount value={tx.price} token={tx.paymentToken} /></span></p>
+                      {tx.status === 5 && (
+                        <p>Counter-offer from seller: <span className="font-semibold text-orange-600"><TokenAmount value={tx.counterPrice} token={tx.paymentToken} /></span></p>
+                      )}
+                      <p>Status: {TRANSACTION_STATUS[tx.status]}</p>
+                      <NegotiationThread rounds={tx.negotiation} account={account} token={tx.paymentToken} />
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap items-center justify-end gap-2 ml-4">
+                    {getStatusIcon(tx.status)}
+                    {tx.status === 5 && (
+                      <>
+                        <button
+                          onClick={() => handleAcceptCounterOffer(tx)}
+                          className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 flex items-center"
+                        >
+                          <CheckCircle className="h-4 w-4 mr-2" />
+                          Accept Counter
+                        </button>
+                        <input
+                          type="number"
+                          step="0.001"
+                          min="0"
+                          value={counterPrices[tx.id] || ''}
+                          onChange={(e) => setCounterPrices({ ...counterPrices, [tx.id]: e.target.value })}
+                          placeholder="Counter price"
+                          className="w-32 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                        />
+                        <button
+                          onClick={() => handleCounterOffer(tx)}
+                          className="px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600"
+                        >
+                          Counter
+                        </button>
+                      </>
+                    )}
+                    <button
+                      onClick={() => handleCancelRequest(tx.id)}
+                      className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 flex items-center"
+                    >
+                      <XCircle className="h-4 w-4 mr-2" />
+                      {tx.status === 5 ? 'Walk Away' : 'Withdraw Offer'}
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {pendingGifts.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-semibold mb-4">Transfers Awaiting Acceptance</h2>
+          <div className="space-y-4">
+            {pendingGifts.map((tx) => {
+              const isRecipient = tx.buyer.toLowerCase() === account.toLowerCase();
+              return (
+                <div key={tx.id.toString()} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex justify-between items-start">
+                    <div className="flex-1">
+                      <Link
+                        to={`/property/${tx.propertyId}`}
+                        className="font-semibold text-primary-600 hover:underline"
+                      >
+                        Property #{tx.propertyId}
+                      </Link>
+                      <div className="mt-2 space-y-1 text-sm text-gray-600">
+                        <p>
+                          {isRecipient ? 'From' : 'To'}:{' '}
+                          <span className="font-mono">{isRecipient ? tx.seller : tx.buyer}</span>
+                        </p>
+                        <p>Reason: {tx.gift.reason}</p>
+                        <p>Declared value: <span className="font-semibold"><TokenAmount value={tx.gift.declaredValue} token={tx.paymentToken} /></span></p>
+                        {tx.gift.fee > 0n && (
+                          <p>Transfer fee payable by the recipient: <TokenAmount value={tx.gift.fee} token={tx.paymentToken} /></p>
+                        )}
+                        {tx.ipfsHash && (
+                          <button
+                            onClick={() => setViewingDocument({ hash: tx.ipfsHash, name: `Transaction-${tx.id}-Deed` })}
+                            className="mt-2 text-primary-600 hover:underline flex items-center text-sm"
+                          >
+                            <FileText className="h-4 w-4 mr-1" />
+                            View Deed
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-2 ml-4">
+                      {isRecipient ? (
+                        <>
+                          <button
+                            onClick={() => handleAcceptTransfer(tx)}
+                            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 flex items-center"
+                          >
+                            <CheckCircle className="h-4 w-4 mr-2" />
+                            Accept
+                          </button>
+                          <button
+                            onClick={() => handleDeclineTransfer(tx)}
+                            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 flex items-center"
+                          >
+                            <XCircle className="h-4 w-4 mr-2" />
+                            Decline
+                          </button>
+                        </>
+                      ) : (
+                        <button
+                          onClick={() => handleDeclineTransfer(tx)}
+                          className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 flex items-center"
+                        >
+                          <XCircle className="h-4 w-4 mr-2" />
+                          Withdraw
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {approvedTransactions.length > 0 && (
         <div className="bg-white rounded-lg shadow-md p-6">
           <h2 className="text-xl font-semibold mb-4">Approved Purchases (Ready to Complete)</h2>
@@ -213,8 +610,20 @@ const TransactionManager = () => {
                     </Link>
                     <div className="mt-2 space-y-1 text-sm text-gray-600">
                       <p>Seller: <span className="font-mono">{tx.seller}</span></p>
-                      <p>Price: <span className="font-semibold">{formatEther(tx.price)} ETH</span></p>
+                      <p>Price: <span className="font-semibold"><TokenAmount value={tx.price} token={tx.paymentToken} /></span></p>
                       <p>Status: {TRANSACTION_STATUS[tx.status]}</p>
+                      <p className="flex items-center">
+                        <Clock className="h-4 w-4 mr-1" />
+                        <CompletionCountdown deadline={tx.completionDeadline} />
+                      </p>
+                      {tx.awaitingSignOff && (
+                        <p className="text-orange-600 font-medium">Awaiting government sign-off</p>
+                      )}
+                      {tx.frozen && (
+                        <p className="text-red-600 font-medium">
+                          Frozen by a dispute. The deadline is extended by the time it stays open.
+                        </p>
+                      )}
                       {tx.ipfsHash && (
                         <button
                           onClick={() => setViewingDocument({ hash: tx.ipfsHash, name: `Transaction-${tx.id}-Documents` })}
@@ -228,14 +637,32 @@ const TransactionManager = () => {
                   </div>
                   <div className="flex items-center space-x-2 ml-4">
                     {getStatusIcon(tx.status)}
-                    <button
-                      onClick={() => handleCompletePurchase(tx.id)}
-                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
-                    >
-                      Complete Purchase
-                    </button>
+                    {hasDeadlinePassed(tx) ? (
+                      <button
+                        onClick={() => handleExpirePurchase(tx)}
+                        className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700"
+                      >
+                        {tx.installmentPlan ? 'Declare Default' : 'Expire & Refund'}
+                      </button>
+                    ) : (!tx.installmentPlan || isPaidOff(tx.installmentPlan)) && (
+                      <button
+                        onClick={() => handleCompletePurchase(tx.id)}
+                        disabled={isAttestationPending(tx.legalReview) || tx.awaitingSignOff}
+                        title={
+                          isAttestationPending(tx.legalReview)
+                            ? 'Awaiting legal attestation'
+                            : tx.awaitingSignOff ? 'Awaiting government sign-off' : undefined
+                        }
+                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        Complete Purchase
+                      </button>
+                    )}
                   </div>
                 </div>
+                {tx.installmentPlan && (
+                  <InstallmentSchedule transaction={tx} onPaid={loadTransactions} />
+                )}
               </div>
             ))}
           </div>
@@ -257,11 +684,26 @@ const TransactionManager = () => {
                       Property #{tx.propertyId}
                     </Link>
                     <div className="mt-1 text-sm text-gray-600">
-                      <span className={tx.seller.toLowerCase() === account.toLowerCase() ? 'text-red-600' : 'text-green-600'}>
-                        {tx.seller.toLowerCase() === account.toLowerCase() ? 'Sale' : 'Purchase'}
-                      </span>
-                      {' • '}
-                      <span className="font-semibold">{formatEther(tx.price)} ETH</span>
+                      {tx.gift ? (
+                        <>
+                          <span className="text-amber-600">
+                            {tx.seller.toLowerCase() === account.toLowerCase() ? 'Gift given' : 'Gift received'}
+                          </span>
+                          {' • '}
+                          <span>{tx.gift.reason}</span>
+                        </>
+                      ) : (
+                        <>
+                          <span className={tx.seller.toLowerCase() === account.toLowerCase() ? 'text-red-600' : 'text-green-600'}>
+                            {tx.seller.toLowerCase() === account.toLowerCase() ? 'Sale' : 'Purchase'}
+                          </span>
+                          {' • '}
+                          <span className="font-semibold"><TokenAmount value={tx.price} token={tx.paymentToken} /></span>
+                        </>
+                      )}
+                      {tx.fee > 0n && (
+                        <span className="text-xs text-gray-500"> (transfer fee <TokenAmount value={tx.fee} token={tx.paymentToken} />)</span>
+                      )}
                       {' • '}
                       {tx.seller.toLowerCase() === account.toLowerCase() ? (
                         <span>Buyer: <span className="font-mono text-xs">{tx.buyer}</span></span>
@@ -282,11 +724,29 @@ const TransactionManager = () => {
                       )}
                     </div>
                   </div>
-                  <div className="flex items-center space-x-2">
-                    {getStatusIcon(tx.status)}
-                    <span className="text-sm text-gray-600">{TRANSACTION_STATUS[tx.status]}</span>
+                  <div className="flex flex-col items-end space-y-1">
+                    <div className="flex items-center space-x-2">
+                      {getStatusIcon(tx.status)}
+                      <span className="text-sm text-gray-600">{TRANSACTION_STATUS[tx.status]}</span>
+                    </div>
+                    {tx.status === 1 && (
+                      <span className="text-xs">
+                        <CompletionCountdown deadline={tx.completionDeadline} />
+                      </span>
+                    )}
+                    {tx.status === 1 && hasDeadlinePassed(tx) && (
+                      <button
+                        onClick={() => handleExpirePurchase(tx)}
+                        className="text-xs text-red-600 hover:text-red-700 font-medium"
+                      >
+                        {tx.installmentPlan ? 'Declare installment default' : 'Expire & refund buyer'}
+                      </button>
+                    )}
                   </div>
                 </div>
+                {tx.status === 1 && (
+                  <LegalReviewPanel transaction={tx} onChange={loadTransactions} />
+                )}
               </div>
             ))}
           </div>
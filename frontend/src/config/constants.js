@@ -23,7 +23,14 @@ export const PROPERTY_STATUS = {
   2: 'Rejected',
   3: 'Listed for Sale',
   4: 'Sale in Progress',
-  5: 'Sold' // Note: After sale, status is set back to Approved (1) so new owner can list again
+  5: 'Sold', // Note: After sale, status is set back to Approved (1) so new owner can list again
+  6: 'Retired'
+};
+
+// Listing pricing modes
+export const PRICING_MODE = {
+  0: 'Offers Above',
+  1: 'Fixed Price'
 };
 
 // Transaction Status
@@ -32,5 +39,31 @@ export const TRANSACTION_STATUS = {
   1: 'Approved',
   2: 'Rejected',
   3: 'Completed',
-  4: 'Cancelled'
+  4: 'Cancelled',
+  5: 'Countered',
+  6: 'Awaiting Acceptance'
+};
+
+// Legal review of an approved sale
+export const LEGAL_REVIEW_STATUS = {
+  0: 'No lawyer appointed',
+  1: 'Awaiting attestation',
+  2: 'Attested',
+  3: 'Declined'
+};
+
+// Dispute against a property
+export const DISPUTE_STATUS = {
+  0: 'Open',
+  1: 'Upheld',
+  2: 'Dismissed'
+};
+
+// Negotiation Actions
+export const NEGOTIATION_ACTION = {
+  0: 'Offer',
+  1: 'Counter-offer',
+  2: 'Accepted',
+  3: 'Rejected',
+  4: 'Withdrawn'
 };
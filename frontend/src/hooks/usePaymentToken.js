@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { getTokenInfo, NATIVE_CURRENCY } from '../utils/web3';
+
+// Resolves a listing or escrow currency address to its symbol and decimals
+const usePaymentToken = (tokenAddress) => {
+  const { contract } = useWeb3();
+  const [token, setToken] = useState(NATIVE_CURRENCY);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    getTokenInfo(tokenAddress, contract?.runner)
+      .then((info) => {
+        if (!cancelled) setToken(info);
+      })
+      .catch((error) => {
+        console.error('Error loading payment token:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [tokenAddress, contract]);
+
+  return token;
+};
+
+export default usePaymentToken;
@@ -5,37 +5,136 @@ import { CONTRACT_ADDRESS, NETWORK_CHAIN_ID, RPC_URL } from '../config/constants
 // For now, using minimal ABI with main functions
 export const LAND_REGISTRY_ABI = [
   // Core Functions
-  "function registerProperty(string,string,string,string,address,uint256,string) returns (uint256)",
+  "function registerProperty(string,string,string,string,address,uint256,string) payable returns (uint256)",
+  "function resubmitProperty(uint256,string,string,string,string,uint256,string)",
   "function registerUser(address,bytes32,string)",
   "function approveProperty(uint256,bool)",
+  "function rejectProperty(uint256,string)",
+  "function setApprovalQuorum(uint256)",
   "function listPropertyForSale(uint256,uint256)",
   "function requestToPurchase(uint256,uint256,string) payable",
+  "function requestInstallmentPurchase(uint256,uint256,string,uint256,uint256,uint256,uint256) payable",
+  "function payInstallment(uint256) payable",
+  "function declareInstallmentDefault(uint256)",
   "function processPurchaseRequest(uint256,bool)",
   "function completePurchase(uint256)",
+  "function cancelPurchaseRequest(uint256)",
+  "function counterOffer(uint256,uint256) payable",
+  "function acceptCounterOffer(uint256) payable",
+  "function expirePurchase(uint256)",
+  "function appointLawyer(uint256,address)",
+  "function attestSale(uint256,string)",
+  "function declineAttestation(uint256)",
+  "function setSignOffThreshold(address,uint256)",
+  "function signOffTransfer(uint256)",
+  "function setCompletionWindow(uint256)",
+  "function withdraw()",
+  "function withdrawToken(address)",
+  "function setAcceptedToken(address,bool)",
+  "function setStateFees(string,uint8,uint256,uint8,uint256)",
+  "function setTokenTransferFee(string,address,uint256)",
+  "function setTreasury(address)",
   "function updatePropertyDocuments(uint256,string)",
   "function removeFromSale(uint256)",
+  "function requestSubdivision(uint256,string[],uint256[],string[]) returns (uint256)",
+  "function processSubdivision(uint256,bool)",
+  "function requestMerge(uint256[],string,uint256,string) returns (uint256)",
+  "function processMerge(uint256,bool)",
+  "function setCoOwners(uint256,address[],uint256[])",
+  "function consentToSale(uint256)",
+  "function revokeSaleConsent(uint256)",
+  "function setCoOwnerConsentThreshold(uint256)",
+  "function executeSuccession(uint256,address,address[],uint256[],string)",
+  "function transferOwnership(uint256,address,string,string) returns (uint256)",
+  "function acceptTransfer(uint256) payable",
+  "function declineTransfer(uint256)",
   // Documentation-aligned Functions
   "function addSuperAdmin(address,string[],string)",
   "function getSuperadminVillages(address) view returns (string[])",
+  "function assignVillage(address,string)",
+  "function unassignVillage(address,string)",
+  "function globalSuperadmins(address) view returns (bool)",
+  "function isInJurisdiction(address,string) view returns (bool)",
   "function viewRequest(uint256) view returns (uint256[])",
-  "function landInfoOwner(uint256) view returns (tuple(uint256,string,string,string,string,address,uint256,string,string,uint8,uint256,uint256,bool),uint256[])",
-  "function landInfoUser(uint256) view returns (tuple(uint256,string,string,string,string,address,uint256,string,string,uint8,uint256,uint256,bool))",
+  "function landInfoOwner(uint256) view returns (tuple(uint256,string,string,string,string,address,uint256,string,string,uint8,uint256,uint256,bool,uint256,uint8,address),uint256[])",
+  "function landInfoUser(uint256) view returns (tuple(uint256,string,string,string,string,address,uint256,string,string,uint8,uint256,uint256,bool,uint256,uint8,address))",
   "function viewAssets(address) view returns (uint256[])",
   "function makeAvailable(uint256,uint256)",
+  "function listPropertyWithPricing(uint256,uint256,uint8)",
+  "function listPropertyWithPaymentToken(uint256,uint256,uint8,address)",
+  "function updateAskingPrice(uint256,uint256,uint8)",
   "function requestToLandOwner(uint256,uint256,string) payable",
   "function processRequest(uint256,bool)",
   "function buyProperty(uint256)",
   // View Functions
-  "function getProperty(uint256) view returns (tuple(uint256,string,string,string,string,address,uint256,string,string,uint8,uint256,uint256,bool))",
+  "function getProperty(uint256) view returns (tuple(uint256,string,string,string,string,address,uint256,string,string,uint8,uint256,uint256,bool,uint256,uint8,address))",
   "function getOwnerProperties(address) view returns (uint256[])",
-  "function getTransaction(uint256) view returns (tuple(uint256,uint256,address,address,uint256,uint8,uint256,uint256,string))",
+  "function getTransaction(uint256) view returns (tuple(uint256,uint256,address,address,uint256,uint8,uint256,uint256,string,uint256,address,uint256))",
   "function getPropertyTransactions(uint256) view returns (uint256[])",
+  "function getInstallmentPlan(uint256) view returns (tuple(uint256,uint256,uint256,uint256,uint256,uint256,uint256))",
+  "function nextInstallmentAmount(uint256) view returns (uint256)",
+  "function getLegalReview(uint256) view returns (tuple(address,address,address,uint8,string,uint256))",
+  "function getLawyerTransactions(address) view returns (uint256[])",
+  "function getGovernmentSignOff(uint256) view returns (tuple(bool,address,uint256))",
+  "function getTransfersAwaitingSignOff() view returns (uint256[])",
+  "function signOffThresholds(address) view returns (uint256)",
+  "function getNegotiation(uint256) view returns (tuple(address,uint8,uint256,uint256)[])",
   "function getTotalProperties() view returns (uint256)",
+  "function getSubdivisionRequest(uint256) view returns (tuple(uint256,address,string[],uint256[],string[],uint8,uint256,address,uint256))",
+  "function getPendingSubdivisions() view returns (uint256[])",
+  "function pendingSubdivision(uint256) view returns (uint256)",
+  "function getMergeRequest(uint256) view returns (tuple(uint256[],address,string,uint256,string,uint8,uint256,address,uint256))",
+  "function getPendingMerges() view returns (uint256[])",
+  "function pendingMerge(uint256) view returns (uint256)",
+  "function getCoOwners(uint256) view returns (tuple(address,uint256)[])",
+  "function saleConsents(uint256,address) view returns (bool)",
+  "function saleConsentBps(uint256) view returns (uint256)",
+  "function coOwnerConsentBps() view returns (uint256)",
+  "function giftTransfers(uint256) view returns (string,uint256)",
+  "function registerLease(uint256,address,uint256,uint256,uint256,uint256,string) returns (uint256)",
+  "function payRent(uint256) payable",
+  "function acknowledgeLeases(uint256)",
+  "function getLease(uint256) view returns (tuple(uint256,uint256,address,uint256,uint256,uint256,uint256,string,uint256,uint256))",
+  "function getActiveLeases(uint256) view returns (tuple(uint256,uint256,address,uint256,uint256,uint256,uint256,string,uint256,uint256)[])",
+  "function getPropertyLeases(uint256) view returns (uint256[])",
+  "function leaseAcknowledgements(uint256,address) view returns (uint256)",
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function balanceOf(address) view returns (uint256)",
+  "function ownerOf(uint256) view returns (address)",
+  "function tokenURI(uint256) view returns (string)",
+  "function findBySurvey(string,string,string,string) view returns (uint256)",
+  "function disputeBond() view returns (uint256)",
+  "function setDisputeBond(uint256)",
+  "function fileDispute(uint256,string,string) payable returns (uint256)",
+  "function resolveDispute(uint256,bool,string)",
+  "function getDispute(uint256) view returns (tuple(uint256,uint256,address,string,string,uint256,uint8,uint256,address,uint256,string))",
+  "function getPropertyDisputes(uint256) view returns (tuple(uint256,uint256,address,string,string,uint256,uint8,uint256,address,uint256,string)[])",
+  "function getOpenDisputes() view returns (uint256[])",
+  "function openDisputes(uint256) view returns (uint256)",
+  "function correctTitle(uint256,tuple(address,string,string,string,string,uint256),string)",
+  "function getTitleCorrections(uint256) view returns (tuple(uint256,tuple(address,string,string,string,string,uint256),tuple(address,string,string,string,string,uint256),string,address,uint256)[])",
+  "function getPropertySuccessions(uint256) view returns (tuple(uint256,address,address[],uint256[],string,address,uint256)[])",
+  "function getParentProperties(uint256) view returns (uint256[])",
+  "function getChildProperties(uint256) view returns (uint256[])",
   "function registeredUsers(address) view returns (bool)",
   "function userRoles(address) view returns (string)",
-  "function properties(uint256) view returns (uint256,string,string,string,string,address,uint256,string,string,uint8,uint256,uint256,bool)",
-  "function transactions(uint256) view returns (uint256,uint256,address,address,uint256,uint8,uint256,uint256,string)",
+  "function transactions(uint256) view returns (uint256,uint256,address,address,uint256,uint8,uint256,uint256,string,uint256,address,uint256)",
   "function paused() view returns (bool)",
+  "function completionWindow() view returns (uint256)",
+  "function approvalQuorum() view returns (uint256)",
+  "function getApprovalVotes(uint256) view returns (tuple(address,bool,string,uint256,uint256)[])",
+  "function registrationRevisions(uint256) view returns (uint256)",
+  "function payments(address) view returns (uint256)",
+  "function tokenPayments(address,address) view returns (uint256)",
+  "function acceptedTokens(address) view returns (bool)",
+  "function getAcceptedTokens() view returns (address[])",
+  "function getPaymentTokens() view returns (address[])",
+  "function treasury() view returns (address)",
+  "function getStateFees(string) view returns (tuple(uint8,uint256),tuple(uint8,uint256))",
+  "function getTokenTransferFee(string,address) view returns (uint256)",
+  "function quoteRegistrationFee(string,uint256) view returns (uint256)",
+  "function quoteTransferFee(uint256,uint256) view returns (uint256)",
   "function SUPERADMIN_ROLE() view returns (bytes32)",
   "function GOVERNMENT_ROLE() view returns (bytes32)",
   "function PROPERTY_OWNER_ROLE() view returns (bytes32)",
@@ -44,14 +143,79 @@ export const LAND_REGISTRY_ABI = [
   "event PropertyRegistered(uint256 indexed,address indexed,string,uint256)",
   "event PropertyStatusChanged(uint256 indexed,uint8,uint8)",
   "event PropertyListedForSale(uint256 indexed,address indexed,uint256)",
+  "event AskingPriceUpdated(uint256 indexed,uint256,uint8)",
   "event PurchaseRequested(uint256 indexed,uint256 indexed,address indexed,address,uint256)",
   "event PurchaseApproved(uint256 indexed,uint256 indexed,address indexed)",
   "event PurchaseRejected(uint256 indexed,uint256 indexed,address indexed)",
+  "event PurchaseCancelled(uint256 indexed,uint256 indexed,address indexed)",
+  "event PurchaseExpired(uint256 indexed,uint256 indexed,address indexed)",
+  "event InstallmentPlanCreated(uint256 indexed,uint256,uint256,uint256,uint256)",
+  "event InstallmentPaid(uint256 indexed,uint256,uint256)",
+  "event InstallmentPlanDefaulted(uint256 indexed,uint256,uint256)",
+  "event LawyerNominated(uint256 indexed,address indexed,address indexed)",
+  "event LawyerAssigned(uint256 indexed,address indexed)",
+  "event SaleAttested(uint256 indexed,address indexed,string)",
+  "event AttestationDeclined(uint256 indexed,address indexed)",
+  "event SignOffThresholdUpdated(address indexed,uint256)",
+  "event TransferSignedOff(uint256 indexed,address indexed)",
+  "event PaymentCredited(address indexed,address indexed,uint256)",
+  "event PaymentWithdrawn(address indexed,address indexed,uint256)",
+  "event PaymentTokenUpdated(address indexed,bool)",
+  "event StateFeesUpdated(string,uint8,uint256,uint8,uint256)",
+  "event TokenTransferFeeUpdated(string,address indexed,uint256)",
+  "event TreasuryUpdated(address indexed,address indexed)",
+  "event FeeCollected(uint256 indexed,uint256 indexed,address,uint256)",
+  "event CounterOffered(uint256 indexed,address indexed,uint256)",
+  "event CounterOfferAccepted(uint256 indexed,address indexed,uint256)",
+  "event CompletionWindowUpdated(uint256,uint256)",
+  "event ApprovalQuorumUpdated(uint256,uint256)",
+  "event PropertyVoteCast(uint256 indexed,address indexed,bool,string)",
+  "event PropertyResubmitted(uint256 indexed,uint256)",
   "event OwnershipTransferred(uint256 indexed,address indexed,address indexed,uint256)",
   "event UserRegistered(address indexed,string)",
-  "event DocumentsUpdated(uint256 indexed,string)"
+  "event DocumentsUpdated(uint256 indexed,string)",
+  "event VillageAssigned(address indexed,string)",
+  "event VillageUnassigned(address indexed,string)",
+  "event SubdivisionRequested(uint256 indexed,uint256 indexed,uint256)",
+  "event SubdivisionProcessed(uint256 indexed,uint256 indexed,bool)",
+  "event PropertySubdivided(uint256 indexed,uint256[])",
+  "event MergeRequested(uint256 indexed,uint256[])",
+  "event MergeProcessed(uint256 indexed,bool)",
+  "event PropertiesMerged(uint256 indexed,uint256[])",
+  "event CoOwnersUpdated(uint256 indexed,address[],uint256[])",
+  "event SaleConsentGiven(uint256 indexed,address indexed)",
+  "event SaleConsentRevoked(uint256 indexed,address indexed)",
+  "event CoOwnerConsentThresholdUpdated(uint256,uint256)",
+  "event GiftTransferOffered(uint256 indexed,uint256 indexed,address indexed,string)",
+  "event GiftTransferAccepted(uint256 indexed,uint256 indexed,address indexed)",
+  "event GiftTransferDeclined(uint256 indexed,uint256 indexed,address indexed)",
+  "event LeaseRegistered(uint256 indexed,uint256 indexed,address indexed,uint256,uint256)",
+  "event RentPaid(uint256 indexed,address indexed,uint256,uint256)",
+  "event LeasesAcknowledged(uint256 indexed,address indexed,uint256)",
+  "event Transfer(address indexed,address indexed,uint256 indexed)",
+  "event DisputeFiled(uint256 indexed,uint256 indexed,address indexed,uint256)",
+  "event DisputeResolved(uint256 indexed,uint256 indexed,bool,address)",
+  "event DisputeBondUpdated(uint256,uint256)",
+  "event TitleCorrected(uint256 indexed,tuple(address,string,string,string,string,uint256),tuple(address,string,string,string,string,uint256),string)",
+  "event SuccessionExecuted(uint256 indexed,address indexed,address[],uint256[],string)"
 ];
 
+// Minimal ERC-20 ABI for the payment tokens accepted by the registry
+export const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address,address) view returns (uint256)",
+  "function approve(address,uint256) returns (bool)"
+];
+
+// Listings and escrow use the zero address for native ETH
+export const NATIVE_CURRENCY = {
+  address: ethers.ZeroAddress,
+  symbol: 'ETH',
+  decimals: 18
+};
+
 let provider = null;
 let signer = null;
 let contract = null;
@@ -338,7 +502,59 @@ export const parseEther = (value) => {
   return ethers.parseEther(value.toString());
 };
 
+// Ask the wallet to display a property's title token, which the registry contract itself issues
+export const addTitleToWallet = async (propertyId) => {
+  return window.ethereum.request({
+    method: 'wallet_watchAsset',
+    params: {
+      type: 'ERC721',
+      options: { address: CONTRACT_ADDRESS, tokenId: propertyId.toString() }
+    }
+  });
+};
+
 export const formatAddress = (address) => {
   if (!address) return '';
   return `${address.slice(0, 6)}...${address.slice(-4)}`;
 };
+
+export const isNativeCurrency = (tokenAddress) => {
+  return !tokenAddress || tokenAddress === ethers.ZeroAddress;
+};
+
+export const getTokenContract = (tokenAddress, runner) => {
+  return new ethers.Contract(tokenAddress, ERC20_ABI, runner);
+};
+
+const tokenInfoCache = {};
+
+// Symbol and decimals of a payment token, cached per address
+export const getTokenInfo = async (tokenAddress, runner) => {
+  if (isNativeCurrency(tokenAddress)) {
+    return NATIVE_CURRENCY;
+  }
+  if (!tokenInfoCache[tokenAddress]) {
+    const token = getTokenContract(tokenAddress, runner);
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+    tokenInfoCache[tokenAddress] = { address: tokenAddress, symbol, decimals: Number(decimals) };
+  }
+  return tokenInfoCache[tokenAddress];
+};
+
+export const formatTokenAmount = (value, decimals = 18) => {
+  return ethers.formatUnits(value, decimals);
+};
+
+export const parseTokenAmount = (value, decimals = 18) => {
+  return ethers.parseUnits(value.toString(), decimals);
+};
+
+// Approve the registry to pull `amount` of a token, skipping the approval if the allowance already covers it
+export const ensureTokenAllowance = async (tokenAddress, owner, amount, runner) => {
+  const token = getTokenContract(tokenAddress, runner);
+  const allowance = await token.allowance(owner, CONTRACT_ADDRESS);
+  if (allowance < amount) {
+    const tx = await token.approve(CONTRACT_ADDRESS, amount);
+    await tx.wait();
+  }
+};